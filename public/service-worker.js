@@ -0,0 +1,46 @@
+/* eslint-disable no-restricted-globals */
+// Shows Web Push notifications sent by the server (see server/services/pushService.js).
+// Payload: { title, body, type, tag, url, data }
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'Smart Contract Assistant', {
+      body: payload.body || '',
+      tag: payload.tag,
+      renotify: !!payload.tag,
+      requireInteraction: payload.type === 'warning' || payload.type === 'error',
+      data: { url: payload.url || '/', ...payload.data }
+    })
+  );
+});
+
+// Focus an open tab of the app, or open one, at the notification's url
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin);
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((client) => new URL(client.url).origin === url.origin);
+      if (existing) {
+        return existing.navigate(url.href).then((client) => (client || existing).focus());
+      }
+      return self.clients.openWindow(url.href);
+    })
+  );
+});
@@ -0,0 +1,15 @@
+-- Review queue for chat answers users rated down (see services/feedbackService.js)
+-- Run this in your Supabase SQL editor, after add-chat-messages.sql
+
+-- pending: waiting for review; accepted: confirmed bad, exported as an evaluation case;
+-- dismissed: the answer was fine. NULL for messages that were never flagged.
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS review_status TEXT
+  CHECK (review_status IN ('pending', 'accepted', 'dismissed'));
+-- The answer an evaluation run should expect; starts as the user's corrected answer
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS expected_answer TEXT;
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS review_note TEXT;
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_review ON chat_messages(review_status, seq)
+  WHERE review_status IS NOT NULL;
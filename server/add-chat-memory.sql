@@ -0,0 +1,8 @@
+-- Conversation memory for chat threads (see services/chatMemoryService.js)
+-- Run this in your Supabase SQL editor
+
+-- Running summary of the thread's older turns, sent with each question in place of them
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS summary TEXT;
+
+-- How many of the thread's first messages the summary covers
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS summary_message_count INTEGER DEFAULT 0;
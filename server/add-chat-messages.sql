@@ -0,0 +1,73 @@
+-- Chat messages, one row each, instead of the chat_sessions.messages JSONB array
+-- Run this in your Supabase SQL editor, after add-chat-threads.sql and add-chat-memory.sql
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  -- Order of messages (within a thread and overall); also the history pagination cursor
+  seq BIGINT GENERATED ALWAYS AS IDENTITY UNIQUE,
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL DEFAULT '',
+  -- Assistant messages: cited passages, whether document/platform context was used, the model
+  -- and parameters used, and whether generation was stopped early
+  sources JSONB DEFAULT '[]'::jsonb,
+  has_context BOOLEAN,
+  generation JSONB,
+  cancelled BOOLEAN DEFAULT FALSE,
+  -- The user's rating of an assistant message
+  feedback JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_session_seq ON chat_messages(session_id, seq);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_user_id ON chat_messages(user_id);
+
+ALTER TABLE chat_messages DISABLE ROW LEVEL SECURITY;
+
+-- Conversation memory now points at the last summarized message instead of counting array items
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS summary_until_seq BIGINT;
+
+-- Move existing history out of the JSONB arrays, in order. Threads that already have rows in
+-- chat_messages are skipped, so running this again is safe.
+INSERT INTO chat_messages (session_id, user_id, role, content, sources, has_context, generation, cancelled, created_at)
+SELECT
+  s.id,
+  s.user_id,
+  m.value->>'role',
+  COALESCE(m.value->>'content', ''),
+  COALESCE(m.value->'sources', '[]'::jsonb),
+  (m.value->>'hasContext')::boolean,
+  m.value->'generation',
+  COALESCE((m.value->>'cancelled')::boolean, FALSE),
+  COALESCE((m.value->>'timestamp')::timestamptz, s.created_at)
+FROM chat_sessions s
+CROSS JOIN LATERAL jsonb_array_elements(COALESCE(s.messages, '[]'::jsonb)) WITH ORDINALITY AS m(value, position)
+WHERE s.user_id IS NOT NULL
+  AND m.value->>'role' IN ('user', 'assistant')
+  AND NOT EXISTS (SELECT 1 FROM chat_messages c WHERE c.session_id = s.id)
+ORDER BY s.id, m.position;
+
+-- summary_message_count counted items of the original array, including any that were not
+-- migrated. The last summarized message is the last migrated one among those items: the
+-- n-th row of the thread, where n counts the user and assistant items within the summary.
+UPDATE chat_sessions s
+SET summary_until_seq = (
+  SELECT c.seq
+  FROM (
+    SELECT seq, ROW_NUMBER() OVER (ORDER BY seq) AS n
+    FROM chat_messages
+    WHERE session_id = s.id
+  ) c
+  WHERE c.n = (
+    SELECT COUNT(*)
+    FROM jsonb_array_elements(COALESCE(s.messages, '[]'::jsonb)) WITH ORDINALITY AS m(value, position)
+    WHERE m.position <= s.summary_message_count
+      AND m.value->>'role' IN ('user', 'assistant')
+  )
+)
+WHERE s.summary_message_count > 0 AND s.summary_until_seq IS NULL;
+
+-- The arrays are no longer read or written. Once the migrated history has been checked:
+-- ALTER TABLE chat_sessions DROP COLUMN messages;
+-- ALTER TABLE chat_sessions DROP COLUMN summary_message_count;
@@ -0,0 +1,86 @@
+-- Full-text search over chat history (see services/chatSearchService.js)
+-- Run this in your Supabase SQL editor, after add-chat-messages.sql
+
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (to_tsvector('english', content)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_search ON chat_messages USING gin(search_vector);
+
+-- A user's messages matching search_query (web search syntax: "quoted phrases", OR, -word),
+-- best matches first. snippet marks each match with chr(2) before and chr(3) after it.
+-- search_general limits results to threads not about a contract; search_to is exclusive.
+CREATE OR REPLACE FUNCTION search_chat_messages(
+  search_user_id UUID,
+  search_query TEXT,
+  search_contract_id UUID DEFAULT NULL,
+  search_general BOOLEAN DEFAULT FALSE,
+  search_role TEXT DEFAULT NULL,
+  search_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  search_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  search_limit INTEGER DEFAULT 20,
+  search_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  id UUID,
+  seq BIGINT,
+  session_id UUID,
+  session_title TEXT,
+  contract_id UUID,
+  role TEXT,
+  snippet TEXT,
+  rank REAL,
+  created_at TIMESTAMP WITH TIME ZONE,
+  total_count BIGINT
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('english', search_query) AS tsquery
+  ),
+  matches AS (
+    SELECT
+      m.id,
+      m.seq,
+      m.session_id,
+      s.title AS session_title,
+      s.contract_id,
+      m.role,
+      m.content,
+      ts_rank(m.search_vector, query.tsquery) AS rank,
+      m.created_at,
+      COUNT(*) OVER () AS total_count
+    FROM chat_messages m
+    JOIN chat_sessions s ON s.id = m.session_id
+    CROSS JOIN query
+    WHERE m.user_id = search_user_id
+      AND m.search_vector @@ query.tsquery
+      AND (search_contract_id IS NULL OR s.contract_id = search_contract_id)
+      AND (NOT search_general OR s.contract_id IS NULL)
+      AND (search_role IS NULL OR m.role = search_role)
+      AND (search_from IS NULL OR m.created_at >= search_from)
+      AND (search_to IS NULL OR m.created_at < search_to)
+    ORDER BY rank DESC, m.seq DESC
+    LIMIT search_limit
+    OFFSET search_offset
+  )
+  -- Snippets only for the page returned; ts_headline re-parses the whole message
+  SELECT
+    matches.id,
+    matches.seq,
+    matches.session_id,
+    matches.session_title,
+    matches.contract_id,
+    matches.role,
+    ts_headline(
+      'english',
+      matches.content,
+      query.tsquery,
+      'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MinWords=10, MaxWords=30, MaxFragments=2, FragmentDelimiter=" ... "'
+    ) AS snippet,
+    matches.rank,
+    matches.created_at,
+    matches.total_count
+  FROM matches
+  CROSS JOIN query
+  ORDER BY matches.rank DESC, matches.seq DESC;
+$$;
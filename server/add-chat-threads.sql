@@ -0,0 +1,9 @@
+-- Multiple named chat threads per contract, plus general threads (contract_id NULL)
+-- Run this in your Supabase SQL editor
+
+-- Archived threads are hidden from the thread list and can't take new messages until restored
+ALTER TABLE chat_sessions ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+-- Thread lists: the user's threads for a contract (or general ones), most recently active first
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_user_contract_updated
+  ON chat_sessions(user_id, contract_id, updated_at DESC);
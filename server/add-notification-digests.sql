@@ -0,0 +1,15 @@
+-- Email digests for notification preferences (see services/notificationDispatcher.js)
+-- Run this in your Supabase SQL editor
+
+-- Notification emails waiting for the user's hourly or daily digest; rows are deleted once sent
+CREATE TABLE IF NOT EXISTS email_digest_items (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  event TEXT NOT NULL,
+  content JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_digest_items_user_created ON email_digest_items(user_id, created_at);
+
+ALTER TABLE email_digest_items DISABLE ROW LEVEL SECURITY;
@@ -0,0 +1,10 @@
+-- Notifications API (see services/notificationService.js)
+-- Run this in your Supabase SQL editor
+
+-- When the notification was read, and structured context such as the related contract
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS data JSONB DEFAULT '{}'::jsonb;
+
+-- Newest-first listing and the unread filter/count
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE read = FALSE;
@@ -0,0 +1,62 @@
+-- Durable job queue for contract processing
+-- Run this in your Supabase SQL editor (safe to run again after upgrading)
+
+CREATE TABLE IF NOT EXISTS processing_jobs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  type TEXT NOT NULL,
+  contract_id UUID REFERENCES contracts(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT DEFAULT 'queued' NOT NULL, -- queued | running | completed | cancelled | dead
+  priority INTEGER DEFAULT 0 NOT NULL,
+  attempts INTEGER DEFAULT 0 NOT NULL,
+  max_attempts INTEGER DEFAULT 3 NOT NULL,
+  payload JSONB DEFAULT '{}'::jsonb,
+  last_error TEXT,
+  run_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- The server process running a job, and when it last reported the job alive. Running jobs whose
+-- heartbeat stops (the process died) are requeued, or dead-lettered when out of attempts.
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS worker_id TEXT;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_queue ON processing_jobs(status, priority DESC, created_at);
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_user_id ON processing_jobs(user_id);
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_contract_id ON processing_jobs(contract_id);
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_heartbeat ON processing_jobs(heartbeat_at) WHERE status = 'running';
+
+-- At most one live processing job per contract, so concurrent reprocess requests can't both
+-- queue one. Older duplicates are cancelled first, keeping the running or else newest job.
+UPDATE processing_jobs
+SET status = 'cancelled', last_error = 'Duplicate processing job', updated_at = TIMEZONE('utc'::text, NOW())
+WHERE id IN (
+  SELECT id FROM (
+    SELECT id, ROW_NUMBER() OVER (
+      PARTITION BY contract_id
+      ORDER BY (status = 'running') DESC, created_at DESC
+    ) AS position
+    FROM processing_jobs
+    WHERE type = 'process_contract' AND status IN ('queued', 'running')
+  ) live
+  WHERE live.position > 1
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_processing_jobs_live_contract ON processing_jobs(contract_id)
+  WHERE type = 'process_contract' AND status IN ('queued', 'running');
+
+ALTER TABLE processing_jobs DISABLE ROW LEVEL SECURITY;
+
+-- Why a contract's processing failed. Kept apart from analysis so a failed reprocess leaves the
+-- previous analysis in place.
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS processing_error TEXT;
+
+-- Admin role for the job queue management endpoints
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS role TEXT DEFAULT 'user';
+
+-- Promote an account to admin (replace the email)
+-- UPDATE users SET role = 'admin' WHERE email = 'you@example.com';
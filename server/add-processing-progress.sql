@@ -0,0 +1,8 @@
+-- Processing progress and metrics for contracts
+-- Run this in your Supabase SQL editor
+
+-- Live pipeline state: stage, percent, ETA, per-stage timings and last error
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS processing JSONB DEFAULT '{}'::jsonb;
+
+-- Results of the last successful run: page/word/chunk counts, extraction confidence, model, timings
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS metrics JSONB DEFAULT '{}'::jsonb;
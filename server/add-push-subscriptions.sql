@@ -0,0 +1,24 @@
+-- Web Push subscriptions, one per browser/device (see services/pushService.js)
+-- Run this in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  -- Push service URL; unique per browser profile
+  endpoint TEXT UNIQUE NOT NULL,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  expiration_time TIMESTAMP WITH TIME ZONE,
+  device_name TEXT,
+  user_agent TEXT,
+  -- Failed deliveries in a row; the subscription is removed after PUSH_MAX_FAILURES
+  failure_count INTEGER DEFAULT 0,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user_id ON push_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_expiration ON push_subscriptions(expiration_time) WHERE expiration_time IS NOT NULL;
+
+ALTER TABLE push_subscriptions DISABLE ROW LEVEL SECURITY;
@@ -0,0 +1,13 @@
+-- Deterministic risk score for contracts (see services/riskService.js)
+-- Run this in your Supabase SQL editor (safe to run again)
+
+-- 0-100 score, kept as a column so dashboards can filter and aggregate on it
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS risk_score INTEGER CHECK (risk_score BETWEEN 0 AND 100);
+
+-- Level, band, model version and the weighted factors behind the score
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS risk_assessment JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_contracts_user_risk_score ON contracts(user_id, risk_score);
+
+-- Existing contracts are scored by assess_risk jobs the server queues at startup, which also
+-- replace the concern-based riskScore/riskLevel older fast analyses stored in analysis
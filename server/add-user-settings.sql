@@ -0,0 +1,13 @@
+-- Per-user settings (see services/settingsService.js and config/settingsSchema.js)
+-- Run this in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- Shape version of settings; older rows are migrated when they are next read
+  schema_version INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE user_settings DISABLE ROW LEVEL SECURITY;
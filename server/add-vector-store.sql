@@ -0,0 +1,79 @@
+-- Persistent, per-user vector index for RAG (pgvector)
+-- Run this in your Supabase SQL editor
+-- The embedding size must match OLLAMA_EMBEDDING_MODEL (nomic-embed-text = 768)
+-- Safe to run again; do so after upgrading to pick up index and function changes
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+CREATE TABLE IF NOT EXISTS contract_chunks (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  contract_id UUID REFERENCES contracts(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  chunk_index INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  char_start INTEGER,
+  char_end INTEGER,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  embedding VECTOR(768) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Searches scan one user's (or one contract's) chunks exactly, so they only need these btrees.
+-- An HNSW index on embedding would be searched across all users first and filtered afterwards,
+-- returning too few (or no) chunks once other users' documents fill the neighbourhood.
+DROP INDEX IF EXISTS idx_contract_chunks_embedding;
+DROP INDEX IF EXISTS idx_contract_chunks_user_id;
+DROP INDEX IF EXISTS idx_contract_chunks_contract_id;
+CREATE INDEX IF NOT EXISTS idx_contract_chunks_user_contract ON contract_chunks(user_id, contract_id);
+
+-- One row per chunk position, so re-indexing a contract upserts instead of duplicating.
+-- Drops duplicates left by earlier concurrent re-indexing first.
+DELETE FROM contract_chunks a
+USING contract_chunks b
+WHERE a.contract_id = b.contract_id
+  AND a.chunk_index = b.chunk_index
+  AND (a.created_at, a.id) < (b.created_at, b.id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contract_chunks_contract_chunk ON contract_chunks(contract_id, chunk_index);
+
+ALTER TABLE contract_chunks DISABLE ROW LEVEL SECURITY;
+
+-- Similarity search that is always scoped to a single user. The candidates are materialized
+-- from the user's rows before ordering, so the distance is computed for every one of them
+-- (exact, never cut short by an approximate index).
+CREATE OR REPLACE FUNCTION match_contract_chunks(
+  query_embedding VECTOR(768),
+  match_user_id UUID,
+  match_count INTEGER DEFAULT 5,
+  match_contract_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  contract_id UUID,
+  chunk_index INTEGER,
+  content TEXT,
+  char_start INTEGER,
+  char_end INTEGER,
+  metadata JSONB,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH candidates AS MATERIALIZED (
+    SELECT *
+    FROM contract_chunks c
+    WHERE c.user_id = match_user_id
+      AND (match_contract_id IS NULL OR c.contract_id = match_contract_id)
+  )
+  SELECT
+    c.id,
+    c.contract_id,
+    c.chunk_index,
+    c.content,
+    c.char_start,
+    c.char_end,
+    c.metadata,
+    1 - (c.embedding <=> query_embedding) AS similarity
+  FROM candidates c
+  ORDER BY c.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
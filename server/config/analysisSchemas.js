@@ -0,0 +1,50 @@
+// JSON Schemas for structured LLM output. The model is asked for JSON that matches
+// these; anything that doesn't validate is sent back for repair.
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+// Map step: findings for one section of a contract
+const SECTION_ANALYSIS_SCHEMA = {
+  $id: 'sectionAnalysis',
+  type: 'object',
+  required: ['contractType', 'keyTerms', 'riskLevel', 'concerns', 'summary'],
+  properties: {
+    contractType: { type: 'string', maxLength: 200 },
+    keyTerms: {
+      type: 'array',
+      maxItems: 8,
+      items: { type: 'string', minLength: 1 }
+    },
+    riskLevel: { type: 'string', enum: RISK_LEVELS },
+    concerns: {
+      type: 'array',
+      maxItems: 6,
+      items: {
+        type: 'object',
+        required: ['concern', 'severity'],
+        properties: {
+          concern: { type: 'string', minLength: 1 },
+          severity: { type: 'string', enum: RISK_LEVELS }
+        }
+      }
+    },
+    summary: { type: 'string', minLength: 1 }
+  }
+};
+
+// Reduce step: document-level classification and summary from the section summaries
+const DOCUMENT_SUMMARY_SCHEMA = {
+  $id: 'documentSummary',
+  type: 'object',
+  required: ['contractType', 'summary'],
+  properties: {
+    contractType: { type: 'string', minLength: 1, maxLength: 200 },
+    summary: { type: 'string', minLength: 1 }
+  }
+};
+
+module.exports = {
+  RISK_LEVELS,
+  SECTION_ANALYSIS_SCHEMA,
+  DOCUMENT_SUMMARY_SCHEMA
+};
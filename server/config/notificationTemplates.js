@@ -0,0 +1,79 @@
+// Notification events and how each one reads in-app, in a push message and in an email.
+// category is the preference toggle (settings.notifications.<channel>.<category>) that
+// controls the event on the email and push channels.
+
+const formatRisk = (riskScore, riskLevel) => (
+  riskScore === null || riskScore === undefined
+    ? 'Not available'
+    : `${riskScore}/100${riskLevel ? ` (${riskLevel})` : ''}`
+);
+
+// render(data) -> { title, message, type, email: { subject, intro, details: [[label, value]], items } }
+const NOTIFICATION_TEMPLATES = {
+  analysis_complete: {
+    category: 'contractAnalysis',
+    render: ({ contractName, contractType, riskScore, riskLevel, summary }) => ({
+      title: 'Contract Analysis Complete',
+      message: `Analysis of "${contractName}" has been completed successfully. You can now chat with this document.`,
+      type: 'success',
+      email: {
+        subject: `Analysis complete: ${contractName}`,
+        intro: `We've finished analysing "${contractName}". Here are the highlights:`,
+        details: [
+          ['Contract type', contractType || 'Unknown'],
+          ['Risk score', formatRisk(riskScore, riskLevel)]
+        ],
+        items: summary ? [summary] : []
+      }
+    })
+  },
+
+  analysis_needs_review: {
+    category: 'contractAnalysis',
+    render: ({ contractName }) => ({
+      title: 'Contract Needs Manual Review',
+      message: `"${contractName}" was processed, but the AI analysis could not be validated. You can chat with this document, but please review it manually or reprocess it.`,
+      type: 'warning',
+      email: {
+        subject: `Manual review needed: ${contractName}`,
+        intro: `"${contractName}" was processed, but the AI analysis could not be validated. You can still chat with the document; please review it manually or reprocess it.`,
+        details: [],
+        items: []
+      }
+    })
+  },
+
+  processing_failed: {
+    category: 'contractAnalysis',
+    render: ({ contractName, error }) => ({
+      title: 'Contract Processing Failed',
+      message: `Failed to process "${contractName}": ${error}`,
+      type: 'error',
+      email: {
+        subject: `Processing failed: ${contractName}`,
+        intro: `We couldn't process "${contractName}".`,
+        details: [['Reason', error]],
+        items: []
+      }
+    })
+  },
+
+  high_risk_detected: {
+    category: 'riskAlerts',
+    render: ({ contractName, riskScore, riskLevel, factors = [] }) => ({
+      title: 'High-Risk Contract Detected',
+      message: `"${contractName}" scored ${riskScore}/100 on risk.${factors.length > 0 ? ` Main factors: ${factors.slice(0, 3).join('; ')}.` : ''}`,
+      type: 'warning',
+      email: {
+        subject: `High-risk contract detected: ${contractName}`,
+        intro: `"${contractName}" falls in the high-risk band. We recommend reviewing it before signing or renewing.`,
+        details: [['Risk score', formatRisk(riskScore, riskLevel)]],
+        items: factors.slice(0, 5)
+      }
+    })
+  }
+};
+
+module.exports = {
+  NOTIFICATION_TEMPLATES
+};
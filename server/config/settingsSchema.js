@@ -0,0 +1,140 @@
+// Shape of the per-user settings stored in user_settings. New keys only need a default:
+// stored settings are always merged over DEFAULT_SETTINGS. Bump SETTINGS_VERSION and add a
+// migration to SETTINGS_MIGRATIONS when keys are renamed, moved or change meaning.
+
+const SETTINGS_VERSION = 2;
+
+// How notification emails are sent: one by one, or batched into a digest
+const DIGEST_FREQUENCIES = ['immediate', 'hourly', 'daily'];
+
+const DEFAULT_SETTINGS = {
+  notifications: {
+    email: {
+      enabled: true,
+      contractAnalysis: true,
+      riskAlerts: true,
+      systemUpdates: false,
+      marketing: false,
+      // 'immediate', or collect emails into one 'hourly' / 'daily' digest
+      digest: 'immediate'
+    },
+    push: {
+      enabled: true,
+      contractAnalysis: true,
+      riskAlerts: true,
+      systemUpdates: false
+    },
+    inApp: {
+      enabled: true,
+      autoMarkRead: false,
+      soundEnabled: true
+    }
+  },
+  ai: {
+    // Same default as OllamaService, so users who never chose a model get the server's model
+    model: process.env.OLLAMA_MODEL || 'llama3.2:3b',
+    temperature: 0.3,
+    maxTokens: 1500
+  },
+  processing: {
+    // OCR for images and scanned PDF pages; reprocessing can override it per contract
+    enableOCR: true,
+    language: 'en'
+  },
+  ui: {
+    language: 'en',
+    timezone: 'UTC',
+    theme: 'system'
+  }
+};
+
+const SETTINGS_SECTIONS = Object.keys(DEFAULT_SETTINGS);
+
+const LANGUAGE = { type: 'string', pattern: '^[a-z]{2}(-[A-Z]{2})?$' };
+
+// Boolean switches plus any other properties of the object
+const toggles = (keys, otherProperties = {}) => ({
+  type: 'object',
+  additionalProperties: false,
+  required: [...keys, ...Object.keys(otherProperties)],
+  properties: {
+    ...Object.fromEntries(keys.map(key => [key, { type: 'boolean' }])),
+    ...otherProperties
+  }
+});
+
+// Validates a complete settings document (after merging with the defaults)
+const SETTINGS_SCHEMA = {
+  $id: 'userSettings',
+  type: 'object',
+  additionalProperties: false,
+  required: SETTINGS_SECTIONS,
+  properties: {
+    notifications: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['email', 'push', 'inApp'],
+      properties: {
+        email: toggles(['enabled', 'contractAnalysis', 'riskAlerts', 'systemUpdates', 'marketing'], {
+          digest: { type: 'string', enum: DIGEST_FREQUENCIES }
+        }),
+        push: toggles(['enabled', 'contractAnalysis', 'riskAlerts', 'systemUpdates']),
+        inApp: toggles(['enabled', 'autoMarkRead', 'soundEnabled'])
+      }
+    },
+    ai: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['model', 'temperature', 'maxTokens'],
+      properties: {
+        model: { type: 'string', minLength: 1, maxLength: 100 },
+        temperature: { type: 'number', minimum: 0, maximum: 2 },
+        maxTokens: { type: 'integer', minimum: 100, maximum: 8192 }
+      }
+    },
+    processing: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['enableOCR', 'language'],
+      properties: {
+        enableOCR: { type: 'boolean' },
+        language: LANGUAGE
+      }
+    },
+    ui: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['language', 'timezone', 'theme'],
+      properties: {
+        language: LANGUAGE,
+        timezone: { type: 'string', minLength: 1, maxLength: 64 },
+        theme: { type: 'string', enum: ['light', 'dark', 'system'] }
+      }
+    }
+  }
+};
+
+// { [fromVersion]: settings => settings in the shape of fromVersion + 1 }. Migrations run in
+// order on stored rows and imported files until they reach SETTINGS_VERSION.
+const SETTINGS_MIGRATIONS = {
+  // Version 0: settings saved before they were versioned (the old placeholder export,
+  // browser-local settings). Sections the app doesn't know about are dropped.
+  0: settings => Object.fromEntries(
+    Object.entries(settings).filter(([section]) => SETTINGS_SECTIONS.includes(section))
+  ),
+  // Version 1: processing.autoProcess never did anything (uploads are always processed)
+  1: settings => {
+    if (!settings.processing || typeof settings.processing !== 'object') return settings;
+    const { autoProcess, ...processing } = settings.processing;
+    return { ...settings, processing };
+  }
+};
+
+module.exports = {
+  SETTINGS_VERSION,
+  DIGEST_FREQUENCIES,
+  DEFAULT_SETTINGS,
+  SETTINGS_SECTIONS,
+  SETTINGS_SCHEMA,
+  SETTINGS_MIGRATIONS
+};
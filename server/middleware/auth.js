@@ -31,11 +31,25 @@ const auth = async (req, res, next) => {
 
 const adminAuth = async (req, res, next) => {
   try {
-    await auth(req, res, () => {
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+    await auth(req, res, async () => {
+      try {
+        // The token only carries the userId, so look the role up
+        const { data: user, error } = await supabase
+          .from('users')
+          .select('id, role')
+          .eq('id', req.userId)
+          .single();
+
+        if (error || !user || user.role !== 'admin') {
+          return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+        }
+
+        req.user.role = user.role;
+        next();
+      } catch (error) {
+        console.error('Admin auth middleware error:', error);
+        return res.status(500).json({ message: 'Server error during admin authentication.' });
       }
-      next();
     });
   } catch (error) {
     return res.status(500).json({ message: 'Server error during admin authentication.' });
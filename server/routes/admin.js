@@ -0,0 +1,305 @@
+const express = require('express');
+const { supabase } = require('../config/supabase');
+const { adminAuth } = require('../middleware/auth');
+const { jobQueueService, JOB_STATUS } = require('../services/jobQueueService');
+const { progressService } = require('../services/progressService');
+const { feedbackService, FEEDBACK_REASONS, REVIEW_STATUS } = require('../services/feedbackService');
+
+const router = express.Router();
+
+// @route   GET /api/admin/jobs
+// @desc    List processing jobs
+// @access  Admin
+router.get('/jobs', adminAuth, async (req, res) => {
+  try {
+    const { status, userId, contractId, type, page = 1, limit = 50 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    if (status && !Object.values(JOB_STATUS).includes(status)) {
+      return res.status(400).json({
+        message: `Invalid status. Allowed values: ${Object.values(JOB_STATUS).join(', ')}`
+      });
+    }
+
+    const { jobs, total } = await jobQueueService.listJobs({
+      status,
+      userId,
+      contractId,
+      type,
+      page: pageNumber,
+      limit: pageSize
+    });
+
+    res.json({
+      jobs,
+      queue: jobQueueService.getQueueStats(),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+
+  } catch (error) {
+    console.error('Job list error:', error);
+    res.status(500).json({
+      message: 'Error fetching jobs',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs/:id
+// @desc    Get a single processing job
+// @access  Admin
+router.get('/jobs/:id', adminAuth, async (req, res) => {
+  try {
+    const job = await jobQueueService.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        message: 'Job not found'
+      });
+    }
+
+    res.json({ job });
+
+  } catch (error) {
+    console.error('Job fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching job',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/jobs/:id/cancel
+// @desc    Cancel a queued or running job
+// @access  Admin
+router.post('/jobs/:id/cancel', adminAuth, async (req, res) => {
+  try {
+    const job = await jobQueueService.cancel(req.params.id);
+
+    if (!job) {
+      return res.status(400).json({
+        message: 'Job not found or no longer queued or running'
+      });
+    }
+
+    // Don't leave the contract spinning in "processing" forever
+    if (job.contract_id) {
+      await supabase
+        .from('contracts')
+        .update({
+          status: 'failed',
+          processing_error: 'Processing cancelled by an administrator',
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', job.contract_id)
+        .eq('status', 'processing');
+
+      progressService.notifyFailed(job.contract_id, job.user_id, 'Processing cancelled by an administrator');
+    }
+
+    res.json({
+      message: 'Job cancelled successfully',
+      job
+    });
+
+  } catch (error) {
+    console.error('Job cancel error:', error);
+    res.status(500).json({
+      message: 'Error cancelling job',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/jobs/:id/retry
+// @desc    Re-run a completed, cancelled or dead-lettered job
+// @access  Admin
+router.post('/jobs/:id/retry', adminAuth, async (req, res) => {
+  try {
+    const priority = req.body.priority !== undefined ? parseInt(req.body.priority) : undefined;
+
+    if (priority !== undefined && Number.isNaN(priority)) {
+      return res.status(400).json({
+        message: 'Priority must be an integer'
+      });
+    }
+
+    const job = await jobQueueService.rerun(req.params.id, { priority });
+
+    if (!job) {
+      return res.status(400).json({
+        message: 'Job not found, still queued or running, or its contract is already being processed'
+      });
+    }
+
+    res.json({
+      message: 'Job re-queued successfully',
+      job
+    });
+
+  } catch (error) {
+    console.error('Job retry error:', error);
+    res.status(500).json({
+      message: 'Error re-queuing job',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/feedback
+// @desc    Review queue of answers users rated down (status: pending by default, reason)
+// @access  Admin
+router.get('/feedback', adminAuth, async (req, res) => {
+  try {
+    const { status = REVIEW_STATUS.PENDING, reason, page = 1, limit = 50 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    if (!Object.values(REVIEW_STATUS).includes(status)) {
+      return res.status(400).json({
+        message: `Invalid status. Allowed values: ${Object.values(REVIEW_STATUS).join(', ')}`
+      });
+    }
+    if (reason && !FEEDBACK_REASONS.includes(reason)) {
+      return res.status(400).json({
+        message: `Invalid reason. Allowed values: ${FEEDBACK_REASONS.join(', ')}`
+      });
+    }
+
+    const { items, total } = await feedbackService.listQueue({
+      status,
+      reason,
+      page: pageNumber,
+      limit: pageSize
+    });
+
+    res.json({
+      items,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+
+  } catch (error) {
+    console.error('Feedback queue error:', error);
+    res.status(500).json({
+      message: 'Error fetching feedback queue',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/feedback/export
+// @desc    Download reviewed answers (status: accepted by default) as an evaluation set, one
+//          case per line (jsonl) or as a json array
+// @access  Admin
+router.get('/feedback/export', adminAuth, async (req, res) => {
+  try {
+    const { status = REVIEW_STATUS.ACCEPTED, format = 'jsonl' } = req.query;
+
+    if (!Object.values(REVIEW_STATUS).includes(status)) {
+      return res.status(400).json({
+        message: `Invalid status. Allowed values: ${Object.values(REVIEW_STATUS).join(', ')}`
+      });
+    }
+    if (!['jsonl', 'json'].includes(format)) {
+      return res.status(400).json({
+        message: 'Unsupported export format. Use one of: jsonl, json'
+      });
+    }
+
+    const cases = await feedbackService.exportEvalSet({ status });
+    const fileName = `chat-eval-set-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    console.log(`📦 [Admin: ${req.userId}] Exported ${cases.length} ${status} chat answers as an evaluation set`);
+    res.setHeader('Content-Type', format === 'jsonl' ? 'application/x-ndjson' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+    res.send(format === 'jsonl'
+      ? cases.map(evalCase => JSON.stringify(evalCase)).join('\n') + (cases.length > 0 ? '\n' : '')
+      : JSON.stringify(cases, null, 2));
+
+  } catch (error) {
+    console.error('Feedback export error:', error);
+    res.status(500).json({
+      message: 'Error exporting evaluation set',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/feedback/:messageId
+// @desc    Get a flagged answer with the question it replied to
+// @access  Admin
+router.get('/feedback/:messageId', adminAuth, async (req, res) => {
+  try {
+    const item = await feedbackService.getQueueItem(req.params.messageId);
+
+    if (!item) {
+      return res.status(404).json({
+        message: 'Flagged answer not found'
+      });
+    }
+
+    res.json({ item });
+
+  } catch (error) {
+    console.error('Feedback fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching flagged answer',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/admin/feedback/:messageId
+// @desc    Accept (into the evaluation set) or dismiss a flagged answer, with an optional note
+//          and expectedAnswer
+// @access  Admin
+router.patch('/feedback/:messageId', adminAuth, async (req, res) => {
+  try {
+    const { status, note, expectedAnswer } = req.body;
+
+    if (![REVIEW_STATUS.ACCEPTED, REVIEW_STATUS.DISMISSED].includes(status)) {
+      return res.status(400).json({
+        message: `Invalid status. Allowed values: ${REVIEW_STATUS.ACCEPTED}, ${REVIEW_STATUS.DISMISSED}`
+      });
+    }
+    if ((note !== undefined && note !== null && typeof note !== 'string') ||
+        (expectedAnswer !== undefined && expectedAnswer !== null && typeof expectedAnswer !== 'string')) {
+      return res.status(400).json({
+        message: 'note and expectedAnswer must be strings'
+      });
+    }
+
+    const item = await feedbackService.review(req.params.messageId, req.userId, { status, note, expectedAnswer });
+
+    if (!item) {
+      return res.status(404).json({
+        message: 'Flagged answer not found'
+      });
+    }
+
+    res.json({
+      message: `Answer ${status}`,
+      item
+    });
+
+  } catch (error) {
+    console.error('Feedback review error:', error);
+    res.status(500).json({
+      message: 'Error reviewing flagged answer',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const { body, validationResult } = require('express-validator');
 const { supabase } = require('../config/supabase');
 const { auth } = require('../middleware/auth');
 const emailService = require('../services/emailService');
+const { notificationService } = require('../services/notificationService');
 
 const router = express.Router();
 
@@ -182,14 +183,11 @@ router.post('/verify-email', [
     const token = generateToken(user.id);
 
     // Create welcome notification
-    await supabase
-      .from('notifications')
-      .insert([{
-        user_id: user.id,
-        title: 'Welcome to SmartContract.ai!',
-        message: 'Your account has been verified successfully. Start by uploading your first contract.',
-        type: 'success'
-      }]);
+    await notificationService.create(user.id, {
+      title: 'Welcome to SmartContract.ai!',
+      message: 'Your account has been verified successfully. Start by uploading your first contract.',
+      type: 'success'
+    });
 
     res.json({
       message: 'Email verified successfully. Welcome to SmartContract.ai!',
@@ -456,14 +454,11 @@ router.post('/forgot-password', [
     }
     
     // Create notification for user
-    await supabase
-      .from('notifications')
-      .insert([{
-        user_id: user.id,
-        title: 'Password Reset Requested',
-        message: 'A password reset code has been sent to your email.',
-        type: 'info'
-      }]);
+    await notificationService.create(user.id, {
+      title: 'Password Reset Requested',
+      message: 'A password reset code has been sent to your email.',
+      type: 'info'
+    });
 
     res.json({
       message: 'If an account with that email exists, we have sent a password reset code.',
@@ -608,14 +603,11 @@ router.post('/reset-password', [
     }
 
     // Create success notification
-    await supabase
-      .from('notifications')
-      .insert([{
-        user_id: user.id,
-        title: 'Password Reset Successful',
-        message: 'Your password has been successfully reset. You can now log in with your new password.',
-        type: 'success'
-      }]);
+    await notificationService.create(user.id, {
+      title: 'Password Reset Successful',
+      message: 'Your password has been successfully reset. You can now log in with your new password.',
+      type: 'success'
+    });
 
     res.json({
       message: 'Password reset successful. You can now log in with your new password.'
@@ -1,10 +1,39 @@
 const express = require('express');
-const { supabase } = require('../config/supabase');
+const { body, param, query, validationResult } = require('express-validator');
 const { ollamaService } = require('../services/ollamaService');
+const { chatService, ChatQueryError } = require('../services/chatService');
+const { feedbackService, FeedbackError, FEEDBACK_RATINGS, FEEDBACK_REASONS } = require('../services/feedbackService');
+const { chatSearchService, SEARCH_ROLES } = require('../services/chatSearchService');
 const { auth } = require('../middleware/auth');
 
 const router = express.Router();
 
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Respond to a ChatQueryError or FeedbackError with its status; anything else is a 500
+const sendChatError = (res, error, message) => {
+  if (error instanceof ChatQueryError || error instanceof FeedbackError) {
+    return res.status(error.status).json({
+      message: error.message,
+      ...error.details
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    message,
+    error: error.message
+  });
+};
+
 // Optional auth middleware for demo mode
 const optionalAuth = async (req, res, next) => {
   try {
@@ -41,177 +70,58 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// @route   POST /api/chat/query
-// @desc    Send query to RAG system
-// @access  Private (with demo fallback)
-router.post('/query', optionalAuth, async (req, res) => {
-  try {
-    const { contractId, query, message, sessionId } = req.body;
-    const queryMessage = query || message;
+// Validate a query request and look up its contract and thread. Responds and resolves to null
+// when the query can't be answered.
+const prepareQuery = async (req, res) => {
+  const { contractId, sessionId, query, message } = req.body;
+  const queryMessage = query || message;
+
+  if (!queryMessage) {
+    res.status(400).json({
+      message: 'Query message is required'
+    });
+    return null;
+  }
 
-    if (!queryMessage) {
-      return res.status(400).json({
-        message: 'Query message is required'
+  try {
+    const { contract, session } = await chatService.prepareQuery(req.userId, { contractId, sessionId });
+    return { contractId, query: queryMessage, contract, session };
+  } catch (error) {
+    if (error instanceof ChatQueryError) {
+      res.status(error.status).json({
+        message: error.message,
+        ...error.details
       });
+      return null;
     }
+    throw error;
+  }
+};
 
-    let response;
-    let context = '';
-
-    // If contractId is provided, get document context
-    if (contractId) {
-      let contract;
-      let isDemo = req.userId === 'demo-user-123';
-      
-      if (isDemo) {
-        // Use demo contract data
-        const demoContracts = {
-          'employment-001': {
-            content: 'EMPLOYMENT AGREEMENT\n\nThis Employment Agreement is entered into between TechCorp Inc. and John Smith.\n\nPosition: Senior Software Engineer\nSalary: $95,000 annually\nBenefits: Health insurance, 401k matching, 3 weeks PTO\nTermination: Either party may terminate with 2 weeks notice\nNon-compete: 6 months in same industry within 50 miles\nConfidentiality: Employee agrees to protect company trade secrets',
-            file_name: 'Employment_Agreement_TechCorp.pdf',
-            status: 'completed'
-          },
-          'lease-002': {
-            content: 'RESIDENTIAL LEASE AGREEMENT\n\nLandlord: ABC Property Management\nTenant: Jane Doe\nProperty: 123 Main St, Apt 4B\nRent: $1,800 per month\nSecurity Deposit: $3,600\nLease Term: 12 months starting January 1, 2024\nPet Policy: No pets allowed\nUtilities: Tenant responsible for electricity and internet\nMaintenance: Landlord responsible for major repairs',
-            file_name: 'Lease_Agreement_MainSt.pdf',
-            status: 'completed'
-          }
-        };
-        
-        contract = demoContracts[contractId] || demoContracts['employment-001'];
-        console.log(`💬 Processing demo query about "${contract.file_name}": "${queryMessage}"`);
-      } else {
-        // Get real contract from database
-        const { data, error } = await supabase
-          .from('contracts')
-          .select('content, file_name, status')
-          .eq('id', contractId)
-          .eq('user_id', req.userId)
-          .single();
-
-        if (error || !data) {
-          return res.status(404).json({
-            message: 'Contract not found'
-          });
-        }
-
-        if (data.status !== 'completed') {
-          return res.status(400).json({
-            message: 'Contract is still being processed. Please wait for processing to complete.',
-            status: data.status
-          });
-        }
-
-        contract = data;
-        console.log(`💬 Processing query about "${contract.file_name}": "${queryMessage}"`);
-      }
+// A thread ID, when given, must be one; demo clients may send anything since their chats
+// aren't stored
+const sessionIdValidation = body('sessionId')
+  .optional({ nullable: true })
+  .if((sessionId, { req }) => !chatService.isDemoUser(req.userId))
+  .isUUID()
+  .withMessage('Invalid chat thread ID');
 
-      context = contract.content;
-      response = await ollamaService.answerQuestion(queryMessage, context);
-    } else {
-      // General question - search across all user's completed contracts for context
-      console.log(`💬 Processing general query with RAG: "${queryMessage}"`);
-      
-      // Get all user's completed contracts for potential context
-      const { data: userContracts, error: contractsError } = await supabase
-        .from('contracts')
-        .select('content, file_name, title')
-        .eq('user_id', req.userId)
-        .eq('status', 'completed')
-        .not('content', 'is', null);
-
-      if (!contractsError && userContracts && userContracts.length > 0) {
-        // Load all user documents into vector store for RAG
-        console.log(`🔍 Found ${userContracts.length} completed contracts for RAG search`);
-        await ollamaService.loadUserDocuments(req.userId);
-        
-        // Now use RAG-enabled question answering
-        response = await ollamaService.answerQuestion(queryMessage);
-        
-        // If RAG didn't find relevant context, provide contract list context
-        if (!response.hasContext) {
-          const contractList = userContracts.map(c => c.title || c.file_name).join(', ');
-          const contextualPrompt = `I have uploaded the following contracts: ${contractList}. ${queryMessage}`;
-          
-          // Use a smaller subset of content to avoid token limits
-          const recentContent = userContracts.slice(0, 3).map(c => 
-            `Document: ${c.title || c.file_name}\nContent: ${c.content.substring(0, 1000)}...`
-          ).join('\n\n---\n\n');
-          
-          response = await ollamaService.answerQuestion(contextualPrompt, recentContent);
-        }
-      } else {
-        // No contracts available, answer as general AI
-        console.log(`💬 No contracts found, answering as general AI`);
-        response = await ollamaService.answerQuestion(queryMessage);
-      }
-    }
+// @route   POST /api/chat/query
+// @desc    Send query to RAG system. Continues the thread sessionId, or starts a new one.
+// @access  Private (with demo fallback)
+router.post('/query', optionalAuth, sessionIdValidation, checkValidation, async (req, res) => {
+  try {
+    const prepared = await prepareQuery(req, res);
+    if (!prepared) return;
+
+    const response = await chatService.answerQuery(req.userId, prepared);
 
     // Save chat message to database
-    if (contractId) {
-      try {
-        // Check if chat session exists
-        let { data: session, error: sessionError } = await supabase
-          .from('chat_sessions')
-          .select('*')
-          .eq('contract_id', contractId)
-          .eq('user_id', req.userId)
-          .single();
-
-        if (sessionError || !session) {
-          // Create new chat session
-          const { data: newSession, error: createError } = await supabase
-            .from('chat_sessions')
-            .insert([{
-              contract_id: contractId,
-              user_id: req.userId,
-              title: `Chat about contract`,
-              messages: []
-            }])
-            .select()
-            .single();
-
-          if (!createError) {
-            session = newSession;
-          }
-        }
-
-        if (session) {
-          // Add messages to the session
-          const messages = session.messages || [];
-          messages.push({
-            role: 'user',
-            content: queryMessage,
-            timestamp: new Date().toISOString()
-          });
-          messages.push({
-            role: 'assistant',
-            content: response.answer,
-            hasContext: response.hasContext,
-            timestamp: new Date().toISOString()
-          });
-
-          // Update session with new messages
-          await supabase
-            .from('chat_sessions')
-            .update({
-              messages: messages,
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', session.id);
-        }
-      } catch (chatError) {
-        console.error('Chat session error:', chatError);
-        // Don't fail the request if chat session fails
-      }
-    }
+    const saved = await chatService.saveExchange(req.userId, prepared, prepared.query, response);
 
     res.json({
       message: 'Query processed successfully',
-      answer: response.answer,
-      sources: response.sources || [],
-      hasContext: response.hasContext || !!context,
-      contractId: contractId || null
+      ...chatService.formatResponse(response, prepared.contractId, saved)
     });
 
   } catch (error) {
@@ -223,84 +133,363 @@ router.post('/query', optionalAuth, async (req, res) => {
   }
 });
 
-// @route   GET /api/chat/sessions/:contractId
-// @desc    Get chat history
-// @access  Private
-router.get('/sessions/:contractId', auth, async (req, res) => {
+// @route   POST /api/chat/query/stream
+// @desc    Send query to RAG system and stream the answer as Server-Sent Events: "token"
+//          ({ token }) while generating, then "done" (the /query response) or "error".
+//          Closing the connection cancels generation; the partial answer is still saved.
+// @access  Private (with demo fallback)
+router.post('/query/stream', optionalAuth, sessionIdValidation, checkValidation, async (req, res) => {
+  let prepared;
   try {
-    const { contractId } = req.params;
-
-    // Get chat session for this contract
-    const { data: session, error } = await supabase
-      .from('chat_sessions')
-      .select('*')
-      .eq('contract_id', contractId)
-      .eq('user_id', req.userId)
-      .single();
-
-    if (error || !session) {
-      return res.json({
-        messages: [],
-        message: 'No chat history found'
-      });
+    prepared = await prepareQuery(req, res);
+    if (!prepared) return;
+  } catch (error) {
+    console.error('Chat query error:', error);
+    return res.status(500).json({
+      message: 'Error processing query',
+      error: error.message
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform', // no-transform keeps compression from buffering events
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const response = await chatService.answerQuery(req.userId, prepared, {
+      onToken: token => send('token', { token }),
+      signal: controller.signal
+    });
+
+    if (response.cancelled) {
+      console.log(`⏹️ [User: ${req.userId}] Chat answer cancelled after ${response.answer.length} characters`);
     }
 
-    // Format messages for frontend
-    const formattedMessages = (session.messages || []).map((msg, index) => ({
-      id: `${msg.role}-${index}-${new Date(msg.timestamp).getTime()}`,
-      role: msg.role,
-      content: msg.content,
-      timestamp: msg.timestamp,
-      sources: msg.sources || []
-    }));
+    // Save chat message to database
+    const saved = await chatService.saveExchange(req.userId, prepared, prepared.query, response);
+
+    send('done', {
+      message: 'Query processed successfully',
+      ...chatService.formatResponse(response, prepared.contractId, saved)
+    });
+  } catch (error) {
+    console.error('Chat stream error:', error);
+    send('error', {
+      message: 'Error processing query',
+      error: error.message
+    });
+  }
+
+  res.end();
+});
+
+// @route   GET /api/chat/sessions
+// @desc    List chat threads, most recently active first. contractId limits them to one
+//          contract, general=true to threads not about a contract; archived=true lists
+//          archived threads instead of active ones.
+// @access  Private
+router.get('/sessions', auth, [
+  query('contractId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid contract ID'),
+  query('general')
+    .optional()
+    .isBoolean()
+    .withMessage('general must be true or false'),
+  query('archived')
+    .optional()
+    .isBoolean()
+    .withMessage('archived must be true or false')
+], checkValidation, async (req, res) => {
+  try {
+    const sessions = await chatService.listSessions(req.userId, {
+      contractId: req.query.contractId,
+      general: req.query.general === 'true',
+      archived: req.query.archived === 'true'
+    });
+
+    res.json({ sessions });
+  } catch (error) {
+    sendChatError(res, error, 'Error retrieving chat threads');
+  }
+});
+
+// @route   POST /api/chat/sessions
+// @desc    Start a new chat thread about a contract, or a general one without contractId
+// @access  Private
+router.post('/sessions', auth, [
+  body('contractId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid contract ID'),
+  body('title')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title must be at most 200 characters')
+], checkValidation, async (req, res) => {
+  try {
+    const session = await chatService.createSession(req.userId, {
+      contractId: req.body.contractId || null,
+      title: req.body.title || null
+    });
+
+    res.status(201).json({
+      message: 'Chat thread created',
+      session
+    });
+  } catch (error) {
+    sendChatError(res, error, 'Error creating chat thread');
+  }
+});
+
+// @route   GET /api/chat/sessions/:sessionId
+// @desc    Get a chat thread with its newest messages (nextCursor pages back, see below)
+// @access  Private
+router.get('/sessions/:sessionId', auth, [
+  param('sessionId').isUUID().withMessage('Invalid chat thread ID')
+], checkValidation, async (req, res) => {
+  try {
+    const session = await chatService.getSession(req.userId, req.params.sessionId);
+    const { messages, nextCursor } = await chatService.getMessages(req.userId, session.id);
 
     res.json({
-      messages: formattedMessages,
+      session: chatService.formatSession(session),
+      messages,
+      nextCursor,
       sessionId: session.id,
       contractId: session.contract_id
     });
+  } catch (error) {
+    sendChatError(res, error, 'Error retrieving chat history');
+  }
+});
 
+// @route   GET /api/chat/sessions/:sessionId/messages
+// @desc    Page through a chat thread's messages, newest page first: pass the previous page's
+//          nextCursor as before to get older messages
+// @access  Private
+router.get('/sessions/:sessionId/messages', auth, [
+  param('sessionId').isUUID().withMessage('Invalid chat thread ID'),
+  query('before')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Invalid cursor'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+], checkValidation, async (req, res) => {
+  try {
+    const session = await chatService.getSession(req.userId, req.params.sessionId);
+    const page = await chatService.getMessages(req.userId, session.id, {
+      before: req.query.before,
+      limit: req.query.limit
+    });
+
+    res.json(page);
   } catch (error) {
-    console.error('Chat history error:', error);
-    res.status(500).json({
-      message: 'Error retrieving chat history',
-      error: error.message
+    sendChatError(res, error, 'Error retrieving chat history');
+  }
+});
+
+// @route   PATCH /api/chat/sessions/:sessionId
+// @desc    Rename (title) or archive/restore (archived) a chat thread
+// @access  Private
+router.patch('/sessions/:sessionId', auth, [
+  param('sessionId').isUUID().withMessage('Invalid chat thread ID'),
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be 1-200 characters'),
+  body('archived')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('archived must be true or false'),
+  body()
+    .custom(changes => changes.title !== undefined || changes.archived !== undefined)
+    .withMessage('Nothing to update: send title and/or archived')
+], checkValidation, async (req, res) => {
+  try {
+    const session = await chatService.updateSession(req.userId, req.params.sessionId, {
+      title: req.body.title,
+      archived: req.body.archived
     });
+
+    res.json({
+      message: 'Chat thread updated',
+      session
+    });
+  } catch (error) {
+    sendChatError(res, error, 'Error updating chat thread');
   }
 });
 
 // @route   DELETE /api/chat/sessions/:sessionId
-// @desc    Clear chat session
+// @desc    Delete a chat thread and its messages
 // @access  Private
-router.delete('/sessions/:sessionId', auth, async (req, res) => {
+router.delete('/sessions/:sessionId', auth, [
+  param('sessionId').isUUID().withMessage('Invalid chat thread ID')
+], checkValidation, async (req, res) => {
   try {
-    const { sessionId } = req.params;
-
-    // Delete the chat session
-    const { error } = await supabase
-      .from('chat_sessions')
-      .delete()
-      .eq('id', sessionId)
-      .eq('user_id', req.userId);
-
-    if (error) {
-      console.error('Session delete error:', error);
-      return res.status(500).json({
-        message: 'Error clearing chat session',
-        error: error.message
-      });
-    }
+    await chatService.deleteSession(req.userId, req.params.sessionId);
 
     res.json({
-      message: 'Chat session cleared successfully'
+      message: 'Chat thread deleted'
+    });
+  } catch (error) {
+    sendChatError(res, error, 'Error deleting chat thread');
+  }
+});
+
+// @route   GET /api/chat/search
+// @desc    Search the user's chat messages across all threads (q: words, "quoted phrases",
+//          OR, -excluded). Filters: contractId or general=true, role (user|assistant), from
+//          and to (a date alone includes that whole day). Best matches first; each result's
+//          snippet comes with the character ranges of the matches in it.
+// @access  Private
+router.get('/search', auth, [
+  query('q')
+    .isString()
+    .withMessage('Search text is required')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search text must be 1-200 characters'),
+  query('contractId')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid contract ID'),
+  query('general')
+    .optional()
+    .isBoolean()
+    .withMessage('general must be true or false'),
+  query('role')
+    .optional()
+    .isIn(SEARCH_ROLES)
+    .withMessage(`Role must be one of: ${SEARCH_ROLES.join(', ')}`),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], checkValidation, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { results, total } = await chatSearchService.search(req.userId, req.query.q, {
+      contractId: req.query.contractId || null,
+      general: req.query.general === 'true',
+      role: req.query.role || null,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      page,
+      limit
     });
 
+    res.json({
+      results,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
   } catch (error) {
-    console.error('Clear session error:', error);
-    res.status(500).json({
-      message: 'Error clearing chat session',
-      error: error.message
+    sendChatError(res, error, 'Error searching chat history');
+  }
+});
+
+// @route   PUT /api/chat/messages/:messageId/feedback
+// @desc    Rate an answer up or down. Rating down needs a reason and may include the correct
+//          answer; the answer then goes to the review queue (see /api/admin/feedback).
+// @access  Private
+router.put('/messages/:messageId/feedback', auth, [
+  param('messageId').isUUID().withMessage('Invalid message ID'),
+  body('rating')
+    .isIn(FEEDBACK_RATINGS)
+    .withMessage(`Rating must be one of: ${FEEDBACK_RATINGS.join(', ')}`),
+  body('reason')
+    .if(body('rating').equals('down'))
+    .isIn(FEEDBACK_REASONS)
+    .withMessage(`Reason must be one of: ${FEEDBACK_REASONS.join(', ')}`),
+  body('comment')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment must be at most 1000 characters'),
+  body('correctedAnswer')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 10000 })
+    .withMessage('Corrected answer must be at most 10000 characters')
+], checkValidation, async (req, res) => {
+  try {
+    const feedback = await feedbackService.setFeedback(req.userId, req.params.messageId, {
+      rating: req.body.rating,
+      reason: req.body.reason,
+      comment: req.body.comment,
+      correctedAnswer: req.body.correctedAnswer
+    });
+
+    res.json({
+      message: 'Feedback saved',
+      feedback
     });
+  } catch (error) {
+    sendChatError(res, error, 'Error saving feedback');
+  }
+});
+
+// @route   DELETE /api/chat/messages/:messageId/feedback
+// @desc    Withdraw the rating of an answer
+// @access  Private
+router.delete('/messages/:messageId/feedback', auth, [
+  param('messageId').isUUID().withMessage('Invalid message ID')
+], checkValidation, async (req, res) => {
+  try {
+    await feedbackService.clearFeedback(req.userId, req.params.messageId);
+
+    res.json({
+      message: 'Feedback removed'
+    });
+  } catch (error) {
+    sendChatError(res, error, 'Error removing feedback');
   }
 });
 
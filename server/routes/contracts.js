@@ -3,8 +3,18 @@ const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const { supabase } = require('../config/supabase');
 const { ollamaService } = require('../services/ollamaService');
+const { documentService } = require('../services/documentService');
+const { vectorStoreService } = require('../services/vectorStoreService');
+const { jobQueueService, JOB_PRIORITY, JOB_STATUS, permanentFailure } = require('../services/jobQueueService');
+const { progressService, PROCESSING_STAGES } = require('../services/progressService');
+const { clauseService } = require('../services/clauseService');
+const { riskService, RISK_MODEL_VERSION } = require('../services/riskService');
+const { contractFactsService } = require('../services/contractFactsService');
+const { notificationService } = require('../services/notificationService');
+const { notificationDispatcher } = require('../services/notificationDispatcher');
+const { analyticsService } = require('../services/analyticsService');
+const { settingsService } = require('../services/settingsService');
 const { auth } = require('../middleware/auth');
-const pdf = require('pdf-parse');
 
 const router = express.Router();
 
@@ -76,6 +86,18 @@ router.post('/upload', [auth, upload.single('contract')], async (req, res) => {
       });
     }
 
+    // Queue the contract for background processing
+    try {
+      await queueContractProcessing(contract.id, req.userId, JOB_PRIORITY.normal);
+    } catch (queueError) {
+      console.error('Job queue error:', queueError);
+      await markContractFailed(contract.id, req.userId, 'Could not queue contract for processing');
+      return res.status(500).json({
+        message: 'Error queuing contract for processing',
+        error: queueError.message
+      });
+    }
+
     // Send immediate response
     res.status(201).json({
       message: 'Contract uploaded successfully, processing started',
@@ -88,11 +110,6 @@ router.post('/upload', [auth, upload.single('contract')], async (req, res) => {
       }
     });
 
-    // Process the contract in the background
-    processContractAsync(contract.id, file, req.userId).catch(error => {
-      console.error('Background processing error:', error);
-    });
-
   } catch (error) {
     console.error('Upload error:', error);
     res.status(500).json({
@@ -150,13 +167,25 @@ router.post('/upload-batch', [auth, upload.array('contracts', 10)], async (req,
           continue;
         }
 
+        // Batch uploads run at low priority so single uploads are not stuck behind them
+        try {
+          await queueContractProcessing(contract.id, req.userId, JOB_PRIORITY.low);
+        } catch (queueError) {
+          console.error('Job queue error:', queueError);
+          await markContractFailed(contract.id, req.userId, 'Could not queue contract for processing');
+          failedUploads.push({
+            fileName: file.originalname,
+            error: queueError.message
+          });
+          continue;
+        }
+
         processedContracts.push({
           id: contract.id,
           title: contract.title,
           fileName: contract.file_name,
           status: contract.status,
-          createdAt: contract.created_at,
-          file: file
+          createdAt: contract.created_at
         });
 
       } catch (error) {
@@ -171,35 +200,11 @@ router.post('/upload-batch', [auth, upload.array('contracts', 10)], async (req,
     // Send immediate response
     res.status(201).json({
       message: `Batch upload initiated: ${processedContracts.length} files processing, ${failedUploads.length} failed`,
-      contracts: processedContracts.map(c => ({
-        id: c.id,
-        title: c.title,
-        fileName: c.fileName,
-        status: c.status,
-        createdAt: c.createdAt
-      })),
+      contracts: processedContracts,
       failed: failedUploads,
       processingCount: processedContracts.length
     });
 
-    // Process all contracts in parallel
-    const processingPromises = processedContracts.map(contract => 
-      processContractAsync(contract.id, contract.file, req.userId)
-        .catch(error => {
-          console.error(`Background processing error for ${contract.fileName}:`, error);
-          return { contractId: contract.id, error: error.message };
-        })
-    );
-
-    // Start parallel processing (don't wait for completion)
-    Promise.allSettled(processingPromises).then(results => {
-      console.log(`🎉 Batch processing completed for user ${req.userId}. Results:`, 
-        results.map(r => r.status).reduce((acc, status) => {
-          acc[status] = (acc[status] || 0) + 1;
-          return acc;
-        }, {}));
-    });
-
   } catch (error) {
     console.error('Batch upload error:', error);
     res.status(500).json({
@@ -209,63 +214,180 @@ router.post('/upload-batch', [auth, upload.array('contracts', 10)], async (req,
   }
 });
 
-// Concurrency limit for AI processing
-const processingQueue = new Map(); // userId -> number of active processes
-const MAX_CONCURRENT_PER_USER = 3;
-const MAX_GLOBAL_CONCURRENT = 10;
-let globalProcessingCount = 0;
-
-// Background processing function with concurrency control
-async function processContractAsync(contractId, file, userId) {
-  // Check concurrency limits
-  const userProcessing = processingQueue.get(userId) || 0;
-  if (userProcessing >= MAX_CONCURRENT_PER_USER) {
-    console.log(`⏳ User ${userId} hit concurrency limit, queuing contract ${contractId}`);
-    // Add small delay and retry
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    return processContractAsync(contractId, file, userId);
+const PROCESS_CONTRACT_JOB = 'process_contract';
+// Non-whitespace characters below which a PDF page's text layer counts as missing (a scan)
+const MIN_PDF_PAGE_TEXT = 20;
+// Postgres error code for a unique index conflict
+const UNIQUE_VIOLATION = '23505';
+
+// Add a contract to the durable processing queue
+async function queueContractProcessing(contractId, userId, priority = JOB_PRIORITY.normal, payload = {}) {
+  await progressService.markQueued(contractId, userId);
+  analyticsService.invalidate(userId);
+  return jobQueueService.enqueue({
+    type: PROCESS_CONTRACT_JOB,
+    contractId,
+    userId,
+    priority,
+    payload
+  });
+}
+
+// Rebuild a multer-style file object from the stored original
+function buildFileFromContract(contract) {
+  const buffer = Buffer.from(contract.file_data, 'base64');
+  return {
+    buffer,
+    originalname: contract.file_name,
+    mimetype: contract.mime_type,
+    size: contract.file_size || buffer.length
+  };
+}
+
+// Job handler: load the stored file and run the processing pipeline
+async function processContractJob(job, run) {
+  const { data: contract, error } = await supabase
+    .from('contracts')
+    .select('id, user_id, file_name, file_size, mime_type, file_data')
+    .eq('id', job.contract_id)
+    .eq('user_id', job.user_id)
+    .single();
+
+  if (error || !contract) {
+    throw permanentFailure(`Contract ${job.contract_id} no longer exists`);
   }
 
-  if (globalProcessingCount >= MAX_GLOBAL_CONCURRENT) {
-    console.log(`⏳ Global concurrency limit reached, queuing contract ${contractId}`);
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    return processContractAsync(contractId, file, userId);
+  if (!contract.file_data) {
+    throw permanentFailure('Original file is not available for processing');
   }
 
-  // Increment counters
-  processingQueue.set(userId, userProcessing + 1);
-  globalProcessingCount++;
+  await processContract(contract.id, buildFileFromContract(contract), job.user_id, job.payload || {}, run);
+}
+
+// Extract, analyse and embed a contract. Throws on failure so the queue can retry.
+// Options: model (Ollama model name), enableOCR (default: the user's processing.enableOCR
+// setting), analysisMode ('fast' | 'full'). run is the job's { signal, isCurrent }: a cancelled
+// job stops between stages and never writes its results.
+async function processContract(contractId, file, userId, options = {}, run = {}) {
+  const { signal, isCurrent } = run;
+  console.log(`🔄 [User: ${userId}] Starting processing for contract ${contractId}`);
+  const tracker = progressService.start(contractId, userId);
+  let analysisFallback = false;
+  let completion = null; // What the completion notifications report
 
   try {
-    console.log(`🔄 [User: ${userId}] Starting processing for contract ${contractId} (Queue: ${userProcessing + 1}/${MAX_CONCURRENT_PER_USER})`);
-    
+    const enableOCR = options.enableOCR !== undefined
+      ? options.enableOCR
+      : (await settingsService.getSection(userId, 'processing')).enableOCR;
+
+    const extractionStage = file.mimetype.startsWith('image/') ? 'ocr' : 'extracting';
+    await tracker.stage(extractionStage);
+
+    // OCR progress fills the span between the OCR and analysis stages
+    const ocrStart = PROCESSING_STAGES.ocr.percent;
+    const ocrSpan = PROCESSING_STAGES.analyzing.percent - ocrStart;
+    const onOcrProgress = ({ page, pages, progress }) => {
+      tracker.progress(ocrStart + ocrSpan * ((page - 1 + progress) / pages), `OCR page ${page}/${pages}`);
+    };
+
     // Extract text in parallel with AI model warmup
-    const [extractedText, _] = await Promise.all([
-      extractTextFromFile(file),
+    const [extraction, _] = await Promise.all([
+      tracker.time(extractionStage, extractTextFromFile(file, { enableOCR, onOcrProgress })),
       ollamaService.warmupModels() // Preload models while extracting text
     ]);
+    const extractedText = extraction.text;
 
     if (!extractedText || extractedText.trim().length < 50) {
-      throw new Error('Could not extract sufficient text from document');
+      throw permanentFailure('Could not extract sufficient text from document');
     }
+    signal?.throwIfAborted();
 
     console.log(`📝 [User: ${userId}] Extracted ${extractedText.length} characters from ${file.originalname}`);
 
     // Process AI analysis and embeddings in parallel
-    const [analysis, _embeddings] = await Promise.all([
-      ollamaService.analyzeDocumentFast(extractedText, userId), // Pass userId for isolation
-      processDocumentEmbeddings(contractId, extractedText, file, userId)
+    await tracker.stage('analyzing');
+
+    // Section-by-section analysis fills the span between the analysis and embedding stages
+    const analysisStart = PROCESSING_STAGES.analyzing.percent;
+    const analysisSpan = PROCESSING_STAGES.embedding.percent - analysisStart;
+    const onAnalysisProgress = ({ section, sections }) => {
+      tracker.progress(analysisStart + analysisSpan * ((section - 1) / sections), `Analysing section ${section}/${sections}`);
+    };
+
+    const analyze = options.analysisMode === 'full'
+      ? ollamaService.analyzeDocument(extractedText, { userId, model: options.model })
+      : ollamaService.analyzeDocumentFast(extractedText, userId, { model: options.model, onProgress: onAnalysisProgress }); // Pass userId for isolation
+
+    const embed = tracker.time('embedding', processDocumentEmbeddings(contractId, extraction, file, userId));
+    let embeddingDone = false;
+    embed.then(() => { embeddingDone = true; }, () => {});
+
+    const [analysis, chunkCount] = await Promise.all([
+      tracker.time('analyzing', analyze).then(async (result) => {
+        if (!embeddingDone) await tracker.stage('embedding');
+        return result;
+      }),
+      embed
     ]);
-    
+
     console.log('✅ AI analysis and embeddings completed');
+    signal?.throwIfAborted();
+
+    analysisFallback = !!analysis.isFallback;
+
+    // Segment into clauses; offsets point into the stored content
+    const clauses = clauseService.extractClauses(extractedText);
+    console.log(`📑 [User: ${userId}] Found ${clauses.length} clauses`);
+
+    // Deterministic score from the text, clauses and the analysis's concerns, reproducible across runs
+    const riskAssessment = riskService.assess(extractedText, clauses, {
+      concerns: analysis.concerns || [],
+      sections: analysis.sections || []
+    });
+    console.log(`⚖️ [User: ${userId}] Risk score ${riskAssessment.score} (${riskAssessment.level})`);
+
+    const metrics = {
+      pageCount: extraction.pageCount,
+      wordCount: countWords(extractedText),
+      characterCount: extractedText.length,
+      chunkCount,
+      clauseCount: clauses.length,
+      extractionMethod: extraction.method,
+      extractionConfidence: extraction.confidence,
+      model: analysis.model || options.model || ollamaService.model,
+      analysisMode: options.analysisMode === 'full' ? 'full' : 'fast',
+      analysisFallback,
+      timings: { ...tracker.timings, total: tracker.getTotalTime() },
+      processedAt: new Date().toISOString()
+    };
+
+    // Cancelled (possibly through another server) since the last heartbeat
+    if (isCurrent && !(await isCurrent())) {
+      throw permanentFailure('Job was cancelled');
+    }
 
     // Update contract with results
     const { error: updateError } = await supabase
       .from('contracts')
       .update({
         content: extractedText,
-        analysis: analysis,
+        analysis: {
+          ...analysis,
+          clauses,
+          clauseSummary: clauseService.summarize(clauses),
+          ...contractFactsService.extract(extractedText),
+          // Where each page starts in content, for re-indexing without the original file, and
+          // the insertions and deletions tracked in a Word document
+          document: {
+            pageOffsets: extraction.pageOffsets || null,
+            trackedChanges: extraction.trackedChanges || []
+          }
+        },
+        metrics,
+        risk_score: riskAssessment.score,
+        risk_assessment: riskAssessment,
         status: 'completed',
+        processing_error: null,
         updated_at: new Date().toISOString()
       })
       .eq('id', contractId);
@@ -275,92 +397,200 @@ async function processContractAsync(contractId, file, userId) {
       throw updateError;
     }
 
-    // Create success notification
-    await supabase
-      .from('notifications')
-      .insert([{
-        user_id: userId,
-        title: 'Contract Analysis Complete',
-        message: `Analysis of "${file.originalname}" has been completed successfully. You can now chat with this document.`,
-        type: 'success'
-      }]);
+    await tracker.complete();
+    analyticsService.invalidate(userId);
+
+    completion = {
+      contractId,
+      contractName: file.originalname,
+      contractType: analysis.contractType || null,
+      summary: analysis.summary || null,
+      riskScore: riskAssessment.score,
+      riskLevel: riskAssessment.level,
+      factors: riskAssessment.factors.map(factor => factor.label)
+    };
+  } catch (error) {
+    await tracker.fail(error.message);
+    throw error;
+  }
 
-    console.log(`🎉 [User: ${userId}] Contract ${contractId} processing completed successfully`);
+  // Completion notification; a fallback analysis must not look like a real assessment
+  const { factors, ...analysisData } = completion;
+  await notificationDispatcher.dispatch(userId, analysisFallback ? 'analysis_needs_review' : 'analysis_complete', analysisFallback
+    ? { contractId, contractName: completion.contractName }
+    : analysisData);
+
+  // The deterministic score is valid even when the AI analysis fell back
+  if (riskService.getBand(completion.riskScore).level === 'high') {
+    await notificationDispatcher.dispatch(userId, 'high_risk_detected', {
+      contractId,
+      contractName: completion.contractName,
+      riskScore: completion.riskScore,
+      riskLevel: completion.riskLevel,
+      factors
+    });
+  }
 
-  } catch (processingError) {
-    console.error(`❌ [User: ${userId}] Contract processing error:`, processingError);
-    
-    // Update contract status to failed
-    await supabase
-      .from('contracts')
-      .update({
-        status: 'failed',
-        analysis: { error: processingError.message },
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', contractId);
+  console.log(`🎉 [User: ${userId}] Contract ${contractId} processing completed successfully`);
+}
 
-    // Create error notification
-    await supabase
-      .from('notifications')
-      .insert([{
-        user_id: userId,
-        title: 'Contract Processing Failed',
-        message: `Failed to process "${file.originalname}": ${processingError.message}`,
-        type: 'error'
-      }]);
-  } finally {
-    // Cleanup: decrement counters
-    const currentUserProcessing = processingQueue.get(userId) || 1;
-    if (currentUserProcessing <= 1) {
-      processingQueue.delete(userId);
-    } else {
-      processingQueue.set(userId, currentUserProcessing - 1);
-    }
-    globalProcessingCount = Math.max(0, globalProcessingCount - 1);
-    
-    console.log(`🧹 [User: ${userId}] Processing slot freed. Remaining: User(${processingQueue.get(userId) || 0}), Global(${globalProcessingCount})`);
-  }
+function countWords(text) {
+  const words = text.trim().split(/\s+/);
+  return words[0] === '' ? 0 : words.length;
+}
+
+// Show a contract as queued for processing again
+async function markContractReprocessing(contractId, userId) {
+  const { error } = await supabase
+    .from('contracts')
+    .update({
+      status: 'processing',
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', contractId);
+
+  if (error) throw error;
+  await progressService.markQueued(contractId, userId);
+  analyticsService.invalidate(userId);
 }
 
-// Helper function to extract text from different file types
-async function extractTextFromFile(file) {
+// Mark a contract as failed and tell the user why
+async function markContractFailed(contractId, userId, errorMessage) {
+  progressService.notifyFailed(contractId, userId, errorMessage);
+  analyticsService.invalidate(userId);
+
+  const { data: contract } = await supabase
+    .from('contracts')
+    .update({
+      status: 'failed',
+      processing_error: errorMessage,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', contractId)
+    .select('file_name')
+    .single();
+
+  await notificationDispatcher.dispatch(userId, 'processing_failed', {
+    contractId,
+    contractName: contract ? contract.file_name : 'contract',
+    error: errorMessage
+  });
+}
+
+jobQueueService.registerHandler(PROCESS_CONTRACT_JOB, processContractJob, {
+  // Retries are exhausted (or the failure is permanent): surface it on the contract
+  onDeadLetter: (job, error) => markContractFailed(job.contract_id, job.user_id, error.message),
+  // An administrator re-ran the job: the contract is being processed again
+  onRerun: (job) => markContractReprocessing(job.contract_id, job.user_id)
+});
+
+// Helper function to extract text from different file types.
+// Returns { text, pageCount, pageOffsets, confidence, method }; pageCount is null when the format doesn't
+// record it, pageOffsets (where each page starts in text) when page breaks aren't known. Word
+// documents also return trackedChanges ({ type, text, author, date }), kept out of text.
+// Options: enableOCR (default true) for images and scanned PDF pages, onOcrProgress({ page, pages, progress })
+async function extractTextFromFile(file, options = {}) {
+  const enableOCR = options.enableOCR !== false;
+
   try {
     if (file.mimetype === 'application/pdf') {
       console.log('📖 Extracting text from PDF...');
-      const data = await pdf(file.buffer);
-      return data.text;
+      const data = await documentService.extractPdfText(file.buffer);
+      if (enableOCR) {
+        return ocrScannedPdfPages(file, data, options);
+      }
+      return { text: data.text, pageCount: data.pageCount, pageOffsets: data.pageOffsets, confidence: 1, method: 'pdf' };
     } else if (file.mimetype.startsWith('image/')) {
+      if (!enableOCR) {
+        throw new Error('OCR is turned off, so text cannot be read from an image');
+      }
       console.log('🔍 Processing image with OCR...');
-      const ocrResult = await ollamaService.enhancedOCR(file.buffer);
-      return ocrResult.enhancedText || ocrResult.rawText;
+      const ocrResult = await ollamaService.enhancedOCR(file.buffer, { onProgress: options.onOcrProgress });
+      return {
+        text: ocrResult.enhancedText || ocrResult.rawText,
+        pageCount: 1,
+        pageOffsets: [0],
+        confidence: ocrResult.confidence !== undefined ? ocrResult.confidence : null,
+        method: 'ocr'
+      };
+    } else if (documentService.isWordDocument(file)) {
+      const result = await documentService.extractWordText(file);
+      return {
+        text: result.text,
+        pageCount: result.pageCount,
+        pageOffsets: result.pageOffsets,
+        trackedChanges: result.trackedChanges,
+        confidence: 1,
+        method: 'word'
+      };
     } else {
-      // Plain text or document
-      return file.buffer.toString('utf-8');
+      // Plain text
+      return { text: file.buffer.toString('utf-8'), pageCount: null, confidence: 1, method: 'text' };
     }
   } catch (error) {
     console.error('Text extraction error:', error);
-    throw new Error(`Failed to extract text from ${file.originalname}: ${error.message}`);
+    // A file that cannot be parsed will not parse on retry either
+    throw permanentFailure(`Failed to extract text from ${file.originalname}: ${error.message}`);
+  }
+}
+
+// OCR the pages of a PDF that have (next to) no text layer, which is how scanned pages look,
+// from the page image. Pages with text keep it.
+async function ocrScannedPdfPages(file, data, options) {
+  const scannedPages = data.pageTexts
+    .map((pageText, index) => (pageText.replace(/\s/g, '').length < MIN_PDF_PAGE_TEXT ? index + 1 : null))
+    .filter(Boolean);
+
+  const images = scannedPages.length > 0
+    ? await documentService.extractPdfPageImages(file.buffer, scannedPages)
+    : new Map();
+
+  if (images.size === 0) {
+    return { text: data.text, pageCount: data.pageCount, pageOffsets: data.pageOffsets, confidence: 1, method: 'pdf' };
   }
+
+  console.log(`🔍 OCR for ${images.size} scanned PDF page(s)...`);
+  const pageTexts = [...data.pageTexts];
+  const confidences = [];
+  let position = 0;
+
+  for (const [page, image] of images) {
+    position++;
+    const ocrResult = await ollamaService.enhancedOCR(image, {
+      page: position,
+      pages: images.size,
+      onProgress: options.onOcrProgress
+    });
+    pageTexts[page - 1] = ocrResult.enhancedText || ocrResult.rawText || '';
+    confidences.push(ocrResult.confidence !== undefined ? ocrResult.confidence : null);
+  }
+
+  const known = confidences.filter(confidence => confidence !== null);
+  return {
+    ...documentService.joinPdfPages(pageTexts),
+    pageCount: data.pageCount,
+    // Pages read from the text layer count as certain
+    confidence: known.length > 0 ? Math.min(...known) : null,
+    method: images.size === data.pageTexts.length ? 'ocr' : 'pdf+ocr'
+  };
 }
 
-// Helper function to process embeddings with user isolation
-async function processDocumentEmbeddings(contractId, extractedText, file, userId) {
+// Helper function to index a contract in the user's persistent vector store
+async function processDocumentEmbeddings(contractId, extraction, file, userId) {
   try {
     console.log(`🧠 [User: ${userId}] Creating embeddings for RAG...`);
-    const documents = [{
-      pageContent: extractedText,
-      metadata: { 
-        contractId: contractId, 
+    const chunkCount = await vectorStoreService.indexContract({
+      contractId,
+      userId,
+      text: extraction.text,
+      pageOffsets: extraction.pageOffsets,
+      metadata: {
         fileName: file.originalname,
-        title: file.originalname,
-        userId: userId // Add user isolation
+        title: file.originalname
       }
-    }];
-    
-    await ollamaService.addDocumentsWithIsolation(documents, userId);
+    });
     console.log(`✅ [User: ${userId}] Vector embeddings created`);
-    return true;
+    return chunkCount;
   } catch (error) {
     console.error(`❌ [User: ${userId}] Embedding creation failed:`, error);
     throw error;
@@ -454,6 +684,225 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/contracts/:id/status
+// @desc    Get processing stage, progress, ETA and last error
+// @access  Private
+router.get('/:id/status', auth, async (req, res) => {
+  try {
+    const { data: contract, error } = await supabase
+      .from('contracts')
+      .select('id, status, processing, processing_error, analysis_error:analysis->>error, updated_at')
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .single();
+
+    if (error || !contract) {
+      return res.status(404).json({
+        message: 'Contract not found'
+      });
+    }
+
+    const progress = contract.processing || {};
+    const job = await jobQueueService.getLatestJobForContract(contract.id);
+
+    let stage = progress.stage || contract.status;
+    let percent = progress.percent || 0;
+    let etaSeconds = progress.etaSeconds !== undefined ? progress.etaSeconds : null;
+
+    if (contract.status === 'completed') {
+      stage = 'completed';
+      percent = 100;
+      etaSeconds = 0;
+    } else if (contract.status === 'failed') {
+      stage = 'failed';
+      etaSeconds = null;
+    }
+
+    const lastError = contract.status === 'failed'
+      ? (contract.processing_error || contract.analysis_error || progress.lastError || job?.last_error || null)
+      : (progress.lastError || job?.last_error || null);
+
+    res.json({
+      contractId: contract.id,
+      status: contract.status,
+      stage,
+      label: PROCESSING_STAGES[stage] ? PROCESSING_STAGES[stage].label : stage,
+      detail: progress.detail || null,
+      percent,
+      etaSeconds,
+      startedAt: progress.startedAt || null,
+      updatedAt: progress.updatedAt || contract.updated_at,
+      lastError,
+      job: job ? {
+        id: job.id,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        nextAttemptAt: job.status === 'queued' ? job.run_at : null
+      } : null
+    });
+
+  } catch (error) {
+    console.error('Contract status error:', error);
+    res.status(500).json({
+      message: 'Error fetching contract status',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/contracts/:id/metrics
+// @desc    Get extraction and processing metrics
+// @access  Private
+router.get('/:id/metrics', auth, async (req, res) => {
+  try {
+    const { data: contract, error } = await supabase
+      .from('contracts')
+      .select('id, status, content, analysis, metrics, processing')
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .single();
+
+    if (error || !contract) {
+      return res.status(404).json({
+        message: 'Contract not found'
+      });
+    }
+
+    const stored = contract.metrics || {};
+    const content = contract.content || '';
+
+    // Contracts processed before metrics were recorded only have their text to go on
+    let chunkCount = stored.chunkCount;
+    if (chunkCount === undefined) {
+      const { count } = await supabase
+        .from('contract_chunks')
+        .select('id', { count: 'exact', head: true })
+        .eq('contract_id', contract.id)
+        .eq('user_id', req.userId);
+      chunkCount = count || 0;
+    }
+
+    res.json({
+      contractId: contract.id,
+      status: contract.status,
+      metrics: {
+        pageCount: stored.pageCount !== undefined ? stored.pageCount : null,
+        wordCount: stored.wordCount !== undefined ? stored.wordCount : countWords(content),
+        characterCount: stored.characterCount !== undefined ? stored.characterCount : content.length,
+        chunkCount,
+        extractionMethod: stored.extractionMethod || null,
+        extractionConfidence: stored.extractionConfidence !== undefined ? stored.extractionConfidence : null,
+        model: stored.model || contract.analysis?.model || null,
+        analysisMode: stored.analysisMode || contract.analysis?.mode || null,
+        analysisFallback: stored.analysisFallback !== undefined ? stored.analysisFallback : contract.analysis?.mode === 'fallback',
+        timings: stored.timings || contract.processing?.timings || {},
+        processedAt: stored.processedAt || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Contract metrics error:', error);
+    res.status(500).json({
+      message: 'Error fetching contract metrics',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/contracts/:id/clauses
+// @desc    Get the contract's clauses with types and character offsets
+// @access  Private
+router.get('/:id/clauses', auth, async (req, res) => {
+  try {
+    const { data: contract, error } = await supabase
+      .from('contracts')
+      .select('id, status, content, analysis')
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .single();
+
+    if (error || !contract) {
+      return res.status(404).json({
+        message: 'Contract not found'
+      });
+    }
+
+    if (contract.status !== 'completed' || !contract.content) {
+      return res.status(400).json({
+        message: 'Clauses are available once processing has completed',
+        status: contract.status
+      });
+    }
+
+    // Contracts analysed before clause extraction existed are segmented on the fly
+    const clauses = contract.analysis?.clauses || clauseService.extractClauses(contract.content);
+
+    res.json({
+      contractId: contract.id,
+      clauses,
+      summary: clauseService.summarize(clauses),
+      taxonomy: clauseService.getTaxonomy()
+    });
+
+  } catch (error) {
+    console.error('Contract clauses error:', error);
+    res.status(500).json({
+      message: 'Error fetching contract clauses',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/contracts/:id/risk
+// @desc    Get the contract's risk score and the weighted factors behind it
+// @access  Private
+router.get('/:id/risk', auth, async (req, res) => {
+  try {
+    const { data: contract, error } = await supabase
+      .from('contracts')
+      .select('id, status, content, analysis, risk_score, risk_assessment, updated_at')
+      .eq('id', req.params.id)
+      .eq('user_id', req.userId)
+      .single();
+
+    if (error || !contract) {
+      return res.status(404).json({
+        message: 'Contract not found'
+      });
+    }
+
+    if (contract.status !== 'completed' || !contract.content) {
+      return res.status(400).json({
+        message: 'A risk score is available once processing has completed',
+        status: contract.status
+      });
+    }
+
+    // Contracts processed before scoring existed (or by an older model version) are scored now
+    // and the score saved; the backfill job does the same for contracts nobody opens
+    let assessment = contract.risk_assessment;
+    if (!assessment || assessment.version !== RISK_MODEL_VERSION) {
+      assessment = riskService.assessContract(contract);
+      await riskService.saveAssessment(contract, assessment);
+      analyticsService.invalidate(req.userId);
+    }
+
+    res.json({
+      contractId: contract.id,
+      riskScore: assessment.score,
+      risk: assessment
+    });
+
+  } catch (error) {
+    console.error('Contract risk error:', error);
+    res.status(500).json({
+      message: 'Error fetching contract risk',
+      error: error.message
+    });
+  }
+});
+
 // @route   DELETE /api/contracts/:id
 // @desc    Delete contract
 // @access  Private
@@ -487,22 +936,21 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Clean up vector store
+    // Clean up vector store (chunks also cascade with the contract row)
     try {
-      ollamaService.clearDocumentStore(req.params.id);
+      await vectorStoreService.removeContract(req.params.id, req.userId);
     } catch (vectorError) {
       console.warn('Vector store cleanup error:', vectorError.message);
     }
 
+    analyticsService.invalidate(req.userId);
+
     // Create notification
-    await supabase
-      .from('notifications')
-      .insert([{
-        user_id: req.userId,
-        title: 'Contract Deleted',
-        message: `"${contract.file_name}" has been deleted successfully.`,
-        type: 'info'
-      }]);
+    await notificationService.create(req.userId, {
+      title: 'Contract Deleted',
+      message: `"${contract.file_name}" has been deleted successfully.`,
+      type: 'info'
+    });
 
     res.json({
       message: 'Contract deleted successfully'
@@ -518,13 +966,41 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // @route   POST /api/contracts/:id/reprocess
-// @desc    Reprocess a failed contract
+// @desc    Re-run extraction, analysis and embedding for a contract
 // @access  Private
-router.post('/:id/reprocess', auth, async (req, res) => {
+router.post('/:id/reprocess', [
+  auth,
+  body('model')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Model must be a non-empty string'),
+  body('enableOCR')
+    .optional()
+    .isBoolean()
+    .withMessage('enableOCR must be a boolean')
+    .toBoolean(),
+  body('analysisMode')
+    .optional()
+    .isIn(['fast', 'full'])
+    .withMessage('analysisMode must be "fast" or "full"')
+], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { model, enableOCR, analysisMode = 'fast' } = req.body;
+
     const { data: contract, error: fetchError } = await supabase
       .from('contracts')
-      .select('*')
+      .select('id, mime_type, file_data')
       .eq('id', req.params.id)
       .eq('user_id', req.userId)
       .single();
@@ -535,9 +1011,53 @@ router.post('/:id/reprocess', auth, async (req, res) => {
       });
     }
 
-    if (contract.status !== 'failed') {
+    if (!contract.file_data) {
       return res.status(400).json({
-        message: 'Can only reprocess failed contracts'
+        message: 'Original file is not available for reprocessing. Please upload the contract again.'
+      });
+    }
+
+    if (enableOCR === false && contract.mime_type?.startsWith('image/')) {
+      return res.status(400).json({
+        message: 'OCR is required to process image files'
+      });
+    }
+
+    // Make sure the requested model is installed before queuing work for it
+    if (model) {
+      const health = await ollamaService.checkHealth();
+      if (health.ollamaRunning && !ollamaService.isModelInstalled(model, health.availableModels)) {
+        return res.status(400).json({
+          message: `Model "${model}" is not installed`,
+          availableModels: health.availableModels
+        });
+      }
+    }
+
+    const options = { analysisMode };
+    if (model) options.model = model;
+    if (enableOCR !== undefined) options.enableOCR = enableOCR;
+
+    // Busy only while a processing job is queued or running. A contract left in 'processing'
+    // without one (its job was cancelled, or it predates the job queue) is recovered here.
+    const { data: liveJobs, error: jobsError } = await supabase
+      .from('processing_jobs')
+      .select('id')
+      .eq('contract_id', contract.id)
+      .eq('type', PROCESS_CONTRACT_JOB)
+      .in('status', [JOB_STATUS.queued, JOB_STATUS.running])
+      .limit(1);
+
+    if (jobsError) {
+      return res.status(500).json({
+        message: 'Error checking contract jobs',
+        error: jobsError.message
+      });
+    }
+
+    if (liveJobs && liveJobs.length > 0) {
+      return res.status(409).json({
+        message: 'Contract is already being processed'
       });
     }
 
@@ -557,17 +1077,36 @@ router.post('/:id/reprocess', auth, async (req, res) => {
       });
     }
 
+    let job;
+    try {
+      job = await queueContractProcessing(contract.id, req.userId, JOB_PRIORITY.normal, options);
+    } catch (queueError) {
+      // Another request queued one since the check above (one live job per contract, see
+      // add-processing-jobs.sql), so a double-click can't process the contract twice
+      if (queueError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          message: 'Contract is already being processed'
+        });
+      }
+
+      console.error('Job queue error:', queueError);
+      await markContractFailed(contract.id, req.userId, 'Could not queue contract for reprocessing');
+      return res.status(500).json({
+        message: 'Error queuing contract for reprocessing',
+        error: queueError.message
+      });
+    }
+
     res.json({
       message: 'Contract reprocessing started',
       contract: {
         id: contract.id,
         status: 'processing'
-      }
+      },
+      jobId: job.id,
+      options
     });
 
-    // Note: In a full implementation, you would re-trigger the processing
-    // For now, we just update the status
-
   } catch (error) {
     console.error('Contract reprocessing error:', error);
     res.status(500).json({
@@ -1,5 +1,140 @@
 const express = require("express");
+const { query, param, validationResult } = require("express-validator");
 const { auth } = require("../middleware/auth");
+const { notificationService } = require("../services/notificationService");
 const router = express.Router();
-router.get("/", auth, (req, res) => res.json({ notifications: [], message: "Placeholder endpoint" }));
+
+const validateId = param('id').isUUID().withMessage('Invalid notification id');
+
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// @route   GET /api/notifications
+// @desc    List notifications, newest first (?page, ?limit, ?unread=true)
+// @access  Private
+router.get("/", auth, [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false')
+], checkValidation, async (req, res) => {
+  try {
+    const result = await notificationService.list(req.userId, {
+      page: req.query.page,
+      limit: req.query.limit,
+      unreadOnly: req.query.unread === 'true'
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      message: 'Error fetching notifications',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put("/read-all", auth, async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.userId);
+    res.json({
+      message: 'All notifications marked as read',
+      updated
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      message: 'Error marking notifications as read',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put("/:id/read", auth, [validateId], checkValidation, async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.userId, req.params.id);
+    if (!notification) {
+      return res.status(404).json({
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      message: 'Error marking notification as read',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/clear
+// @desc    Delete all notifications
+// @access  Private
+router.delete("/clear", auth, async (req, res) => {
+  try {
+    const deleted = await notificationService.clear(req.userId);
+    res.json({
+      message: 'Notifications cleared',
+      deleted
+    });
+  } catch (error) {
+    console.error('Clear notifications error:', error);
+    res.status(500).json({
+      message: 'Error clearing notifications',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete("/:id", auth, [validateId], checkValidation, async (req, res) => {
+  try {
+    const deleted = await notificationService.remove(req.userId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      message: 'Notification deleted'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      message: 'Error deleting notification',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
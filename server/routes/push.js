@@ -0,0 +1,175 @@
+const express = require("express");
+const { body, param, validationResult } = require("express-validator");
+const { auth } = require("../middleware/auth");
+const { pushService } = require("../services/pushService");
+const router = express.Router();
+
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const requirePush = (req, res, next) => {
+  if (!pushService.isConfigured()) {
+    return res.status(503).json({
+      message: 'Push notifications are not configured on this server'
+    });
+  }
+  next();
+};
+
+// @route   GET /api/push/vapid-public-key
+// @desc    Application server key for PushManager.subscribe()
+// @access  Public
+router.get("/vapid-public-key", requirePush, (req, res) => {
+  res.json({ publicKey: pushService.getPublicKey() });
+});
+
+// @route   POST /api/push/subscriptions
+// @desc    Register this browser's push subscription
+// @access  Private
+router.post("/subscriptions", auth, requirePush, [
+  body('subscription.endpoint')
+    .custom(endpoint => pushService.isValidEndpoint(endpoint))
+    .withMessage('Subscription endpoint must be a push service URL'),
+  body('subscription.keys.p256dh')
+    .isString()
+    .notEmpty()
+    .withMessage('Subscription p256dh key is required'),
+  body('subscription.keys.auth')
+    .isString()
+    .notEmpty()
+    .withMessage('Subscription auth secret is required'),
+  body('subscription.expirationTime')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Expiration time must be a timestamp'),
+  body('deviceName')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be at most 100 characters')
+], checkValidation, async (req, res) => {
+  try {
+    const subscription = await pushService.subscribe(req.userId, req.body.subscription, {
+      deviceName: req.body.deviceName || null,
+      userAgent: (req.get('User-Agent') || '').substring(0, 300) || null
+    });
+
+    res.status(201).json({
+      message: 'Push subscription saved',
+      subscription
+    });
+  } catch (error) {
+    console.error('Push subscribe error:', error);
+    res.status(500).json({
+      message: 'Error saving push subscription',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/push/subscriptions
+// @desc    List the devices receiving push notifications
+// @access  Private
+router.get("/subscriptions", auth, async (req, res) => {
+  try {
+    const subscriptions = await pushService.listSubscriptions(req.userId);
+    res.json({ subscriptions });
+  } catch (error) {
+    console.error('Push subscriptions error:', error);
+    res.status(500).json({
+      message: 'Error fetching push subscriptions',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/push/subscriptions
+// @desc    Unsubscribe a browser by its endpoint (body.endpoint)
+// @access  Private
+router.delete("/subscriptions", auth, [
+  body('endpoint')
+    .isString()
+    .notEmpty()
+    .withMessage('Endpoint is required')
+], checkValidation, async (req, res) => {
+  try {
+    const removed = await pushService.unsubscribe(req.userId, { endpoint: req.body.endpoint });
+    if (!removed) {
+      return res.status(404).json({
+        message: 'Push subscription not found'
+      });
+    }
+
+    res.json({
+      message: 'Push subscription removed'
+    });
+  } catch (error) {
+    console.error('Push unsubscribe error:', error);
+    res.status(500).json({
+      message: 'Error removing push subscription',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/push/subscriptions/:id
+// @desc    Remove one of the user's devices
+// @access  Private
+router.delete("/subscriptions/:id", auth, [
+  param('id').isUUID().withMessage('Invalid subscription id')
+], checkValidation, async (req, res) => {
+  try {
+    const removed = await pushService.unsubscribe(req.userId, { id: req.params.id });
+    if (!removed) {
+      return res.status(404).json({
+        message: 'Push subscription not found'
+      });
+    }
+
+    res.json({
+      message: 'Push subscription removed'
+    });
+  } catch (error) {
+    console.error('Push unsubscribe error:', error);
+    res.status(500).json({
+      message: 'Error removing push subscription',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/push/test
+// @desc    Send a test notification to all of the user's devices
+// @access  Private
+router.post("/test", auth, requirePush, async (req, res) => {
+  try {
+    const delivered = await pushService.sendToUser(req.userId, {
+      event: 'test',
+      title: 'Test notification',
+      message: 'Push notifications are working on this device.',
+      type: 'info',
+      url: '/dashboard'
+    });
+
+    res.json({
+      message: delivered ? 'Test notification sent' : 'No device accepted the notification',
+      delivered
+    });
+  } catch (error) {
+    console.error('Push test error:', error);
+    res.status(500).json({
+      message: 'Error sending test notification',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,45 +1,51 @@
 const express = require("express");
+const { body, validationResult } = require("express-validator");
 const { auth } = require("../middleware/auth");
+const { settingsService, SettingsValidationError } = require("../services/settingsService");
+const { ollamaService } = require("../services/ollamaService");
+const { SETTINGS_SECTIONS } = require("../config/settingsSchema");
 
 const router = express.Router();
 
-// Complete default settings matching frontend expectations
-const defaultSettings = {
-  notifications: {
-    email: {
-      enabled: true,
-      contractAnalysis: true,
-      riskAlerts: true,
-      systemUpdates: false,
-      marketing: false
-    },
-    push: {
-      enabled: true,
-      contractAnalysis: true,
-      riskAlerts: true,
-      systemUpdates: false
-    },
-    inApp: {
-      enabled: true,
-      autoMarkRead: false,
-      soundEnabled: true
-    }
-  },
-  ai: {
-    model: 'llama3.2:3b',
-    temperature: 0.3,
-    maxTokens: 1500
-  },
-  processing: {
-    autoProcess: true,
-    enableOCR: true,
-    language: 'en'
-  },
-  ui: {
-    language: 'en',
-    timezone: 'UTC',
-    theme: 'system'
+const checkValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Settings that don't match the schema are the client's fault; anything else is ours
+const handleSettingsError = (res, error, message) => {
+  if (error instanceof SettingsValidationError) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: error.errors
+    });
   }
+
+  res.status(500).json({
+    message,
+    error: error.message
+  });
+};
+
+// Responds 400 and returns true when the chosen AI model isn't installed. When Ollama
+// can't be reached the model is accepted; OllamaService falls back to the default model.
+const rejectUninstalledModel = async (res, model) => {
+  if (typeof model !== 'string') return false;
+
+  const availableModels = await ollamaService.getAvailableModels({ refresh: true });
+  if (!availableModels || ollamaService.isModelInstalled(model, availableModels)) return false;
+
+  res.status(400).json({
+    message: `Model "${model}" is not installed`,
+    availableModels
+  });
+  return true;
 };
 
 // @route   GET /api/settings
@@ -47,8 +53,8 @@ const defaultSettings = {
 // @access  Private
 router.get("/", auth, async (req, res) => {
   try {
-    // Just return default settings - no database dependency
-    res.json({ settings: defaultSettings });
+    const settings = await settingsService.getSettings(req.userId);
+    res.json({ settings });
   } catch (error) {
     console.error('Settings error:', error);
     res.status(500).json({
@@ -59,43 +65,43 @@ router.get("/", auth, async (req, res) => {
 });
 
 // @route   PUT /api/settings
-// @desc    Update user settings
+// @desc    Update user settings; sections are deep-merged, so partial updates are fine
 // @access  Private
 router.put("/", auth, async (req, res) => {
   try {
-    // For now, just return success - no persistent storage
-    // In a full implementation, you would store these in the database
-    const updatedSettings = { ...defaultSettings, ...req.body };
-    
+    if (await rejectUninstalledModel(res, req.body?.ai?.model)) return;
+
+    const settings = await settingsService.updateSettings(req.userId, req.body);
     res.json({
       message: 'Settings updated successfully',
-      settings: updatedSettings
+      settings
     });
-
   } catch (error) {
     console.error('Settings update error:', error);
-    res.status(500).json({
-      message: 'Error updating settings',
-      error: error.message
-    });
+    handleSettingsError(res, error, 'Error updating settings');
   }
 });
 
 // @route   POST /api/settings/reset
-// @desc    Reset settings to default
+// @desc    Reset one section (body.section) or all settings to default
 // @access  Private
-router.post("/reset", auth, async (req, res) => {
+router.post("/reset", auth, [
+  body('section')
+    .optional()
+    .isIn(['all', ...SETTINGS_SECTIONS])
+    .withMessage(`Section must be one of: all, ${SETTINGS_SECTIONS.join(', ')}`)
+], checkValidation, async (req, res) => {
   try {
+    const section = req.body.section || 'all';
+    const settings = await settingsService.reset(req.userId, section);
     res.json({
       message: 'Settings reset successfully',
-      settings: defaultSettings
+      section,
+      settings
     });
   } catch (error) {
     console.error('Settings reset error:', error);
-    res.status(500).json({
-      message: 'Error resetting settings',
-      error: error.message
-    });
+    handleSettingsError(res, error, 'Error resetting settings');
   }
 });
 
@@ -104,7 +110,7 @@ router.post("/reset", auth, async (req, res) => {
 // @access  Private
 router.get("/notifications", auth, async (req, res) => {
   try {
-    res.json(defaultSettings.notifications);
+    res.json(await settingsService.getSection(req.userId, 'notifications'));
   } catch (error) {
     console.error('Notification settings error:', error);
     res.status(500).json({
@@ -115,21 +121,18 @@ router.get("/notifications", auth, async (req, res) => {
 });
 
 // @route   PUT /api/settings/notifications
-// @desc    Update notification settings
+// @desc    Update notification settings (deep-merged into the stored ones)
 // @access  Private
 router.put("/notifications", auth, async (req, res) => {
   try {
-    const updatedSettings = { ...defaultSettings.notifications, ...req.body };
+    const settings = await settingsService.updateSection(req.userId, 'notifications', req.body);
     res.json({
       message: 'Notification settings updated successfully',
-      settings: updatedSettings
+      settings
     });
   } catch (error) {
     console.error('Notification settings update error:', error);
-    res.status(500).json({
-      message: 'Error updating notification settings',
-      error: error.message
-    });
+    handleSettingsError(res, error, 'Error updating notification settings');
   }
 });
 
@@ -182,7 +185,7 @@ router.put("/profile", auth, async (req, res) => {
 // @access  Private
 router.get("/ai", auth, async (req, res) => {
   try {
-    res.json(defaultSettings.ai);
+    res.json(await settingsService.getSection(req.userId, 'ai'));
   } catch (error) {
     console.error('AI settings error:', error);
     res.status(500).json({
@@ -193,19 +196,44 @@ router.get("/ai", auth, async (req, res) => {
 });
 
 // @route   PUT /api/settings/ai
-// @desc    Update AI settings
+// @desc    Update AI settings (deep-merged into the stored ones)
 // @access  Private
 router.put("/ai", auth, async (req, res) => {
   try {
-    const updatedSettings = { ...defaultSettings.ai, ...req.body };
+    if (await rejectUninstalledModel(res, req.body?.model)) return;
+
+    const settings = await settingsService.updateSection(req.userId, 'ai', req.body);
     res.json({
       message: 'AI settings updated successfully',
-      settings: updatedSettings
+      settings
     });
   } catch (error) {
     console.error('AI settings update error:', error);
+    handleSettingsError(res, error, 'Error updating AI settings');
+  }
+});
+
+// @route   GET /api/settings/ai/models
+// @desc    Installed Ollama models the user can choose from
+// @access  Private
+router.get("/ai/models", auth, async (req, res) => {
+  try {
+    const availableModels = await ollamaService.getAvailableModels({ refresh: true });
+    if (!availableModels) {
+      return res.status(503).json({
+        message: 'Ollama is not reachable'
+      });
+    }
+
+    res.json({
+      // The embedding model can't answer questions
+      models: availableModels.filter(name => !name.startsWith(ollamaService.embeddingModel)),
+      defaultModel: ollamaService.model
+    });
+  } catch (error) {
+    console.error('AI models error:', error);
     res.status(500).json({
-      message: 'Error updating AI settings',
+      message: 'Error retrieving AI models',
       error: error.message
     });
   }
@@ -216,11 +244,7 @@ router.put("/ai", auth, async (req, res) => {
 // @access  Private
 router.get("/export", auth, async (req, res) => {
   try {
-    const exportData = {
-      exportDate: new Date().toISOString(),
-      version: '1.0.0',
-      settings: defaultSettings
-    };
+    const exportData = await settingsService.exportSettings(req.userId);
 
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', 'attachment; filename=smartcontract-settings.json');
@@ -236,22 +260,29 @@ router.get("/export", auth, async (req, res) => {
 });
 
 // @route   POST /api/settings/import
-// @desc    Import user settings
+// @desc    Replace user settings with an exported file ({ settings, version })
 // @access  Private
-router.post("/import", auth, async (req, res) => {
+router.post("/import", auth, [
+  body('settings')
+    .isObject()
+    .withMessage('Settings must be an object'),
+  body('version')
+    .optional()
+    .custom(version => typeof version === 'number' || typeof version === 'string')
+    .withMessage('Version must be a number or version string')
+], checkValidation, async (req, res) => {
   try {
-    const { settings } = req.body;
-    // In a real implementation, you would validate and save these settings
+    const { settings, version } = req.body;
+    if (await rejectUninstalledModel(res, settings.ai?.model)) return;
+
+    const imported = await settingsService.importSettings(req.userId, settings, version);
     res.json({
       message: 'Settings imported successfully',
-      settings: { ...defaultSettings, ...settings }
+      settings: imported
     });
   } catch (error) {
     console.error('Settings import error:', error);
-    res.status(500).json({
-      message: 'Error importing settings',
-      error: error.message
-    });
+    handleSettingsError(res, error, 'Error importing settings');
   }
 });
 
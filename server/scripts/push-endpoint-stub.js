@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+// Local stand-in for a browser push service, for testing Web Push delivery without a browser.
+//
+// It acts as both sides of a subscription: it generates the browser's keys, prints a
+// subscription to register through POST /api/push/subscriptions, then receives pushes on
+// http://localhost:<port>/push/<id>, checks the VAPID signature and decrypts the payload
+// (RFC 8291, aes128gcm). The server must run with PUSH_ALLOW_INSECURE_ENDPOINTS=true.
+//
+// Usage: node scripts/push-endpoint-stub.js [--port 8765] [--gone]
+//   --gone  answer every push with 410 Gone, as a push service does for a revoked subscription
+
+const http = require('http');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const portIndex = args.indexOf('--port');
+const port = portIndex >= 0 ? parseInt(args[portIndex + 1]) : 8765;
+const gone = args.includes('--gone');
+
+const ecdh = crypto.createECDH('prime256v1');
+const userAgentPublicKey = ecdh.generateKeys();
+const authSecret = crypto.randomBytes(16);
+const endpointPath = `/push/${crypto.randomBytes(8).toString('hex')}`;
+
+const subscription = {
+  endpoint: `http://localhost:${port}${endpointPath}`,
+  expirationTime: null,
+  keys: {
+    p256dh: userAgentPublicKey.toString('base64url'),
+    auth: authSecret.toString('base64url')
+  }
+};
+
+// Authorization: vapid t=<JWT signed with ES256>, k=<application server public key>
+const verifyVapid = (header, audience) => {
+  const match = /^vapid t=([^,\s]+),\s*k=([^,\s]+)$/.exec(header || '');
+  if (!match) throw new Error('Missing or malformed vapid Authorization header');
+
+  const [, token, key] = match;
+  const [encodedHeader, encodedClaims, signature] = token.split('.');
+  const publicKey = Buffer.from(key, 'base64url');
+
+  const verified = crypto.verify(
+    'sha256',
+    Buffer.from(`${encodedHeader}.${encodedClaims}`),
+    {
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        x: publicKey.subarray(1, 33).toString('base64url'),
+        y: publicKey.subarray(33, 65).toString('base64url')
+      },
+      format: 'jwk',
+      dsaEncoding: 'ieee-p1363'
+    },
+    Buffer.from(signature || '', 'base64url')
+  );
+  if (!verified) throw new Error('VAPID signature does not verify');
+
+  const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString());
+  if (claims.aud !== audience) throw new Error(`VAPID audience ${claims.aud} is not ${audience}`);
+  if (!claims.exp || claims.exp * 1000 < Date.now()) throw new Error('VAPID token has expired');
+  return claims;
+};
+
+// Content coding header: salt (16) | record size (4) | key id length (1) | key id, then one record
+const decrypt = (body) => {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const appServerPublicKey = body.subarray(21, 21 + idLength);
+  const record = body.subarray(21 + idLength);
+
+  const sharedSecret = ecdh.computeSecret(appServerPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, appServerPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(record.subarray(record.length - 16));
+  const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+
+  // The last record ends with a 0x02 delimiter followed by optional zero padding
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end--;
+  if (padded[end] !== 2) throw new Error('Invalid padding delimiter');
+  return padded.subarray(0, end).toString('utf8');
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    if (req.method !== 'POST' || req.url !== endpointPath) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (gone) {
+      console.log('📭 Push received, answering 410 Gone');
+      res.writeHead(410).end();
+      return;
+    }
+
+    try {
+      const claims = verifyVapid(req.headers.authorization, `http://localhost:${port}`);
+      if (req.headers['content-encoding'] !== 'aes128gcm') {
+        throw new Error(`Unsupported Content-Encoding ${req.headers['content-encoding']}`);
+      }
+
+      const payload = decrypt(Buffer.concat(chunks));
+      console.log(`📬 Push from ${claims.sub} (TTL ${req.headers.ttl}):`);
+      console.log(JSON.stringify(JSON.parse(payload), null, 2));
+      res.writeHead(201).end();
+    } catch (error) {
+      console.error('❌ Rejected push:', error.message);
+      res.writeHead(400).end(error.message);
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🧪 Push endpoint stub listening on http://localhost:${port}${gone ? ' (answering 410 Gone)' : ''}`);
+  console.log('Register this subscription with POST /api/push/subscriptions { "subscription": ... }:');
+  console.log(JSON.stringify(subscription, null, 2));
+});
@@ -18,9 +18,19 @@ const notificationRoutes = require('./routes/notifications');
 const analyticsRoutes = require('./routes/analytics');
 const settingsRoutes = require('./routes/settings');
 const healthRoutes = require('./routes/health');
+const adminRoutes = require('./routes/admin');
+const pushRoutes = require('./routes/push');
 
 // Import services
 const { socketService } = require('./services/socketService');
+const { jobQueueService } = require('./services/jobQueueService');
+const { vectorStoreService } = require('./services/vectorStoreService');
+const { riskService } = require('./services/riskService');
+const { notificationDispatcher } = require('./services/notificationDispatcher');
+const { pushService } = require('./services/pushService');
+
+// Browser push is a dispatcher channel like in-app and email
+notificationDispatcher.registerChannel('push', (userId, message) => pushService.sendToUser(userId, message));
 
 // Initialize Express app
 const app = express();
@@ -149,6 +159,8 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/push', pushRoutes);
 
 // 404 handler for undefined routes
 app.use('*', (req, res) => {
@@ -161,6 +173,7 @@ app.use('*', (req, res) => {
       notifications: '/api/notifications',
       analytics: '/api/analytics',
       settings: '/api/settings',
+      admin: '/api/admin',
       health: '/health'
     }
   });
@@ -220,7 +233,12 @@ const initializeAI = async () => {
 // Graceful shutdown
 const gracefulShutdown = () => {
   console.log('\n🔄 Received shutdown signal, closing server gracefully...');
-  
+
+  // Running jobs are picked up again on the next boot
+  jobQueueService.stop();
+  notificationDispatcher.stop();
+  pushService.stop();
+
   process.exit(0);
 };
 
@@ -244,12 +262,35 @@ process.on('unhandledRejection', (error, promise) => {
 const startServer = async () => {
   try {
     // Try to connect to database, but continue if it fails
+    let dbReady = false;
     try {
       await connectDB();
+      dbReady = true;
     } catch (dbError) {
       console.warn('⚠️ Supabase connection failed, running in demo mode without persistence');
       console.warn('🔧 To enable full functionality, configure SUPABASE_URL and SUPABASE_ANON_KEY');
     }
+
+    // Resume queued and interrupted contract processing
+    if (dbReady) {
+      try {
+        await jobQueueService.start();
+
+        // Index contracts processed before the persistent vector store existed
+        await vectorStoreService.queueBackfill();
+
+        // Score contracts processed before the risk engine (or its current version) existed
+        await riskService.queueBackfill();
+      } catch (queueError) {
+        console.warn('⚠️ Job queue failed to start:', queueError.message);
+      }
+
+      // Send pending notification email digests
+      notificationDispatcher.start();
+
+      // Remove expired push subscriptions
+      pushService.start();
+    }
     
     // Initialize AI services
     try {
@@ -0,0 +1,408 @@
+const { PorterStemmer } = require('natural');
+const { supabase } = require('../config/supabase');
+const { riskService, RISK_BANDS } = require('./riskService');
+const { contractFactsService } = require('./contractFactsService');
+
+const CACHE_TTL_MS = parseInt(process.env.ANALYTICS_CACHE_TTL_MS) || 5 * 60 * 1000;
+const PAGE_SIZE = 1000; // PostgREST's default row cap
+const CONTENT_BATCH_SIZE = 50; // Rows with full contract text, and ids in the query string
+const MONTHS_SHOWN = 12;
+const TOP_CONCERNS_LIMIT = 10;
+const RECENT_ACTIVITY_LIMIT = 5;
+const SEVERITY_ORDER = ['low', 'medium', 'high'];
+
+const TREND_PERIODS = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+
+// Only the fields the aggregations need; analysis and metrics are read by JSON path
+// so clause lists and section results are never transferred.
+const CONTRACT_COLUMNS = [
+  'id', 'title', 'file_name', 'status', 'created_at', 'updated_at', 'risk_score',
+  'contract_type:analysis->>contractType',
+  'concerns:analysis->concerns',
+  'main_concerns:analysis->mainConcerns',
+  'risk_factors:risk_assessment->factors',
+  'processing_ms:metrics->timings->total'
+].join(', ');
+
+// Extra fields for the per-contract portfolio export
+const PORTFOLIO_COLUMNS = [
+  CONTRACT_COLUMNS,
+  'parties:analysis->parties',
+  'key_dates:analysis->keyDates',
+  'term:analysis->>term',
+  'processed_at:metrics->>processedAt'
+].join(', ');
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const average = (values) => (
+  values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null
+);
+
+const isScored = (contract) => typeof contract.risk_score === 'number';
+
+// Aggregations over a user's contracts for the analytics dashboard. Results are cached
+// per user and dropped whenever one of their contracts changes state.
+class AnalyticsService {
+  constructor() {
+    this.cache = new Map(); // userId -> Map(key -> { value, expiresAt })
+    this.nextPruneAt = Date.now() + CACHE_TTL_MS;
+  }
+
+  isValidPeriod(period) {
+    return Object.prototype.hasOwnProperty.call(TREND_PERIODS, period);
+  }
+
+  invalidate(userId) {
+    this.cache.delete(userId);
+  }
+
+  // Drop expired entries, and users left with none, so users who stop visiting the
+  // dashboard don't keep their results in memory
+  prune(now = Date.now()) {
+    for (const [userId, userCache] of this.cache) {
+      for (const [key, entry] of userCache) {
+        if (entry.expiresAt <= now) userCache.delete(key);
+      }
+      if (userCache.size === 0) this.cache.delete(userId);
+    }
+    this.nextPruneAt = now + CACHE_TTL_MS;
+  }
+
+  async cached(userId, key, compute) {
+    if (Date.now() >= this.nextPruneAt) this.prune();
+
+    const userCache = this.cache.get(userId) || new Map();
+    const entry = userCache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+
+    const value = await compute();
+    userCache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    this.cache.set(userId, userCache);
+    return value;
+  }
+
+  async fetchContracts(userId, { since = null, columns = CONTRACT_COLUMNS } = {}) {
+    const contracts = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      let query = supabase
+        .from('contracts')
+        .select(columns)
+        .eq('user_id', userId);
+
+      if (since) {
+        query = query.gte('created_at', since.toISOString());
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      contracts.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return contracts;
+  }
+
+  async getDashboard(userId) {
+    return this.cached(userId, 'dashboard', async () => {
+      const contracts = await this.fetchContracts(userId);
+      return this.buildDashboard(contracts);
+    });
+  }
+
+  async getTrends(userId, period = '30d') {
+    return this.cached(userId, `trends:${period}`, async () => {
+      const days = TREND_PERIODS[period];
+      const start = new Date();
+      start.setUTCHours(0, 0, 0, 0);
+      start.setUTCDate(start.getUTCDate() - (days - 1));
+
+      const contracts = await this.fetchContracts(userId, { since: start });
+      return this.buildTrends(contracts, period, start, days);
+    });
+  }
+
+  // One row per contract for exports. Not cached: exports should always be current.
+  async getPortfolio(userId) {
+    const contracts = await this.fetchContracts(userId, { columns: PORTFOLIO_COLUMNS });
+    await this.addMissingFacts(userId, contracts);
+
+    return contracts.map(contract => {
+      const datesByType = {};
+      (contract.key_dates || []).forEach(keyDate => {
+        datesByType[keyDate.type] = keyDate.date || keyDate.text;
+      });
+      const concerns = Array.isArray(contract.concerns)
+        ? contract.concerns.map(concern => concern.concern)
+        : (contract.main_concerns || []);
+
+      return {
+        id: contract.id,
+        title: contract.title || contract.file_name,
+        fileName: contract.file_name,
+        status: contract.status,
+        contractType: contract.contract_type || null,
+        parties: contract.parties || [],
+        riskScore: isScored(contract) ? contract.risk_score : null,
+        riskLevel: isScored(contract) ? riskService.getBand(contract.risk_score).level : null,
+        effectiveDate: datesByType.effective || null,
+        expirationDate: datesByType.expiration || null,
+        renewalDate: datesByType.renewal || null,
+        signatureDate: datesByType.signature || null,
+        term: contract.term || null,
+        concerns: concerns.filter(concern => typeof concern === 'string'),
+        riskFactors: (contract.risk_factors || []).map(factor => factor.label),
+        uploadedAt: contract.created_at,
+        processedAt: contract.processed_at || null
+      };
+    });
+  }
+
+  // Contracts processed before parties and dates were extracted get them from their text
+  async addMissingFacts(userId, contracts) {
+    const missing = contracts.filter(contract => contract.status === 'completed' && !contract.parties);
+
+    for (let i = 0; i < missing.length; i += CONTENT_BATCH_SIZE) {
+      const batch = missing.slice(i, i + CONTENT_BATCH_SIZE);
+      const { data, error } = await supabase
+        .from('contracts')
+        .select('id, content')
+        .eq('user_id', userId)
+        .in('id', batch.map(contract => contract.id));
+
+      if (error) {
+        throw error;
+      }
+
+      const contentById = new Map((data || []).map(row => [row.id, row.content]));
+      batch.forEach(contract => {
+        const facts = contractFactsService.extract(contentById.get(contract.id) || '');
+        contract.parties = facts.parties;
+        contract.key_dates = facts.keyDates;
+        contract.term = facts.term;
+      });
+    }
+  }
+
+  buildDashboard(contracts) {
+    const byStatus = {};
+    contracts.forEach(contract => {
+      byStatus[contract.status] = (byStatus[contract.status] || 0) + 1;
+    });
+
+    const scored = contracts.filter(isScored);
+    const processingTimes = this.processingSeconds(contracts);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      totalContracts: contracts.length,
+      completedContracts: byStatus.completed || 0,
+      processingContracts: byStatus.processing || 0,
+      failedContracts: byStatus.failed || 0,
+      highRiskContracts: scored.filter(contract => riskService.getBand(contract.risk_score).level === 'high').length,
+      avgRiskScore: average(scored.map(contract => contract.risk_score)),
+      byStatus,
+      riskDistribution: this.riskDistribution(scored),
+      contractTypes: this.contractTypes(contracts),
+      monthlyStats: this.monthlyStats(contracts),
+      processingStats: {
+        totalProcessed: processingTimes.length,
+        avgSeconds: average(processingTimes),
+        minSeconds: processingTimes.length > 0 ? Math.min(...processingTimes) : null,
+        maxSeconds: processingTimes.length > 0 ? Math.max(...processingTimes) : null
+      },
+      topConcerns: this.topConcerns(contracts),
+      topRiskFactors: this.topRiskFactors(scored),
+      recentActivity: this.recentActivity(contracts)
+    };
+  }
+
+  buildTrends(contracts, period, start, days) {
+    const buckets = new Map();
+    for (let i = 0; i < days; i++) {
+      const date = new Date(start);
+      date.setUTCDate(start.getUTCDate() + i);
+      buckets.set(date.toISOString().split('T')[0], []);
+    }
+
+    contracts.forEach(contract => {
+      const day = (contract.created_at || '').split('T')[0];
+      if (buckets.has(day)) buckets.get(day).push(contract);
+    });
+
+    const data = Array.from(buckets.entries()).map(([date, dayContracts]) => ({
+      date,
+      ...this.periodStats(dayContracts)
+    }));
+
+    return {
+      period,
+      data,
+      summary: this.periodStats(contracts)
+    };
+  }
+
+  periodStats(contracts) {
+    const scored = contracts.filter(isScored);
+    return {
+      contracts: contracts.length,
+      completed: contracts.filter(contract => contract.status === 'completed').length,
+      highRisk: scored.filter(contract => riskService.getBand(contract.risk_score).level === 'high').length,
+      avgRiskScore: average(scored.map(contract => contract.risk_score)),
+      avgProcessingSeconds: average(this.processingSeconds(contracts))
+    };
+  }
+
+  processingSeconds(contracts) {
+    return contracts
+      .filter(contract => contract.status === 'completed' && Number(contract.processing_ms) > 0)
+      .map(contract => round(Number(contract.processing_ms) / 1000));
+  }
+
+  riskDistribution(scored) {
+    return RISK_BANDS.map(band => {
+      const inBand = scored.filter(contract => contract.risk_score >= band.min && contract.risk_score <= band.max);
+      return {
+        level: band.level,
+        name: band.label,
+        contracts: inBand.length,
+        value: scored.length > 0 ? round((inBand.length / scored.length) * 100) : 0,
+        avgScore: average(inBand.map(contract => contract.risk_score))
+      };
+    });
+  }
+
+  contractTypes(contracts) {
+    const types = new Map();
+
+    contracts.forEach(contract => {
+      const type = (contract.contract_type || '').trim();
+      if (!type) return;
+
+      const key = type.toLowerCase();
+      const entry = types.get(key) || { type, count: 0, scores: [] };
+      entry.count++;
+      if (isScored(contract)) entry.scores.push(contract.risk_score);
+      types.set(key, entry);
+    });
+
+    return Array.from(types.values())
+      .map(({ type, count, scores }) => ({ type, count, avgRisk: average(scores) }))
+      .sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+  }
+
+  monthlyStats(contracts) {
+    const now = new Date();
+    const months = new Map();
+
+    for (let i = MONTHS_SHOWN - 1; i >= 0; i--) {
+      const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+      months.set(date.toISOString().slice(0, 7), []);
+    }
+
+    contracts.forEach(contract => {
+      const month = (contract.created_at || '').slice(0, 7);
+      if (months.has(month)) months.get(month).push(contract);
+    });
+
+    return Array.from(months.entries()).map(([month, monthContracts]) => ({
+      month,
+      ...this.periodStats(monthContracts)
+    }));
+  }
+
+  // Concerns are grouped by their stemmed words so "Unlimited liability" and
+  // "Liability is unlimited" count as the same issue; each contract counts once.
+  topConcerns(contracts) {
+    const groups = new Map();
+
+    contracts.forEach(contract => {
+      const concerns = Array.isArray(contract.concerns)
+        ? contract.concerns
+        : (contract.main_concerns || []).map(concern => ({ concern, severity: null }));
+      const seen = new Set();
+
+      concerns.forEach(({ concern, severity }) => {
+        if (typeof concern !== 'string' || !concern.trim()) return;
+
+        const key = this.concernKey(concern);
+        if (!key || seen.has(key)) return;
+        seen.add(key);
+
+        const group = groups.get(key) || { concern: concern.trim(), count: 0, severity: null };
+        group.count++;
+        if (SEVERITY_ORDER.indexOf(severity) > SEVERITY_ORDER.indexOf(group.severity)) {
+          group.severity = severity;
+        }
+        groups.set(key, group);
+      });
+    });
+
+    return Array.from(groups.values())
+      .sort((a, b) => b.count - a.count || a.concern.localeCompare(b.concern))
+      .slice(0, TOP_CONCERNS_LIMIT);
+  }
+
+  concernKey(concern) {
+    return Array.from(new Set(PorterStemmer.tokenizeAndStem(concern))).sort().join(' ');
+  }
+
+  topRiskFactors(scored) {
+    const factors = new Map();
+
+    scored.forEach(contract => {
+      (contract.risk_factors || []).forEach(factor => {
+        const entry = factors.get(factor.id) || {
+          id: factor.id,
+          label: riskService.getFactorLabel(factor.id) || factor.label,
+          category: factor.category,
+          count: 0
+        };
+        entry.count++;
+        factors.set(factor.id, entry);
+      });
+    });
+
+    return Array.from(factors.values())
+      .map(entry => ({ ...entry, percentOfContracts: round((entry.count / scored.length) * 100) }))
+      .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id))
+      .slice(0, TOP_CONCERNS_LIMIT);
+  }
+
+  recentActivity(contracts) {
+    return contracts
+      .slice()
+      .sort((a, b) => String(b.updated_at || b.created_at).localeCompare(String(a.updated_at || a.created_at)))
+      .slice(0, RECENT_ACTIVITY_LIMIT)
+      .map(contract => ({
+        id: contract.id,
+        title: contract.title || contract.file_name,
+        status: contract.status,
+        riskScore: isScored(contract) ? contract.risk_score : null,
+        riskLevel: isScored(contract) ? riskService.getBand(contract.risk_score).level : null,
+        createdAt: contract.created_at,
+        updatedAt: contract.updated_at
+      }));
+  }
+}
+
+// Create singleton instance
+const analyticsService = new AnalyticsService();
+
+module.exports = {
+  analyticsService,
+  AnalyticsService,
+  TREND_PERIODS
+};
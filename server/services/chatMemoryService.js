@@ -0,0 +1,118 @@
+const { supabase } = require('../config/supabase');
+const { ollamaService } = require('./ollamaService');
+const { retrievalService } = require('./retrievalService');
+
+// Earlier turns of a chat thread to send with each question, so follow-ups ("what about the
+// second one?") keep their context. The most recent turns go in verbatim, as many as fit in
+// the history budget; older ones are folded into a running summary stored on the thread.
+class ChatMemoryService {
+  constructor() {
+    // Tokens of the prompt given to earlier turns (summary included)
+    this.historyTokens = parseInt(process.env.CHAT_HISTORY_TOKENS) || 1024;
+    // Once the budget is exceeded, older turns are summarized until the verbatim ones take at
+    // most this share of it, so the summary isn't rewritten on every question
+    this.keepRatio = 0.5;
+    // Unsummarized messages loaded per question. Only threads that grew while summarizing
+    // failed get near this; anything older is left out of the summary.
+    this.maxMessages = 100;
+  }
+
+  // Resolves to { summary, messages: [{ role, content }], tokens } for answerQuestion's
+  // conversation option. session is the thread from chatService.prepareQuery; null for a new
+  // thread.
+  async buildConversation(userId, session, generation) {
+    if (!session) {
+      return { summary: null, messages: [], tokens: 0 };
+    }
+
+    let recent = await this.loadUnsummarized(session);
+    let summary = session.summary || null;
+
+    if (this.countTokens(summary, recent) > this.historyTokens) {
+      const cut = this.findWindowStart(recent, Math.floor(this.historyTokens * this.keepRatio));
+
+      if (cut > 0) {
+        try {
+          summary = await ollamaService.summarizeConversation(summary, this.toChatMessages(recent.slice(0, cut)), generation);
+          await this.saveSummary(session.id, summary, recent[cut - 1].seq);
+          console.log(`🧠 [User: ${userId}] Summarized ${cut} earlier messages of chat thread ${session.id}`);
+        } catch (error) {
+          // The turns are still saved; they just aren't part of this answer's context
+          console.warn(`⚠️ [User: ${userId}] Could not summarize chat thread ${session.id}, dropping older turns:`, error.message);
+        }
+        recent = recent.slice(cut);
+      }
+    }
+
+    return { summary, messages: this.toChatMessages(recent), tokens: this.countTokens(summary, recent) };
+  }
+
+  // The thread's messages after the last summarized one, oldest first
+  async loadUnsummarized(session) {
+    let query = supabase
+      .from('chat_messages')
+      .select('seq, role, content')
+      .eq('session_id', session.id)
+      .order('seq', { ascending: false })
+      .limit(this.maxMessages);
+
+    if (session.summary_until_seq) {
+      query = query.gt('seq', session.summary_until_seq);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).reverse();
+  }
+
+  // Index of the oldest message to keep verbatim: the newest messages that fit in budget,
+  // starting at a user message so the window doesn't open with an orphaned answer
+  findWindowStart(stored, budget) {
+    let used = 0;
+    let cut = stored.length;
+
+    for (let index = stored.length - 1; index >= 0; index--) {
+      used += retrievalService.estimateTokens(stored[index].content);
+      if (used > budget) break;
+      cut = index;
+    }
+
+    while (cut < stored.length && stored[cut].role !== 'user') {
+      cut++;
+    }
+    return cut;
+  }
+
+  countTokens(summary, stored) {
+    return retrievalService.estimateTokens(summary) +
+      stored.reduce((sum, message) => sum + retrievalService.estimateTokens(message.content), 0);
+  }
+
+  toChatMessages(stored) {
+    return stored
+      .filter(message => (message.role === 'user' || message.role === 'assistant') && message.content)
+      .map(message => ({ role: message.role, content: message.content }));
+  }
+
+  // untilSeq: the last message the summary covers
+  async saveSummary(sessionId, summary, untilSeq) {
+    const { error } = await supabase
+      .from('chat_sessions')
+      .update({
+        summary,
+        summary_until_seq: untilSeq
+      })
+      .eq('id', sessionId);
+
+    if (error) throw error;
+  }
+}
+
+// Create singleton instance
+const chatMemoryService = new ChatMemoryService();
+
+module.exports = {
+  chatMemoryService,
+  ChatMemoryService
+};
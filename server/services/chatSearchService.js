@@ -0,0 +1,105 @@
+const { supabase } = require('../config/supabase');
+
+const SEARCH_ROLES = ['user', 'assistant'];
+
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+
+// search_chat_messages marks matches in snippets with these (see add-chat-search.sql)
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// Full-text search over a user's chat messages, across all their threads
+class ChatSearchService {
+  // filters: contractId, general (threads not about a contract), role, from, to (dates or
+  // timestamps; a date without a time includes that whole day). Resolves to { results, total }.
+  async search(userId, text, { contractId = null, general = false, role = null, from = null, to = null, page = 1, limit = SEARCH_PAGE_SIZE } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const { data, error } = await supabase.rpc('search_chat_messages', {
+      search_user_id: userId,
+      search_query: text,
+      search_contract_id: contractId,
+      search_general: general,
+      search_role: role,
+      search_from: from ? new Date(from).toISOString() : null,
+      search_to: to ? this.endOfRange(to) : null,
+      search_limit: pageSize,
+      search_offset: (pageNumber - 1) * pageSize
+    });
+
+    if (error) throw error;
+
+    const rows = data || [];
+    const contractTitles = await this.getContractTitles(userId, rows);
+
+    return {
+      results: rows.map(row => ({
+        messageId: row.id,
+        sessionId: row.session_id,
+        threadTitle: row.session_title,
+        contractId: row.contract_id,
+        contractTitle: row.contract_id ? (contractTitles.get(row.contract_id) || null) : null,
+        role: row.role,
+        ...this.parseSnippet(row.snippet),
+        score: row.rank,
+        timestamp: row.created_at
+      })),
+      total: rows.length > 0 ? Number(rows[0].total_count) : 0
+    };
+  }
+
+  // Exclusive end of a date range: the day after a plain date, so "to" includes that day
+  endOfRange(to) {
+    const end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCDate(end.getUTCDate() + 1);
+    }
+    return end.toISOString();
+  }
+
+  // A marked-up snippet as { snippet, highlights: [{ start, end }] }: the plain text and the
+  // character ranges of the matches in it
+  parseSnippet(marked) {
+    const highlights = [];
+    let snippet = '';
+    let start = null;
+
+    for (const char of marked || '') {
+      if (char === HIGHLIGHT_START) {
+        start = snippet.length;
+      } else if (char === HIGHLIGHT_END) {
+        if (start !== null) highlights.push({ start, end: snippet.length });
+        start = null;
+      } else {
+        snippet += char;
+      }
+    }
+
+    return { snippet, highlights };
+  }
+
+  async getContractTitles(userId, rows) {
+    const contractIds = [...new Set(rows.map(row => row.contract_id).filter(Boolean))];
+    if (contractIds.length === 0) return new Map();
+
+    const { data, error } = await supabase
+      .from('contracts')
+      .select('id, title')
+      .eq('user_id', userId)
+      .in('id', contractIds);
+
+    if (error) throw error;
+    return new Map((data || []).map(contract => [contract.id, contract.title]));
+  }
+}
+
+// Create singleton instance
+const chatSearchService = new ChatSearchService();
+
+module.exports = {
+  chatSearchService,
+  ChatSearchService,
+  SEARCH_ROLES
+};
@@ -0,0 +1,434 @@
+const { supabase } = require('../config/supabase');
+const { ollamaService } = require('./ollamaService');
+const { retrievalService } = require('./retrievalService');
+const { chatMemoryService } = require('./chatMemoryService');
+
+const DEMO_USER_ID = 'demo-user-123';
+
+// Threads created from a question are titled with its opening words
+const THREAD_TITLE_LENGTH = 60;
+const SESSION_COLUMNS = 'id, contract_id, title, archived_at, created_at, updated_at';
+// History pages; a thread opens on the newest page
+const MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 200;
+
+// Contracts available to unauthenticated (demo) users
+const DEMO_CONTRACTS = {
+  'employment-001': {
+    content: 'EMPLOYMENT AGREEMENT\n\nThis Employment Agreement is entered into between TechCorp Inc. and John Smith.\n\nPosition: Senior Software Engineer\nSalary: $95,000 annually\nBenefits: Health insurance, 401k matching, 3 weeks PTO\nTermination: Either party may terminate with 2 weeks notice\nNon-compete: 6 months in same industry within 50 miles\nConfidentiality: Employee agrees to protect company trade secrets',
+    file_name: 'Employment_Agreement_TechCorp.pdf',
+    status: 'completed'
+  },
+  'lease-002': {
+    content: 'RESIDENTIAL LEASE AGREEMENT\n\nLandlord: ABC Property Management\nTenant: Jane Doe\nProperty: 123 Main St, Apt 4B\nRent: $1,800 per month\nSecurity Deposit: $3,600\nLease Term: 12 months starting January 1, 2024\nPet Policy: No pets allowed\nUtilities: Tenant responsible for electricity and internet\nMaintenance: Landlord responsible for major repairs',
+    file_name: 'Lease_Agreement_MainSt.pdf',
+    status: 'completed'
+  }
+};
+
+// A query that can't be answered; status is the HTTP status to respond with
+class ChatQueryError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'ChatQueryError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Answers chat queries for the REST, SSE and Socket.IO chat endpoints
+class ChatService {
+  isDemoUser(userId) {
+    return userId === DEMO_USER_ID;
+  }
+
+  // Look up the contract a query is about. Throws ChatQueryError when the user can't chat
+  // with it (yet), so callers can reject the query before they start answering.
+  async getContract(userId, contractId) {
+    if (this.isDemoUser(userId)) {
+      return DEMO_CONTRACTS[contractId] || DEMO_CONTRACTS['employment-001'];
+    }
+
+    const { data, error } = await supabase
+      .from('contracts')
+      .select('id, title, content, file_name, status')
+      .eq('id', contractId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !data) {
+      throw new ChatQueryError('Contract not found', 404);
+    }
+
+    if (data.status !== 'completed') {
+      throw new ChatQueryError('Contract is still being processed. Please wait for processing to complete.', 400, {
+        status: data.status
+      });
+    }
+
+    return data;
+  }
+
+  // Look up what a query is about: the contract (see getContract) and, when sessionId is
+  // given, the thread to continue. The demo user's chats aren't stored, so their sessionId
+  // is ignored. Throws ChatQueryError when the thread can't take the query.
+  async prepareQuery(userId, { contractId, sessionId }) {
+    const contract = contractId ? await this.getContract(userId, contractId) : null;
+
+    if (!sessionId || this.isDemoUser(userId)) {
+      return { contract, session: null };
+    }
+
+    const session = await this.getSession(userId, sessionId);
+    if ((session.contract_id || null) !== (contractId || null)) {
+      throw new ChatQueryError('Chat thread belongs to a different contract', 400, {
+        contractId: session.contract_id
+      });
+    }
+    if (session.archived_at) {
+      throw new ChatQueryError('Chat thread is archived. Restore it to continue the conversation.', 409);
+    }
+
+    return { contract, session };
+  }
+
+  // Answer a query about a contract (contract from getContract) or, without one, across the
+  // user's completed contracts. session (from prepareQuery) supplies the earlier turns.
+  // options: onToken and signal stream the answer (see ollamaService.answerQuestion).
+  async answerQuery(userId, { query, contract = null, session = null }, options = {}) {
+    const { onToken, signal } = options;
+
+    // The user's model and parameters, shared by every model call for this query. The demo
+    // user has no stored settings.
+    const generation = await ollamaService.resolveGenerationSettings(
+      this.isDemoUser(userId) ? null : userId
+    );
+
+    const conversation = await chatMemoryService.buildConversation(userId, session, generation);
+
+    if (contract) {
+      console.log(`💬 Processing ${this.isDemoUser(userId) ? 'demo ' : ''}query about "${contract.file_name}": "${query}"`);
+
+      // Whole contract when it fits the context window, otherwise the best-matching chunks
+      const retrieval = await retrievalService.retrieveForContract(userId, contract, query, {
+        budget: retrievalService.getContextBudget(ollamaService.contextSize, query, generation.maxTokens, conversation.tokens)
+      });
+      if (retrieval.mode === 'retrieval') {
+        console.log(`📚 Using ${retrieval.chunks} of ${retrieval.totalChunks} chunks (~${retrieval.tokens} tokens) of "${contract.file_name}"`);
+      }
+
+      return ollamaService.answerQuestion(query, retrieval.context, {
+        generation, conversation, onToken, signal, sources: retrieval.sources
+      });
+    }
+
+    // General question - search across all user's completed contracts for context
+    console.log(`💬 Processing general query with RAG: "${query}"`);
+
+    // Get all user's completed contracts for potential context
+    const { data: userContracts, error: contractsError } = await supabase
+      .from('contracts')
+      .select('content, file_name, title')
+      .eq('user_id', userId)
+      .eq('status', 'completed')
+      .not('content', 'is', null);
+
+    if (contractsError || !userContracts || userContracts.length === 0) {
+      // No contracts available, answer as general AI
+      console.log(`💬 No contracts found, answering as general AI`);
+      return ollamaService.answerQuestion(query, null, { generation, conversation, onToken, signal });
+    }
+
+    console.log(`🔍 Found ${userContracts.length} completed contracts for RAG search`);
+
+    // RAG-enabled question answering, scoped to this user's documents. Nothing is generated
+    // when no relevant context is found, so a streamed answer is never thrown away.
+    const response = await ollamaService.answerQuestion(query, null, {
+      userId, generation, conversation, onToken, signal, requireContext: true
+    });
+    if (response.hasContext) {
+      return response;
+    }
+
+    // RAG didn't find relevant context, so provide contract list context
+    const contractList = userContracts.map(c => c.title || c.file_name).join(', ');
+    const contextualPrompt = `I have uploaded the following contracts: ${contractList}. ${query}`;
+
+    // Use a smaller subset of content to avoid token limits
+    const recentContent = userContracts.slice(0, 3).map(c =>
+      `Document: ${c.title || c.file_name}\nContent: ${c.content.substring(0, 1000)}...`
+    ).join('\n\n---\n\n');
+
+    return ollamaService.answerQuestion(contextualPrompt, recentContent, { generation, conversation, onToken, signal });
+  }
+
+  // Add the question and answer to the thread from prepareQuery, or to a new thread titled
+  // after the question. A cancelled answer is kept as far as it got. Resolves to
+  // { sessionId, messageId } (messageId: the saved answer, which feedback refers to), or null
+  // when nothing was saved. Never throws: a failed save must not fail the answer.
+  async saveExchange(userId, { contractId, session: target }, query, response) {
+    if (this.isDemoUser(userId)) return null;
+
+    try {
+      let sessionId = target ? target.id : null;
+      if (!sessionId) {
+        const { data, error } = await supabase
+          .from('chat_sessions')
+          .insert([{
+            contract_id: contractId || null,
+            user_id: userId,
+            title: this.titleFromQuery(query)
+          }])
+          .select('id')
+          .single();
+
+        if (error) throw error;
+        sessionId = data.id;
+      }
+
+      // One insert, so the answer always directly follows its question
+      const rows = [{
+        session_id: sessionId,
+        user_id: userId,
+        role: 'user',
+        content: query
+      }];
+      if (response.answer) {
+        rows.push({
+          session_id: sessionId,
+          user_id: userId,
+          role: 'assistant',
+          content: response.answer,
+          sources: response.sources || [],
+          has_context: !!response.hasContext,
+          generation: response.generation || null,
+          cancelled: !!response.cancelled
+        });
+      }
+
+      const { data: saved, error: insertError } = await supabase
+        .from('chat_messages')
+        .insert(rows)
+        .select('id, role');
+
+      if (insertError) {
+        // 23503: foreign key violation, the thread was deleted while the answer was generated
+        if (insertError.code === '23503') {
+          console.warn(`⚠️ [User: ${userId}] Chat thread ${sessionId} was deleted, answer not saved`);
+          return null;
+        }
+        throw insertError;
+      }
+
+      await supabase
+        .from('chat_sessions')
+        .update({ updated_at: new Date().toISOString() })
+        .eq('id', sessionId);
+
+      // Threads created without a title are named after their first question
+      if (target && !target.title) {
+        await supabase
+          .from('chat_sessions')
+          .update({ title: this.titleFromQuery(query) })
+          .eq('id', sessionId)
+          .is('title', null);
+      }
+
+      const answer = (saved || []).find(message => message.role === 'assistant');
+      return { sessionId, messageId: answer ? answer.id : null };
+    } catch (chatError) {
+      console.error('Chat session error:', chatError);
+      return null;
+    }
+  }
+
+  titleFromQuery(query) {
+    const title = query.replace(/\s+/g, ' ').trim();
+    return title.length > THREAD_TITLE_LENGTH
+      ? `${title.substring(0, THREAD_TITLE_LENGTH - 1).trim()}…`
+      : title;
+  }
+
+  // The user's threads, most recently active first. filters: contractId (one contract's
+  // threads), general (threads not about a contract), archived (archived threads instead of
+  // active ones).
+  async listSessions(userId, { contractId, general = false, archived = false } = {}) {
+    let query = supabase
+      .from('chat_sessions')
+      .select(SESSION_COLUMNS)
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false });
+
+    if (contractId) {
+      query = query.eq('contract_id', contractId);
+    } else if (general) {
+      query = query.is('contract_id', null);
+    }
+    query = archived ? query.not('archived_at', 'is', null) : query.is('archived_at', null);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).map(session => this.formatSession(session));
+  }
+
+  // A thread, with its conversation summary (see chatMemoryService). Throws ChatQueryError
+  // when it isn't the user's.
+  async getSession(userId, sessionId) {
+    const { data, error } = await supabase
+      .from('chat_sessions')
+      .select(`${SESSION_COLUMNS}, summary, summary_until_seq`)
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !data) {
+      throw new ChatQueryError('Chat thread not found', 404);
+    }
+    return data;
+  }
+
+  // One page of a thread's messages, oldest first: the newest ones, or those before the cursor
+  // from a previous page. Resolves to { messages, nextCursor }; nextCursor fetches the page of
+  // older messages and is null once the start of the thread is reached.
+  async getMessages(userId, sessionId, { before = null, limit = MESSAGE_PAGE_SIZE } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || MESSAGE_PAGE_SIZE, 1), MAX_MESSAGE_PAGE_SIZE);
+
+    let query = supabase
+      .from('chat_messages')
+      .select('id, seq, role, content, sources, has_context, generation, cancelled, feedback, created_at')
+      .eq('session_id', sessionId)
+      .eq('user_id', userId)
+      .order('seq', { ascending: false })
+      .limit(pageSize + 1);
+
+    if (before) {
+      query = query.lt('seq', before);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const rows = data || [];
+    const page = rows.slice(0, pageSize).reverse();
+
+    return {
+      messages: page.map(row => this.formatMessage(row)),
+      nextCursor: rows.length > pageSize ? String(page[0].seq) : null
+    };
+  }
+
+  // A new, empty thread about contractId (null for general chat)
+  async createSession(userId, { contractId = null, title = null } = {}) {
+    if (contractId) {
+      const { data: contract } = await supabase
+        .from('contracts')
+        .select('id')
+        .eq('id', contractId)
+        .eq('user_id', userId)
+        .single();
+
+      if (!contract) {
+        throw new ChatQueryError('Contract not found', 404);
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('chat_sessions')
+      .insert([{
+        contract_id: contractId,
+        user_id: userId,
+        title: title ? title.trim() : null
+      }])
+      .select(SESSION_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return this.formatSession(data);
+  }
+
+  // Rename and/or archive (archived: true) or restore (archived: false) a thread
+  async updateSession(userId, sessionId, { title, archived }) {
+    const updates = {};
+    if (title !== undefined) updates.title = title.trim();
+    if (archived !== undefined) updates.archived_at = archived ? new Date().toISOString() : null;
+
+    const { data, error } = await supabase
+      .from('chat_sessions')
+      .update(updates)
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .select(SESSION_COLUMNS)
+      .single();
+
+    if (error || !data) {
+      throw new ChatQueryError('Chat thread not found', 404);
+    }
+    return this.formatSession(data);
+  }
+
+  async deleteSession(userId, sessionId) {
+    const { data, error } = await supabase
+      .from('chat_sessions')
+      .delete()
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw new ChatQueryError('Chat thread not found', 404);
+    }
+  }
+
+  formatSession(session) {
+    return {
+      id: session.id,
+      contractId: session.contract_id,
+      title: session.title,
+      archived: !!session.archived_at,
+      archivedAt: session.archived_at,
+      createdAt: session.created_at,
+      updatedAt: session.updated_at
+    };
+  }
+
+  // A chat_messages row as the chat history endpoints return it
+  formatMessage(row) {
+    return {
+      id: row.id,
+      role: row.role,
+      content: row.content,
+      timestamp: row.created_at,
+      sources: row.sources || [],
+      hasContext: row.has_context,
+      generation: row.generation || null,
+      cancelled: !!row.cancelled,
+      feedback: row.feedback || null
+    };
+  }
+
+  // Response body shared by the chat endpoints; saved is where saveExchange stored the exchange
+  formatResponse(response, contractId, saved = null) {
+    return {
+      sessionId: saved ? saved.sessionId : null,
+      messageId: saved ? saved.messageId : null,
+      answer: response.answer,
+      sources: response.sources || [],
+      hasContext: response.hasContext || !!contractId,
+      generation: response.generation || null,
+      cancelled: !!response.cancelled,
+      contractId: contractId || null
+    };
+  }
+}
+
+// Create singleton instance
+const chatService = new ChatService();
+
+module.exports = {
+  chatService,
+  ChatService,
+  ChatQueryError,
+  DEMO_USER_ID
+};
@@ -0,0 +1,328 @@
+// Clause taxonomy. Heading phrases are strong signals; body phrases are weaker ones.
+const CLAUSE_TYPES = {
+  definitions: {
+    label: 'Definitions',
+    heading: ['definitions', 'interpretation', 'defined terms'],
+    body: ['shall mean', 'means', 'defined as', 'for the purposes of this agreement']
+  },
+  term: {
+    label: 'Term',
+    heading: ['term of agreement', 'term', 'duration', 'commencement'],
+    body: ['effective date', 'shall commence', 'remain in effect', 'initial term', 'period of']
+  },
+  renewal: {
+    label: 'Renewal',
+    heading: ['renewal', 'automatic renewal', 'extension'],
+    body: ['automatically renew', 'auto-renew', 'successive', 'renewal term', 'notice of non-renewal']
+  },
+  termination: {
+    label: 'Termination',
+    heading: ['termination', 'term and termination', 'cancellation'],
+    body: ['terminate', 'termination', 'material breach', 'upon written notice', 'for convenience', 'insolvency']
+  },
+  payment: {
+    label: 'Payment',
+    heading: ['payment', 'fees', 'compensation', 'price', 'invoicing', 'charges'],
+    body: ['invoice', 'payable', 'fee', 'late payment', 'interest', 'net 30', 'reimburse', 'price']
+  },
+  confidentiality: {
+    label: 'Confidentiality',
+    heading: ['confidentiality', 'confidential information', 'non-disclosure'],
+    body: ['confidential information', 'shall not disclose', 'non-disclosure', 'proprietary information', 'trade secret']
+  },
+  indemnity: {
+    label: 'Indemnity',
+    heading: ['indemnification', 'indemnity', 'indemnities'],
+    body: ['indemnify', 'hold harmless', 'defend', 'indemnification', 'third-party claims']
+  },
+  limitation_of_liability: {
+    label: 'Limitation of Liability',
+    heading: ['limitation of liability', 'limitations of liability', 'liability'],
+    body: ['in no event shall', 'consequential damages', 'aggregate liability', 'shall not be liable', 'lost profits', 'indirect']
+  },
+  warranty: {
+    label: 'Warranties',
+    heading: ['warranties', 'warranty', 'representations and warranties', 'representations'],
+    body: ['represents and warrants', 'warrants that', 'as is', 'disclaims all warranties', 'merchantability', 'fitness for a particular purpose']
+  },
+  ip_assignment: {
+    label: 'IP Assignment',
+    heading: ['intellectual property', 'ownership', 'work product', 'inventions', 'ip rights'],
+    body: ['intellectual property', 'hereby assigns', 'work made for hire', 'inventions', 'copyright', 'patent', 'moral rights']
+  },
+  non_compete: {
+    label: 'Non-Compete',
+    heading: ['non-compete', 'non-competition', 'restrictive covenants', 'covenant not to compete'],
+    body: ['compete', 'competing business', 'competitive business', 'restricted period', 'restricted territory']
+  },
+  non_solicitation: {
+    label: 'Non-Solicitation',
+    heading: ['non-solicitation', 'non-solicit', 'no hire'],
+    body: ['solicit', 'induce any employee', 'hire any employee']
+  },
+  data_protection: {
+    label: 'Data Protection',
+    heading: ['data protection', 'privacy', 'personal data', 'data security'],
+    body: ['personal data', 'gdpr', 'data subject', 'data processor', 'data controller', 'security breach']
+  },
+  governing_law: {
+    label: 'Governing Law',
+    heading: ['governing law', 'applicable law', 'choice of law', 'jurisdiction'],
+    body: ['governed by', 'laws of the state', 'laws of', 'exclusive jurisdiction', 'courts of']
+  },
+  dispute_resolution: {
+    label: 'Dispute Resolution',
+    heading: ['dispute resolution', 'disputes', 'arbitration', 'mediation'],
+    body: ['arbitration', 'arbitrator', 'mediation', 'dispute', 'binding arbitration']
+  },
+  force_majeure: {
+    label: 'Force Majeure',
+    heading: ['force majeure', 'acts of god'],
+    body: ['force majeure', 'act of god', 'beyond its reasonable control', 'pandemic', 'natural disaster', 'war']
+  },
+  assignment: {
+    label: 'Assignment',
+    heading: ['assignment', 'assignment and delegation', 'transfer'],
+    body: ['may not assign', 'shall not assign', 'assign this agreement', 'successors and assigns', 'delegate']
+  },
+  insurance: {
+    label: 'Insurance',
+    heading: ['insurance'],
+    body: ['insurance', 'policy limits', 'additional insured', 'coverage']
+  },
+  notices: {
+    label: 'Notices',
+    heading: ['notices', 'notice'],
+    body: ['notice shall be', 'in writing and delivered', 'certified mail', 'address set forth']
+  },
+  entire_agreement: {
+    label: 'Entire Agreement',
+    heading: ['entire agreement', 'integration', 'miscellaneous', 'general provisions'],
+    body: ['entire agreement', 'supersedes all prior', 'severability', 'counterparts', 'waiver', 'amendment']
+  },
+  other: {
+    label: 'Other',
+    heading: [],
+    body: []
+  }
+};
+
+// Numbered headings: "1.", "1.2", "12.3.4)", "Section 5", "ARTICLE IV", "Clause 7:"
+const KEYWORD_HEADING = /^[ \t]*(?:article|section|clause)[ \t]+((?:\d+|[ivxlc]+)(?:\.\d+)*)[ \t]*[.:)\-–—]?[ \t]*(.*)$/i;
+const NUMBERED_HEADING = /^[ \t]*(\d{1,3}(?:\.\d{1,3})*)(?:[.)]|\.?(?=[ \t]))[ \t]+([A-Z(].*)$/;
+
+const MAX_HEADING_LENGTH = 120;
+const EXCERPT_LENGTH = 200;
+
+class ClauseService {
+  getTaxonomy() {
+    return Object.entries(CLAUSE_TYPES).map(([type, definition]) => ({
+      type,
+      label: definition.label
+    }));
+  }
+
+  // Split a contract into numbered clauses and tag each with a taxonomy type.
+  // Offsets index into the exact text passed in (the stored contract content).
+  extractClauses(text) {
+    if (!text || !text.trim()) return [];
+
+    let segments = this.segmentByHeadings(text);
+    if (segments.length < 2) {
+      segments = this.segmentByParagraphs(text);
+    }
+
+    const clauses = segments.map((segment, index) => {
+      const body = text.slice(segment.charStart, segment.charEnd);
+      const classification = this.classify(segment.heading, body);
+
+      return {
+        index,
+        number: segment.number,
+        heading: segment.heading,
+        level: segment.number ? segment.number.split('.').length : 1,
+        type: classification.type,
+        typeLabel: CLAUSE_TYPES[classification.type].label,
+        confidence: classification.confidence,
+        charStart: segment.charStart,
+        charEnd: segment.charEnd,
+        excerpt: body.replace(/\s+/g, ' ').trim().slice(0, EXCERPT_LENGTH)
+      };
+    });
+
+    this.inheritParentTypes(clauses);
+    return clauses;
+  }
+
+  // Count clauses per type, e.g. { termination: 2, payment: 1 }
+  summarize(clauses) {
+    return clauses.reduce((acc, clause) => {
+      acc[clause.type] = (acc[clause.type] || 0) + 1;
+      return acc;
+    }, {});
+  }
+
+  segmentByHeadings(text) {
+    const headings = [];
+    const linePattern = /[^\n]*(?:\n|$)/g;
+    let lastTopLevel = 0;
+    let match;
+
+    while ((match = linePattern.exec(text)) !== null && match[0].length > 0) {
+      const line = match[0].replace(/\r?\n$/, '');
+      const heading = this.parseHeading(line);
+      if (!heading) continue;
+
+      // Numbering must move forward, so a line starting "12 January" inside clause 12 is not a heading
+      const topLevel = parseInt(heading.number.split('.')[0]);
+      if (!Number.isNaN(topLevel)) {
+        const isSubClause = heading.number.includes('.') && topLevel === lastTopLevel;
+        const isNextClause = topLevel > lastTopLevel && topLevel <= lastTopLevel + 2;
+        if (!heading.explicit && !isSubClause && !isNextClause) continue;
+        lastTopLevel = topLevel;
+      }
+
+      headings.push({ number: heading.number, heading: heading.heading, charStart: match.index + (line.length - line.trimStart().length) });
+    }
+
+    if (headings.length === 0) return [];
+
+    const segments = [];
+
+    // Recitals or party details before the first numbered clause
+    const preamble = text.slice(0, headings[0].charStart);
+    if (preamble.trim()) {
+      segments.push(this.trimSegment(text, { number: null, heading: 'Preamble', charStart: 0, charEnd: headings[0].charStart }));
+    }
+
+    headings.forEach((heading, index) => {
+      const charEnd = index + 1 < headings.length ? headings[index + 1].charStart : text.length;
+      segments.push(this.trimSegment(text, { ...heading, charEnd }));
+    });
+
+    return segments;
+  }
+
+  parseHeading(line) {
+    const keywordMatch = line.match(KEYWORD_HEADING);
+    if (keywordMatch) {
+      return {
+        number: keywordMatch[1],
+        heading: this.cleanHeading(keywordMatch[2]) || line.trim(),
+        explicit: true // "Section"/"Article" headings are trusted even when numbering jumps
+      };
+    }
+
+    const numberedMatch = line.match(NUMBERED_HEADING);
+    if (numberedMatch) {
+      // Skip things like "2024 The parties..." and list items that are really amounts
+      const topLevel = parseInt(numberedMatch[1].split('.')[0]);
+      if (topLevel === 0 || topLevel > 200) return null;
+
+      return {
+        number: numberedMatch[1],
+        heading: this.cleanHeading(numberedMatch[2])
+      };
+    }
+
+    return null;
+  }
+
+  // Use the first sentence (or title-like prefix) of the heading line
+  cleanHeading(rest) {
+    const trimmed = (rest || '').trim();
+    if (!trimmed) return '';
+
+    const titleMatch = trimmed.match(/^([^.:;]{1,120})[.:;]/);
+    const heading = titleMatch ? titleMatch[1] : trimmed;
+    return heading.length > MAX_HEADING_LENGTH ? `${heading.slice(0, MAX_HEADING_LENGTH).trim()}…` : heading.trim();
+  }
+
+  // Fallback for unnumbered documents: one clause per paragraph block
+  segmentByParagraphs(text) {
+    const segments = [];
+    const blockPattern = /\S[\s\S]*?(?=\n[ \t]*\n|$)/g;
+    let match;
+
+    while ((match = blockPattern.exec(text)) !== null) {
+      const firstLine = match[0].split('\n')[0];
+      segments.push({
+        number: String(segments.length + 1),
+        heading: this.cleanHeading(firstLine),
+        charStart: match.index,
+        charEnd: match.index + match[0].trimEnd().length
+      });
+    }
+
+    return segments;
+  }
+
+  trimSegment(text, segment) {
+    let { charEnd } = segment;
+    while (charEnd > segment.charStart && /\s/.test(text[charEnd - 1])) {
+      charEnd--;
+    }
+    return { ...segment, charEnd };
+  }
+
+  classify(heading, body) {
+    const normalizedHeading = (heading || '').toLowerCase();
+    const normalizedBody = body.toLowerCase();
+    let best = { type: 'other', score: 0, headingHit: false };
+
+    for (const [type, definition] of Object.entries(CLAUSE_TYPES)) {
+      const headingHit = definition.heading.some(phrase => this.containsPhrase(normalizedHeading, phrase));
+      const bodyHits = definition.body.filter(phrase => this.containsPhrase(normalizedBody, phrase)).length;
+      const score = (headingHit ? 3 : 0) + Math.min(bodyHits, 3);
+
+      if (score > best.score) {
+        best = { type, score, headingHit };
+      }
+    }
+
+    if (best.score < 2 && !best.headingHit) {
+      return { type: 'other', confidence: 0 };
+    }
+
+    const confidence = best.headingHit
+      ? Math.min(0.7 + 0.1 * (best.score - 3), 0.95)
+      : Math.min(0.3 + 0.15 * best.score, 0.75);
+
+    return { type: best.type, confidence: Math.round(confidence * 100) / 100 };
+  }
+
+  containsPhrase(text, phrase) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`).test(text);
+  }
+
+  // Untyped sub-clauses (e.g. 8.2) belong to the same topic as their parent (8)
+  inheritParentTypes(clauses) {
+    const byNumber = new Map();
+
+    for (const clause of clauses) {
+      if (!clause.number) continue;
+      byNumber.set(clause.number, clause);
+
+      if (clause.type !== 'other') continue;
+
+      const parentNumber = clause.number.split('.').slice(0, -1).join('.');
+      const parent = parentNumber ? byNumber.get(parentNumber) : null;
+
+      if (parent && parent.type !== 'other') {
+        clause.type = parent.type;
+        clause.typeLabel = parent.typeLabel;
+        clause.confidence = Math.round(parent.confidence * 0.8 * 100) / 100;
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const clauseService = new ClauseService();
+
+module.exports = {
+  clauseService,
+  ClauseService,
+  CLAUSE_TYPES
+};
@@ -0,0 +1,203 @@
+// Deterministic extraction of the parties and key dates of a contract, for listings
+// and portfolio exports. Pattern based like clauseService, so no model call is needed.
+
+// Parties are normally introduced in the preamble
+const PREAMBLE_LENGTH = 3000;
+
+// Defined terms that name a party, e.g. Acme Ltd ("Supplier")
+const PARTY_ROLES = [
+  'client', 'customer', 'supplier', 'vendor', 'provider', 'service provider', 'contractor',
+  'subcontractor', 'consultant', 'company', 'employer', 'employee', 'licensor', 'licensee',
+  'landlord', 'tenant', 'lessor', 'lessee', 'buyer', 'seller', 'purchaser', 'distributor',
+  'reseller', 'partner', 'agent', 'principal', 'borrower', 'lender', 'discloser', 'recipient',
+  'disclosing party', 'receiving party', 'party a', 'party b', 'first party', 'second party'
+];
+const DEFINED_TERM_PATTERN = /\(\s*(?:hereinafter\s+(?:referred to as\s+)?)?(?:the\s+)?["“']([A-Za-z][A-Za-z ]{1,30}?)["”']\s*\)/g;
+const BETWEEN_PATTERN = /\bbetween\s+([^,\n;(]{2,80}?)\s+and\s+([^,\n;(.]{2,80})/i;
+// Only hard boundaries: "and" also appears inside names and descriptions ("England and Wales")
+const PARTY_SEPARATOR = /(?:\bbetween\b|[;\n)])\s*/gi;
+const LEADING_CONJUNCTION = /^[\s,]*(?:and|by|with)\s+/i;
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+const MONTH_NAME = '(January|February|March|April|May|June|July|August|September|October|November|December)';
+const DATE_PATTERN = new RegExp(
+  `\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b` +
+  `|\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:day\\s+of\\s+)?${MONTH_NAME},?\\s+(\\d{4})\\b` +
+  '|\\b(\\d{4})-(\\d{2})-(\\d{2})\\b' +
+  '|\\b(\\d{1,2})[/.](\\d{1,2})[/.](\\d{4})\\b',
+  'gi'
+);
+
+// What a date is, judged from the words just before it
+const DATE_TYPES = [
+  { type: 'effective', label: 'Effective date', pattern: /effective|commenc|start(?:ing)? (?:on|date)|as of/i },
+  { type: 'expiration', label: 'Expiration date', pattern: /expir|terminat|end(?:s|ing)? on|until|through/i },
+  { type: 'renewal', label: 'Renewal date', pattern: /renew/i },
+  { type: 'signature', label: 'Signature date', pattern: /dated|signed|execut|made (?:on|this)|entered into (?:on|this)/i }
+];
+const DATE_CONTEXT_LENGTH = 80;
+
+const TERM_PATTERN = /\b(?:initial\s+)?term\s+of\s+(?:(\w+)\s+)?\(?(\d+)?\)?\s*(day|week|month|year)s?\b/i;
+
+class ContractFactsService {
+  extract(text = '') {
+    return {
+      parties: this.extractParties(text),
+      keyDates: this.extractKeyDates(text),
+      term: this.extractTerm(text)
+    };
+  }
+
+  // [{ name, role }], in order of appearance
+  extractParties(text) {
+    const preamble = text.slice(0, PREAMBLE_LENGTH);
+    const parties = [];
+    const seenRoles = new Set();
+    let match;
+
+    DEFINED_TERM_PATTERN.lastIndex = 0;
+    while ((match = DEFINED_TERM_PATTERN.exec(preamble)) !== null) {
+      const role = match[1].trim();
+      if (!PARTY_ROLES.includes(role.toLowerCase()) || seenRoles.has(role.toLowerCase())) continue;
+
+      seenRoles.add(role.toLowerCase());
+      parties.push({
+        name: this.partyNameBefore(preamble, match.index),
+        role
+      });
+    }
+
+    if (parties.length > 0) return parties;
+
+    // No defined terms: fall back to "between X and Y"
+    const between = preamble.match(BETWEEN_PATTERN);
+    if (!between) return [];
+
+    return [between[1], between[2]]
+      .map(name => this.cleanPartyName(name))
+      .filter(Boolean)
+      .map(name => ({ name, role: null }));
+  }
+
+  // The party name is the text since the previous separator, minus any description
+  // ("Acme Ltd, a company registered in England ..." -> "Acme Ltd")
+  partyNameBefore(text, index) {
+    const before = text.slice(Math.max(0, index - 200), index);
+    let start = 0;
+    let separator;
+
+    PARTY_SEPARATOR.lastIndex = 0;
+    while ((separator = PARTY_SEPARATOR.exec(before)) !== null) {
+      start = separator.index + separator[0].length;
+    }
+
+    return this.cleanPartyName(before.slice(start).replace(LEADING_CONJUNCTION, ''));
+  }
+
+  cleanPartyName(name) {
+    const cleaned = name
+      .split(/,\s*(?:a|an|the|whose|with|having|of)\b/i)[0]
+      .replace(/^[\s,:"“”']+|[\s,:"“”']+$/g, '')
+      .replace(/\s+/g, ' ');
+
+    return cleaned.length >= 2 && cleaned.length <= 80 ? cleaned : null;
+  }
+
+  // [{ type, label, date (YYYY-MM-DD or null when ambiguous), text, charStart }], one per type
+  extractKeyDates(text) {
+    const dates = [];
+    const seenTypes = new Set();
+    let match;
+
+    DATE_PATTERN.lastIndex = 0;
+    while ((match = DATE_PATTERN.exec(text)) !== null) {
+      const context = text.slice(Math.max(0, match.index - DATE_CONTEXT_LENGTH), match.index);
+      const dateType = this.classifyDate(context);
+      if (!dateType || seenTypes.has(dateType.type)) continue;
+
+      seenTypes.add(dateType.type);
+      dates.push({
+        type: dateType.type,
+        label: dateType.label,
+        date: this.toIsoDate(match),
+        text: match[0],
+        charStart: match.index
+      });
+    }
+
+    return dates;
+  }
+
+  // The keyword closest to the date wins
+  classifyDate(context) {
+    let best = null;
+    let bestPosition = -1;
+
+    DATE_TYPES.forEach(dateType => {
+      const pattern = new RegExp(dateType.pattern.source, 'gi');
+      let found;
+      while ((found = pattern.exec(context)) !== null) {
+        if (found.index > bestPosition) {
+          bestPosition = found.index;
+          best = dateType;
+        }
+      }
+    });
+
+    return best;
+  }
+
+  toIsoDate(match) {
+    let year;
+    let month;
+    let day;
+
+    if (match[1]) {
+      [month, day, year] = [MONTHS.indexOf(match[1].toLowerCase()) + 1, Number(match[2]), Number(match[3])];
+    } else if (match[5]) {
+      [day, month, year] = [Number(match[4]), MONTHS.indexOf(match[5].toLowerCase()) + 1, Number(match[6])];
+    } else if (match[7]) {
+      [year, month, day] = [Number(match[7]), Number(match[8]), Number(match[9])];
+    } else {
+      // 03/04/2025 could be March or April; only convert when one reading is impossible
+      const [first, second] = [Number(match[10]), Number(match[11])];
+      if (first > 12 && second <= 12) [day, month] = [first, second];
+      else if (second > 12 && first <= 12) [month, day] = [first, second];
+      else return null;
+      year = Number(match[12]);
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().split('T')[0];
+  }
+
+  // "a term of twelve (12) months" -> "12 months"
+  extractTerm(text) {
+    const match = text.match(TERM_PATTERN);
+    if (!match) return null;
+
+    const count = match[2] || this.wordToNumber(match[1]);
+    if (!count) return null;
+    return `${count} ${match[3].toLowerCase()}${Number(count) === 1 ? '' : 's'}`;
+  }
+
+  wordToNumber(word = '') {
+    const numbers = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+    if (/^\d+$/.test(word)) return word;
+    const index = numbers.indexOf(word.toLowerCase());
+    return index > 0 ? String(index) : null;
+  }
+}
+
+// Create singleton instance
+const contractFactsService = new ContractFactsService();
+
+module.exports = {
+  contractFactsService,
+  ContractFactsService,
+  DATE_TYPES
+};
@@ -0,0 +1,672 @@
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const WordExtractor = require('word-extractor');
+const pdf = require('pdf-parse');
+
+// The pdf.js build pdf-parse loads, for reading the images on scanned pages
+const PDFJS_BUILD = 'pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js';
+
+// Decoded image formats pdf.js hands out (its ImageKind)
+const IMAGE_KIND = { grayscale1bpp: 1, rgb24bpp: 2, rgba32bpp: 3 };
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const DOC_MIME_TYPE = 'application/msword';
+
+// Elements whose text should never reach the extracted content
+const SKIPPED_ELEMENTS = new Set([
+  'w:delText',      // Deleted text in tracked changes
+  'w:instrText',    // Field codes (PAGE, TOC, HYPERLINK ...)
+  'w:pPr',
+  'w:rPr',
+  'w:sectPr',
+  'w:tblPr',
+  'w:trPr',
+  'w:tcPr',
+  'w:moveFrom'      // Source of a tracked move; the text lives on in w:moveTo
+]);
+
+// Marks where a page starts while a DOCX is rendered; removed again once positions are known
+const PAGE_BREAK = '\uE000';
+
+class DocumentService {
+  constructor() {
+    this.wordExtractor = new WordExtractor();
+  }
+
+  // Check whether a file is a Word document we know how to parse
+  isWordDocument(file) {
+    return file.mimetype === DOCX_MIME_TYPE || file.mimetype === DOC_MIME_TYPE;
+  }
+
+  // Extract text from a Word document, picking the parser from the file signature
+  async extractWordText(file) {
+    // Browsers label files by extension, so trust the bytes: DOCX is a ZIP archive
+    if (this.isZipArchive(file.buffer)) {
+      return this.extractDocxText(file.buffer);
+    }
+    return this.extractDocText(file.buffer);
+  }
+
+  // Extract text from a PDF. pageOffsets[i] is where page i + 1 starts in text, so positions
+  // in the text (chunks, citations) can be mapped back to pages with pageAt(); pageTexts[i]
+  // is page i + 1's text layer.
+  async extractPdfText(buffer) {
+    const pageTexts = [];
+    const data = await pdf(buffer, {
+      pagerender: async (pageData) => {
+        try {
+          const text = await this.renderPdfPage(pageData);
+          pageTexts.push(text);
+          return text;
+        } catch (error) {
+          pageTexts.push(''); // pdf-parse renders a failed page as empty text
+          throw error;
+        }
+      }
+    });
+
+    return { ...this.joinPdfPages(pageTexts), pageCount: data.numpages, pageTexts };
+  }
+
+  // Page texts joined the way pdf-parse does it, a blank line before every page
+  joinPdfPages(pageTexts) {
+    const pageOffsets = [];
+    let text = '';
+    pageTexts.forEach(pageText => {
+      text += '\n\n';
+      pageOffsets.push(text.length);
+      text += pageText;
+    });
+    return { text, pageOffsets };
+  }
+
+  // The largest image on each of the given (1-based) pages, as a BMP for OCR. Scanned PDFs
+  // keep every page as one image. Resolves to Map(page -> Buffer); pages without one are left out.
+  async extractPdfPageImages(buffer, pages) {
+    const PDFJS = require(PDFJS_BUILD);
+    PDFJS.disableWorker = true;
+
+    // Decode JPEG images in pdf.js: there is no browser image decoder in Node
+    const doc = await PDFJS.getDocument({ data: new Uint8Array(buffer), nativeImageDecoderSupport: 'none' });
+    const images = new Map();
+
+    try {
+      for (const pageNumber of pages) {
+        if (pageNumber < 1 || pageNumber > doc.numPages) continue;
+
+        const page = await doc.getPage(pageNumber);
+        const operators = await page.getOperatorList();
+        let largest = null;
+
+        operators.fnArray.forEach((operator, index) => {
+          if (operator !== PDFJS.OPS.paintImageXObject) return;
+          const image = page.objs.get(operators.argsArray[index][0]);
+          if (image && image.data && (!largest || image.width * image.height > largest.width * largest.height)) {
+            largest = image;
+          }
+        });
+
+        if (largest) images.set(pageNumber, this.encodeBmp(largest));
+      }
+    } finally {
+      doc.destroy();
+    }
+
+    return images;
+  }
+
+  // A decoded pdf.js image ({ width, height, kind, data }) as a 24-bit BMP file
+  encodeBmp({ width, height, kind, data }) {
+    const rowSize = Math.ceil((width * 3) / 4) * 4; // Rows are padded to 4 bytes
+    const headerSize = 54;
+    const bmp = Buffer.alloc(headerSize + rowSize * height);
+
+    bmp.write('BM', 0, 'ascii');
+    bmp.writeUInt32LE(bmp.length, 2);
+    bmp.writeUInt32LE(headerSize, 10);
+    bmp.writeUInt32LE(40, 14); // BITMAPINFOHEADER
+    bmp.writeInt32LE(width, 18);
+    bmp.writeInt32LE(height, 22);
+    bmp.writeUInt16LE(1, 26);
+    bmp.writeUInt16LE(24, 28);
+    bmp.writeUInt32LE(rowSize * height, 34);
+
+    const bytesPerPixel = kind === IMAGE_KIND.rgba32bpp ? 4 : 3;
+    const packedRowSize = Math.ceil(width / 8);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let red, green, blue;
+        if (kind === IMAGE_KIND.grayscale1bpp) {
+          // One bit per pixel, set for white
+          const bit = (data[y * packedRowSize + (x >> 3)] >> (7 - (x & 7))) & 1;
+          red = green = blue = bit ? 255 : 0;
+        } else {
+          const source = (y * width + x) * bytesPerPixel;
+          [red, green, blue] = [data[source], data[source + 1], data[source + 2]];
+        }
+
+        const target = headerSize + (height - 1 - y) * rowSize + x * 3; // Bottom row first
+        bmp[target] = blue;
+        bmp[target + 1] = green;
+        bmp[target + 2] = red;
+      }
+    }
+
+    return bmp;
+  }
+
+  // pdf-parse's default page renderer: text items joined, with a line break wherever the
+  // baseline moves
+  async renderPdfPage(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    return text;
+  }
+
+  // 1-based page containing a character position, or null when page positions are unknown
+  pageAt(pageOffsets, position) {
+    if (!pageOffsets || pageOffsets.length === 0 || position === null || position === undefined) {
+      return null;
+    }
+
+    let page = 1;
+    while (page < pageOffsets.length && pageOffsets[page] <= position) page++;
+    return page;
+  }
+
+  // Split text with a langchain splitter, keeping each chunk's position in the original text
+  async splitWithOffsets(text, splitter) {
+    const chunks = await splitter.splitText(text);
+    let searchFrom = 0;
+
+    return chunks.map((content, index) => {
+      let start = text.indexOf(content, searchFrom);
+      if (start === -1) start = text.indexOf(content);
+
+      if (start !== -1) {
+        // The next chunk can only reach back into this one by the splitter's overlap
+        const overlap = (splitter.chunkOverlap || 0) + 20;
+        searchFrom = start + Math.max(1, content.length - overlap);
+      }
+
+      return {
+        chunkIndex: index,
+        content,
+        charStart: start === -1 ? null : start,
+        charEnd: start === -1 ? null : start + content.length
+      };
+    });
+  }
+
+  isZipArchive(buffer) {
+    return buffer.length > 4 && buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04;
+  }
+
+  // Parse a DOCX package: body, numbering, tables, headers/footers and tracked changes
+  async extractDocxText(buffer) {
+    console.log('📘 Extracting text from DOCX...');
+
+    const zip = await JSZip.loadAsync(buffer);
+    const documentXml = await this.readZipXml(zip, 'word/document.xml');
+
+    if (!documentXml) {
+      throw new Error('Invalid DOCX file: word/document.xml is missing');
+    }
+
+    const context = {
+      numbering: this.parseNumbering(await this.readZipXml(zip, 'word/numbering.xml')),
+      styleNumbering: this.parseStyleNumbering(await this.readZipXml(zip, 'word/styles.xml')),
+      counters: new Map(), // numId -> array of level counters
+      trackedChanges: [],
+      // Word records where pages broke when it last laid the document out; files from other
+      // tools only have explicit page breaks
+      pageBreaks: this.descendants(documentXml.documentElement, 'w:lastRenderedPageBreak').length > 0
+        ? 'rendered'
+        : 'explicit'
+    };
+
+    const body = this.firstChild(documentXml.documentElement, 'w:body');
+    const bodyText = body ? this.renderBlocks(body, context) : '';
+
+    const headers = await this.renderParts(zip, /^word\/header\d*\.xml$/, context);
+    const footers = await this.renderParts(zip, /^word\/footer\d*\.xml$/, context);
+
+    const sections = [];
+    if (headers.length > 0) sections.push(headers.join('\n'));
+    sections.push(bodyText);
+    if (footers.length > 0) sections.push(footers.join('\n'));
+
+    const { text, pageOffsets } = this.splitPages(this.normalizeWhitespace(sections.join('\n\n')));
+
+    console.log(`✅ DOCX extracted: ${text.length} characters, ${context.trackedChanges.length} tracked changes`);
+
+    return {
+      text,
+      headers: headers.map(header => this.splitPages(header).text),
+      footers: footers.map(footer => this.splitPages(footer).text),
+      trackedChanges: context.trackedChanges,
+      pageCount: await this.readPageCount(zip),
+      pageOffsets
+    };
+  }
+
+  // Legacy binary .doc files go through word-extractor
+  async extractDocText(buffer) {
+    console.log('📗 Extracting text from legacy DOC...');
+
+    const doc = await this.wordExtractor.extract(buffer);
+    const headers = doc.getHeaders({ includeFooters: false }).trim();
+    const footers = doc.getFooters().trim();
+    const body = doc.getBody();
+
+    const sections = [];
+    if (headers) sections.push(headers);
+    sections.push(body);
+    if (footers) sections.push(footers);
+
+    const text = this.normalizeWhitespace(sections.join('\n\n'));
+
+    console.log(`✅ DOC extracted: ${text.length} characters`);
+
+    return {
+      text,
+      headers: headers ? [headers] : [],
+      footers: footers ? [footers] : [],
+      trackedChanges: [],
+      pageCount: null, // Not recorded in the binary format
+      pageOffsets: null
+    };
+  }
+
+  // Remove the page break marks from rendered text, with where each page starts in what is left
+  splitPages(marked) {
+    const parts = marked.split(PAGE_BREAK);
+    const pageOffsets = [0];
+    let text = parts[0];
+
+    for (const part of parts.slice(1)) {
+      // A break at the very start or end, or two in a row, starts no new page
+      if (text.length > pageOffsets[pageOffsets.length - 1] && part.trim()) {
+        pageOffsets.push(text.length);
+      }
+      text += part;
+    }
+
+    // A break at the end leaves the whitespace before it
+    return { text: text.trimEnd(), pageOffsets };
+  }
+
+  // Page count as last saved by Word (docProps/app.xml); null when absent
+  async readPageCount(zip) {
+    const appXml = await this.readZipXml(zip, 'docProps/app.xml');
+    if (!appXml) return null;
+
+    const pages = appXml.getElementsByTagName('Pages')[0];
+    const count = pages ? parseInt(pages.textContent) : NaN;
+    return Number.isNaN(count) ? null : count;
+  }
+
+  async readZipXml(zip, path) {
+    const entry = zip.file(path);
+    if (!entry) return null;
+
+    const xml = await entry.async('string');
+    return new DOMParser().parseFromString(xml, 'text/xml');
+  }
+
+  // Render every header or footer part, dropping duplicates (first/even/default pages often repeat)
+  async renderParts(zip, pattern, context) {
+    const paths = Object.keys(zip.files).filter(path => pattern.test(path)).sort();
+    const rendered = [];
+
+    for (const path of paths) {
+      const xml = await this.readZipXml(zip, path);
+      if (!xml) continue;
+
+      const text = this.normalizeWhitespace(this.renderBlocks(xml.documentElement, context));
+      if (text && !rendered.includes(text)) {
+        rendered.push(text);
+      }
+    }
+
+    return rendered;
+  }
+
+  // Render block-level content (paragraphs, tables, content controls) one block per line
+  renderBlocks(node, context) {
+    const lines = [];
+
+    for (const child of this.elementChildren(node)) {
+      if (child.nodeName === 'w:p') {
+        lines.push(this.renderParagraph(child, context));
+      } else if (child.nodeName === 'w:tbl') {
+        lines.push(this.renderTable(child, context));
+      } else if (child.nodeName === 'mc:AlternateContent') {
+        const alternative = this.chooseAlternative(child);
+        const nested = alternative ? this.renderBlocks(alternative, context) : '';
+        if (nested) lines.push(nested);
+      } else if (!SKIPPED_ELEMENTS.has(child.nodeName)) {
+        // w:sdt, w:sdtContent, w:ins/w:del around whole paragraphs, etc.
+        const nested = this.renderBlocks(child, context);
+        if (nested) lines.push(nested);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  renderParagraph(paragraph, context) {
+    const text = this.renderInline(paragraph, context);
+    const label = this.numberingLabel(paragraph, context);
+    const pageBreak = this.startsPage(paragraph, context) ? PAGE_BREAK : '';
+
+    if (!label) return pageBreak + text;
+    return pageBreak + (text ? `${label} ${text}` : label);
+  }
+
+  // "Page break before" paragraph formatting, when only explicit breaks mark pages
+  startsPage(paragraph, context) {
+    if (context.pageBreaks !== 'explicit') return false;
+
+    const pPr = this.firstChild(paragraph, 'w:pPr');
+    const breakBefore = pPr && this.firstChild(pPr, 'w:pageBreakBefore');
+    return !!breakBefore && !['0', 'false', 'off'].includes(breakBefore.getAttribute('w:val'));
+  }
+
+  // Text boxes and shapes are stored twice: as DrawingML (mc:Choice) and as VML for older
+  // readers (mc:Fallback). Only one of them is rendered, the first choice if there is one.
+  chooseAlternative(alternateContent) {
+    return this.firstChild(alternateContent, 'mc:Choice') || this.firstChild(alternateContent, 'mc:Fallback');
+  }
+
+  // Tables become one line per row with cells separated by " | "
+  renderTable(table, context) {
+    const rows = [];
+
+    for (const row of this.elementChildren(table, 'w:tr')) {
+      const cells = this.elementChildren(row, 'w:tc').map(cell =>
+        this.renderBlocks(cell, context).replace(/\s*\n\s*/g, ' ').trim()
+      );
+      if (cells.some(cell => cell.length > 0)) {
+        rows.push(cells.join(' | '));
+      }
+    }
+
+    return rows.join('\n');
+  }
+
+  renderInline(node, context) {
+    let text = '';
+
+    for (const child of this.elementChildren(node)) {
+      switch (child.nodeName) {
+        case 'w:t':
+          text += child.textContent;
+          break;
+        case 'w:tab':
+          text += '\t';
+          break;
+        case 'w:br':
+          text += '\n';
+          if (child.getAttribute('w:type') === 'page' && context.pageBreaks === 'explicit') {
+            text += PAGE_BREAK;
+          }
+          break;
+        case 'w:cr':
+          text += '\n';
+          break;
+        case 'w:lastRenderedPageBreak':
+          if (context.pageBreaks === 'rendered') text += PAGE_BREAK;
+          break;
+        case 'mc:AlternateContent': {
+          const alternative = this.chooseAlternative(child);
+          if (alternative) text += this.renderInline(alternative, context);
+          break;
+        }
+        case 'w:noBreakHyphen':
+          text += '-';
+          break;
+        case 'w:ins':
+        case 'w:moveTo':
+          this.recordTrackedChange(child, 'insertion', context);
+          text += this.renderInline(child, context);
+          break;
+        case 'w:del':
+        case 'w:moveFrom':
+          this.recordTrackedChange(child, 'deletion', context);
+          break;
+        default:
+          if (!SKIPPED_ELEMENTS.has(child.nodeName)) {
+            text += this.renderInline(child, context);
+          }
+      }
+    }
+
+    return text;
+  }
+
+  // Keep the accepted text in the body, but remember what was changed and by whom
+  recordTrackedChange(element, type, context) {
+    // Deletions hold w:delText, but moved-from runs keep plain w:t
+    const text = [...this.descendants(element, 'w:t'), ...this.descendants(element, 'w:delText')]
+      .map(node => node.textContent)
+      .join('');
+
+    if (!text.trim()) return;
+
+    context.trackedChanges.push({
+      type,
+      text,
+      author: element.getAttribute('w:author') || null,
+      date: element.getAttribute('w:date') || null
+    });
+  }
+
+  // Parse numbering.xml into numId -> { levels: { ilvl -> { format, text, start } } }
+  parseNumbering(numberingXml) {
+    const numbering = new Map();
+    if (!numberingXml) return numbering;
+
+    const abstractNums = new Map();
+    for (const abstractNum of this.descendants(numberingXml.documentElement, 'w:abstractNum')) {
+      abstractNums.set(abstractNum.getAttribute('w:abstractNumId'), this.parseLevels(abstractNum));
+    }
+
+    for (const num of this.descendants(numberingXml.documentElement, 'w:num')) {
+      const abstractId = this.childVal(num, 'w:abstractNumId');
+      const levels = { ...(abstractNums.get(abstractId) || {}) };
+
+      // Level overrides can restart or redefine individual levels
+      for (const override of this.elementChildren(num, 'w:lvlOverride')) {
+        const ilvl = override.getAttribute('w:ilvl');
+        const lvl = this.firstChild(override, 'w:lvl');
+        const startOverride = this.childVal(override, 'w:startOverride');
+
+        if (lvl) {
+          levels[ilvl] = this.parseLevel(lvl);
+        } else if (startOverride !== null && levels[ilvl]) {
+          levels[ilvl] = { ...levels[ilvl], start: parseInt(startOverride, 10) };
+        }
+      }
+
+      numbering.set(num.getAttribute('w:numId'), levels);
+    }
+
+    return numbering;
+  }
+
+  parseLevels(abstractNum) {
+    const levels = {};
+    for (const lvl of this.elementChildren(abstractNum, 'w:lvl')) {
+      levels[lvl.getAttribute('w:ilvl')] = this.parseLevel(lvl);
+    }
+    return levels;
+  }
+
+  parseLevel(lvl) {
+    const start = this.childVal(lvl, 'w:start');
+    return {
+      format: this.childVal(lvl, 'w:numFmt') || 'decimal',
+      text: this.childVal(lvl, 'w:lvlText') || '',
+      start: start !== null ? parseInt(start, 10) : 1
+    };
+  }
+
+  // Paragraph styles such as "Heading 2" may carry numbering instead of the paragraph itself
+  parseStyleNumbering(stylesXml) {
+    const styleNumbering = new Map();
+    if (!stylesXml) return styleNumbering;
+
+    for (const style of this.descendants(stylesXml.documentElement, 'w:style')) {
+      const pPr = this.firstChild(style, 'w:pPr');
+      const numPr = pPr && this.firstChild(pPr, 'w:numPr');
+      if (numPr) {
+        styleNumbering.set(style.getAttribute('w:styleId'), {
+          numId: this.childVal(numPr, 'w:numId'),
+          ilvl: this.childVal(numPr, 'w:ilvl') || '0'
+        });
+      }
+    }
+
+    return styleNumbering;
+  }
+
+  // Compute the rendered list label ("1.", "2.1", "(a)") for a numbered paragraph
+  numberingLabel(paragraph, context) {
+    const pPr = this.firstChild(paragraph, 'w:pPr');
+    if (!pPr) return null;
+
+    let numId = null;
+    let ilvl = null;
+
+    const numPr = this.firstChild(pPr, 'w:numPr');
+    if (numPr) {
+      numId = this.childVal(numPr, 'w:numId');
+      ilvl = this.childVal(numPr, 'w:ilvl');
+    }
+
+    const styleId = this.childVal(pPr, 'w:pStyle');
+    if (styleId && context.styleNumbering.has(styleId)) {
+      const styleNum = context.styleNumbering.get(styleId);
+      numId = numId || styleNum.numId;
+      ilvl = ilvl || styleNum.ilvl;
+    }
+
+    // numId 0 explicitly removes numbering
+    if (!numId || numId === '0') return null;
+
+    const levels = context.numbering.get(numId);
+    const level = parseInt(ilvl || '0', 10);
+    if (!levels || !levels[level]) return null;
+
+    if (!context.counters.has(numId)) {
+      context.counters.set(numId, []);
+    }
+    const counters = context.counters.get(numId);
+
+    counters[level] = counters[level] === undefined ? levels[level].start : counters[level] + 1;
+    // Deeper levels restart whenever a parent level advances
+    counters.length = level + 1;
+
+    const definition = levels[level];
+    if (definition.format === 'bullet') return '•';
+    if (definition.format === 'none') return null;
+
+    return definition.text.replace(/%(\d)/g, (match, index) => {
+      const target = parseInt(index, 10) - 1;
+      const value = counters[target] !== undefined ? counters[target] : (levels[target]?.start || 1);
+      return this.formatNumber(value, levels[target]?.format || 'decimal');
+    }) || null;
+  }
+
+  formatNumber(value, format) {
+    switch (format) {
+      case 'lowerLetter':
+        return this.toLetters(value).toLowerCase();
+      case 'upperLetter':
+        return this.toLetters(value);
+      case 'lowerRoman':
+        return this.toRoman(value).toLowerCase();
+      case 'upperRoman':
+        return this.toRoman(value);
+      case 'decimalZero':
+        return value < 10 ? `0${value}` : String(value);
+      default:
+        return String(value);
+    }
+  }
+
+  // Word repeats the letter after z: a..z, aa..zz
+  toLetters(value) {
+    const letter = String.fromCharCode(65 + ((value - 1) % 26));
+    return letter.repeat(Math.floor((value - 1) / 26) + 1);
+  }
+
+  toRoman(value) {
+    const numerals = [
+      [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+      [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+    ];
+    let remaining = value;
+    let result = '';
+    for (const [amount, numeral] of numerals) {
+      while (remaining >= amount) {
+        result += numeral;
+        remaining -= amount;
+      }
+    }
+    return result;
+  }
+
+  normalizeWhitespace(text) {
+    return text
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t\u00a0]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Small DOM helpers; xmldom has no children/querySelector support
+  elementChildren(node, name = null) {
+    const result = [];
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType === 1 && (!name || child.nodeName === name)) {
+        result.push(child);
+      }
+    }
+    return result;
+  }
+
+  firstChild(node, name) {
+    return this.elementChildren(node, name)[0] || null;
+  }
+
+  descendants(node, name) {
+    return Array.from(node.getElementsByTagName(name));
+  }
+
+  childVal(node, name) {
+    const child = this.firstChild(node, name);
+    return child ? child.getAttribute('w:val') : null;
+  }
+}
+
+// Create and export singleton instance
+const documentService = new DocumentService();
+
+module.exports = {
+  documentService,
+  DocumentService,
+  DOCX_MIME_TYPE,
+  DOC_MIME_TYPE
+};
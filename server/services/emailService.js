@@ -1,5 +1,13 @@
 const nodemailer = require('nodemailer');
 
+// Contract names and AI output end up in notification emails
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 // Email service configuration
 class EmailService {
   constructor() {
@@ -129,6 +137,111 @@ class EmailService {
     }
   }
 
+  // Notification email built from a template (see config/notificationTemplates.js)
+  async sendNotificationEmail(email, { subject, intro, details = [], items = [] }, actionUrl) {
+    try {
+      const mailOptions = {
+        from: `"SmartContract.ai" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject,
+        html: this.renderLayout('Contract Notification', `
+              <h2 style="color: #333;">${escapeHtml(subject)}</h2>
+              ${this.renderNotificationBody({ intro, details, items })}
+              ${this.renderAction(actionUrl)}
+        `),
+        text: this.renderNotificationText({ intro, details, items }, actionUrl)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Notification email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Notification email error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Several notifications in one email; entries are { subject, intro, details, items, createdAt }
+  async sendDigestEmail(email, entries, userName = '', actionUrl) {
+    try {
+      const subject = `Your SmartContract.ai digest: ${entries.length} update${entries.length === 1 ? '' : 's'}`;
+      const mailOptions = {
+        from: `"SmartContract.ai" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject,
+        html: this.renderLayout('Notification Digest', `
+              <h2 style="color: #333;">Hi${userName ? ` ${escapeHtml(userName)}` : ''}, here's what happened</h2>
+              ${entries.map(entry => `
+              <div style="background: white; padding: 16px 20px; border-radius: 8px; margin: 16px 0;">
+                <h3 style="color: #333; margin: 0 0 4px 0; font-size: 16px;">${escapeHtml(entry.subject)}</h3>
+                <p style="color: #999; margin: 0; font-size: 12px;">${escapeHtml(new Date(entry.createdAt).toUTCString())}</p>
+                ${this.renderNotificationBody(entry)}
+              </div>`).join('')}
+              ${this.renderAction(actionUrl)}
+        `),
+        text: entries
+          .map(entry => `${entry.subject}\n${this.renderNotificationText(entry)}`)
+          .join('\n\n---\n\n') + (actionUrl ? `\n\nOpen SmartContract.ai: ${actionUrl}` : '')
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Digest email sent (${entries.length} entries):`, result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Digest email error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Header and footer shared by notification emails
+  renderLayout(subtitle, content) {
+    return `
+          <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">SmartContract.ai</h1>
+              <p style="color: white; margin: 5px 0;">${escapeHtml(subtitle)}</p>
+            </div>
+            
+            <div style="padding: 30px; background-color: #f9f9f9;">
+              ${content}
+              <p style="color: #999; font-size: 12px;">You can choose which notifications you receive, and how often, in Settings.</p>
+            </div>
+            
+            <div style="background-color: #333; padding: 15px; text-align: center;">
+              <p style="color: #999; margin: 0; font-size: 12px;">© 2025 SmartContract.ai - Secure Contract Analysis</p>
+            </div>
+          </div>
+        `;
+  }
+
+  renderNotificationBody({ intro, details = [], items = [] }) {
+    const rows = details
+      .map(([label, value]) => `<tr><td style="color: #999; padding: 4px 12px 4px 0;">${escapeHtml(label)}</td><td style="color: #333; padding: 4px 0;">${escapeHtml(value)}</td></tr>`)
+      .join('');
+
+    return `
+              <p style="color: #666; font-size: 15px;">${escapeHtml(intro)}</p>
+              ${rows ? `<table style="font-size: 14px; margin: 12px 0;">${rows}</table>` : ''}
+              ${items.length > 0 ? `<ul style="color: #666; font-size: 14px;">${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}`;
+  }
+
+  renderNotificationText({ intro, details = [], items = [] }, actionUrl) {
+    return [
+      intro,
+      ...details.map(([label, value]) => `${label}: ${value}`),
+      ...items.map(item => `- ${item}`),
+      actionUrl ? `\nOpen SmartContract.ai: ${actionUrl}` : null
+    ].filter(Boolean).join('\n');
+  }
+
+  renderAction(actionUrl) {
+    if (!actionUrl) return '';
+    return `
+              <div style="text-align: center; margin: 24px 0;">
+                <a href="${escapeHtml(actionUrl)}" style="background: #667eea; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Open SmartContract.ai</a>
+              </div>`;
+  }
+
   // Validate Gmail address
   static isValidGmail(email) {
     const gmailRegex = /^[a-zA-Z0-9._%+-]+@gmail\.com$/i;
@@ -0,0 +1,281 @@
+const { supabase } = require('../config/supabase');
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+// Why an answer was rated down
+const FEEDBACK_REASONS = ['hallucination', 'incorrect', 'incomplete', 'wrong_citation', 'irrelevant', 'other'];
+
+const REVIEW_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DISMISSED: 'dismissed'
+};
+
+// Rows fetched per request when exporting the evaluation set
+const EXPORT_BATCH_SIZE = 500;
+
+const REVIEW_COLUMNS = 'id, seq, session_id, user_id, content, sources, generation, feedback, review_status, expected_answer, review_note, reviewed_by, reviewed_at, created_at';
+
+// Feedback that can't be recorded; status is the HTTP status to respond with
+class FeedbackError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FeedbackError';
+    this.status = status;
+  }
+}
+
+// Ratings of chat answers. An answer rated down goes to a review queue; the answers reviewers
+// confirm as bad make up an evaluation set for checking prompt and model changes.
+class FeedbackService {
+  // feedback: { rating, reason, comment, correctedAnswer }. Resolves to the stored feedback.
+  async setFeedback(userId, messageId, { rating, reason = null, comment = null, correctedAnswer = null }) {
+    const message = await this.getOwnAnswer(userId, messageId);
+    const now = new Date().toISOString();
+
+    const feedback = {
+      rating,
+      reason: rating === 'down' ? reason : null,
+      comment: comment || null,
+      correctedAnswer: rating === 'down' ? (correctedAnswer || null) : null,
+      createdAt: (message.feedback && message.feedback.createdAt) || now,
+      updatedAt: now
+    };
+
+    const { error } = await supabase
+      .from('chat_messages')
+      .update({
+        feedback,
+        ...this.queueChanges(message, feedback)
+      })
+      .eq('id', messageId);
+
+    if (error) throw error;
+
+    if (rating === 'down') {
+      console.log(`🚩 [User: ${userId}] Answer ${messageId} flagged for review (${reason})`);
+    }
+    return feedback;
+  }
+
+  async clearFeedback(userId, messageId) {
+    const message = await this.getOwnAnswer(userId, messageId);
+
+    const { error } = await supabase
+      .from('chat_messages')
+      .update({
+        feedback: null,
+        ...this.queueChanges(message, null)
+      })
+      .eq('id', messageId);
+
+    if (error) throw error;
+  }
+
+  // A rating down (re)enters the queue; withdrawing it takes the answer out again unless a
+  // reviewer has already looked at it
+  queueChanges(message, feedback) {
+    if (feedback && feedback.rating === 'down') {
+      return {
+        review_status: REVIEW_STATUS.PENDING,
+        expected_answer: feedback.correctedAnswer,
+        review_note: null,
+        reviewed_by: null,
+        reviewed_at: null
+      };
+    }
+    if (message.review_status === REVIEW_STATUS.PENDING) {
+      return { review_status: null, expected_answer: null };
+    }
+    return {};
+  }
+
+  async getOwnAnswer(userId, messageId) {
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .select('id, role, feedback, review_status')
+      .eq('id', messageId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !data) {
+      throw new FeedbackError('Message not found', 404);
+    }
+    if (data.role !== 'assistant') {
+      throw new FeedbackError('Only answers can be rated');
+    }
+    return data;
+  }
+
+  // Flagged answers for the admin review queue, oldest first. filters: status (default
+  // pending), reason.
+  async listQueue({ status = REVIEW_STATUS.PENDING, reason, page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('chat_messages')
+      .select(REVIEW_COLUMNS, { count: 'exact' })
+      .eq('review_status', status);
+
+    if (reason) query = query.eq('feedback->>reason', reason);
+
+    const { data, error, count } = await query
+      .order('seq', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return { items: await this.toReviewItems(data || []), total: count || 0 };
+  }
+
+  async getQueueItem(messageId) {
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .select(REVIEW_COLUMNS)
+      .eq('id', messageId)
+      .not('review_status', 'is', null)
+      .single();
+
+    if (error || !data) return null;
+    return (await this.toReviewItems([data]))[0];
+  }
+
+  // Accept (status: 'accepted') or dismiss a flagged answer. expectedAnswer replaces the
+  // user's corrected answer in the evaluation set.
+  async review(messageId, reviewerId, { status, note, expectedAnswer }) {
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .update({
+        review_status: status,
+        ...(note !== undefined && { review_note: note || null }),
+        ...(expectedAnswer !== undefined && { expected_answer: expectedAnswer || null }),
+        reviewed_by: reviewerId,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', messageId)
+      .not('review_status', 'is', null)
+      .select(REVIEW_COLUMNS);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    return (await this.toReviewItems(data))[0];
+  }
+
+  // Evaluation cases from reviewed answers (accepted ones by default): the question, the
+  // contract it was asked about, the bad answer and what to expect instead
+  async exportEvalSet({ status = REVIEW_STATUS.ACCEPTED } = {}) {
+    const cases = [];
+
+    for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('chat_messages')
+        .select(REVIEW_COLUMNS)
+        .eq('review_status', status)
+        .order('seq', { ascending: true })
+        .range(offset, offset + EXPORT_BATCH_SIZE - 1);
+
+      if (error) throw error;
+
+      const items = await this.toReviewItems(data || []);
+      cases.push(...items.map(item => ({
+        id: item.messageId,
+        question: item.question,
+        contractId: item.contractId,
+        badAnswer: item.answer,
+        expectedAnswer: item.expectedAnswer,
+        reason: item.feedback.reason,
+        comment: item.feedback.comment,
+        reviewNote: item.reviewNote,
+        sources: item.sources,
+        generation: item.generation,
+        askedAt: item.answeredAt
+      })));
+
+      if (!data || data.length < EXPORT_BATCH_SIZE) break;
+    }
+
+    return cases;
+  }
+
+  // Review items with the question each answer replied to and the contract it was about
+  async toReviewItems(rows) {
+    if (rows.length === 0) return [];
+
+    const [questions, sessions] = await Promise.all([
+      this.findQuestions(rows),
+      supabase
+        .from('chat_sessions')
+        .select('id, contract_id')
+        .in('id', [...new Set(rows.map(row => row.session_id))])
+    ]);
+
+    const contractBySession = new Map((sessions.data || []).map(session => [session.id, session.contract_id]));
+
+    return rows.map(row => ({
+      messageId: row.id,
+      sessionId: row.session_id,
+      userId: row.user_id,
+      contractId: contractBySession.get(row.session_id) || null,
+      question: questions.get(row.id) || null,
+      answer: row.content,
+      sources: row.sources || [],
+      generation: row.generation || null,
+      feedback: row.feedback || {},
+      status: row.review_status,
+      expectedAnswer: row.expected_answer,
+      reviewNote: row.review_note,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      answeredAt: row.created_at
+    }));
+  }
+
+  // Answer id -> the user message it answered. Questions are saved together with their answer,
+  // so the question is normally the message just before it.
+  async findQuestions(rows) {
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .select('seq, session_id, role, content')
+      .in('seq', rows.map(row => row.seq - 1));
+
+    if (error) throw error;
+
+    const bySeq = new Map((data || []).map(message => [message.seq, message]));
+    const questions = new Map();
+
+    await Promise.all(rows.map(async (row) => {
+      const previous = bySeq.get(row.seq - 1);
+      if (previous && previous.session_id === row.session_id && previous.role === 'user') {
+        questions.set(row.id, previous.content);
+        return;
+      }
+
+      // Another thread's message got the seq in between
+      const { data: question } = await supabase
+        .from('chat_messages')
+        .select('content')
+        .eq('session_id', row.session_id)
+        .eq('role', 'user')
+        .lt('seq', row.seq)
+        .order('seq', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (question) questions.set(row.id, question.content);
+    }));
+
+    return questions;
+  }
+}
+
+// Create singleton instance
+const feedbackService = new FeedbackService();
+
+module.exports = {
+  feedbackService,
+  FeedbackService,
+  FeedbackError,
+  FEEDBACK_RATINGS,
+  FEEDBACK_REASONS,
+  REVIEW_STATUS
+};
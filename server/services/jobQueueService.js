@@ -0,0 +1,554 @@
+const os = require('os');
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+
+// Job priorities: higher runs first, FIFO within the same priority
+const JOB_PRIORITY = {
+  high: 10,
+  normal: 0,
+  low: -10
+};
+
+const JOB_STATUS = {
+  queued: 'queued',
+  running: 'running',
+  completed: 'completed',
+  cancelled: 'cancelled',
+  dead: 'dead' // Dead-lettered after exhausting retries or a permanent failure
+};
+
+// Create an error the queue will not retry (bad input, missing contract, ...)
+const permanentFailure = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map(); // job type -> { handler, onDeadLetter, onRerun }
+    this.running = new Map(); // job ID -> userId of jobs executing in this process
+    this.cancellations = new Map(); // job ID -> AbortController of jobs executing in this process
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.ticking = false;
+
+    // Identifies the jobs this process claimed, for heartbeats and recovery
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.maxConcurrentPerUser = parseInt(process.env.JOB_MAX_CONCURRENT_PER_USER) || 3;
+    this.maxGlobalConcurrent = parseInt(process.env.JOB_MAX_GLOBAL_CONCURRENT) || 10;
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+    this.retryBaseDelay = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000;
+    this.heartbeatInterval = parseInt(process.env.JOB_HEARTBEAT_INTERVAL_MS) || 15000;
+    this.staleAfter = parseInt(process.env.JOB_STALE_AFTER_MS) || 60000;
+  }
+
+  // Register the function that executes jobs of a given type. Handlers are called with the job
+  // and { signal, isCurrent }: signal aborts when the job is cancelled or taken away from this
+  // process, and isCurrent() resolves to whether the job is still this process's to finish, for
+  // a last check before writing results.
+  registerHandler(type, handler, { onDeadLetter, onRerun } = {}) {
+    this.handlers.set(type, { handler, onDeadLetter, onRerun });
+  }
+
+  // Resume interrupted work and start polling for queued jobs
+  async start() {
+    if (!supabase) {
+      console.warn('⚠️ Supabase not configured - job queue disabled');
+      return false;
+    }
+
+    if (this.pollTimer) return true;
+
+    await this.recoverStaleJobs();
+
+    this.pollTimer = setInterval(() => this.tick(), this.pollInterval);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+    console.log(`✅ Job queue started as ${this.workerId} (poll every ${this.pollInterval}ms, ${this.maxGlobalConcurrent} global / ${this.maxConcurrentPerUser} per user)`);
+
+    this.tick();
+    return true;
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  // Report this process's running jobs alive, then take back any that another process
+  // stopped reporting
+  async heartbeat() {
+    if (this.running.size > 0) {
+      const jobIds = [...this.running.keys()];
+      const { data: alive, error } = await supabase
+        .from('processing_jobs')
+        .update({ heartbeat_at: new Date().toISOString() })
+        .in('id', jobIds)
+        .eq('worker_id', this.workerId)
+        .eq('status', JOB_STATUS.running)
+        .select('id');
+
+      if (error) {
+        console.error('❌ Error recording job heartbeat:', error);
+      } else {
+        // Cancelled (possibly through another process) or recovered by another process
+        const aliveIds = new Set((alive || []).map(row => row.id));
+        jobIds.filter(jobId => !aliveIds.has(jobId)).forEach(jobId => this.abort(jobId));
+      }
+    }
+
+    await this.recoverStaleJobs();
+  }
+
+  // Running jobs without a heartbeat for staleAfter belong to a process that died (a crash or
+  // restart). They are requeued, or dead-lettered when the interrupted run was their last
+  // attempt, so a job that keeps crashing the server stops being retried. Jobs of live
+  // processes keep their heartbeat fresh and are left alone.
+  async recoverStaleJobs() {
+    const cutoff = new Date(Date.now() - this.staleAfter).toISOString();
+
+    const { data: jobs, error } = await supabase
+      .from('processing_jobs')
+      .select('*')
+      .eq('status', JOB_STATUS.running)
+      .or(`heartbeat_at.is.null,heartbeat_at.lt.${cutoff}`);
+
+    if (error) {
+      console.error('❌ Error looking for interrupted jobs:', error);
+      return 0;
+    }
+
+    let recovered = 0;
+    for (const job of jobs || []) {
+      if (this.running.has(job.id)) continue;
+
+      const outOfAttempts = job.attempts >= job.max_attempts;
+      const updates = outOfAttempts
+        ? { status: JOB_STATUS.dead, completed_at: new Date().toISOString() }
+        : { status: JOB_STATUS.queued, run_at: new Date().toISOString() };
+
+      // Only if no other process recovered it or reported it alive in the meantime
+      let query = supabase
+        .from('processing_jobs')
+        .update({
+          ...updates,
+          worker_id: null,
+          heartbeat_at: null,
+          last_error: 'Interrupted: the server running it stopped',
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', job.id)
+        .eq('status', JOB_STATUS.running);
+      query = job.heartbeat_at ? query.eq('heartbeat_at', job.heartbeat_at) : query.is('heartbeat_at', null);
+
+      const { data: moved, error: updateError } = await query.select('id');
+      if (updateError) {
+        console.error(`❌ Error recovering job ${job.id}:`, updateError);
+        continue;
+      }
+      if (!moved || moved.length === 0) continue;
+
+      recovered++;
+      if (outOfAttempts) {
+        console.error(`❌ [User: ${job.user_id}] Job ${job.id} dead-lettered: interrupted on its last attempt (${job.attempts}/${job.max_attempts})`);
+        await this.notifyDeadLetter(job, new Error('Processing was interrupted too many times'));
+      } else {
+        console.log(`🔁 [User: ${job.user_id}] Resumed interrupted job ${job.id}`);
+      }
+    }
+
+    return recovered;
+  }
+
+  // Add a job to the queue
+  async enqueue({ type, contractId, userId, priority = JOB_PRIORITY.normal, payload = {}, maxAttempts }) {
+    const { data: job, error } = await supabase
+      .from('processing_jobs')
+      .insert([{
+        type,
+        contract_id: contractId,
+        user_id: userId,
+        priority,
+        payload,
+        status: JOB_STATUS.queued,
+        attempts: 0,
+        max_attempts: maxAttempts || this.maxAttempts,
+        run_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`📥 [User: ${userId}] Queued ${type} job ${job.id} for contract ${contractId} (priority ${priority})`);
+
+    // Pick it up right away if there is capacity
+    setImmediate(() => this.tick());
+    return job;
+  }
+
+  // Claim and start as many jobs as the concurrency limits allow
+  async tick() {
+    if (this.ticking || !this.pollTimer) return;
+    this.ticking = true;
+
+    try {
+      const freeSlots = this.maxGlobalConcurrent - this.running.size;
+      if (freeSlots <= 0) return;
+
+      const { data: candidates, error } = await supabase
+        .from('processing_jobs')
+        .select('*')
+        .eq('status', JOB_STATUS.queued)
+        .lte('run_at', new Date().toISOString())
+        .order('priority', { ascending: false })
+        .order('created_at', { ascending: true })
+        .limit(100);
+
+      if (error) {
+        console.error('❌ Error polling job queue:', error);
+        return;
+      }
+
+      let started = 0;
+      const pending = [...(candidates || [])];
+
+      while (started < freeSlots && pending.length > 0) {
+        const index = this.pickFairJob(pending);
+        if (index === -1) break;
+
+        const [job] = pending.splice(index, 1);
+        if (await this.claim(job)) {
+          started++;
+          this.execute(job);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Job queue tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Choose the next job: highest priority first, then the user with the fewest running jobs,
+  // then the oldest job. Each user's own jobs therefore run in FIFO order.
+  pickFairJob(candidates) {
+    const activeByUser = this.activeCountsByUser();
+    let bestIndex = -1;
+
+    candidates.forEach((job, index) => {
+      const userActive = activeByUser.get(job.user_id) || 0;
+      if (userActive >= this.maxConcurrentPerUser) return;
+
+      if (bestIndex === -1) {
+        bestIndex = index;
+        return;
+      }
+
+      const best = candidates[bestIndex];
+      if (job.priority !== best.priority) {
+        if (job.priority > best.priority) bestIndex = index;
+        return;
+      }
+
+      const bestActive = activeByUser.get(best.user_id) || 0;
+      if (userActive < bestActive) {
+        bestIndex = index;
+      }
+    });
+
+    return bestIndex;
+  }
+
+  activeCountsByUser() {
+    const counts = new Map();
+    for (const userId of this.running.values()) {
+      counts.set(userId, (counts.get(userId) || 0) + 1);
+    }
+    return counts;
+  }
+
+  // Atomically move a job from queued to running; false if someone else got it first
+  async claim(job) {
+    const { data, error } = await supabase
+      .from('processing_jobs')
+      .update({
+        status: JOB_STATUS.running,
+        attempts: job.attempts + 1,
+        worker_id: this.workerId,
+        heartbeat_at: new Date().toISOString(),
+        started_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('status', JOB_STATUS.queued)
+      .select('id');
+
+    if (error || !data || data.length === 0) {
+      return false;
+    }
+
+    job.attempts += 1;
+    job.status = JOB_STATUS.running;
+    this.running.set(job.id, job.user_id);
+    return true;
+  }
+
+  async execute(job) {
+    const registration = this.handlers.get(job.type);
+    const controller = new AbortController();
+
+    try {
+      if (!registration) {
+        throw permanentFailure(`No handler registered for job type "${job.type}"`);
+      }
+
+      console.log(`🔄 [User: ${job.user_id}] Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+      this.cancellations.set(job.id, controller);
+      await registration.handler(job, { signal: controller.signal, isCurrent: () => this.isCurrent(job) });
+
+      await this.finish(job, {
+        status: JOB_STATUS.completed,
+        completed_at: new Date().toISOString(),
+        last_error: null
+      });
+      console.log(`✅ [User: ${job.user_id}] Job ${job.id} completed`);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        console.log(`🛑 [User: ${job.user_id}] Job ${job.id} stopped: ${error.message}`);
+      } else {
+        await this.handleFailure(job, error);
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.cancellations.delete(job.id);
+      console.log(`🧹 Job slot freed. Running: ${this.running.size}/${this.maxGlobalConcurrent}`);
+      setImmediate(() => this.tick());
+    }
+  }
+
+  async handleFailure(job, error) {
+    const retryable = error.retryable !== false && job.attempts < job.max_attempts;
+
+    if (retryable) {
+      // Exponential backoff: base, 2x base, 4x base, ...
+      const delay = this.retryBaseDelay * Math.pow(2, job.attempts - 1);
+      console.warn(`⚠️ [User: ${job.user_id}] Job ${job.id} failed, retrying in ${delay}ms: ${error.message}`);
+
+      await this.finish(job, {
+        status: JOB_STATUS.queued,
+        run_at: new Date(Date.now() + delay).toISOString(),
+        last_error: error.message
+      });
+      return;
+    }
+
+    console.error(`❌ [User: ${job.user_id}] Job ${job.id} dead-lettered after ${job.attempts} attempt(s):`, error);
+
+    const moved = await this.finish(job, {
+      status: JOB_STATUS.dead,
+      completed_at: new Date().toISOString(),
+      last_error: error.message
+    });
+
+    if (moved) {
+      await this.notifyDeadLetter(job, error);
+    }
+  }
+
+  async notifyDeadLetter(job, error) {
+    const registration = this.handlers.get(job.type);
+    if (!registration || !registration.onDeadLetter) return;
+
+    try {
+      await registration.onDeadLetter(job, error);
+    } catch (deadLetterError) {
+      console.error(`❌ Dead-letter handler failed for job ${job.id}:`, deadLetterError);
+    }
+  }
+
+  // Whether a job is still running in this process, i.e. not cancelled or recovered elsewhere
+  async isCurrent(job) {
+    const { data, error } = await supabase
+      .from('processing_jobs')
+      .select('id')
+      .eq('id', job.id)
+      .eq('status', JOB_STATUS.running)
+      .eq('worker_id', this.workerId);
+
+    if (error) throw error;
+    return !!(data && data.length > 0);
+  }
+
+  // Tell a job running in this process to stop. Its row has already moved on, so whatever
+  // the handler does next is not recorded.
+  abort(jobId) {
+    const controller = this.cancellations.get(jobId);
+    if (!controller || controller.signal.aborted) return;
+
+    console.log(`🛑 Stopping job ${jobId}: it is no longer running here`);
+    controller.abort(permanentFailure('Job was cancelled'));
+  }
+
+  // Record the outcome of a run, unless the job was cancelled while it was running or taken
+  // back by recoverStaleJobs
+  async finish(job, updates) {
+    const { data, error } = await supabase
+      .from('processing_jobs')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('status', JOB_STATUS.running)
+      .eq('worker_id', this.workerId)
+      .select('id');
+
+    if (error) {
+      console.error(`❌ Error updating job ${job.id}:`, error);
+      return false;
+    }
+    return !!(data && data.length > 0);
+  }
+
+  // List jobs for the admin view
+  async listJobs({ status, userId, contractId, type, page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('processing_jobs')
+      .select('*', { count: 'exact' });
+
+    if (status) query = query.eq('status', status);
+    if (userId) query = query.eq('user_id', userId);
+    if (contractId) query = query.eq('contract_id', contractId);
+    if (type) query = query.eq('type', type);
+
+    const { data: jobs, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    return { jobs: jobs || [], total: count || 0 };
+  }
+
+  async getJob(jobId) {
+    const { data: job, error } = await supabase
+      .from('processing_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .single();
+
+    if (error || !job) return null;
+    return job;
+  }
+
+  // Most recent job for a contract, used to report attempts and retry errors
+  async getLatestJobForContract(contractId) {
+    const { data: jobs, error } = await supabase
+      .from('processing_jobs')
+      .select('*')
+      .eq('contract_id', contractId)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error || !jobs || jobs.length === 0) return null;
+    return jobs[0];
+  }
+
+  // Cancel a queued or running job. A running handler's signal aborts, right away in this
+  // process or at the next heartbeat of the process running it, and its result is discarded.
+  async cancel(jobId) {
+    const { data, error } = await supabase
+      .from('processing_jobs')
+      .update({
+        status: JOB_STATUS.cancelled,
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .in('status', [JOB_STATUS.queued, JOB_STATUS.running])
+      .select()
+      .single();
+
+    if (error || !data) return null;
+
+    console.log(`🛑 Job ${jobId} cancelled`);
+    this.abort(jobId);
+    return data;
+  }
+
+  // Put a finished, cancelled or dead-lettered job back on the queue with a fresh retry budget.
+  // Not a processing job whose contract already has a live one (see add-processing-jobs.sql).
+  async rerun(jobId, { priority } = {}) {
+    const updates = {
+      status: JOB_STATUS.queued,
+      attempts: 0,
+      run_at: new Date().toISOString(),
+      last_error: null,
+      started_at: null,
+      completed_at: null,
+      updated_at: new Date().toISOString()
+    };
+    if (priority !== undefined) updates.priority = priority;
+
+    const { data, error } = await supabase
+      .from('processing_jobs')
+      .update(updates)
+      .eq('id', jobId)
+      .in('status', [JOB_STATUS.completed, JOB_STATUS.cancelled, JOB_STATUS.dead])
+      .select()
+      .single();
+
+    if (error || !data) return null;
+
+    console.log(`🔁 Job ${jobId} re-queued`);
+
+    // Let the job type reset whatever its last run left behind before it runs again
+    const registration = this.handlers.get(data.type);
+    if (registration && registration.onRerun) {
+      try {
+        await registration.onRerun(data);
+      } catch (rerunError) {
+        console.error(`❌ Re-run handler failed for job ${jobId}:`, rerunError);
+      }
+    }
+
+    setImmediate(() => this.tick());
+    return data;
+  }
+
+  // Get queue statistics for this process
+  getQueueStats() {
+    return {
+      running: this.running.size,
+      maxGlobalConcurrent: this.maxGlobalConcurrent,
+      maxConcurrentPerUser: this.maxConcurrentPerUser,
+      polling: !!this.pollTimer
+    };
+  }
+}
+
+// Create singleton instance
+const jobQueueService = new JobQueueService();
+
+module.exports = {
+  jobQueueService,
+  JobQueueService,
+  JOB_PRIORITY,
+  JOB_STATUS,
+  permanentFailure
+};
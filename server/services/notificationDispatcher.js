@@ -0,0 +1,253 @@
+const { supabase } = require('../config/supabase');
+const emailService = require('./emailService');
+const { notificationService } = require('./notificationService');
+const { settingsService } = require('./settingsService');
+const { NOTIFICATION_TEMPLATES } = require('../config/notificationTemplates');
+const { DEFAULT_SETTINGS } = require('../config/settingsSchema');
+
+// How long a digest collects emails, counted from its oldest entry
+const DIGEST_INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+// Pending digest entries read per flush
+const DIGEST_BATCH_LIMIT = 1000;
+const DELETE_BATCH_SIZE = 100;
+
+// Sends notification events to the channels the user has enabled in
+// settings.notifications: in-app (stored + socket), email (immediately or in a digest)
+// and any registered extra channel such as push.
+class NotificationDispatcher {
+  constructor() {
+    this.channels = new Map(); // channel name -> async (userId, message) => boolean
+    this.digestTimer = null;
+    this.flushing = false;
+
+    this.digestCheckInterval = parseInt(process.env.NOTIFICATION_DIGEST_CHECK_INTERVAL_MS) || 5 * 60 * 1000;
+    this.appUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`;
+  }
+
+  // Add a delivery channel, e.g. registerChannel('push', sendPush). The sender gets
+  // { event, title, message, type, url, data } and resolves to true when delivered.
+  registerChannel(name, send) {
+    this.channels.set(name, send);
+  }
+
+  // Never throws: a failed notification must not fail the action that caused it.
+  // Resolves to { event, channels: { inApp, email, push } }, each 'sent', 'queued' (email
+  // digest), 'disabled' (preference off), 'unavailable' (not configured) or 'failed'.
+  async dispatch(userId, event, data = {}) {
+    const template = NOTIFICATION_TEMPLATES[event];
+    if (!template) {
+      console.error(`❌ Unknown notification event: ${event}`);
+      return null;
+    }
+
+    try {
+      const content = template.render(data);
+      const preferences = await this.getPreferences(userId);
+
+      const channels = {
+        inApp: preferences.inApp.enabled
+          ? await this.sendInApp(userId, event, content, data)
+          : 'disabled',
+        email: this.isEnabled(preferences.email, template.category)
+          ? await this.sendEmail(userId, event, content, preferences.email.digest)
+          : 'disabled',
+        push: this.isEnabled(preferences.push, template.category)
+          ? await this.sendToChannel('push', userId, event, content, data)
+          : 'disabled'
+      };
+
+      console.log(`🔔 [User: ${userId}] ${event}: ${Object.entries(channels).map(([channel, result]) => `${channel} ${result}`).join(', ')}`);
+      return { event, channels };
+    } catch (error) {
+      console.error(`❌ [User: ${userId}] Error dispatching ${event}:`, error);
+      return null;
+    }
+  }
+
+  async getPreferences(userId) {
+    try {
+      return await settingsService.getSection(userId, 'notifications');
+    } catch (error) {
+      console.error(`❌ [User: ${userId}] Could not load notification settings, using defaults:`, error.message);
+      return DEFAULT_SETTINGS.notifications;
+    }
+  }
+
+  isEnabled(channelPreferences, category) {
+    return !!channelPreferences.enabled && channelPreferences[category] !== false;
+  }
+
+  async sendInApp(userId, event, content, data) {
+    const notification = await notificationService.create(userId, {
+      title: content.title,
+      message: content.message,
+      type: content.type,
+      data: { event, ...data }
+    });
+    return notification ? 'sent' : 'failed';
+  }
+
+  async sendEmail(userId, event, content, digest) {
+    if (!emailService.transporter) return 'unavailable';
+
+    if (DIGEST_INTERVALS[digest]) {
+      const { error } = await supabase
+        .from('email_digest_items')
+        .insert([{ user_id: userId, event, content: content.email }]);
+
+      if (error) {
+        console.error(`❌ [User: ${userId}] Could not queue digest email:`, error.message);
+        return 'failed';
+      }
+      return 'queued';
+    }
+
+    const user = await this.getRecipient(userId);
+    if (!user) return 'failed';
+
+    const result = await emailService.sendNotificationEmail(user.email, content.email, this.appUrl);
+    return result.success ? 'sent' : 'failed';
+  }
+
+  async sendToChannel(name, userId, event, content, data) {
+    const send = this.channels.get(name);
+    if (!send) return 'unavailable';
+
+    try {
+      const delivered = await send(userId, {
+        event,
+        title: content.title,
+        message: content.message,
+        type: content.type,
+        url: this.appUrl,
+        data
+      });
+      return delivered ? 'sent' : 'failed';
+    } catch (error) {
+      console.error(`❌ [User: ${userId}] ${name} notification failed:`, error.message);
+      return 'failed';
+    }
+  }
+
+  async getRecipient(userId) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('email, name')
+      .eq('id', userId)
+      .single();
+
+    if (error || !user) {
+      console.error(`❌ [User: ${userId}] No email address for notification`);
+      return null;
+    }
+    return user;
+  }
+
+  // Check for pending digests periodically
+  start() {
+    if (!supabase) {
+      console.warn('⚠️ Supabase not configured - email digests disabled');
+      return false;
+    }
+
+    if (this.digestTimer) return true;
+
+    this.digestTimer = setInterval(() => this.flushDigests(), this.digestCheckInterval);
+    console.log(`✅ Email digests started (check every ${this.digestCheckInterval}ms)`);
+    return true;
+  }
+
+  stop() {
+    if (this.digestTimer) {
+      clearInterval(this.digestTimer);
+      this.digestTimer = null;
+    }
+  }
+
+  // Send every digest whose collection window has passed. Entries of users who switched
+  // back to immediate emails go out right away; those of users who turned email off are
+  // dropped. Resolves to the number of digests sent.
+  async flushDigests() {
+    if (this.flushing || !emailService.transporter) return 0;
+    this.flushing = true;
+
+    try {
+      const { data: items, error } = await supabase
+        .from('email_digest_items')
+        .select('id, user_id, event, content, created_at')
+        .order('created_at', { ascending: true })
+        .limit(DIGEST_BATCH_LIMIT);
+
+      if (error) {
+        throw error;
+      }
+
+      const byUser = new Map();
+      (items || []).forEach(item => {
+        if (!byUser.has(item.user_id)) byUser.set(item.user_id, []);
+        byUser.get(item.user_id).push(item);
+      });
+
+      let sent = 0;
+      for (const [userId, userItems] of byUser) {
+        if (await this.flushUserDigest(userId, userItems)) sent++;
+      }
+      return sent;
+    } catch (error) {
+      console.error('❌ Email digest flush failed:', error);
+      return 0;
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  async flushUserDigest(userId, items) {
+    const preferences = await this.getPreferences(userId);
+    const ids = items.map(item => item.id);
+
+    if (!preferences.email.enabled) {
+      await this.deleteDigestItems(ids);
+      return false;
+    }
+
+    const interval = DIGEST_INTERVALS[preferences.email.digest] || 0;
+    if (Date.now() - new Date(items[0].created_at).getTime() < interval) return false;
+
+    const user = await this.getRecipient(userId);
+    if (!user) return false;
+
+    const entries = items.map(item => ({ ...item.content, createdAt: item.created_at }));
+    const result = await emailService.sendDigestEmail(user.email, entries, user.name, this.appUrl);
+    if (!result.success) return false; // Kept for the next check
+
+    await this.deleteDigestItems(ids);
+    return true;
+  }
+
+  // In batches, so the id list stays within URL limits
+  async deleteDigestItems(ids) {
+    for (let start = 0; start < ids.length; start += DELETE_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('email_digest_items')
+        .delete()
+        .in('id', ids.slice(start, start + DELETE_BATCH_SIZE));
+
+      if (error) {
+        console.error('❌ Could not delete digest entries:', error.message);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const notificationDispatcher = new NotificationDispatcher();
+
+module.exports = {
+  notificationDispatcher,
+  NotificationDispatcher,
+  DIGEST_INTERVALS
+};
@@ -0,0 +1,168 @@
+const { supabase } = require('../config/supabase');
+const { socketService } = require('./socketService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const NOTIFICATION_TYPES = ['info', 'success', 'warning', 'error'];
+
+// Stores user notifications and pushes each new one to the user's open sockets
+class NotificationService {
+  // Shape shared by the REST API and the new_notification socket event
+  serialize(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      message: row.message,
+      type: row.type,
+      data: row.data || {},
+      isRead: !!row.read,
+      readAt: row.read_at || null,
+      createdAt: row.created_at
+    };
+  }
+
+  // Never throws: a failed notification must not fail the action that caused it
+  async create(userId, { title, message, type = 'info', data = {} }) {
+    try {
+      const { data: row, error } = await supabase
+        .from('notifications')
+        .insert([{
+          user_id: userId,
+          title,
+          message,
+          type: NOTIFICATION_TYPES.includes(type) ? type : 'info',
+          data
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      const notification = this.serialize(row);
+      socketService.sendNotificationToUser(userId, notification);
+      return notification;
+    } catch (error) {
+      console.error(`❌ [User: ${userId}] Could not create notification "${title}":`, error.message);
+      return null;
+    }
+  }
+
+  async list(userId, { page = 1, limit = DEFAULT_PAGE_SIZE, unreadOnly = false } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const from = (currentPage - 1) * pageSize;
+
+    let query = supabase
+      .from('notifications')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (unreadOnly) {
+      query = query.eq('read', false);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(from, from + pageSize - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    const total = count || 0;
+    return {
+      notifications: (data || []).map(row => this.serialize(row)),
+      unreadCount: await this.countUnread(userId),
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasMore: from + pageSize < total
+      }
+    };
+  }
+
+  async countUnread(userId) {
+    const { count, error } = await supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('read', false);
+
+    if (error) {
+      throw error;
+    }
+    return count || 0;
+  }
+
+  // Resolves to the updated notification, or null if it doesn't belong to the user
+  async markRead(userId, notificationId) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .update({ read: true, read_at: new Date().toISOString() })
+      .eq('id', notificationId)
+      .eq('user_id', userId)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+    return data && data.length > 0 ? this.serialize(data[0]) : null;
+  }
+
+  // Resolves to the number of notifications marked
+  async markAllRead(userId) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .update({ read: true, read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('read', false)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+    return (data || []).length;
+  }
+
+  // Resolves to true if a notification was deleted
+  async remove(userId, notificationId) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .delete()
+      .eq('id', notificationId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+    return (data || []).length > 0;
+  }
+
+  // Resolves to the number of notifications deleted
+  async clear(userId) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .delete()
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+    return (data || []).length;
+  }
+}
+
+// Create singleton instance
+const notificationService = new NotificationService();
+
+module.exports = {
+  notificationService,
+  NotificationService,
+  NOTIFICATION_TYPES
+};
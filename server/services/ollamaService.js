@@ -1,34 +1,45 @@
 const { Ollama } = require('ollama');
-const { OllamaEmbeddings } = require('@langchain/community/embeddings/ollama');
-const { Document } = require('langchain/document');
 const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
-const { MemoryVectorStore } = require('langchain/vectorstores/memory');
 const natural = require('natural');
 const Tesseract = require('tesseract.js');
 const { APPLICATION_KNOWLEDGE } = require('../config/applicationKnowledge');
+const { vectorStoreService } = require('./vectorStoreService');
+const { structuredOutputService, StructuredOutputError } = require('./structuredOutputService');
+const { documentService } = require('./documentService');
+const { settingsService } = require('./settingsService');
+const { clauseService } = require('./clauseService');
+const { riskService } = require('./riskService');
+const { SECTION_ANALYSIS_SCHEMA, DOCUMENT_SUMMARY_SCHEMA } = require('../config/analysisSchemas');
+const { DEFAULT_SETTINGS } = require('../config/settingsSchema');
+
+// Output budgets of the structured analysis steps; JSON cut short never validates, so
+// these don't follow the user's maxTokens
+const SECTION_MAX_TOKENS = 500;
+const SUMMARY_MAX_TOKENS = 300;
+// Characters of a retrieved chunk quoted in its citation
+const SOURCE_EXCERPT_LENGTH = 200;
+// Length cap for the running summary of a conversation's older turns
+const CONVERSATION_SUMMARY_MAX_TOKENS = 250;
 
 class OllamaService {
   constructor() {
     this.ollama = new Ollama({ host: process.env.OLLAMA_HOST || 'http://localhost:11434' });
     this.model = process.env.OLLAMA_MODEL || 'llama3.2:3b';
     this.embeddingModel = process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text';
-    this.embeddings = new OllamaEmbeddings({
-      model: this.embeddingModel,
-      baseUrl: process.env.OLLAMA_HOST || 'http://localhost:11434',
-    });
     
-    this.textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 1000,
-      chunkOverlap: 200,
-    });
+    // Long documents are analysed in sections of this many characters (see analyzeDocumentFast)
+    this.analysisSectionSize = parseInt(process.env.ANALYSIS_SECTION_SIZE) || 4000;
+    this.maxAnalysisSections = parseInt(process.env.ANALYSIS_MAX_SECTIONS) || 20;
     
     // Model configuration for Llama 3.2 3B
     this.contextSize = parseInt(process.env.OLLAMA_CONTEXT_SIZE) || 8192; // Llama 3.2 supports up to 128K context
     this.gpuLayers = parseInt(process.env.OLLAMA_GPU_LAYERS) || -1; // Use all available GPU layers
     
-    this.vectorStore = null;
-    this.userVectorStores = new Map(); // userId -> vectorStore for isolation
     this.modelsWarmedUp = false;
+
+    // Installed models, cached so per-request model checks don't each call Ollama
+    this.modelListTtl = parseInt(process.env.OLLAMA_MODEL_LIST_TTL_MS) || 60 * 1000;
+    this.modelListCache = null;
   }
 
   // Check if Ollama is running and models are available
@@ -55,6 +66,54 @@ class OllamaService {
     }
   }
 
+  // Installed model names, or null when Ollama can't be reached. refresh skips the cache.
+  async getAvailableModels({ refresh = false } = {}) {
+    if (!refresh && this.modelListCache && this.modelListCache.expiresAt > Date.now()) {
+      return this.modelListCache.models;
+    }
+
+    const health = await this.checkHealth();
+    if (!health.ollamaRunning) return null;
+
+    this.modelListCache = { models: health.availableModels, expiresAt: Date.now() + this.modelListTtl };
+    return health.availableModels;
+  }
+
+  // Ollama lists untagged models as "name:latest"
+  isModelInstalled(model, availableModels) {
+    return availableModels.some(name => name === model || name === `${model}:latest`);
+  }
+
+  // Model and parameters for a request: the user's AI settings (see /api/settings/ai), with
+  // an explicit model override. A model that is no longer installed falls back to the
+  // server default; requestedModel then records what was asked for.
+  async resolveGenerationSettings(userId, overrides = {}) {
+    let ai = DEFAULT_SETTINGS.ai;
+    if (userId) {
+      try {
+        ai = await settingsService.getSection(userId, 'ai');
+      } catch (error) {
+        console.error(`❌ [User: ${userId}] Could not load AI settings, using defaults:`, error.message);
+      }
+    }
+
+    const requestedModel = overrides.model || ai.model;
+    const generation = {
+      model: requestedModel,
+      temperature: ai.temperature,
+      maxTokens: ai.maxTokens
+    };
+
+    const availableModels = await this.getAvailableModels();
+    if (availableModels && !this.isModelInstalled(requestedModel, availableModels)) {
+      console.warn(`⚠️ [User: ${userId}] Model ${requestedModel} is not installed, using ${this.model}`);
+      generation.model = this.model;
+      generation.requestedModel = requestedModel;
+    }
+
+    return generation;
+  }
+
   // Pull models if they don't exist
   async ensureModels() {
     try {
@@ -86,7 +145,9 @@ class OllamaService {
   }
 
   // OCR functionality using Tesseract
-  async extractTextFromImage(imageBuffer) {
+  // options.onProgress({ page, pages, progress }) is called as recognition advances; page and
+  // pages (default 1) say which page of a longer document the image is
+  async extractTextFromImage(imageBuffer, options = {}) {
     try {
       console.log('🔍 Extracting text from image using OCR...');
       
@@ -97,6 +158,9 @@ class OllamaService {
           logger: m => {
             if (m.status === 'recognizing text') {
               console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
+              if (options.onProgress) {
+                options.onProgress({ page: options.page || 1, pages: options.pages || 1, progress: m.progress });
+              }
             }
           }
         }
@@ -117,10 +181,10 @@ class OllamaService {
   }
 
   // Enhanced OCR with AI-powered text cleanup and understanding
-  async enhancedOCR(imageBuffer) {
+  async enhancedOCR(imageBuffer, options = {}) {
     try {
       // First, extract raw text using OCR
-      const rawText = await this.extractTextFromImage(imageBuffer);
+      const rawText = await this.extractTextFromImage(imageBuffer, options);
       
       if (!rawText || rawText.trim().length < 10) {
         return { rawText, enhancedText: rawText, summary: 'No significant text found' };
@@ -199,66 +263,6 @@ Please provide:
     return Math.min(score, 1.0);
   }
 
-  // Create vector store from documents
-  async createVectorStore(documents) {
-    try {
-      console.log(`🔍 Creating vector store from ${documents.length} documents...`);
-      
-      // Split documents into chunks
-      const chunks = await this.textSplitter.splitDocuments(documents);
-      console.log(`📄 Split into ${chunks.length} chunks`);
-
-      // Create vector store
-      this.vectorStore = await MemoryVectorStore.fromDocuments(
-        chunks,
-        this.embeddings
-      );
-
-      console.log('✅ Vector store created successfully');
-      return this.vectorStore;
-    } catch (error) {
-      console.error('❌ Error creating vector store:', error);
-      throw error;
-    }
-  }
-
-  // Add documents to existing vector store
-  async addDocuments(documents) {
-    try {
-      if (!this.vectorStore) {
-        return await this.createVectorStore(documents);
-      }
-
-      const chunks = await this.textSplitter.splitDocuments(documents);
-      await this.vectorStore.addDocuments(chunks);
-      
-      console.log(`✅ Added ${chunks.length} chunks to vector store`);
-      return this.vectorStore;
-    } catch (error) {
-      console.error('❌ Error adding documents:', error);
-      throw error;
-    }
-  }
-
-  // Perform similarity search
-  async similaritySearch(query, k = 5) {
-    try {
-      if (!this.vectorStore) {
-        throw new Error('Vector store not initialized. Please add documents first.');
-      }
-
-      const results = await this.vectorStore.similaritySearch(query, k);
-      return results.map(doc => ({
-        content: doc.pageContent,
-        metadata: doc.metadata,
-        relevanceScore: doc.score || 0
-      }));
-    } catch (error) {
-      console.error('❌ Error in similarity search:', error);
-      throw error;
-    }
-  }
-
   // Check if question is about the SmartContract.ai application
   isApplicationQuery(question) {
     const appQuestionPatterns = [
@@ -332,8 +336,15 @@ Please provide:
     return relevantInfo.join('\n\n');
   }
 
-  // RAG-powered question answering
-  async answerQuestion(question, context = null) {
+  // RAG-powered question answering over Ollama's chat API. Without explicit context, relevant
+  // chunks are retrieved from the asking user's own contracts only.
+  // options: userId, generation (from resolveGenerationSettings; resolved for userId if omitted),
+  // sources (citations for the given context), conversation (earlier turns: { summary, messages }
+  // from chatMemoryService, so follow-up questions can refer back to them),
+  // requireContext (return answer: null instead of generating when nothing relevant was found),
+  // onToken (stream the answer, called with each piece of text), signal (AbortSignal that stops
+  // a streamed answer; the text so far is returned with cancelled: true)
+  async answerQuestion(question, context = null, options = {}) {
     try {
       // Check for simple greetings and casual conversation
       const greetingPatterns = /^(hi|hello|hey|greetings|good morning|good afternoon|good evening|how are you|what's up|yo)[\s!?]*$/i;
@@ -346,15 +357,18 @@ Please provide:
         ];
 
         const randomGreeting = greetingResponses[Math.floor(Math.random() * greetingResponses.length)];
+        if (options.onToken) options.onToken(randomGreeting);
 
         return {
           answer: randomGreeting,
           context: 'Greeting response with SmartContract.ai context',
-          hasContext: true
+          hasContext: true,
+          generation: null
         };
       }
 
       let contextText = '';
+      let sources = options.sources || [];
       let isAppQuery = this.isApplicationQuery(question);
 
       if (context) {
@@ -362,13 +376,18 @@ Please provide:
       } else if (isAppQuery) {
         // Get application-specific knowledge for platform questions
         contextText = this.getRelevantAppKnowledge(question);
-      } else if (this.vectorStore) {
+      } else if (options.userId) {
         // Retrieve relevant documents for document-related queries
-        const relevantDocs = await this.similaritySearch(question, 3);
-        contextText = relevantDocs.map(doc => doc.content).join('\n\n');
+        try {
+          const relevantDocs = await vectorStoreService.search(options.userId, question, { k: 3 });
+          contextText = relevantDocs.map(doc => doc.content).join('\n\n');
+          sources = relevantDocs.map(doc => this.toSource(doc));
+        } catch (searchError) {
+          console.error(`❌ [User: ${options.userId}] Similarity search failed:`, searchError);
+        }
       }
 
-      const prompt = contextText
+      const instructions = contextText
         ? (isAppQuery
           ? `You are the friendly, knowledgeable AI assistant for SmartContract.ai, an AI-powered contract intelligence platform. You have comprehensive knowledge about the application, its features, policies, and technical details. Communicate naturally and be helpful in explaining the platform's capabilities.
 
@@ -377,9 +396,7 @@ When answering questions about SmartContract.ai, use the provided application kn
 SmartContract.ai Platform Knowledge:
 ${contextText}
 
-User Question: ${question}
-
-Provide a comprehensive, friendly response about SmartContract.ai:`
+Provide a comprehensive, friendly response about SmartContract.ai.`
           : `You are a friendly, conversational AI assistant for SmartContract.ai. You communicate naturally like ChatGPT - being helpful, clear, and engaging. You can analyze documents, answer questions about contracts, and provide general assistance. When documents are provided, you can analyze them in detail.
 
 Be natural and personable in your response. If there's document context, use phrases like "I can see from the document that...", "Based on what I'm reading here...", etc. If the question isn't related to the document, feel free to answer it generally and conversationally while keeping in mind you're part of the SmartContract.ai platform.
@@ -387,37 +404,64 @@ Be natural and personable in your response. If there's document context, use phr
 Document Context:
 ${contextText}
 
-User Question: ${question}
-
-Please provide a natural, conversational response:`)
+Please provide a natural, conversational response.`)
         : `You are a friendly, conversational AI assistant for SmartContract.ai, an AI-powered contract intelligence platform. You communicate naturally - being helpful, clear, and engaging. You can help with contract questions, document analysis, general legal concepts, or any other topics users might ask about.
 
 Answer the user's question in a natural, conversational way. Be personable and use natural language patterns. Feel free to use phrases like "Great question!", "I'd be happy to help with that", "Here's what I can tell you...", etc. If relevant, you can mention SmartContract.ai's capabilities for document analysis and contract intelligence.
 
-User Question: ${question}
+Please provide a natural, conversational response.`;
+
+      const conversation = options.conversation || { summary: null, messages: [] };
+      const messages = [
+        {
+          role: 'system',
+          content: conversation.summary
+            ? `${instructions}\n\nSummary of the earlier conversation:\n${conversation.summary}`
+            : instructions
+        },
+        ...conversation.messages,
+        { role: 'user', content: question }
+      ];
+
+      if (options.requireContext && !contextText) {
+        return {
+          answer: null,
+          context: 'No relevant context found',
+          hasContext: false,
+          queryType: 'general',
+          sources: [],
+          generation: null
+        };
+      }
 
-Please provide a natural, conversational response:`;
+      const generation = options.generation || await this.resolveGenerationSettings(options.userId);
 
-      const response = await this.ollama.generate({
-        model: this.model,
-        prompt: prompt,
-        stream: false,
+      const request = {
+        model: generation.model,
+        messages,
         options: {
           num_ctx: this.contextSize,
           num_gpu: this.gpuLayers,
-          temperature: 0.7,        // Higher temperature for more natural responses
+          temperature: generation.temperature,
           top_p: 0.9,
           top_k: 40,               // Add top_k for better diversity
           repeat_penalty: 1.1,     // Reduce repetitive responses
-          num_predict: 1200        // Allow longer responses
+          num_predict: generation.maxTokens
         }
-      });
+      };
+
+      const { text, cancelled } = options.onToken
+        ? await this.streamChat(request, options.onToken, options.signal)
+        : { text: (await this.ollama.chat({ ...request, stream: false })).message.content, cancelled: false };
 
       return {
-        answer: response.response,
+        answer: text,
         context: contextText ? (isAppQuery ? 'Used SmartContract.ai platform knowledge' : 'Used document context') : 'General AI response',
         hasContext: !!contextText,
-        queryType: isAppQuery ? 'platform' : (contextText ? 'document' : 'general')
+        queryType: isAppQuery ? 'platform' : (contextText ? 'document' : 'general'),
+        sources,
+        generation,
+        cancelled
       };
     } catch (error) {
       console.error('❌ Error answering question:', error);
@@ -425,9 +469,87 @@ Please provide a natural, conversational response:`;
     }
   }
 
+  // Citation for a retrieved chunk: where in which contract the passage is and how well it matched
+  toSource(doc) {
+    return {
+      contractId: doc.metadata.contractId,
+      title: doc.metadata.title || doc.metadata.fileName || null,
+      page: doc.metadata.page || null,
+      charStart: doc.metadata.charStart,
+      charEnd: doc.metadata.charEnd,
+      score: doc.relevanceScore,
+      text: doc.content.substring(0, SOURCE_EXCERPT_LENGTH)
+    };
+  }
+
+  // Chat with stream: true, passing each piece of text to onToken. Aborting signal stops
+  // Ollama mid-generation; resolves to { text, cancelled } either way.
+  async streamChat(request, onToken, signal) {
+    const stream = await this.ollama.chat({ ...request, stream: true });
+    const abort = () => stream.abort();
+
+    if (signal) {
+      if (signal.aborted) abort();
+      else signal.addEventListener('abort', abort, { once: true });
+    }
+
+    let text = '';
+    try {
+      for await (const part of stream) {
+        const content = part.message && part.message.content;
+        if (content) {
+          text += content;
+          onToken(content);
+        }
+      }
+      return { text, cancelled: false };
+    } catch (error) {
+      if (signal && signal.aborted) {
+        return { text, cancelled: true };
+      }
+      throw error;
+    } finally {
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  }
+
+  // Fold earlier chat turns ({ role, content }) into the running summary of a conversation, so
+  // they stay available to follow-up questions once they no longer fit in the prompt
+  async summarizeConversation(summary, messages, generation) {
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n\n');
+
+    const response = await this.ollama.chat({
+      model: generation.model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You summarize conversations between a user and a contract analysis assistant. Write a short summary that keeps what later questions may refer back to: the documents, clauses, names, figures and dates discussed, what the user asked for and what was concluded. Use plain sentences, no preamble.'
+        },
+        {
+          role: 'user',
+          content: `${summary ? `Summary so far:\n${summary}\n\n` : ''}Conversation to add to the summary:\n${transcript}\n\nUpdated summary:`
+        }
+      ],
+      stream: false,
+      options: {
+        num_ctx: this.contextSize,
+        num_gpu: this.gpuLayers,
+        temperature: 0.2,
+        num_predict: CONVERSATION_SUMMARY_MAX_TOKENS
+      }
+    });
+
+    return response.message.content.trim();
+  }
+
   // Analyze contract or document
-  async analyzeDocument(text) {
+  // options: userId (whose AI settings apply), model (overrides the user's model)
+  async analyzeDocument(text, options = {}) {
     try {
+      const generation = await this.resolveGenerationSettings(options.userId, { model: options.model });
+
       const prompt = `You are a friendly, conversational AI assistant. Analyze the following document in a natural, ChatGPT-like manner. Be personable and engaging while providing helpful insights.
 
 Please review this document and provide insights in a conversational way. Adapt your analysis based on what type of document this is - it could be a contract, agreement, article, code, or any other type of text. Structure your response naturally based on the content:
@@ -448,24 +570,26 @@ ${text}
 Please provide your analysis in a natural, conversational tone - as if you're explaining this to a friend who asked for your expert opinion:`;
 
       const response = await this.ollama.generate({
-        model: this.model,
+        model: generation.model,
         prompt: prompt,
         stream: false,
         options: {
           num_ctx: this.contextSize,
           num_gpu: this.gpuLayers,
-          temperature: 0.6,        // More natural and conversational
+          temperature: generation.temperature,
           top_p: 0.9,
           top_k: 40,
           repeat_penalty: 1.1,
-          num_predict: 2000        // Allow longer conversational analysis
+          num_predict: generation.maxTokens
         }
       });
 
       return {
         analysis: response.response,
         timestamp: new Date().toISOString(),
-        model: this.model
+        model: generation.model,
+        generation,
+        mode: 'full'
       };
     } catch (error) {
       console.error('❌ Error analyzing document:', error);
@@ -473,67 +597,6 @@ Please provide your analysis in a natural, conversational tone - as if you're ex
     }
   }
 
-  // Load all user's contracts into vector store for RAG
-  async loadUserDocuments(userId) {
-    try {
-      const { supabase } = require('../config/supabase');
-      
-      // Get all completed contracts for the user
-      const { data: contracts, error } = await supabase
-        .from('contracts')
-        .select('id, content, file_name, title')
-        .eq('user_id', userId)
-        .eq('status', 'completed')
-        .not('content', 'is', null);
-
-      if (error) {
-        console.error('❌ Error fetching user contracts:', error);
-        return false;
-      }
-
-      if (!contracts || contracts.length === 0) {
-        console.log('📄 No completed contracts found for RAG');
-        return false;
-      }
-
-      // Convert contracts to document format
-      const documents = contracts.map(contract => ({
-        pageContent: contract.content,
-        metadata: {
-          contractId: contract.id,
-          fileName: contract.file_name,
-          title: contract.title || contract.file_name,
-          userId: userId
-        }
-      }));
-
-      // Clear existing vector store and recreate with all user documents
-      console.log(`🧠 Loading ${contracts.length} contracts into vector store for RAG`);
-      await this.createVectorStore(documents);
-      
-      console.log(`✅ Vector store loaded with ${contracts.length} contracts`);
-      return true;
-    } catch (error) {
-      console.error('❌ Error loading user documents into vector store:', error);
-      return false;
-    }
-  }
-
-  // Get vector store statistics
-  getVectorStoreStats() {
-    try {
-      if (!this.vectorStore) {
-        return { documentsCount: 0, status: 'not initialized' };
-      }
-      // MemoryVectorStore doesn't have direct access to document count
-      // but we can infer it's working if it exists
-      return { status: 'initialized', type: 'memory' };
-    } catch (error) {
-      console.error('❌ Error getting vector store stats:', error);
-      return { status: 'error', error: error.message };
-    }
-  }
-
   // Warm up models for faster processing
   async warmupModels() {
     if (this.modelsWarmedUp) return true;
@@ -559,114 +622,304 @@ Please provide your analysis in a natural, conversational tone - as if you're ex
     }
   }
 
-  // Faster document analysis optimized for batch processing
-  async analyzeDocumentFast(content, userId) {
+  // Faster document analysis optimized for batch processing. Long documents are analysed
+  // section by section (map) and the findings merged into one verdict (reduce).
+  // options: model (overrides the user's AI settings), onProgress({ section, sections })
+  async analyzeDocumentFast(content, userId, options = {}) {
     try {
-      console.log(`🤖 [User: ${userId}] Fast analyzing document...`);
-      
-      const prompt = `Analyze this contract quickly and provide key insights in JSON format:
-
-${content.substring(0, 4000)} ${content.length > 4000 ? '...(truncated for speed)' : ''}
-
-Provide a JSON response with:
-- contractType: brief type classification
-- keyTerms: array of 3-5 most important terms
-- riskLevel: "low", "medium", "high"
-- mainConcerns: array of 2-3 key concerns
-- summary: 2-sentence summary
+      const resolved = await this.resolveGenerationSettings(userId, { model: options.model });
+      const generation = { ...resolved, maxTokens: SECTION_MAX_TOKENS };
+      const { model } = generation;
+      const sections = await this.splitIntoSections(content);
+      const selected = this.selectSections(sections);
+      console.log(`🤖 [User: ${userId}] Fast analyzing document with ${model} (${sections.length} section${sections.length === 1 ? '' : 's'}${selected.length < sections.length ? `, ${selected.length} sampled` : ''})...`);
+
+      const findings = [];
+      const failedSections = [];
+      let attempts = 0;
+
+      for (const [position, section] of selected.entries()) {
+        if (options.onProgress) {
+          options.onProgress({ section: position + 1, sections: selected.length });
+        }
 
-Respond only with valid JSON.`;
+        try {
+          const result = await this.analyzeSection(section, sections.length, generation);
+          attempts += result.attempts;
+          findings.push({ ...result.data, section });
+        } catch (outputError) {
+          if (!(outputError instanceof StructuredOutputError)) throw outputError;
 
-      const response = await this.ollama.generate({
-        model: this.model,
-        prompt: prompt,
-        options: {
-          num_predict: 300, // Limit response length for speed
-          temperature: 0.1, // Lower temperature for consistency
-          top_p: 0.8,
-          num_ctx: this.contextSize
+          console.warn(`⚠️ [User: ${userId}] Section ${section.index + 1}/${sections.length}: ${outputError.message}`);
+          attempts += outputError.attempts;
+          failedSections.push({ index: section.index, errors: outputError.errors, rawOutput: outputError.rawOutput });
         }
-      });
+      }
 
-      // Parse JSON response
-      try {
-        const analysis = JSON.parse(response.response);
-        console.log(`✅ [User: ${userId}] Fast analysis completed`);
-        return {
-          ...analysis,
-          processingTime: new Date().toISOString(),
-          mode: 'fast'
-        };
-      } catch (parseError) {
-        console.warn('❌ JSON parse failed, falling back to text analysis');
+      if (findings.length === 0) {
+        // Never pass a guess off as an assessment: no risk level, flagged for review
+        console.warn(`❌ [User: ${userId}] No section produced a valid analysis`);
         return {
-          contractType: 'Unknown',
-          summary: response.response.substring(0, 200),
-          riskLevel: 'medium',
-          keyTerms: ['Legal Document'],
-          mainConcerns: ['Requires manual review'],
+          contractType: null,
+          summary: null,
+          keyTerms: [],
+          mainConcerns: [],
+          concerns: [],
+          isFallback: true,
+          fallbackReason: 'The AI response could not be validated, so no automated assessment is available. Please review this contract manually or reprocess it.',
+          validation: {
+            valid: false,
+            attempts,
+            errors: failedSections[0] ? failedSections[0].errors : [],
+            failedSections: failedSections.map(failed => failed.index)
+          },
+          rawOutput: (failedSections[0]?.rawOutput || '').substring(0, 500),
+          strategy: sections.length > 1 ? 'map-reduce' : 'single-pass',
           processingTime: new Date().toISOString(),
+          model: model,
+          generation,
           mode: 'fallback'
         };
       }
 
+      const concerns = this.dedupeConcerns(findings);
+      const overview = await this.summarizeSections(findings, generation);
+      const sectionResults = sections.map(section => {
+        const finding = findings.find(item => item.section.index === section.index);
+        return {
+          index: section.index,
+          charStart: section.charStart,
+          charEnd: section.charEnd,
+          analyzed: !!finding,
+          riskLevel: finding ? finding.riskLevel : null,
+          summary: finding ? finding.summary : null
+        };
+      });
+
+      // Document-level score from the deterministic engine, with the deduped concerns as one of
+      // its factors, so it is the same score processing stores as risk_score
+      const risk = riskService.assess(content, clauseService.extractClauses(content), { concerns, sections: sectionResults });
+
+      console.log(`✅ [User: ${userId}] Fast analysis completed (${concerns.length} concerns, risk ${risk.score})`);
+      return {
+        contractType: overview.contractType,
+        summary: overview.summary,
+        keyTerms: this.mergeKeyTerms(findings),
+        riskScore: risk.score,
+        riskLevel: risk.level,
+        mainConcerns: concerns.slice(0, 5).map(item => item.concern),
+        concerns,
+        sections: sectionResults,
+        isFallback: false,
+        validation: {
+          valid: failedSections.length === 0,
+          attempts,
+          failedSections: failedSections.map(failed => failed.index)
+        },
+        strategy: sections.length > 1 ? 'map-reduce' : 'single-pass',
+        // Only some sections were analysed (see sections[].analyzed)
+        sampled: selected.length < sections.length,
+        processingTime: new Date().toISOString(),
+        model: model,
+        generation,
+        mode: 'fast'
+      };
+
     } catch (error) {
       console.error(`❌ [User: ${userId}] Fast document analysis failed:`, error);
       throw error;
     }
   }
 
-  // Add documents with user isolation
-  async addDocumentsWithIsolation(documents, userId) {
-    try {
-      console.log(`🧠 [User: ${userId}] Adding documents with isolation...`);
-      
-      // Get or create user-specific vector store
-      let userVectorStore = this.userVectorStores.get(userId);
-      if (!userVectorStore) {
-        const splits = await this.textSplitter.splitDocuments(
-          documents.map(doc => new Document(doc))
-        );
-        userVectorStore = await MemoryVectorStore.fromDocuments(splits, this.embeddings);
-        this.userVectorStores.set(userId, userVectorStore);
-        console.log(`✅ [User: ${userId}] Created new isolated vector store`);
-      } else {
-        // Add to existing store
-        const splits = await this.textSplitter.splitDocuments(
-          documents.map(doc => new Document(doc))
-        );
-        await userVectorStore.addDocuments(splits);
-        console.log(`✅ [User: ${userId}] Added to existing vector store`);
+  // Split a document into analysis sections with their character offsets. Sections grow for
+  // long documents, up to three times analysisSectionSize so they still fit the context
+  // window; past that (about 240k characters by default) there are more sections than
+  // maxAnalysisSections and selectSections picks which ones are analysed.
+  async splitIntoSections(content) {
+    const chunkSize = Math.min(
+      Math.max(this.analysisSectionSize, Math.ceil(content.length / this.maxAnalysisSections)),
+      this.analysisSectionSize * 3
+    );
+    const splitter = new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap: 200 });
+    const chunks = await documentService.splitWithOffsets(content, splitter);
+
+    return chunks.map(chunk => ({
+      index: chunk.chunkIndex,
+      content: chunk.content,
+      charStart: chunk.charStart,
+      charEnd: chunk.charEnd
+    }));
+  }
+
+  // At most maxAnalysisSections sections, spread evenly from the first to the last, so the
+  // number of model calls per document stays bounded however long it is
+  selectSections(sections) {
+    const limit = this.maxAnalysisSections;
+    if (sections.length <= limit) return sections;
+    if (limit === 1) return [sections[0]];
+
+    const step = (sections.length - 1) / (limit - 1);
+    return Array.from({ length: limit }, (_, position) => sections[Math.round(position * step)]);
+  }
+
+  // Map step: structured findings for a single section
+  async analyzeSection(section, sectionCount, generation) {
+    const position = sectionCount > 1
+      ? `This is section ${section.index + 1} of ${sectionCount} of a longer contract. Only report what appears in this section.\n\n`
+      : '';
+
+    const prompt = `Analyze this contract ${sectionCount > 1 ? 'section ' : ''}quickly and provide key insights in JSON format:
+
+${position}${section.content}
+
+Provide a JSON object with exactly these fields:
+- contractType: brief type classification of the contract (string)
+- keyTerms: array of up to 5 most important terms (strings)
+- riskLevel: one of "low", "medium", "high"
+- concerns: array of up to 3 key concerns, each { "concern": string, "severity": "low" | "medium" | "high" }
+- summary: 2-sentence summary (string)
+
+Respond only with valid JSON.`;
+
+    return structuredOutputService.generate({
+      model: generation.model,
+      prompt,
+      schema: SECTION_ANALYSIS_SCHEMA,
+      normalize: (data) => this.normalizeSectionAnalysis(data),
+      generateOptions: {
+        num_predict: SECTION_MAX_TOKENS,
+        temperature: generation.temperature,
+        top_p: 0.8,
+        num_ctx: this.contextSize
+      }
+    });
+  }
+
+  // Smooth over harmless variations small models produce before validating
+  normalizeSectionAnalysis(data) {
+    if (!data || typeof data !== 'object') return data;
+
+    const level = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+    const riskLevel = level(data.riskLevel);
+
+    return {
+      ...data,
+      riskLevel,
+      concerns: Array.isArray(data.concerns)
+        ? data.concerns.map(item => (typeof item === 'string'
+          ? { concern: item, severity: riskLevel }
+          : { ...item, severity: level(item && item.severity) }))
+        : data.concerns
+    };
+  }
+
+  // Merge concerns that say the same thing, keeping the highest severity and every source section
+  dedupeConcerns(findings) {
+    const severityRank = { low: 1, medium: 2, high: 3 };
+    const merged = [];
+
+    for (const finding of findings) {
+      for (const item of finding.concerns) {
+        const tokens = new Set(natural.PorterStemmer.tokenizeAndStem(item.concern));
+        const existing = merged.find(candidate => this.tokenOverlap(candidate.tokens, tokens) >= 0.6);
+
+        if (existing) {
+          if (severityRank[item.severity] > severityRank[existing.severity]) {
+            existing.severity = item.severity;
+          }
+          if (!existing.sections.includes(finding.section.index)) {
+            existing.sections.push(finding.section.index);
+          }
+        } else {
+          merged.push({
+            concern: item.concern,
+            severity: item.severity,
+            sections: [finding.section.index],
+            tokens
+          });
+        }
       }
-      
-      return true;
-    } catch (error) {
-      console.error(`❌ [User: ${userId}] Error adding documents with isolation:`, error);
-      throw error;
     }
+
+    return merged
+      .map(({ tokens, ...concern }) => concern)
+      .sort((a, b) => severityRank[b.severity] - severityRank[a.severity] || b.sections.length - a.sections.length);
   }
 
-  // Get user-specific vector store
-  getUserVectorStore(userId) {
-    return this.userVectorStores.get(userId);
+  // Jaccard similarity of two stemmed token sets
+  tokenOverlap(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) {
+      if (b.has(token)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
   }
 
-  // Clean up user vector stores (call periodically or on user logout)
-  cleanupUserVectorStore(userId) {
-    if (this.userVectorStores.has(userId)) {
-      this.userVectorStores.delete(userId);
-      console.log(`🧹 [User: ${userId}] Vector store cleaned up`);
-      return true;
+  // Most frequently mentioned key terms across sections
+  mergeKeyTerms(findings, limit = 5) {
+    const counts = new Map();
+
+    for (const finding of findings) {
+      for (const term of finding.keyTerms) {
+        const key = term.trim().toLowerCase();
+        const entry = counts.get(key) || { term: term.trim(), count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      }
+    }
+
+    return Array.from(counts.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit)
+      .map(entry => entry.term);
+  }
+
+  // Reduce step: one contract type and summary for the whole document
+  async summarizeSections(findings, generation) {
+    if (findings.length === 1) {
+      return { contractType: findings[0].contractType || 'Unknown', summary: findings[0].summary };
+    }
+
+    const sectionSummaries = findings
+      .map(finding => `Section ${finding.section.index + 1} (${finding.contractType || 'unknown type'}): ${finding.summary}`)
+      .join('\n');
+
+    try {
+      const { data } = await structuredOutputService.generate({
+        model: generation.model,
+        prompt: `These are summaries of consecutive sections of one contract:
+
+${sectionSummaries}
+
+Provide a JSON object with exactly these fields:
+- contractType: brief type classification of the whole contract (string)
+- summary: 2-3 sentence summary of the whole contract (string)
+
+Respond only with valid JSON.`,
+        schema: DOCUMENT_SUMMARY_SCHEMA,
+        generateOptions: {
+          num_predict: SUMMARY_MAX_TOKENS,
+          temperature: generation.temperature,
+          top_p: 0.8,
+          num_ctx: this.contextSize
+        }
+      });
+      return data;
+    } catch (outputError) {
+      if (!(outputError instanceof StructuredOutputError)) throw outputError;
+
+      // The section findings are still valid; fall back to the opening section's overview
+      console.warn(`⚠️ Document summary failed, using first section: ${outputError.message}`);
+      return { contractType: findings[0].contractType || 'Unknown', summary: findings[0].summary };
     }
-    return false;
   }
 
   // Get processing statistics
   getProcessingStats() {
     return {
-      activeUserStores: this.userVectorStores.size,
       modelsWarmedUp: this.modelsWarmedUp,
-      users: Array.from(this.userVectorStores.keys())
+      vectorStore: vectorStoreService.isAvailable() ? 'pgvector' : 'unavailable'
     };
   }
 
@@ -692,7 +945,7 @@ Respond only with valid JSON.`;
   getOptimizationStatus(queryType = 'general') {
     return {
       platform: true, // Always optimized for platform queries
-      document: !!this.vectorStore, // Optimized if vector store is available
+      document: vectorStoreService.isAvailable(), // Optimized if the persistent vector store is available
       general: true, // Always available for general queries
       currentQueryType: queryType
     };
@@ -0,0 +1,162 @@
+const { supabase } = require('../config/supabase');
+const { socketService } = require('./socketService');
+
+// Fine-grained progress (e.g. OCR) is saved at most this often; stage changes always are
+const PERSIST_INTERVAL_MS = 1000;
+
+// Pipeline stages in order, with the overall percentage reached when each one starts
+const PROCESSING_STAGES = {
+  queued: { label: 'Queued', percent: 0 },
+  extracting: { label: 'Extracting text', percent: 10 },
+  ocr: { label: 'Running OCR', percent: 10 },
+  analyzing: { label: 'Analysing document', percent: 40 },
+  embedding: { label: 'Creating embeddings', percent: 80 },
+  completed: { label: 'Completed', percent: 100 },
+  failed: { label: 'Failed', percent: 100 }
+};
+
+// Tracks one processing run of a contract and persists it to contracts.processing
+class ProcessingTracker {
+  constructor(contractId, userId) {
+    this.contractId = contractId;
+    this.userId = userId;
+    this.startedAt = Date.now();
+    this.stageName = 'queued';
+    this.percent = 0;
+    this.timings = {}; // stage -> milliseconds
+    this.lastError = null;
+    this.lastPersistedAt = 0;
+  }
+
+  // Move the run to a new stage; percent may be given to report progress within a stage
+  async stage(name, { percent, detail } = {}) {
+    this.stageName = name;
+    this.percent = percent !== undefined ? percent : PROCESSING_STAGES[name].percent;
+    this.detail = detail || null;
+    this.emit();
+    await this.persist();
+  }
+
+  // Report progress within the current stage; only whole-percent changes are pushed
+  async progress(percent, detail) {
+    const rounded = Math.min(Math.round(percent), 99);
+    if (rounded === this.percent && detail === this.detail) return;
+
+    this.percent = rounded;
+    this.detail = detail || this.detail;
+    this.emit();
+
+    if (Date.now() - this.lastPersistedAt >= PERSIST_INTERVAL_MS) {
+      await this.persist();
+    }
+  }
+
+  // Time a unit of work and record its duration under the given stage
+  async time(name, work) {
+    const started = Date.now();
+    try {
+      return await work;
+    } finally {
+      this.timings[name] = Date.now() - started;
+    }
+  }
+
+  // Remaining time extrapolated from the time taken so far
+  estimateRemainingSeconds() {
+    if (this.percent >= 100) return 0;
+    if (this.percent < 5) return null;
+
+    const elapsed = Date.now() - this.startedAt;
+    return Math.round((elapsed * (100 - this.percent)) / this.percent / 1000);
+  }
+
+  getTotalTime() {
+    return Date.now() - this.startedAt;
+  }
+
+  async complete() {
+    this.timings.total = this.getTotalTime();
+    await this.stage('completed');
+  }
+
+  // Record a failed attempt; the queue may still retry it
+  async fail(errorMessage) {
+    this.lastError = errorMessage;
+    this.timings.total = this.getTotalTime();
+    this.emit();
+    await this.persist();
+  }
+
+  // Push the current state to the contract's subscribers and the owner's room
+  emit() {
+    const status = this.stageName === 'completed' ? 'completed' : 'processing';
+    socketService.sendProcessingUpdate(this.contractId, this.userId, {
+      status,
+      ...this.toJSON()
+    });
+  }
+
+  toJSON() {
+    return {
+      stage: this.stageName,
+      label: PROCESSING_STAGES[this.stageName].label,
+      detail: this.detail || null,
+      percent: this.percent,
+      etaSeconds: this.estimateRemainingSeconds(),
+      startedAt: new Date(this.startedAt).toISOString(),
+      updatedAt: new Date().toISOString(),
+      timings: this.timings,
+      lastError: this.lastError
+    };
+  }
+
+  async persist() {
+    this.lastPersistedAt = Date.now();
+    const { error } = await supabase
+      .from('contracts')
+      .update({ processing: this.toJSON() })
+      .eq('id', this.contractId);
+
+    if (error) {
+      // Progress is informational; never fail the pipeline over it
+      console.warn(`⚠️ [User: ${this.userId}] Could not save progress for contract ${this.contractId}:`, error.message);
+    }
+  }
+}
+
+class ProgressService {
+  // Begin tracking a new processing run
+  start(contractId, userId) {
+    return new ProcessingTracker(contractId, userId);
+  }
+
+  // Reset progress when a contract is put (back) on the queue
+  async markQueued(contractId, userId) {
+    const tracker = new ProcessingTracker(contractId, userId);
+    tracker.emit();
+    await tracker.persist();
+    return tracker;
+  }
+
+  // Tell listeners a contract has failed for good (retries exhausted, cancelled, ...)
+  notifyFailed(contractId, userId, errorMessage) {
+    socketService.sendProcessingUpdate(contractId, userId, {
+      status: 'failed',
+      stage: 'failed',
+      label: PROCESSING_STAGES.failed.label,
+      percent: 100,
+      etaSeconds: null,
+      lastError: errorMessage
+    });
+  }
+}
+
+// Create singleton instance
+const progressService = new ProgressService();
+
+module.exports = {
+  progressService,
+  ProgressService,
+  ProcessingTracker,
+  PROCESSING_STAGES
+};
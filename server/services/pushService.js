@@ -0,0 +1,318 @@
+const webpush = require('web-push');
+const { supabase } = require('../config/supabase');
+
+// Push services answer 404/410 once a subscription has expired or been revoked
+const GONE_STATUS_CODES = [404, 410];
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+const PUSH_REQUEST_TIMEOUT_MS = 10000;
+// Push services reject payloads over 4096 bytes once encrypted (413); this leaves room for the
+// encryption header, padding and tag
+const MAX_PAYLOAD_BYTES = 3000;
+const MAX_TITLE_LENGTH = 120;
+const MAX_BODY_LENGTH = 500;
+
+// Hosts of the browsers' push services: Chrome (FCM), Firefox (Mozilla autopush), Edge (WNS)
+// and Safari (Apple). A host also matches its subdomains.
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'android.googleapis.com',
+  'push.services.mozilla.com',
+  'notify.windows.com',
+  'push.apple.com'
+];
+
+// Web Push delivery (VAPID-signed, payload encrypted per RFC 8291) to every browser a user
+// subscribed from. Subscriptions are stored per device in push_subscriptions.
+class PushService {
+  constructor() {
+    this.publicKey = process.env.VAPID_PUBLIC_KEY || null;
+    this.privateKey = process.env.VAPID_PRIVATE_KEY || null;
+    this.subject = process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_USER || 'admin@localhost'}`;
+
+    // A device is dropped after this many failed deliveries in a row
+    this.maxFailures = parseInt(process.env.PUSH_MAX_FAILURES) || 5;
+    // Allows plain-http endpoints on localhost, for testing against scripts/push-endpoint-stub.js
+    this.allowInsecureEndpoints = process.env.PUSH_ALLOW_INSECURE_ENDPOINTS === 'true';
+
+    this.cleanupInterval = parseInt(process.env.PUSH_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
+    this.cleanupTimer = null;
+  }
+
+  isConfigured() {
+    return !!(this.publicKey && this.privateKey);
+  }
+
+  getPublicKey() {
+    return this.publicKey;
+  }
+
+  // Subscriptions are user input and the server POSTs to them, so only accept the known push
+  // services (on the default https port); anything else, internal hosts and IP addresses
+  // included, could make the server send requests on a user's behalf
+  isValidEndpoint(endpoint) {
+    let url;
+    try {
+      url = new URL(endpoint);
+    } catch (error) {
+      return false;
+    }
+
+    if (url.protocol === 'https:') {
+      const host = url.hostname.toLowerCase();
+      return url.port === '' && !url.username && !url.password &&
+        PUSH_SERVICE_HOSTS.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+    }
+    return this.allowInsecureEndpoints && url.protocol === 'http:' &&
+      ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  }
+
+  serialize(row) {
+    return {
+      id: row.id,
+      endpoint: row.endpoint,
+      deviceName: row.device_name,
+      userAgent: row.user_agent,
+      expiresAt: row.expiration_time,
+      lastUsedAt: row.last_used_at,
+      createdAt: row.created_at
+    };
+  }
+
+  // Register (or refresh) a browser's PushSubscription. An endpoint identifies one browser
+  // profile, so re-subscribing from the same device replaces its row, even across users.
+  async subscribe(userId, subscription, { deviceName = null, userAgent = null } = {}) {
+    const { data: row, error } = await supabase
+      .from('push_subscriptions')
+      .upsert({
+        user_id: userId,
+        endpoint: subscription.endpoint,
+        p256dh: subscription.keys.p256dh,
+        auth: subscription.keys.auth,
+        expiration_time: subscription.expirationTime ? new Date(subscription.expirationTime).toISOString() : null,
+        device_name: deviceName,
+        user_agent: userAgent,
+        failure_count: 0,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'endpoint' })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return this.serialize(row);
+  }
+
+  async listSubscriptions(userId) {
+    const { data: rows, error } = await supabase
+      .from('push_subscriptions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return (rows || []).map(row => this.serialize(row));
+  }
+
+  // Remove one of the user's devices, by id or endpoint. Resolves to true when one was removed.
+  async unsubscribe(userId, { id, endpoint }) {
+    let request = supabase
+      .from('push_subscriptions')
+      .delete()
+      .eq('user_id', userId);
+
+    request = id ? request.eq('id', id) : request.eq('endpoint', endpoint);
+
+    const { data, error } = await request.select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).length > 0;
+  }
+
+  // Deliver a message to every device of the user. message: { title, message, type, url, event, data }.
+  // Resolves to true when at least one device accepted it.
+  async sendToUser(userId, message) {
+    if (!this.isConfigured()) return false;
+
+    const { data: rows, error } = await supabase
+      .from('push_subscriptions')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    const payload = this.buildPayload(message);
+
+    const results = await Promise.all((rows || []).map(row => this.sendToSubscription(row, payload)));
+    return results.some(Boolean);
+  }
+
+  // The notification as the service worker shows it. Only what it needs travels: the event
+  // data (an analysis summary, ...) stays on the server, and long text is cut to keep the
+  // encrypted payload under the push services' size limit.
+  buildPayload(message) {
+    const truncate = (text, length) => (text && text.length > length ? `${text.slice(0, length - 1)}…` : text);
+    const notification = {
+      title: truncate(message.title, MAX_TITLE_LENGTH),
+      body: truncate(message.message, MAX_BODY_LENGTH),
+      type: message.type || 'info',
+      tag: message.event || undefined,
+      url: message.url || '/',
+      data: {
+        event: message.event || null,
+        contractId: (message.data && message.data.contractId) || null
+      }
+    };
+
+    let payload = JSON.stringify(notification);
+    // Escaped or multi-byte characters can still make it too large
+    while (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES && notification.body) {
+      notification.body = truncate(notification.body, Math.floor(notification.body.length / 2));
+      payload = JSON.stringify(notification);
+    }
+    return payload;
+  }
+
+  async sendToSubscription(row, payload) {
+    if (row.expiration_time && new Date(row.expiration_time) < new Date()) {
+      await this.deleteSubscription(row.id, 'expired');
+      return false;
+    }
+
+    try {
+      const statusCode = await this.deliver(row, payload);
+
+      if (GONE_STATUS_CODES.includes(statusCode)) {
+        await this.deleteSubscription(row.id, `push service answered ${statusCode}`);
+        return false;
+      }
+      // Payload too large: a problem with this message, not with the device
+      if (statusCode === 413) {
+        console.warn(`⚠️ [User: ${row.user_id}] Push to ${row.device_name || row.id} rejected as too large (${Buffer.byteLength(payload)} bytes)`);
+        return false;
+      }
+      if (statusCode < 200 || statusCode > 299) {
+        throw new Error(`Push service answered ${statusCode}`);
+      }
+
+      await supabase
+        .from('push_subscriptions')
+        .update({ failure_count: 0, last_used_at: new Date().toISOString() })
+        .eq('id', row.id);
+      return true;
+    } catch (error) {
+      const failures = (row.failure_count || 0) + 1;
+      console.warn(`⚠️ [User: ${row.user_id}] Push to ${row.device_name || row.id} failed (${failures}/${this.maxFailures}): ${error.message}`);
+
+      if (failures >= this.maxFailures) {
+        await this.deleteSubscription(row.id, 'too many failed deliveries');
+      } else {
+        await supabase
+          .from('push_subscriptions')
+          .update({ failure_count: failures })
+          .eq('id', row.id);
+      }
+      return false;
+    }
+  }
+
+  // web-push signs and encrypts the request; it is sent with fetch so local http endpoints
+  // work too. Resolves to the push service's status code.
+  async deliver(row, payload) {
+    if (!this.isValidEndpoint(row.endpoint)) {
+      throw new Error('Endpoint is not an allowed push service URL');
+    }
+
+    const request = webpush.generateRequestDetails(
+      { endpoint: row.endpoint, keys: { p256dh: row.p256dh, auth: row.auth } },
+      payload,
+      {
+        TTL: PUSH_TTL_SECONDS,
+        vapidDetails: { subject: this.subject, publicKey: this.publicKey, privateKey: this.privateKey }
+      }
+    );
+
+    // fetch sets the length itself
+    const headers = { ...request.headers };
+    delete headers['Content-Length'];
+
+    const response = await fetch(request.endpoint, {
+      method: request.method,
+      headers,
+      body: request.body,
+      redirect: 'manual', // Never follow a push service somewhere else
+      signal: AbortSignal.timeout(PUSH_REQUEST_TIMEOUT_MS)
+    });
+    return response.status;
+  }
+
+  async deleteSubscription(id, reason) {
+    const { error } = await supabase
+      .from('push_subscriptions')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      console.error(`❌ Could not remove push subscription ${id}:`, error.message);
+    } else {
+      console.log(`🧹 Removed push subscription ${id} (${reason})`);
+    }
+  }
+
+  // Drop subscriptions whose expirationTime has passed. Resolves to the number removed.
+  async cleanupExpired() {
+    const { data, error } = await supabase
+      .from('push_subscriptions')
+      .delete()
+      .lt('expiration_time', new Date().toISOString())
+      .select('id');
+
+    if (error) {
+      console.error('❌ Push subscription cleanup failed:', error.message);
+      return 0;
+    }
+
+    if (data && data.length > 0) {
+      console.log(`🧹 Removed ${data.length} expired push subscription${data.length === 1 ? '' : 's'}`);
+    }
+    return (data || []).length;
+  }
+
+  start() {
+    if (!supabase || !this.isConfigured()) {
+      console.warn('⚠️ VAPID keys not configured - push notifications disabled');
+      return false;
+    }
+
+    if (this.cleanupTimer) return true;
+
+    this.cleanupExpired();
+    this.cleanupTimer = setInterval(() => this.cleanupExpired(), this.cleanupInterval);
+    console.log('✅ Push notifications enabled');
+    return true;
+  }
+
+  stop() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+// Create singleton instance
+const pushService = new PushService();
+
+module.exports = {
+  pushService,
+  PushService
+};
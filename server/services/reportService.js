@@ -0,0 +1,333 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const formatParties = (parties) => parties
+  .map(party => (party.role ? `${party.name || 'Unknown'} (${party.role})` : party.name))
+  .filter(Boolean)
+  .join('; ');
+
+// Portfolio columns shared by the CSV and XLSX exports
+const PORTFOLIO_COLUMNS = [
+  { header: 'Title', width: 40, value: row => row.title },
+  { header: 'Type', width: 24, value: row => row.contractType },
+  { header: 'Parties', width: 48, value: row => formatParties(row.parties) },
+  { header: 'Status', width: 12, value: row => row.status },
+  { header: 'Risk Score', width: 11, value: row => row.riskScore },
+  { header: 'Risk Level', width: 11, value: row => row.riskLevel },
+  { header: 'Effective Date', width: 15, value: row => row.effectiveDate },
+  { header: 'Expiration Date', width: 15, value: row => row.expirationDate },
+  { header: 'Renewal Date', width: 15, value: row => row.renewalDate },
+  { header: 'Signature Date', width: 15, value: row => row.signatureDate },
+  { header: 'Term', width: 12, value: row => row.term },
+  { header: 'Concerns', width: 60, value: row => row.concerns.join('; ') },
+  { header: 'Risk Factors', width: 60, value: row => row.riskFactors.join('; ') },
+  { header: 'Uploaded', width: 20, value: row => row.uploadedAt },
+  { header: 'Processed', width: 20, value: row => row.processedAt }
+];
+
+const RISK_FILLS = { low: 'FFD1FAE5', medium: 'FFFEF3C7', high: 'FFFEE2E2' };
+const RISK_COLORS = { low: '#10B981', medium: '#F59E0B', high: '#EF4444' };
+const PDF_MARGIN = 50;
+
+// Builds downloadable portfolio reports from analyticsService dashboard and portfolio data
+class ReportService {
+  isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+  }
+
+  getSupportedFormats() {
+    return Object.keys(EXPORT_FORMATS);
+  }
+
+  // Resolves to { body, contentType, extension }
+  async build(format, { dashboard, portfolio }) {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    let body;
+
+    switch (format) {
+      case 'csv':
+        body = this.toCsv(portfolio);
+        break;
+      case 'xlsx':
+        body = await this.toXlsx(portfolio, dashboard);
+        break;
+      case 'pdf':
+        body = await this.toPdf(portfolio, dashboard);
+        break;
+      default:
+        body = JSON.stringify({
+          exportDate: new Date().toISOString(),
+          summary: dashboard,
+          contracts: portfolio
+        }, null, 2);
+    }
+
+    return { body, contentType, extension };
+  }
+
+  toCsv(rows) {
+    const lines = [
+      PORTFOLIO_COLUMNS.map(column => this.csvCell(column.header)),
+      ...rows.map(row => PORTFOLIO_COLUMNS.map(column => this.csvCell(column.value(row))))
+    ].map(cells => cells.join(','));
+
+    // BOM so Excel opens the file as UTF-8
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  }
+
+  csvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    // Stop spreadsheet apps from evaluating cells that look like formulas
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  async toXlsx(rows, dashboard) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'SmartContract.ai';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Portfolio', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = PORTFOLIO_COLUMNS.map(column => ({ header: column.header, width: column.width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: PORTFOLIO_COLUMNS.length } };
+
+    rows.forEach(row => {
+      const added = sheet.addRow(PORTFOLIO_COLUMNS.map(column => {
+        const value = column.value(row);
+        return value === null || value === undefined ? '' : value;
+      }));
+      added.alignment = { vertical: 'top', wrapText: true };
+
+      if (row.riskLevel) {
+        added.getCell(5).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: RISK_FILLS[row.riskLevel] } };
+      }
+    });
+
+    const summary = workbook.addWorksheet('Summary');
+    summary.columns = [{ width: 32 }, { width: 16 }, { width: 16 }];
+    summary.addRows([
+      ['Generated', dashboard.generatedAt],
+      ['Total contracts', dashboard.totalContracts],
+      ['Completed', dashboard.completedContracts],
+      ['High risk', dashboard.highRiskContracts],
+      ['Average risk score', dashboard.avgRiskScore],
+      ['Average processing time (s)', dashboard.processingStats.avgSeconds],
+      [],
+      ['Risk band', 'Contracts', 'Share (%)'],
+      ...dashboard.riskDistribution.map(band => [band.name, band.contracts, band.value]),
+      [],
+      ['Recurring concern', 'Contracts', 'Severity'],
+      ...dashboard.topConcerns.map(concern => [concern.concern, concern.count, concern.severity])
+    ]);
+    summary.getColumn(1).font = { bold: true };
+
+    return workbook.xlsx.writeBuffer();
+  }
+
+  toPdf(rows, dashboard) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: PDF_MARGIN, bufferPages: true });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const contentWidth = doc.page.width - PDF_MARGIN * 2;
+
+      doc.fontSize(20).fillColor('#111827').text('Contract Portfolio Report');
+      doc.fontSize(10).fillColor('#6B7280').text(`Generated ${new Date(dashboard.generatedAt).toUTCString()}`);
+      doc.moveDown();
+
+      this.pdfSummary(doc, dashboard);
+
+      const chartWidth = (contentWidth - 20) / 2;
+      const chartTop = doc.y + 10;
+      this.pdfBarChart(doc, {
+        title: 'Risk distribution',
+        x: PDF_MARGIN,
+        y: chartTop,
+        width: chartWidth,
+        height: 150,
+        bars: dashboard.riskDistribution.map(band => ({
+          label: band.level.charAt(0).toUpperCase() + band.level.slice(1),
+          value: band.contracts,
+          color: RISK_COLORS[band.level]
+        }))
+      });
+      this.pdfBarChart(doc, {
+        title: 'Contracts per month',
+        x: PDF_MARGIN + chartWidth + 20,
+        y: chartTop,
+        width: chartWidth,
+        height: 150,
+        bars: dashboard.monthlyStats.map(month => ({
+          label: month.month.slice(5),
+          value: month.contracts,
+          color: '#3B82F6'
+        }))
+      });
+      doc.x = PDF_MARGIN;
+      doc.y = chartTop + 180;
+
+      this.pdfList(doc, 'Recurring concerns', dashboard.topConcerns.map(concern =>
+        `${concern.concern} (${concern.count} contract${concern.count === 1 ? '' : 's'}${concern.severity ? `, ${concern.severity}` : ''})`
+      ));
+      this.pdfList(doc, 'Common risk factors', dashboard.topRiskFactors.map(factor =>
+        `${factor.label} (${factor.percentOfContracts}% of scored contracts)`
+      ));
+
+      doc.addPage();
+      this.pdfContractTable(doc, rows);
+
+      // Page numbers once the page count is known
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        // Footers sit in the bottom margin; without this pdfkit would start a new page
+        doc.page.margins.bottom = 0;
+        doc.fontSize(8).fillColor('#9CA3AF').text(
+          `Page ${i + 1} of ${range.count}`,
+          PDF_MARGIN,
+          doc.page.height - PDF_MARGIN + 15,
+          { width: contentWidth, align: 'center', lineBreak: false }
+        );
+      }
+
+      doc.end();
+    });
+  }
+
+  pdfSummary(doc, dashboard) {
+    const stats = [
+      ['Contracts', dashboard.totalContracts],
+      ['Completed', dashboard.completedContracts],
+      ['High risk', dashboard.highRiskContracts],
+      ['Avg risk score', dashboard.avgRiskScore ?? '-'],
+      ['Avg processing', dashboard.processingStats.avgSeconds !== null ? `${dashboard.processingStats.avgSeconds}s` : '-']
+    ];
+    const boxWidth = (doc.page.width - PDF_MARGIN * 2) / stats.length;
+    const top = doc.y;
+
+    stats.forEach(([label, value], index) => {
+      const x = PDF_MARGIN + index * boxWidth;
+      doc.fontSize(16).fillColor('#111827').text(String(value), x, top, { width: boxWidth, align: 'center' });
+      doc.fontSize(8).fillColor('#6B7280').text(label, x, top + 22, { width: boxWidth, align: 'center' });
+    });
+
+    doc.x = PDF_MARGIN;
+    doc.y = top + 45;
+  }
+
+  pdfBarChart(doc, { title, x, y, width, height, bars }) {
+    doc.fontSize(11).fillColor('#111827').text(title, x, y, { width });
+
+    const plotTop = y + 20;
+    const plotHeight = height - 35;
+    const max = Math.max(1, ...bars.map(bar => bar.value));
+    const slot = width / Math.max(1, bars.length);
+    const barWidth = Math.min(40, slot * 0.6);
+
+    doc.moveTo(x, plotTop + plotHeight).lineTo(x + width, plotTop + plotHeight).strokeColor('#D1D5DB').stroke();
+
+    bars.forEach((bar, index) => {
+      const barHeight = (bar.value / max) * plotHeight;
+      const barX = x + index * slot + (slot - barWidth) / 2;
+      const barY = plotTop + plotHeight - barHeight;
+
+      if (barHeight > 0) {
+        doc.rect(barX, barY, barWidth, barHeight).fill(bar.color);
+      }
+      doc.fontSize(7).fillColor('#374151')
+        .text(String(bar.value), x + index * slot, barY - 10, { width: slot, align: 'center', lineBreak: false })
+        .text(bar.label, x + index * slot, plotTop + plotHeight + 4, { width: slot, align: 'center', lineBreak: false });
+    });
+  }
+
+  pdfList(doc, title, items) {
+    doc.fontSize(12).fillColor('#111827').text(title, PDF_MARGIN, doc.y);
+    doc.moveDown(0.3);
+    doc.fontSize(9).fillColor('#374151');
+
+    if (items.length === 0) {
+      doc.text('None yet.');
+    } else {
+      doc.list(items, { bulletRadius: 1.5, textIndent: 8 });
+    }
+    doc.moveDown();
+  }
+
+  pdfContractTable(doc, rows) {
+    const columns = [
+      { header: 'Contract', width: 170, value: row => row.title },
+      { header: 'Type', width: 100, value: row => row.contractType || '-' },
+      { header: 'Risk', width: 45, value: row => (row.riskScore ?? '-') },
+      { header: 'Effective', width: 95, value: row => row.effectiveDate || '-' },
+      { header: 'Expires', width: 85, value: row => row.expirationDate || '-' }
+    ];
+    const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+    const bottom = doc.page.height - PDF_MARGIN;
+
+    const drawHeader = () => {
+      let x = PDF_MARGIN;
+      const top = doc.y;
+      doc.fontSize(9).fillColor('#111827');
+      columns.forEach(column => {
+        doc.text(column.header, x, top, { width: column.width - 6 });
+        x += column.width;
+      });
+      doc.moveTo(PDF_MARGIN, top + 14).lineTo(PDF_MARGIN + tableWidth, top + 14).strokeColor('#D1D5DB').stroke();
+      doc.y = top + 20;
+    };
+
+    doc.fontSize(12).fillColor('#111827').text('Contracts', PDF_MARGIN, doc.y);
+    doc.moveDown(0.5);
+    drawHeader();
+
+    if (rows.length === 0) {
+      doc.fontSize(9).fillColor('#374151').text('No contracts.', PDF_MARGIN, doc.y);
+      return;
+    }
+
+    rows.forEach(row => {
+      doc.fontSize(8);
+      const rowHeight = Math.max(...columns.map(column =>
+        doc.heightOfString(String(column.value(row)), { width: column.width - 6 })
+      )) + 6;
+
+      if (doc.y + rowHeight > bottom) {
+        doc.addPage();
+        drawHeader();
+        doc.fontSize(8);
+      }
+
+      const top = doc.y;
+      let x = PDF_MARGIN;
+      columns.forEach(column => {
+        const isRisk = column.header === 'Risk' && row.riskLevel;
+        doc.fillColor(isRisk ? RISK_COLORS[row.riskLevel] : '#374151')
+          .text(String(column.value(row)), x, top, { width: column.width - 6 });
+        x += column.width;
+      });
+      doc.y = top + rowHeight;
+    });
+  }
+}
+
+// Create singleton instance
+const reportService = new ReportService();
+
+module.exports = {
+  reportService,
+  ReportService,
+  EXPORT_FORMATS
+};
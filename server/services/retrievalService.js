@@ -0,0 +1,247 @@
+const natural = require('natural');
+const { supabase } = require('../config/supabase');
+const { documentService } = require('./documentService');
+const { vectorStoreService } = require('./vectorStoreService');
+
+// Rough token count for budgeting: Llama tokenizers average about 4 characters per token in English
+const CHARS_PER_TOKEN = 4;
+// Kept free for the prompt instructions around the context
+const PROMPT_RESERVED_TOKENS = 400;
+// Tokens for the "[Excerpt n, page p]" label and spacing around each excerpt
+const EXCERPT_LABEL_TOKENS = 10;
+
+// Chunks each retriever (embeddings, BM25) contributes before fusion
+const CANDIDATE_COUNT = 20;
+// Reciprocal rank fusion constant; 60 is the usual choice
+const RRF_K = 60;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Share of the rerank score that comes from how many of the question's terms a chunk contains
+const COVERAGE_WEIGHT = 0.3;
+
+// Context for questions about a single contract. Short contracts are passed whole; longer
+// ones are cut down to the chunks that best match the question (embedding similarity and
+// BM25 keyword scores, fused and reranked) that fit the model's context window.
+class RetrievalService {
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+  }
+
+  // Tokens left for document context once the answer, the question, earlier turns of the
+  // conversation (historyTokens) and the prompt are counted
+  getContextBudget(contextSize, question, maxTokens, historyTokens = 0) {
+    return Math.max(0, contextSize - maxTokens - this.estimateTokens(question) - historyTokens - PROMPT_RESERVED_TOKENS);
+  }
+
+  // contract: { id, title, file_name, content }; id is absent for demo contracts.
+  // Resolves to { mode: 'full' | 'retrieval', context, sources, tokens, chunks, totalChunks }.
+  async retrieveForContract(userId, contract, question, { budget }) {
+    const content = contract.content || '';
+    const contentTokens = this.estimateTokens(content);
+
+    if (contentTokens <= budget) {
+      return { mode: 'full', context: content, sources: [], tokens: contentTokens, chunks: 0, totalChunks: 0 };
+    }
+
+    const chunks = await this.loadChunks(userId, contract);
+    const ranked = this.rank(chunks, await this.vectorRanking(userId, contract.id, question), question);
+
+    // Nothing matched at all: the opening of a contract (parties, definitions) is the best guess
+    const selected = (ranked.length > 0 ? this.fitBudget(ranked, budget) : this.openingChunks(chunks, budget))
+      .sort((a, b) => a.chunkIndex - b.chunkIndex);
+
+    const title = contract.title || contract.file_name || null;
+    const excerpts = this.trimOverlaps(selected);
+
+    return {
+      mode: 'retrieval',
+      context: excerpts
+        .map(({ chunk, text }, index) => `[Excerpt ${index + 1}${chunk.page ? `, page ${chunk.page}` : ''}]\n${text}`)
+        .join('\n\n'),
+      sources: excerpts.map(({ chunk }) => ({
+        contractId: contract.id || null,
+        title,
+        page: chunk.page,
+        charStart: chunk.charStart,
+        charEnd: chunk.charEnd,
+        score: chunk.similarity !== undefined ? chunk.similarity : null,
+        text: chunk.content.substring(0, 200)
+      })),
+      tokens: excerpts.reduce((sum, excerpt) => sum + this.estimateTokens(excerpt.text) + EXCERPT_LABEL_TOKENS, 0),
+      chunks: excerpts.length,
+      totalChunks: chunks.length
+    };
+  }
+
+  // The contract's indexed chunks; split on the fly, the same way the index does, when the
+  // contract isn't indexed (demo contracts, failed embedding)
+  async loadChunks(userId, contract) {
+    if (contract.id && vectorStoreService.isAvailable()) {
+      const { data, error } = await supabase
+        .from('contract_chunks')
+        .select('chunk_index, content, char_start, char_end, metadata')
+        .eq('contract_id', contract.id)
+        .eq('user_id', userId)
+        .order('chunk_index', { ascending: true });
+
+      if (!error && data && data.length > 0) {
+        return data.map(row => ({
+          chunkIndex: row.chunk_index,
+          content: row.content,
+          charStart: row.char_start,
+          charEnd: row.char_end,
+          page: (row.metadata && row.metadata.page) || null
+        }));
+      }
+    }
+
+    const chunks = await documentService.splitWithOffsets(contract.content, vectorStoreService.textSplitter);
+    return chunks.map(chunk => ({ ...chunk, page: null }));
+  }
+
+  // Chunks by embedding similarity; empty when the contract isn't indexed or Ollama is unreachable
+  async vectorRanking(userId, contractId, question) {
+    if (!contractId) return [];
+
+    try {
+      const results = await vectorStoreService.search(userId, question, { k: CANDIDATE_COUNT, contractId });
+      return results.map(result => ({ chunkIndex: result.metadata.chunkIndex, similarity: result.relevanceScore }));
+    } catch (error) {
+      console.warn(`⚠️ [User: ${userId}] Vector search failed, using keyword matching only:`, error.message);
+      return [];
+    }
+  }
+
+  // Fuse the embedding and BM25 rankings (reciprocal rank fusion), then rerank by the fused
+  // score and the share of question terms each chunk contains. Chunks neither retriever
+  // returned are left out.
+  rank(chunks, vectorHits, question) {
+    const queryTerms = [...new Set(this.tokenize(question))];
+    const chunkTerms = chunks.map(chunk => this.tokenize(chunk.content));
+    const bm25 = this.bm25Scores(chunkTerms, queryTerms);
+
+    const keywordHits = bm25
+      .map((score, position) => ({ position, score }))
+      .filter(hit => hit.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, CANDIDATE_COUNT);
+
+    const positionByIndex = new Map(chunks.map((chunk, position) => [chunk.chunkIndex, position]));
+    const fused = new Map(); // position in chunks -> { rrf, similarity }
+    const addHit = (position, rank) => {
+      if (!fused.has(position)) fused.set(position, { rrf: 0 });
+      const entry = fused.get(position);
+      entry.rrf += 1 / (RRF_K + rank + 1);
+      return entry;
+    };
+
+    vectorHits.forEach((hit, rank) => {
+      const position = positionByIndex.get(hit.chunkIndex);
+      if (position !== undefined) addHit(position, rank).similarity = hit.similarity;
+    });
+    keywordHits.forEach((hit, rank) => {
+      addHit(hit.position, rank);
+    });
+
+    const maxRrf = Math.max(...[...fused.values()].map(entry => entry.rrf), 0);
+
+    return [...fused.entries()]
+      .map(([position, entry]) => ({
+        ...chunks[position],
+        similarity: entry.similarity,
+        bm25: bm25[position],
+        score: (1 - COVERAGE_WEIGHT) * (entry.rrf / maxRrf) +
+          COVERAGE_WEIGHT * this.coverage(chunkTerms[position], queryTerms)
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Lowercased, stemmed terms without stopwords
+  tokenize(text) {
+    return natural.PorterStemmer.tokenizeAndStem(text || '');
+  }
+
+  // Okapi BM25 score of every chunk for the query terms
+  bm25Scores(chunkTerms, queryTerms) {
+    const documentCount = chunkTerms.length;
+    const averageLength = chunkTerms.reduce((sum, terms) => sum + terms.length, 0) / (documentCount || 1);
+
+    const termCounts = chunkTerms.map(terms => {
+      const counts = new Map();
+      terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+      return counts;
+    });
+
+    const idf = new Map(queryTerms.map(term => {
+      const documentFrequency = termCounts.filter(counts => counts.has(term)).length;
+      return [term, Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5))];
+    }));
+
+    return termCounts.map((counts, position) => {
+      const lengthNorm = 1 - BM25_B + BM25_B * (chunkTerms[position].length / (averageLength || 1));
+      return queryTerms.reduce((score, term) => {
+        const frequency = counts.get(term) || 0;
+        return score + idf.get(term) * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+      }, 0);
+    });
+  }
+
+  coverage(terms, queryTerms) {
+    if (queryTerms.length === 0) return 0;
+    const present = new Set(terms);
+    return queryTerms.filter(term => present.has(term)).length / queryTerms.length;
+  }
+
+  // Best-ranked chunks that fit in the token budget. A chunk that doesn't fit is skipped so a
+  // smaller, lower-ranked one can still use the space.
+  fitBudget(candidates, budget) {
+    const selected = [];
+    let used = 0;
+
+    for (const chunk of candidates) {
+      const cost = this.estimateTokens(chunk.content) + EXCERPT_LABEL_TOKENS;
+      if (used + cost > budget) continue;
+      selected.push(chunk);
+      used += cost;
+    }
+    return selected;
+  }
+
+  // Chunks from the start of the document, as many as fit
+  openingChunks(chunks, budget) {
+    const selected = [];
+    let used = 0;
+
+    for (const chunk of chunks) {
+      used += this.estimateTokens(chunk.content) + EXCERPT_LABEL_TOKENS;
+      if (used > budget) break;
+      selected.push(chunk);
+    }
+    return selected;
+  }
+
+  // Chunks overlap their neighbours; drop the text an earlier selected chunk already covers.
+  // Expects chunks in document order.
+  trimOverlaps(chunks) {
+    let coveredUntil = -1;
+
+    return chunks.map(chunk => {
+      let text = chunk.content;
+      if (chunk.charStart !== null && chunk.charStart !== undefined) {
+        if (chunk.charStart < coveredUntil) {
+          text = text.slice(coveredUntil - chunk.charStart);
+        }
+        coveredUntil = Math.max(coveredUntil, chunk.charEnd);
+      }
+      return { chunk, text };
+    }).filter(excerpt => excerpt.text.trim().length > 0);
+  }
+}
+
+// Create singleton instance
+const retrievalService = new RetrievalService();
+
+module.exports = {
+  retrievalService,
+  RetrievalService
+};
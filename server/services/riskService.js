@@ -0,0 +1,417 @@
+const { supabase } = require('../config/supabase');
+const { clauseService } = require('./clauseService');
+const { jobQueueService, JOB_PRIORITY, JOB_STATUS, permanentFailure } = require('./jobQueueService');
+
+// Deterministic contract risk engine. The score only depends on the contract text, its
+// clauses and the concerns the clause-level analysis stored with it, so reassessing a stored
+// contract always gives the same score. Bump RISK_MODEL_VERSION whenever a weight or rule changes.
+const RISK_MODEL_VERSION = 2;
+
+// Score bands used across the dashboard and analytics
+const RISK_BANDS = [
+  { level: 'low', label: 'Low Risk (0-40)', min: 0, max: 40 },
+  { level: 'medium', label: 'Medium Risk (41-70)', min: 41, max: 70 },
+  { level: 'high', label: 'High Risk (71-100)', min: 71, max: 100 }
+];
+
+// Risky language found inside clauses. clauseTypes limits where a rule looks (all clauses if omitted).
+const CLAUSE_RULES = [
+  {
+    id: 'uncapped_liability',
+    label: 'Uncapped or unlimited liability',
+    weight: 15,
+    pattern: /unlimited liability|without (?:any )?limit(?:ation)? (?:of|on|to) (?:its |their )?liability|liable for all (?:losses|damages)/i
+  },
+  {
+    id: 'broad_indemnity',
+    label: 'Broad indemnification obligation',
+    weight: 10,
+    pattern: /indemnify[\s\S]{0,120}(?:any and all|all claims|all losses|howsoever arising)/i
+  },
+  {
+    id: 'unilateral_termination',
+    label: 'Termination at will or for convenience',
+    weight: 8,
+    pattern: /terminate[\s\S]{0,80}(?:at any time|for convenience|without cause|in its sole discretion|for any reason)/i
+  },
+  {
+    id: 'unilateral_amendment',
+    label: 'One party may change the terms',
+    weight: 8,
+    pattern: /(?:may|reserves the right to)[\s\S]{0,30}(?:amend|modify|change|update)[\s\S]{0,20}(?:this agreement|these terms|the terms|the fees|pricing)/i
+  },
+  {
+    id: 'non_compete',
+    label: 'Non-compete restriction',
+    weight: 8,
+    clauseTypes: ['non_compete'],
+    pattern: /compet/i
+  },
+  {
+    id: 'auto_renewal',
+    label: 'Automatic renewal',
+    weight: 6,
+    pattern: /automatically renew|auto-?renew|renew automatically/i
+  },
+  {
+    id: 'sole_discretion',
+    label: 'Decisions left to one party\'s sole discretion',
+    weight: 6,
+    pattern: /sole (?:and absolute )?discretion/i
+  },
+  {
+    id: 'ip_assignment',
+    label: 'Assignment of intellectual property',
+    weight: 6,
+    pattern: /hereby assigns?|work(?:s)? made for hire|assigns? all (?:right|rights), title and interest/i
+  },
+  {
+    id: 'liquidated_damages',
+    label: 'Penalties or liquidated damages',
+    weight: 5,
+    pattern: /liquidated damages|penalt(?:y|ies) of/i
+  },
+  {
+    id: 'waiver_of_rights',
+    label: 'Waiver of jury trial or class action',
+    weight: 5,
+    pattern: /waive[\s\S]{0,60}(?:jury|class action)/i
+  },
+  {
+    id: 'late_payment_interest',
+    label: 'Late payment fees or interest',
+    weight: 4,
+    clauseTypes: ['payment'],
+    pattern: /late (?:payment )?(?:fee|charge|interest)|interest (?:at|of) (?:a rate of )?\d+(?:\.\d+)?\s*%/i
+  }
+];
+
+// Clauses most commercial contracts are expected to have
+const EXPECTED_CLAUSES = [
+  { type: 'limitation_of_liability', label: 'No limitation of liability clause', weight: 10 },
+  { type: 'termination', label: 'No termination clause', weight: 8 },
+  { type: 'governing_law', label: 'No governing law clause', weight: 5 },
+  { type: 'confidentiality', label: 'No confidentiality clause', weight: 5 },
+  { type: 'dispute_resolution', label: 'No dispute resolution clause', weight: 4 },
+  { type: 'force_majeure', label: 'No force majeure clause', weight: 3 },
+  { type: 'notices', label: 'No notices clause', weight: 2 },
+  { type: 'entire_agreement', label: 'No entire agreement clause', weight: 2 }
+];
+
+// Concerns from the section-by-section analysis (analysis.concerns, deduped), as one factor.
+// Points per concern by severity, up to FINDINGS_WEIGHT in total.
+const FINDINGS_WEIGHT = 15;
+const FINDING_POINTS = { low: 1, medium: 3, high: 5 };
+
+const ASYMMETRY_WEIGHT = 12;
+const ASYMMETRY_THRESHOLD = 0.3; // Below this share difference obligations count as balanced
+const MIN_OBLIGATIONS_FOR_ASYMMETRY = 6;
+
+// "The Supplier shall", "Client must", "Licensee agrees to" ...
+const OBLIGATION_PATTERN = /\b(?:the\s+)?([A-Z][A-Za-z]+)\s+(?:shall|must|agrees to|will be required to)\b/g;
+// Subjects that don't identify one party
+const NON_PARTY_SUBJECTS = new Set([
+  'this', 'agreement', 'it', 'either', 'each', 'neither', 'both', 'party', 'parties', 'such', 'any',
+  'all', 'no', 'notice', 'payment', 'fees', 'section', 'clause', 'term', 'termination', 'the', 'they', 'he', 'she'
+]);
+
+const SNIPPET_LENGTH = 160;
+
+const ASSESS_RISK_JOB = 'assess_risk';
+// Rows read per request while looking for contracts to score
+const BACKFILL_PAGE_SIZE = 1000;
+
+class RiskService {
+  getBand(score) {
+    return RISK_BANDS.find(band => score >= band.min && score <= band.max) || RISK_BANDS[RISK_BANDS.length - 1];
+  }
+
+  // Contract-independent label for a factor id (asymmetry labels normally name the parties)
+  getFactorLabel(id) {
+    if (id === 'party_asymmetry') return 'Obligations weighted towards one party';
+    if (id === 'analysis_findings') return 'Concerns found in the clause review';
+
+    const rule = CLAUSE_RULES.find(candidate => candidate.id === id);
+    if (rule) return rule.label;
+
+    const expected = EXPECTED_CLAUSES.find(candidate => `missing_${candidate.type}` === id);
+    return expected ? expected.label : null;
+  }
+
+  // Score a contract from its text and extracted clauses. findings: the analysis's deduped
+  // concerns ({ concern, severity, sections }) and sections (for where each was found).
+  assess(text, clauses = [], { concerns = [], sections = [] } = {}) {
+    const factors = [
+      ...this.evaluateClauseRules(text, clauses),
+      ...this.evaluateMissingClauses(clauses),
+      ...this.evaluateAsymmetry(text),
+      ...this.evaluateFindings(concerns, sections)
+    ].filter(factor => factor.points > 0);
+
+    factors.sort((a, b) => b.points - a.points || a.id.localeCompare(b.id));
+
+    const score = Math.min(100, factors.reduce((sum, factor) => sum + factor.points, 0));
+    const band = this.getBand(score);
+
+    return {
+      score,
+      level: band.level,
+      band: band.label,
+      version: RISK_MODEL_VERSION,
+      factors,
+      factorsChecked: CLAUSE_RULES.length + EXPECTED_CLAUSES.length + 2
+    };
+  }
+
+  // Score a stored contract from its content and analysis
+  assessContract(contract) {
+    const analysis = contract.analysis || {};
+    return this.assess(
+      contract.content,
+      analysis.clauses || clauseService.extractClauses(contract.content),
+      {
+        concerns: Array.isArray(analysis.concerns) ? analysis.concerns : [],
+        sections: Array.isArray(analysis.sections) ? analysis.sections : []
+      }
+    );
+  }
+
+  evaluateClauseRules(text, clauses) {
+    // Unsegmented text is treated as one clause covering everything
+    const scopes = clauses.length > 0
+      ? clauses
+      : [{ index: 0, type: 'other', charStart: 0, charEnd: text.length }];
+
+    return CLAUSE_RULES.map(rule => {
+      const evidence = [];
+
+      for (const clause of scopes) {
+        if (rule.clauseTypes && !rule.clauseTypes.includes(clause.type)) continue;
+
+        const clauseText = text.slice(clause.charStart, clause.charEnd);
+        const match = clauseText.match(rule.pattern);
+        if (!match) continue;
+
+        const matchStart = clause.charStart + match.index;
+        evidence.push({
+          clauseIndex: clause.index,
+          clauseNumber: clause.number || null,
+          charStart: matchStart,
+          charEnd: matchStart + match[0].length,
+          snippet: this.snippet(text, matchStart, match[0].length, clause)
+        });
+      }
+
+      return {
+        id: rule.id,
+        category: 'clause',
+        label: rule.label,
+        weight: rule.weight,
+        value: evidence.length > 0 ? 1 : 0,
+        points: evidence.length > 0 ? rule.weight : 0,
+        evidence
+      };
+    });
+  }
+
+  evaluateMissingClauses(clauses) {
+    const presentTypes = new Set(clauses.map(clause => clause.type));
+
+    return EXPECTED_CLAUSES.map(expected => {
+      const missing = !presentTypes.has(expected.type);
+      return {
+        id: `missing_${expected.type}`,
+        category: 'missing_clause',
+        label: expected.label,
+        weight: expected.weight,
+        value: missing ? 1 : 0,
+        points: missing ? expected.weight : 0,
+        evidence: []
+      };
+    });
+  }
+
+  // Compare how many obligations fall on each of the two most-obligated parties
+  evaluateAsymmetry(text) {
+    const counts = new Map();
+    let match;
+
+    OBLIGATION_PATTERN.lastIndex = 0;
+    while ((match = OBLIGATION_PATTERN.exec(text)) !== null) {
+      const subject = match[1].toLowerCase();
+      if (NON_PARTY_SUBJECTS.has(subject)) continue;
+      counts.set(subject, (counts.get(subject) || 0) + 1);
+    }
+
+    const ranked = Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    const [first, second] = [ranked[0] || [null, 0], ranked[1] || [null, 0]];
+    const total = first[1] + second[1];
+
+    let value = 0;
+    if (total >= MIN_OBLIGATIONS_FOR_ASYMMETRY) {
+      const asymmetry = (first[1] - second[1]) / total;
+      if (asymmetry > ASYMMETRY_THRESHOLD) {
+        value = (asymmetry - ASYMMETRY_THRESHOLD) / (1 - ASYMMETRY_THRESHOLD);
+      }
+    }
+
+    return [{
+      id: 'party_asymmetry',
+      category: 'asymmetry',
+      label: first[0]
+        ? `Obligations weighted towards "${first[0]}" (${first[1]} vs ${second[1]}${second[0] ? ` for "${second[0]}"` : ''})`
+        : 'Obligations balanced between parties',
+      weight: ASYMMETRY_WEIGHT,
+      value: Math.round(value * 100) / 100,
+      points: Math.round(ASYMMETRY_WEIGHT * value),
+      evidence: []
+    }];
+  }
+
+  // The clause-level analysis's concerns, weighted by severity. Evidence points at the first
+  // section each concern was found in.
+  evaluateFindings(concerns, sections) {
+    const counted = concerns.filter(item => item && FINDING_POINTS[item.severity]);
+    const total = counted.reduce((sum, item) => sum + FINDING_POINTS[item.severity], 0);
+    const points = Math.min(FINDINGS_WEIGHT, total);
+
+    return [{
+      id: 'analysis_findings',
+      category: 'finding',
+      label: counted.length === 1
+        ? '1 concern found in the clause review'
+        : `${counted.length} concerns found in the clause review`,
+      weight: FINDINGS_WEIGHT,
+      value: Math.round((points / FINDINGS_WEIGHT) * 100) / 100,
+      points,
+      evidence: counted.map(item => {
+        const section = sections.find(candidate => candidate.index === (item.sections || [])[0]);
+        return {
+          clauseIndex: null,
+          clauseNumber: null,
+          charStart: section ? section.charStart : null,
+          charEnd: section ? section.charEnd : null,
+          severity: item.severity,
+          snippet: String(item.concern).slice(0, SNIPPET_LENGTH)
+        };
+      })
+    }];
+  }
+
+  // Queue a scoring job for every completed contract without a current score: processed before
+  // scoring existed, or scored by an older RISK_MODEL_VERSION
+  async queueBackfill() {
+    if (!supabase) return 0;
+
+    try {
+      const [contracts, pending] = await Promise.all([
+        this.selectAll(() => supabase
+          .from('contracts')
+          .select('id, user_id, risk_score, version:risk_assessment->version')
+          .eq('status', 'completed')
+          .not('content', 'is', null)
+          .order('id')),
+        this.selectAll(() => supabase
+          .from('processing_jobs')
+          .select('contract_id')
+          .eq('type', ASSESS_RISK_JOB)
+          .in('status', [JOB_STATUS.queued, JOB_STATUS.running])
+          .order('id'))
+      ]);
+
+      const queued = new Set(pending.map(row => row.contract_id));
+      const stale = contracts.filter(contract => !queued.has(contract.id) &&
+        (typeof contract.risk_score !== 'number' || Number(contract.version) !== RISK_MODEL_VERSION));
+
+      for (const contract of stale) {
+        await jobQueueService.enqueue({
+          type: ASSESS_RISK_JOB,
+          contractId: contract.id,
+          userId: contract.user_id,
+          priority: JOB_PRIORITY.low
+        });
+      }
+
+      if (stale.length > 0) {
+        console.log(`⚖️ Queued risk score backfill for ${stale.length} contract(s)`);
+      }
+      return stale.length;
+    } catch (error) {
+      console.error('❌ Risk score backfill failed:', error);
+      return 0;
+    }
+  }
+
+  // Job handler: score a stored contract and save the result
+  async assessContractJob(job) {
+    const { data: contract, error } = await supabase
+      .from('contracts')
+      .select('id, user_id, status, content, analysis, updated_at')
+      .eq('id', job.contract_id)
+      .eq('user_id', job.user_id)
+      .single();
+
+    if (error || !contract) {
+      throw permanentFailure(`Contract ${job.contract_id} no longer exists`);
+    }
+
+    // Reprocessed in the meantime, which scores it again anyway
+    if (contract.status !== 'completed' || !contract.content) return;
+
+    await this.saveAssessment(contract, this.assessContract(contract));
+  }
+
+  // Store a stored contract's new score (contract needs id, analysis and updated_at). The
+  // concern-based riskScore and riskLevel older fast analyses kept in analysis are replaced
+  // by it. Skipped if the contract was reprocessed since it was read.
+  async saveAssessment(contract, assessment) {
+    const { riskScore, riskLevel, ...analysis } = contract.analysis || {};
+    const documentRisk = analysis.mode === 'fast' ? { riskScore: assessment.score, riskLevel: assessment.level } : {};
+
+    const { error } = await supabase
+      .from('contracts')
+      .update({
+        risk_score: assessment.score,
+        risk_assessment: assessment,
+        analysis: { ...analysis, ...documentRisk }
+      })
+      .eq('id', contract.id)
+      .eq('updated_at', contract.updated_at);
+
+    if (error) throw error;
+  }
+
+  // Every row of a query, a page at a time (queries must be ordered for stable pages)
+  async selectAll(buildQuery) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += BACKFILL_PAGE_SIZE) {
+      const { data, error } = await buildQuery().range(offset, offset + BACKFILL_PAGE_SIZE - 1);
+      if (error) throw error;
+
+      rows.push(...(data || []));
+      if (!data || data.length < BACKFILL_PAGE_SIZE) break;
+    }
+    return rows;
+  }
+
+  // Matched text with a little context, never spilling into neighbouring clauses
+  snippet(text, start, length, clause) {
+    const from = Math.max(clause.charStart, start - 40);
+    const to = Math.min(clause.charEnd, start + length + 40);
+    return text.slice(from, to).replace(/\s+/g, ' ').trim().slice(0, SNIPPET_LENGTH);
+  }
+}
+
+// Create singleton instance
+const riskService = new RiskService();
+
+jobQueueService.registerHandler(ASSESS_RISK_JOB, job => riskService.assessContractJob(job));
+
+module.exports = {
+  riskService,
+  RiskService,
+  RISK_BANDS,
+  RISK_MODEL_VERSION,
+  ASSESS_RISK_JOB
+};
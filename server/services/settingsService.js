@@ -0,0 +1,206 @@
+const Ajv = require('ajv');
+const { supabase } = require('../config/supabase');
+const {
+  SETTINGS_VERSION,
+  DEFAULT_SETTINGS,
+  SETTINGS_SECTIONS,
+  SETTINGS_SCHEMA,
+  SETTINGS_MIGRATIONS
+} = require('../config/settingsSchema');
+
+// Raised for settings that don't match SETTINGS_SCHEMA; errors is a list of "path message" strings
+class SettingsValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'SettingsValidationError';
+    this.errors = errors;
+  }
+}
+
+// Keys that would reach the prototype instead of the settings object
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Stores one settings document per user in user_settings. Reads always return a complete
+// document: the stored one migrated to the current version and filled in from the defaults.
+class SettingsService {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true });
+    this.validator = this.ajv.compile(SETTINGS_SCHEMA);
+  }
+
+  async getSettings(userId) {
+    const { data: row, error } = await supabase
+      .from('user_settings')
+      .select('settings, schema_version')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!row) {
+      return this.clone(DEFAULT_SETTINGS);
+    }
+
+    const settings = this.deepMerge(DEFAULT_SETTINGS, this.migrate(row.settings, row.schema_version));
+
+    // Store the migrated shape so each row is only migrated once
+    if (row.schema_version !== SETTINGS_VERSION) {
+      await this.save(userId, settings);
+    }
+
+    return settings;
+  }
+
+  async getSection(userId, section) {
+    const settings = await this.getSettings(userId);
+    return settings[section];
+  }
+
+  // Deep-merges a partial document ({ ai: { temperature: 0.5 } }) into the stored settings
+  async updateSettings(userId, updates) {
+    if (!isPlainObject(updates)) {
+      throw new SettingsValidationError('Settings must be an object', ['(root) must be object']);
+    }
+
+    const current = await this.getSettings(userId);
+    return this.save(userId, this.validate(this.deepMerge(current, updates)));
+  }
+
+  async updateSection(userId, section, updates) {
+    const settings = await this.updateSettings(userId, { [section]: updates });
+    return settings[section];
+  }
+
+  // Resets one section, or everything with 'all'
+  async reset(userId, section = 'all') {
+    if (section === 'all') {
+      return this.save(userId, this.clone(DEFAULT_SETTINGS));
+    }
+
+    if (!SETTINGS_SECTIONS.includes(section)) {
+      throw new SettingsValidationError(`Unknown settings section: ${section}`, [
+        `section must be one of: all, ${SETTINGS_SECTIONS.join(', ')}`
+      ]);
+    }
+
+    const current = await this.getSettings(userId);
+    return this.save(userId, { ...current, [section]: this.clone(DEFAULT_SETTINGS[section]) });
+  }
+
+  async exportSettings(userId) {
+    return {
+      exportDate: new Date().toISOString(),
+      version: SETTINGS_VERSION,
+      settings: await this.getSettings(userId)
+    };
+  }
+
+  // Replaces the user's settings with an exported document. Files from older versions are
+  // migrated first; anything the file leaves out falls back to the defaults.
+  async importSettings(userId, settings, version) {
+    if (!isPlainObject(settings)) {
+      throw new SettingsValidationError('Settings must be an object', ['settings must be object']);
+    }
+
+    const migrated = this.migrate(settings, version);
+    return this.save(userId, this.validate(this.deepMerge(DEFAULT_SETTINGS, migrated)));
+  }
+
+  async save(userId, settings) {
+    const { data: row, error } = await supabase
+      .from('user_settings')
+      .upsert({
+        user_id: userId,
+        settings,
+        schema_version: SETTINGS_VERSION,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select('settings')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return row.settings;
+  }
+
+  // Runs the migrations from version up to SETTINGS_VERSION. Unversioned documents
+  // (including the old "1.0.0" exports) count as version 0.
+  migrate(settings, version) {
+    let current = Number.isInteger(Number(version)) ? Number(version) : 0;
+    if (current > SETTINGS_VERSION) {
+      throw new SettingsValidationError(`Settings version ${version} is newer than this server supports`, [
+        `version must be at most ${SETTINGS_VERSION}`
+      ]);
+    }
+
+    let migrated = this.clone(settings || {});
+    while (current < SETTINGS_VERSION) {
+      const migration = SETTINGS_MIGRATIONS[current];
+      if (migration) {
+        migrated = migration(migrated);
+      }
+      current++;
+    }
+
+    return migrated;
+  }
+
+  validate(settings) {
+    const errors = this.validator(settings)
+      ? []
+      : this.validator.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`);
+
+    if (errors.length === 0 && !this.isValidTimezone(settings.ui.timezone)) {
+      errors.push('/ui/timezone must be an IANA time zone');
+    }
+
+    if (errors.length > 0) {
+      throw new SettingsValidationError('Invalid settings', errors);
+    }
+
+    return settings;
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Objects merge key by key; anything else (including arrays) replaces the target value
+  deepMerge(target, source) {
+    const result = this.clone(target);
+
+    Object.keys(source).forEach(key => {
+      if (UNSAFE_KEYS.has(key)) return;
+
+      result[key] = isPlainObject(source[key]) && isPlainObject(result[key])
+        ? this.deepMerge(result[key], source[key])
+        : this.clone(source[key]);
+    });
+
+    return result;
+  }
+
+  clone(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+  }
+}
+
+// Create singleton instance
+const settingsService = new SettingsService();
+
+module.exports = {
+  settingsService,
+  SettingsService,
+  SettingsValidationError
+};
@@ -1,12 +1,14 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const { supabase } = require('../config/supabase');
+const { chatService, ChatQueryError } = require('./chatService');
 
 class SocketService {
   constructor() {
     this.io = null;
     this.userSockets = new Map(); // userId -> Set of socket IDs
     this.socketUsers = new Map(); // socket ID -> userId
+    this.chatStreams = new Map(); // socket ID -> Map of requestId -> AbortController
   }
 
   initialize(server) {
@@ -79,7 +81,20 @@ class SocketService {
     });
 
     // Handle client events
-    socket.on('subscribe_processing', (contractId) => {
+    socket.on('subscribe_processing', async (contractId) => {
+      // Only the owner may follow a contract's processing
+      const { data: contract } = await supabase
+        .from('contracts')
+        .select('id')
+        .eq('id', contractId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (!contract) {
+        console.warn(`⚠️ User ${userId} tried to subscribe to contract ${contractId} they don't own`);
+        return;
+      }
+
       socket.join(`contract_${contractId}`);
       console.log(`📝 User ${userId} subscribed to contract ${contractId} processing updates`);
     });
@@ -94,9 +109,9 @@ class SocketService {
         // Update notification in Supabase
         const { error } = await supabase
           .from('notifications')
-          .update({ 
-            is_read: true, 
-            read_at: new Date().toISOString() 
+          .update({
+            read: true,
+            read_at: new Date().toISOString()
           })
           .eq('id', notificationId)
           .eq('user_id', userId);
@@ -112,6 +127,16 @@ class SocketService {
       }
     });
 
+    // Streamed chat answers, the socket equivalent of POST /api/chat/query/stream
+    socket.on('chat_query', (payload) => {
+      this.handleChatQuery(socket, payload || {});
+    });
+
+    socket.on('chat_cancel', ({ requestId } = {}) => {
+      const controller = this.chatStreams.get(socket.id)?.get(requestId);
+      if (controller) controller.abort();
+    });
+
     socket.on('get_online_status', () => {
       const onlineCount = this.userSockets.size;
       socket.emit('online_status', { onlineUsers: onlineCount });
@@ -135,10 +160,73 @@ class SocketService {
       }
     }
     this.socketUsers.delete(socket.id);
+
+    // Nobody is left to receive these answers
+    const streams = this.chatStreams.get(socket.id);
+    if (streams) {
+      streams.forEach(controller => controller.abort());
+      this.chatStreams.delete(socket.id);
+    }
+  }
+
+  // payload: { requestId, contractId, sessionId, query }; without sessionId the exchange starts
+  // a new thread. Emits chat_token ({ requestId, token }) while
+  // generating, then chat_done (the /api/chat/query response) or chat_error, all with the
+  // client's requestId. chat_cancel stops generation; the partial answer is still saved.
+  async handleChatQuery(socket, { requestId, contractId, sessionId, query }) {
+    const userId = socket.userId;
+
+    if (!requestId || !query) {
+      socket.emit('chat_error', { requestId, message: 'requestId and query are required', status: 400 });
+      return;
+    }
+
+    if (!this.chatStreams.has(socket.id)) {
+      this.chatStreams.set(socket.id, new Map());
+    }
+    const streams = this.chatStreams.get(socket.id);
+    if (streams.has(requestId)) {
+      socket.emit('chat_error', { requestId, message: 'A query with this requestId is already running', status: 409 });
+      return;
+    }
+
+    const controller = new AbortController();
+    streams.set(requestId, controller);
+
+    try {
+      const { contract, session } = await chatService.prepareQuery(userId, { contractId, sessionId });
+      const response = await chatService.answerQuery(userId, { query, contract, session }, {
+        onToken: token => socket.emit('chat_token', { requestId, token }),
+        signal: controller.signal
+      });
+
+      const saved = await chatService.saveExchange(userId, { contractId, session }, query, response);
+
+      socket.emit('chat_done', {
+        requestId,
+        ...chatService.formatResponse(response, contractId, saved)
+      });
+    } catch (error) {
+      if (!(error instanceof ChatQueryError)) {
+        console.error(`❌ [User: ${userId}] Socket chat query failed:`, error);
+      }
+      socket.emit('chat_error', {
+        requestId,
+        message: error instanceof ChatQueryError ? error.message : 'Error processing query',
+        status: error instanceof ChatQueryError ? error.status : 500
+      });
+    } finally {
+      streams.delete(requestId);
+      if (streams.size === 0 && this.chatStreams.get(socket.id) === streams) {
+        this.chatStreams.delete(socket.id);
+      }
+    }
   }
 
   // Send notification to specific user
   sendNotificationToUser(userId, notification) {
+    if (!this.io) return;
+
     this.io.to(`user_${userId}`).emit('new_notification', {
       ...notification,
       timestamp: new Date().toISOString()
@@ -147,6 +235,8 @@ class SocketService {
 
   // Send processing updates to subscribers
   sendProcessingUpdate(contractId, userId, update) {
+    if (!this.io) return;
+
     this.io.to(`contract_${contractId}`).emit('processing_update', {
       contractId,
       userId,
@@ -0,0 +1,110 @@
+const { Ollama } = require('ollama');
+const Ajv = require('ajv');
+
+// Raised when the model never produced schema-valid JSON within the retry budget
+class StructuredOutputError extends Error {
+  constructor(message, { attempts, errors, rawOutput }) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.attempts = attempts;
+    this.errors = errors;
+    this.rawOutput = rawOutput;
+  }
+}
+
+// Asks Ollama for JSON, validates it against a JSON Schema and, when it doesn't
+// match, sends the model its own output plus the validation errors to repair.
+class StructuredOutputService {
+  constructor() {
+    this.ollama = new Ollama({ host: process.env.OLLAMA_HOST || 'http://localhost:11434' });
+    this.ajv = new Ajv({ allErrors: true });
+    this.maxAttempts = parseInt(process.env.LLM_MAX_OUTPUT_ATTEMPTS) || 3;
+  }
+
+  getValidator(schema) {
+    return this.ajv.getSchema(schema.$id) || this.ajv.compile(schema);
+  }
+
+  // Options: model, prompt, schema, generateOptions (Ollama options), normalize(data) before
+  // validation, maxAttempts. Resolves to { data, attempts }; rejects with StructuredOutputError.
+  async generate({ model, prompt, schema, generateOptions = {}, normalize, maxAttempts = this.maxAttempts }) {
+    const validate = this.getValidator(schema);
+    let currentPrompt = prompt;
+    let errors = [];
+    let rawOutput = '';
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const response = await this.ollama.generate({
+        model,
+        prompt: currentPrompt,
+        format: 'json',
+        stream: false,
+        options: generateOptions
+      });
+      rawOutput = response.response;
+
+      let data;
+      try {
+        data = this.parseJson(rawOutput);
+        if (normalize) data = normalize(data);
+        errors = validate(data) ? [] : this.formatErrors(validate.errors);
+      } catch (parseError) {
+        errors = [`Response is not valid JSON: ${parseError.message}`];
+      }
+
+      if (errors.length === 0) {
+        return { data, attempts: attempt };
+      }
+
+      console.warn(`⚠️ Structured output attempt ${attempt}/${maxAttempts} for ${schema.$id} failed: ${errors.join('; ')}`);
+      currentPrompt = this.buildRepairPrompt(prompt, schema, rawOutput, errors);
+    }
+
+    throw new StructuredOutputError(
+      `Model output did not match the ${schema.$id} schema after ${maxAttempts} attempts`,
+      { attempts: maxAttempts, errors, rawOutput }
+    );
+  }
+
+  // Models sometimes wrap JSON in a code fence despite format: json
+  parseJson(text) {
+    const trimmed = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    return JSON.parse(trimmed);
+  }
+
+  formatErrors(ajvErrors = []) {
+    return ajvErrors.map(error => {
+      const path = error.instancePath || '(root)';
+      const allowed = error.params && error.params.allowedValues
+        ? ` (${error.params.allowedValues.join(', ')})`
+        : '';
+      return `${path} ${error.message}${allowed}`;
+    });
+  }
+
+  buildRepairPrompt(originalPrompt, schema, rawOutput, errors) {
+    return `${originalPrompt}
+
+Your previous response did not match the required JSON format.
+
+Previous response:
+${(rawOutput || '').substring(0, 2000)}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Required JSON Schema:
+${JSON.stringify(schema)}
+
+Respond again with only a corrected JSON object that satisfies the schema.`;
+  }
+}
+
+// Create singleton instance
+const structuredOutputService = new StructuredOutputService();
+
+module.exports = {
+  structuredOutputService,
+  StructuredOutputService,
+  StructuredOutputError
+};
@@ -0,0 +1,269 @@
+const { OllamaEmbeddings } = require('@langchain/community/embeddings/ollama');
+const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
+const { supabase } = require('../config/supabase');
+const { documentService } = require('./documentService');
+const { jobQueueService, JOB_PRIORITY, JOB_STATUS, permanentFailure } = require('./jobQueueService');
+
+const INSERT_BATCH_SIZE = 100;
+// Rows read per request while looking for contracts to backfill
+const BACKFILL_PAGE_SIZE = 1000;
+
+const INDEX_CONTRACT_JOB = 'index_contract';
+
+// Persistent per-user vector index backed by pgvector (see add-vector-store.sql).
+// Every chunk row carries its owner's user_id and every search is filtered by it,
+// so one user's documents can never be retrieved for another user's question.
+class VectorStoreService {
+  constructor() {
+    this.embeddings = new OllamaEmbeddings({
+      model: process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text',
+      baseUrl: process.env.OLLAMA_HOST || 'http://localhost:11434',
+    });
+
+    this.textSplitter = new RecursiveCharacterTextSplitter({
+      chunkSize: 1000,
+      chunkOverlap: 200,
+    });
+  }
+
+  isAvailable() {
+    return !!supabase;
+  }
+
+  // (Re)build the index for a single contract. Rows are keyed on (contract_id, chunk_index)
+  // and upserted, then chunks past the new end are dropped, so a reprocess or two concurrent
+  // runs never duplicate chunks, and a failed run leaves the previous chunks searchable rather
+  // than none. With pageOffsets (where each page starts in text) every chunk records the page
+  // it starts on as metadata.page.
+  async indexContract({ contractId, userId, text, pageOffsets = null, metadata = {} }) {
+    if (!this.isAvailable()) {
+      throw new Error('Vector store requires a configured database');
+    }
+
+    const chunks = await documentService.splitWithOffsets(text, this.textSplitter);
+    const vectors = await this.embeddings.embedDocuments(chunks.map(chunk => chunk.content));
+
+    const rows = chunks.map((chunk, index) => ({
+      contract_id: contractId,
+      user_id: userId,
+      chunk_index: chunk.chunkIndex,
+      content: chunk.content,
+      char_start: chunk.charStart,
+      char_end: chunk.charEnd,
+      metadata: { ...metadata, page: documentService.pageAt(pageOffsets, chunk.charStart) },
+      embedding: vectors[index]
+    }));
+
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('contract_chunks')
+        .upsert(rows.slice(i, i + INSERT_BATCH_SIZE), { onConflict: 'contract_id,chunk_index' });
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    // Chunks left over from a longer previous version of the text
+    const { error: staleError } = await supabase
+      .from('contract_chunks')
+      .delete()
+      .eq('contract_id', contractId)
+      .eq('user_id', userId)
+      .gte('chunk_index', rows.length);
+
+    if (staleError) {
+      throw staleError;
+    }
+
+    console.log(`✅ [User: ${userId}] Indexed ${rows.length} chunks for contract ${contractId}`);
+    return rows.length;
+  }
+
+  // Drop all chunks belonging to a contract
+  async removeContract(contractId, userId) {
+    if (!this.isAvailable()) return false;
+
+    const { error } = await supabase
+      .from('contract_chunks')
+      .delete()
+      .eq('contract_id', contractId)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw error;
+    }
+    return true;
+  }
+
+  // Retrieve the chunks most similar to a query, only from the given user's contracts
+  async search(userId, query, { k = 5, contractId = null } = {}) {
+    if (!this.isAvailable() || !userId) return [];
+
+    const queryEmbedding = await this.embeddings.embedQuery(query);
+
+    const { data, error } = await supabase.rpc('match_contract_chunks', {
+      query_embedding: queryEmbedding,
+      match_user_id: userId,
+      match_count: k,
+      match_contract_id: contractId
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map(row => ({
+      content: row.content,
+      metadata: {
+        ...row.metadata,
+        contractId: row.contract_id,
+        chunkIndex: row.chunk_index,
+        charStart: row.char_start,
+        charEnd: row.char_end
+      },
+      relevanceScore: row.similarity
+    }));
+  }
+
+  // Queue an index job for every completed contract that has no chunks yet, i.e. contracts
+  // processed before the persistent store existed. Run once at startup; contracts that
+  // already have a queued or running index job are skipped.
+  async queueBackfill() {
+    if (!this.isAvailable()) return 0;
+
+    try {
+      const [contracts, indexed, pending] = await Promise.all([
+        this.selectAll(() => supabase
+          .from('contracts')
+          .select('id, user_id')
+          .eq('status', 'completed')
+          .not('content', 'is', null)
+          .order('id')),
+        this.selectAll(() => supabase
+          .from('contract_chunks')
+          .select('contract_id')
+          .eq('chunk_index', 0)
+          .order('contract_id')),
+        this.selectAll(() => supabase
+          .from('processing_jobs')
+          .select('contract_id')
+          .eq('type', INDEX_CONTRACT_JOB)
+          .in('status', [JOB_STATUS.queued, JOB_STATUS.running])
+          .order('id'))
+      ]);
+
+      const skip = new Set([...indexed, ...pending].map(row => row.contract_id));
+      const missing = contracts.filter(contract => !skip.has(contract.id));
+
+      for (const contract of missing) {
+        await jobQueueService.enqueue({
+          type: INDEX_CONTRACT_JOB,
+          contractId: contract.id,
+          userId: contract.user_id,
+          priority: JOB_PRIORITY.low
+        });
+      }
+
+      if (missing.length > 0) {
+        console.log(`🧠 Queued vector index backfill for ${missing.length} contract(s)`);
+      }
+      return missing.length;
+    } catch (error) {
+      console.error('❌ Vector index backfill failed:', error);
+      return 0;
+    }
+  }
+
+  // Job handler: index a stored contract's extracted text
+  async indexContractJob(job) {
+    const { data: contract, error } = await supabase
+      .from('contracts')
+      .select('id, user_id, content, file_name, title, status, mime_type, page_offsets:analysis->document->pageOffsets')
+      .eq('id', job.contract_id)
+      .eq('user_id', job.user_id)
+      .single();
+
+    if (error || !contract) {
+      throw permanentFailure(`Contract ${job.contract_id} no longer exists`);
+    }
+
+    // Reprocessed in the meantime, which indexes it again anyway
+    if (contract.status !== 'completed' || !contract.content) return;
+
+    await this.indexContract({
+      contractId: contract.id,
+      userId: contract.user_id,
+      text: contract.content,
+      pageOffsets: contract.page_offsets || await this.recoverPageOffsets(contract),
+      metadata: {
+        fileName: contract.file_name,
+        title: contract.title || contract.file_name
+      }
+    });
+  }
+
+  // Page positions for contracts processed before they were stored: a PDF's text layer is
+  // extracted again, and used if it still matches the stored content (it doesn't after OCR)
+  async recoverPageOffsets(contract) {
+    if (contract.mime_type !== 'application/pdf') return null;
+
+    const { data, error } = await supabase
+      .from('contracts')
+      .select('file_data')
+      .eq('id', contract.id)
+      .single();
+
+    if (error || !data || !data.file_data) return null;
+
+    try {
+      const extraction = await documentService.extractPdfText(Buffer.from(data.file_data, 'base64'));
+      return extraction.text === contract.content ? extraction.pageOffsets : null;
+    } catch (extractError) {
+      console.warn(`⚠️ Could not read page positions for contract ${contract.id}: ${extractError.message}`);
+      return null;
+    }
+  }
+
+  // Every row of a query, a page at a time (queries must be ordered for stable pages)
+  async selectAll(buildQuery) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += BACKFILL_PAGE_SIZE) {
+      const { data, error } = await buildQuery().range(offset, offset + BACKFILL_PAGE_SIZE - 1);
+      if (error) throw error;
+
+      rows.push(...(data || []));
+      if (!data || data.length < BACKFILL_PAGE_SIZE) break;
+    }
+    return rows;
+  }
+
+  // Get index statistics for a user
+  async getStats(userId) {
+    if (!this.isAvailable()) {
+      return { status: 'not configured' };
+    }
+
+    const { count, error } = await supabase
+      .from('contract_chunks')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if (error) {
+      return { status: 'error', error: error.message };
+    }
+    return { status: 'initialized', type: 'pgvector', chunks: count || 0 };
+  }
+}
+
+// Create singleton instance
+const vectorStoreService = new VectorStoreService();
+
+jobQueueService.registerHandler(INDEX_CONTRACT_JOB, job => vectorStoreService.indexContractJob(job));
+
+module.exports = {
+  vectorStoreService,
+  VectorStoreService,
+  INDEX_CONTRACT_JOB
+};
@@ -1,113 +1,290 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { Send, Bot, FileText, Trash2, X } from 'lucide-react';
-import { chatService } from '../../services/api';
+import {
+  Send, Bot, FileText, Trash2, X, Square, Plus, Pencil, Archive, ArchiveRestore, MessageSquare
+} from 'lucide-react';
+import { chatService, contractService } from '../../services/api';
+import { useApp } from '../../contexts/AppContext';
 import MessageBubble from './MessageBubble';
+import ContractViewer from '../contract/ContractViewer';
 
-const ChatInterface = ({ contract, onClose, isGeneralChat = false }) => {
+// Saved messages can be rated; messageId is the server's id for them
+const fromHistory = (message) => ({ ...message, messageId: message.id });
+
+// Messages loaded per request when paging back to a message opened from search
+const JUMP_PAGE_SIZE = 200;
+
+// initialMessage ({ sessionId, messageId }, e.g. a search result) opens that thread scrolled to
+// the message instead of the latest thread
+const ChatInterface = ({ contract, onClose, isGeneralChat = false, initialMessage = null }) => {
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
-  const [sessionId] = useState(() => `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
+  const [citation, setCitation] = useState(null); // { contract, range } opened in ContractViewer
+  const { contracts } = useApp();
+  const [threads, setThreads] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [sessionId, setSessionId] = useState(null); // Current thread; null until the first question is saved
+  const [openedThread, setOpenedThread] = useState(null); // Current thread as loaded, also when not listed
+  const [editing, setEditing] = useState(null); // { id, title } of the thread being renamed
+  const [historyCursor, setHistoryCursor] = useState(null); // Pages back to older messages of the thread
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [highlightedId, setHighlightedId] = useState(null); // Message jumped to, highlighted briefly
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const abortRef = useRef(null); // Cancels the answer being streamed
+  const openedRef = useRef(false); // The latest thread is opened once, when the chat is shown
+
+  const contractId = isGeneralChat ? null : (contract._id || contract.id);
+  const contractName = contract.title || contract.file_name || contract.fileName;
+  const currentThread = threads.find(thread => thread.id === sessionId)
+    || (openedThread?.id === sessionId ? openedThread : null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
+  // Follow new and streaming messages, but not older ones loaded above
+  const lastMessage = messages[messages.length - 1];
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [lastMessage]);
+
+  // Runs after the scroll to the bottom, so the message jumped to stays in view
+  useEffect(() => {
+    if (!highlightedId) return;
+    document.getElementById(`chat-message-${highlightedId}`)?.scrollIntoView({ block: 'center' });
+    const timer = setTimeout(() => setHighlightedId(null), 4000);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
+  const showWelcome = useCallback(() => {
+    const welcomeMessage = isGeneralChat
+      ? `Hi! I'm your AI assistant. I can help you with contract analysis, legal questions, document understanding, and general assistance. How can I help you today?`
+      : `Hi! I'm here to help you analyze "${contractName}". You can ask me questions about the contract content, key terms, potential risks, or anything else you'd like to understand.`;
 
-  const loadChatHistory = useCallback(async () => {
+    setMessages([{
+      id: 'welcome',
+      role: 'assistant',
+      content: welcomeMessage,
+      timestamp: new Date(),
+      sources: []
+    }]);
+  }, [isGeneralChat, contractName]);
+
+  const loadThreads = useCallback(async () => {
+    const { sessions } = await chatService.getSessions({
+      ...(isGeneralChat ? { general: true } : { contractId }),
+      ...(showArchived && { archived: true })
+    });
+    setThreads(sessions || []);
+    return sessions || [];
+  }, [isGeneralChat, contractId, showArchived]);
+
+  // messageId: page back until that message is loaded, and scroll to it
+  const openThread = useCallback(async (id, messageId = null) => {
+    abortRef.current?.abort();
+    setSessionId(id);
+    setEditing(null);
     try {
-      if (!isGeneralChat) {
-        const history = await chatService.getChatHistory(contract._id);
-        if (history && history.messages && history.messages.length > 0) {
-          setMessages(history.messages);
-          return;
+      const history = await chatService.getSession(id);
+      let loaded = history.messages || [];
+      let cursor = history.nextCursor || null;
+      while (messageId && cursor && !loaded.some(message => message.id === messageId)) {
+        const page = await chatService.getMessages(id, cursor, JUMP_PAGE_SIZE);
+        loaded = [...page.messages, ...loaded];
+        cursor = page.nextCursor || null;
+      }
+
+      setOpenedThread(history.session);
+      setHistoryCursor(cursor);
+      if (loaded.length > 0) {
+        setMessages(loaded.map(fromHistory));
+        if (messageId && loaded.some(message => message.id === messageId)) {
+          setHighlightedId(messageId);
         }
+      } else {
+        showWelcome();
       }
-      
-      // Add welcome message for new chats or general chat
-      const welcomeMessage = isGeneralChat 
-        ? `Hi! I'm your AI assistant. I can help you with contract analysis, legal questions, document understanding, and general assistance. How can I help you today?`
-        : `Hi! I'm here to help you analyze "${contract.title || contract.file_name || contract.fileName}". You can ask me questions about the contract content, key terms, potential risks, or anything else you'd like to understand.`;
-        
-      setMessages([{
-        id: 'welcome',
-        role: 'assistant',
-        content: welcomeMessage,
-        timestamp: new Date(),
-        sources: []
-      }]);
     } catch (error) {
       console.error('Error loading chat history:', error);
-      // Add welcome message on error
-      const welcomeMessage = isGeneralChat 
-        ? `Hi! I'm your AI assistant. How can I help you today?`
-        : `Hi! I'm here to help you analyze "${contract.title || contract.file_name || contract.fileName}". You can ask me questions about the contract content, key terms, potential risks, or anything else you'd like to understand.`;
-        
-      setMessages([{
-        id: 'welcome',
-        role: 'assistant',
-        content: welcomeMessage,
-        timestamp: new Date(),
-        sources: []
-      }]);
+      showWelcome();
     }
-  }, [contract._id, contract.fileName, isGeneralChat]);
+  }, [showWelcome]);
 
+  const loadEarlierMessages = async () => {
+    setLoadingHistory(true);
+    try {
+      const page = await chatService.getMessages(sessionId, historyCursor);
+      setMessages(prev => [...page.messages.map(fromHistory), ...prev]);
+      setHistoryCursor(page.nextCursor || null);
+    } catch (error) {
+      console.error('Error loading earlier messages:', error);
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
+  const startNewThread = useCallback(() => {
+    abortRef.current?.abort();
+    setSessionId(null);
+    setOpenedThread(null);
+    setHistoryCursor(null);
+    setEditing(null);
+    setShowArchived(false);
+    showWelcome();
+    inputRef.current?.focus();
+  }, [showWelcome]);
+
+  // Continue the most recent thread when the chat opens, unless it was opened at a message
   useEffect(() => {
-    loadChatHistory();
-  }, [loadChatHistory]);
+    loadThreads().then(sessions => {
+      if (openedRef.current) return;
+      openedRef.current = true;
+      if (initialMessage) {
+        openThread(initialMessage.sessionId, initialMessage.messageId);
+      } else if (sessions.length > 0) {
+        openThread(sessions[0].id);
+      } else {
+        showWelcome();
+      }
+    });
+  }, [loadThreads, openThread, showWelcome, initialMessage]);
+
+  // Stop generating when the chat is closed
+  useEffect(() => () => abortRef.current?.abort(), []);
 
   const handleSendMessage = async () => {
     if (!inputMessage.trim() || isLoading) return;
 
+    const question = inputMessage.trim();
     const userMessage = {
       id: `user-${Date.now()}`,
       role: 'user',
-      content: inputMessage.trim(),
+      content: question,
       timestamp: new Date(),
       sources: []
     };
 
-    setMessages(prev => [...prev, userMessage]);
+    // Filled in as the answer streams
+    const assistantId = `assistant-${Date.now()}`;
+    const assistantMessage = {
+      id: assistantId,
+      role: 'assistant',
+      content: '',
+      timestamp: new Date(),
+      sources: [],
+      streaming: true
+    };
+
+    const updateAssistant = (changes) => {
+      setMessages(prev => prev.map(message => (
+        message.id === assistantId
+          ? { ...message, ...(typeof changes === 'function' ? changes(message) : changes) }
+          : message
+      )));
+    };
+
+    setMessages(prev => [...prev, userMessage, assistantMessage]);
     setInputMessage('');
     setIsLoading(true);
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let receivedToken = false;
+
     try {
-      const contractId = isGeneralChat ? null : (contract._id || contract.id);
-      const response = await chatService.sendQuery(contractId, inputMessage.trim(), sessionId);
-      
-      const assistantMessage = {
-        id: `assistant-${Date.now()}`,
-        role: 'assistant',
-        content: response.answer,
-        timestamp: new Date(),
-        sources: response.sources || []
-      };
+      const response = await chatService.streamQuery(contractId, question, sessionId, {
+        signal: controller.signal,
+        onToken: (token) => {
+          receivedToken = true;
+          updateAssistant(message => ({ content: message.content + token }));
+        }
+      });
 
-      setMessages(prev => [...prev, assistantMessage]);
+      updateAssistant({
+        content: response.answer,
+        sources: response.sources || [],
+        generation: response.generation,
+        cancelled: response.cancelled,
+        messageId: response.messageId,
+        streaming: false
+      });
+      threadSaved(response.sessionId);
     } catch (error) {
-      console.error('Error sending message:', error);
-      
-      const errorMessage = {
-        id: `error-${Date.now()}`,
-        role: 'assistant',
-        content: 'I apologize, but I encountered an error processing your question. Please try again or rephrase your question.',
-        timestamp: new Date(),
-        sources: [],
-        isError: true
-      };
-
-      setMessages(prev => [...prev, errorMessage]);
+      if (error.name === 'AbortError') {
+        // The server keeps what was generated so far
+        updateAssistant({ streaming: false, cancelled: true });
+        setMessages(prev => prev.filter(message => message.id !== assistantId || message.content));
+        // A new thread may have been saved; it shows up in the list
+        loadThreads();
+      } else if (!receivedToken && error instanceof TypeError) {
+        // Streaming endpoint unreachable: sendQuery falls back to demo responses. Errors the
+        // server reported are not retried, since that would generate the answer a second time
+        const response = await chatService.sendQuery(contractId, question, sessionId);
+        updateAssistant({
+          content: response.answer,
+          sources: response.sources || [],
+          messageId: response.messageId,
+          streaming: false
+        });
+        threadSaved(response.sessionId);
+      } else {
+        console.error('Error sending message:', error);
+        updateAssistant({
+          content: 'I apologize, but I encountered an error processing your question. Please try again or rephrase your question.',
+          streaming: false,
+          isError: true
+        });
+      }
     } finally {
+      abortRef.current = null;
       setIsLoading(false);
     }
   };
 
+  // The exchange was saved to this thread (new when the chat had none); refresh its title and order
+  const threadSaved = (savedSessionId) => {
+    if (!savedSessionId) return;
+    setSessionId(savedSessionId);
+    loadThreads();
+  };
+
+  // feedback: { rating, reason, comment, correctedAnswer }, or null to withdraw the rating
+  const handleFeedback = async (message, feedback) => {
+    try {
+      let saved = null;
+      if (feedback) {
+        saved = (await chatService.setFeedback(message.messageId, feedback)).feedback;
+      } else {
+        await chatService.clearFeedback(message.messageId);
+      }
+      setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, feedback: saved } : m)));
+    } catch (error) {
+      console.error('Error saving feedback:', error);
+      throw error;
+    }
+  };
+
+  // Open the cited contract with the quoted passage highlighted
+  const handleCitationClick = async (source) => {
+    try {
+      let citedContract = (contracts || []).find(c => (c.id || c._id) === source.contractId);
+      if (!citedContract || !citedContract.content) {
+        citedContract = (await contractService.getContract(source.contractId)).contract;
+      }
+      setCitation({
+        contract: citedContract,
+        range: { start: source.charStart, end: source.charEnd }
+      });
+    } catch (error) {
+      console.error('Error opening citation:', error);
+    }
+  };
+
+  const handleStopGenerating = () => {
+    abortRef.current?.abort();
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -115,26 +292,50 @@ const ChatInterface = ({ contract, onClose, isGeneralChat = false }) => {
     }
   };
 
-  const clearChat = async () => {
-    if (window.confirm('Are you sure you want to clear this chat session?')) {
-      try {
-        await chatService.clearChatSession(sessionId);
-        setMessages([{
-          id: 'welcome-new',
-          role: 'assistant',
-          content: `Hi! I'm here to help you analyze "${contract.title || contract.file_name || contract.fileName}". You can ask me questions about the contract content, key terms, potential risks, or anything else you'd like to understand.`,
-          timestamp: new Date(),
-          sources: []
-        }]);
-      } catch (error) {
-        console.error('Error clearing chat:', error);
+  const saveThreadTitle = async () => {
+    const { id, title } = editing;
+    setEditing(null);
+    if (!title.trim()) return;
+    try {
+      await chatService.updateSession(id, { title: title.trim() });
+      loadThreads();
+    } catch (error) {
+      console.error('Error renaming chat thread:', error);
+    }
+  };
+
+  const toggleArchived = async (thread) => {
+    try {
+      const { session } = await chatService.updateSession(thread.id, { archived: !thread.archived });
+      if (thread.id === sessionId) {
+        if (session.archived) {
+          startNewThread();
+        } else {
+          setOpenedThread(session);
+        }
       }
+      loadThreads();
+    } catch (error) {
+      console.error('Error archiving chat thread:', error);
+    }
+  };
+
+  const deleteThread = async (thread) => {
+    if (!window.confirm(`Delete "${thread.title || 'New chat'}" and all its messages?`)) return;
+    try {
+      await chatService.deleteSession(thread.id);
+      if (thread.id === sessionId) {
+        startNewThread();
+      }
+      loadThreads();
+    } catch (error) {
+      console.error('Error deleting chat thread:', error);
     }
   };
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-      <div className="bg-white rounded-2xl max-w-4xl w-full h-[80vh] flex flex-col">
+      <div className="bg-white rounded-2xl max-w-5xl w-full h-[80vh] flex flex-col">
         {/* Header */}
         <div className="flex items-center justify-between p-6 border-b border-gray-200">
           <div className="flex items-center space-x-3">
@@ -146,19 +347,13 @@ const ChatInterface = ({ contract, onClose, isGeneralChat = false }) => {
                 {isGeneralChat ? 'AI Assistant' : 'Contract Analysis'}
               </h2>
               <p className="text-sm text-gray-600 truncate max-w-md">
-                {isGeneralChat ? 'General AI Assistant' : (contract.title || contract.file_name || contract.fileName)}
+                {isGeneralChat ? 'General AI Assistant' : contractName}
+                {currentThread?.title && ` · ${currentThread.title}`}
               </p>
             </div>
           </div>
           
           <div className="flex items-center space-x-2">
-            <button
-              onClick={clearChat}
-              className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
-              title="Clear chat"
-            >
-              <Trash2 className="h-5 w-5" />
-            </button>
             <button
               onClick={onClose}
               className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
@@ -168,62 +363,189 @@ const ChatInterface = ({ contract, onClose, isGeneralChat = false }) => {
           </div>
         </div>
 
-        {/* Messages Area */}
-        <div className="flex-1 overflow-y-auto p-6 space-y-4">
-          {messages.map((message) => (
-            <MessageBubble key={message.id} message={message} />
-          ))}
-          
-          {isLoading && (
-            <div className="flex items-start space-x-3">
-              <div className="w-8 h-8 bg-primary-100 rounded-full flex items-center justify-center">
-                <Bot className="h-4 w-4 text-primary-600" />
-              </div>
-              <div className="bg-gray-100 rounded-xl p-4 max-w-md">
-                <div className="flex items-center space-x-2">
-                  <div className="flex space-x-1">
-                    <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
-                    <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.1s' }}></div>
-                    <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
+        <div className="flex-1 flex min-h-0">
+          {/* Threads */}
+          <div className="w-60 border-r border-gray-200 flex flex-col">
+            <div className="p-3">
+              <button
+                onClick={startNewThread}
+                disabled={isLoading}
+                className="w-full flex items-center justify-center space-x-2 px-3 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+              >
+                <Plus className="h-4 w-4" />
+                <span>New thread</span>
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto px-2 space-y-1">
+              {threads.length === 0 && (
+                <p className="px-2 py-4 text-xs text-gray-500 text-center">
+                  {showArchived ? 'No archived threads' : 'Your conversations will appear here'}
+                </p>
+              )}
+              {threads.map(thread => (
+                <div
+                  key={thread.id}
+                  className={`group flex items-center rounded-lg px-2 py-2 text-sm ${
+                    thread.id === sessionId ? 'bg-primary-50 text-primary-700' : 'text-gray-700 hover:bg-gray-100'
+                  }`}
+                >
+                  {editing?.id === thread.id ? (
+                    <input
+                      autoFocus
+                      value={editing.title}
+                      onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                      onBlur={saveThreadTitle}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') saveThreadTitle();
+                        if (e.key === 'Escape') setEditing(null);
+                      }}
+                      maxLength={200}
+                      className="flex-1 min-w-0 px-1 py-0.5 border border-primary-300 rounded outline-none"
+                    />
+                  ) : (
+                    <button
+                      onClick={() => openThread(thread.id)}
+                      disabled={isLoading}
+                      className="flex-1 min-w-0 flex items-center space-x-2 text-left"
+                      title={thread.title || 'New chat'}
+                    >
+                      <MessageSquare className="h-4 w-4 flex-shrink-0" />
+                      <span className="truncate">{thread.title || 'New chat'}</span>
+                    </button>
+                  )}
+                  <div className="hidden group-hover:flex items-center ml-1">
+                    <button
+                      onClick={() => setEditing({ id: thread.id, title: thread.title || '' })}
+                      className="p-1 text-gray-400 hover:text-gray-700"
+                      title="Rename"
+                    >
+                      <Pencil className="h-3.5 w-3.5" />
+                    </button>
+                    <button
+                      onClick={() => toggleArchived(thread)}
+                      className="p-1 text-gray-400 hover:text-gray-700"
+                      title={thread.archived ? 'Restore' : 'Archive'}
+                    >
+                      {thread.archived ? <ArchiveRestore className="h-3.5 w-3.5" /> : <Archive className="h-3.5 w-3.5" />}
+                    </button>
+                    <button
+                      onClick={() => deleteThread(thread)}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Delete"
+                    >
+                      <Trash2 className="h-3.5 w-3.5" />
+                    </button>
                   </div>
-                  <span className="text-sm text-gray-600">Analyzing...</span>
                 </div>
-              </div>
+              ))}
             </div>
-          )}
-          
-          <div ref={messagesEndRef} />
-        </div>
 
-        {/* Input Area */}
-        <div className="border-t border-gray-200 p-6">
-          <div className="flex items-end space-x-3">
-            <div className="flex-1 relative">
-              <textarea
-                ref={inputRef}
-                value={inputMessage}
-                onChange={(e) => setInputMessage(e.target.value)}
-                onKeyPress={handleKeyPress}
-                placeholder={isGeneralChat ? "Ask me anything..." : "Ask a question about this contract..."}
-                className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none resize-none min-h-[50px] max-h-32"
-                rows="1"
-                disabled={isLoading}
-              />
-            </div>
             <button
-              onClick={handleSendMessage}
-              disabled={!inputMessage.trim() || isLoading}
-              className="p-3 bg-primary-600 text-white rounded-xl hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              onClick={() => setShowArchived(!showArchived)}
+              className="m-2 px-3 py-2 text-xs text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
             >
-              <Send className="h-5 w-5" />
+              {showArchived ? 'Back to active threads' : 'Show archived threads'}
             </button>
           </div>
+
+          <div className="flex-1 flex flex-col min-w-0">
+            {/* Messages Area */}
+            <div className="flex-1 overflow-y-auto p-6 space-y-4">
+              {historyCursor && (
+                <div className="text-center">
+                  <button
+                    onClick={loadEarlierMessages}
+                    disabled={loadingHistory}
+                    className="text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                  >
+                    {loadingHistory ? 'Loading...' : 'Load earlier messages'}
+                  </button>
+                </div>
+              )}
+              {messages.filter(message => !message.streaming || message.content).map((message) => (
+                <MessageBubble
+                  key={message.id}
+                  message={message}
+                  onCitationClick={handleCitationClick}
+                  onFeedback={message.messageId ? handleFeedback : undefined}
+                  highlighted={message.id === highlightedId}
+                />
+              ))}
+          
+              {/* Until the first token arrives */}
+              {isLoading && messages.some(message => message.streaming && !message.content) && (
+                <div className="flex items-start space-x-3">
+                  <div className="w-8 h-8 bg-primary-100 rounded-full flex items-center justify-center">
+                    <Bot className="h-4 w-4 text-primary-600" />
+                  </div>
+                  <div className="bg-gray-100 rounded-xl p-4 max-w-md">
+                    <div className="flex items-center space-x-2">
+                      <div className="flex space-x-1">
+                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
+                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.1s' }}></div>
+                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
+                      </div>
+                      <span className="text-sm text-gray-600">Analyzing...</span>
+                    </div>
+                  </div>
+                </div>
+              )}
           
-          <p className="text-xs text-gray-500 mt-2">
-            Press Enter to send, Shift+Enter for new line
-          </p>
+              <div ref={messagesEndRef} />
+            </div>
+
+            {/* Input Area */}
+            <div className="border-t border-gray-200 p-6">
+              <div className="flex items-end space-x-3">
+                <div className="flex-1 relative">
+                  <textarea
+                    ref={inputRef}
+                    value={inputMessage}
+                    onChange={(e) => setInputMessage(e.target.value)}
+                    onKeyPress={handleKeyPress}
+                    placeholder={isGeneralChat ? "Ask me anything..." : "Ask a question about this contract..."}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none resize-none min-h-[50px] max-h-32"
+                    rows="1"
+                    disabled={isLoading || currentThread?.archived}
+                  />
+                </div>
+                {isLoading ? (
+                  <button
+                    onClick={handleStopGenerating}
+                    className="p-3 bg-gray-700 text-white rounded-xl hover:bg-gray-800 transition-colors"
+                    title="Stop generating"
+                  >
+                    <Square className="h-5 w-5" />
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleSendMessage}
+                    disabled={!inputMessage.trim() || currentThread?.archived}
+                    className="p-3 bg-primary-600 text-white rounded-xl hover:bg-primary-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <Send className="h-5 w-5" />
+                  </button>
+                )}
+              </div>
+          
+              <p className="text-xs text-gray-500 mt-2">
+                {currentThread?.archived
+                  ? 'This thread is archived. Restore it to continue the conversation.'
+                  : 'Press Enter to send, Shift+Enter for new line'}
+              </p>
+            </div>
+          </div>
         </div>
       </div>
+
+      {citation && (
+        <ContractViewer
+          contract={citation.contract}
+          initialHighlight={citation.range}
+          onClose={() => setCitation(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,226 @@
+import React, { useState, useRef } from 'react';
+import { Search, X, MessageSquare, Bot, User } from 'lucide-react';
+import { chatService } from '../../services/api';
+import { useApp } from '../../contexts/AppContext';
+
+// Local midnight of a date input's value, as the server expects it; endOfDay gives the next one
+const toTimestamp = (date, endOfDay = false) => {
+  const day = new Date(`${date}T00:00:00`);
+  if (endOfDay) day.setDate(day.getDate() + 1);
+  return day.toISOString();
+};
+
+// A snippet with its matches ({ start, end } ranges) marked
+const Snippet = ({ text, highlights }) => {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(({ start, end }, index) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+
+  return <p className="text-sm text-gray-700 break-words">{parts}</p>;
+};
+
+// Search across all chat threads. onOpenResult(result) opens the thread at the message found.
+const ChatSearch = ({ onClose, onOpenResult }) => {
+  const { contracts } = useApp();
+  const [text, setText] = useState('');
+  const [search, setSearch] = useState(null); // { q, contract, role, from, to } being shown
+  const [filters, setFilters] = useState({ contract: '', role: '', from: '', to: '' });
+  const [results, setResults] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const searchRef = useRef(0); // Only the latest search's results are shown
+
+  const runSearch = async ({ q, contract, role, from, to }, page = 1) => {
+    const searchNumber = ++searchRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await chatService.searchMessages({
+        q,
+        page,
+        ...(contract === 'general' ? { general: true } : contract && { contractId: contract }),
+        ...(role && { role }),
+        ...(from && { from: toTimestamp(from) }),
+        ...(to && { to: toTimestamp(to, true) })
+      });
+      if (searchNumber !== searchRef.current) return;
+      setResults(prev => (page === 1 ? data.results : [...prev, ...data.results]));
+      setPagination(data.pagination);
+    } catch (err) {
+      if (searchNumber !== searchRef.current) return;
+      console.error('Error searching chat history:', err);
+      setError(err.response?.data?.message || 'Search failed');
+      if (page === 1) {
+        setResults([]);
+        setPagination(null);
+      }
+    } finally {
+      if (searchNumber === searchRef.current) setLoading(false);
+    }
+  };
+
+  const startSearch = (newSearch) => {
+    setSearch(newSearch);
+    runSearch(newSearch);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (text.trim()) startSearch({ q: text.trim(), ...filters });
+  };
+
+  // Changing a filter searches again
+  const updateFilter = (name, value) => {
+    const changed = { ...filters, [name]: value };
+    setFilters(changed);
+    if (search) startSearch({ ...search, ...changed });
+  };
+
+  const contractTitle = (result) => {
+    if (!result.contractId) return 'General chat';
+    const contract = (contracts || []).find(c => (c.id || c._id) === result.contractId);
+    return result.contractTitle || contract?.title || contract?.file_name || 'Contract';
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl max-w-3xl w-full h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3">
+            <div className="w-10 h-10 bg-primary-100 rounded-lg flex items-center justify-center">
+              <Search className="h-5 w-5 text-primary-600" />
+            </div>
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">Search chats</h2>
+              <p className="text-sm text-gray-600">Questions and answers from all your conversations</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {/* Search and filters */}
+        <form onSubmit={handleSubmit} className="p-6 pb-4 space-y-3 border-b border-gray-200">
+          <div className="flex space-x-2">
+            <input
+              autoFocus
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder='e.g. indemnity cap, "termination notice"'
+              maxLength={200}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent outline-none"
+            />
+            <button
+              type="submit"
+              disabled={!text.trim() || loading}
+              className="px-4 py-2 bg-primary-600 text-white rounded-xl hover:bg-primary-700 transition-colors disabled:opacity-50"
+            >
+              Search
+            </button>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+            <select
+              value={filters.contract}
+              onChange={(e) => updateFilter('contract', e.target.value)}
+              className="px-2 py-1.5 border border-gray-300 rounded-lg"
+            >
+              <option value="">All chats</option>
+              <option value="general">General chat</option>
+              {(contracts || []).map(contract => (
+                <option key={contract.id || contract._id} value={contract.id || contract._id}>
+                  {contract.title || contract.file_name}
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.role}
+              onChange={(e) => updateFilter('role', e.target.value)}
+              className="px-2 py-1.5 border border-gray-300 rounded-lg"
+            >
+              <option value="">Questions and answers</option>
+              <option value="user">My questions</option>
+              <option value="assistant">Answers</option>
+            </select>
+            <input
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className="px-2 py-1.5 border border-gray-300 rounded-lg"
+              title="From"
+            />
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className="px-2 py-1.5 border border-gray-300 rounded-lg"
+              title="To"
+            />
+          </div>
+        </form>
+
+        {/* Results */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-2">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {search && !loading && !error && results.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-8">No messages match your search</p>
+          )}
+          {pagination && pagination.total > 0 && (
+            <p className="text-xs text-gray-500">
+              {pagination.total} {pagination.total === 1 ? 'message' : 'messages'} found
+            </p>
+          )}
+          {results.map(result => (
+            <button
+              key={result.messageId}
+              onClick={() => onOpenResult(result)}
+              className="w-full text-left p-3 rounded-lg border border-gray-200 hover:border-primary-300 hover:bg-primary-50 transition-colors"
+            >
+              <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                <span className="flex items-center space-x-1 min-w-0">
+                  <MessageSquare className="h-3.5 w-3.5 flex-shrink-0" />
+                  <span className="truncate">
+                    {contractTitle(result)} · {result.threadTitle || 'New chat'}
+                  </span>
+                </span>
+                <span className="flex items-center space-x-1 flex-shrink-0 ml-2">
+                  {result.role === 'user' ? <User className="h-3.5 w-3.5" /> : <Bot className="h-3.5 w-3.5" />}
+                  <span>{new Date(result.timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}</span>
+                </span>
+              </div>
+              <Snippet text={result.snippet} highlights={result.highlights || []} />
+            </button>
+          ))}
+          {pagination && pagination.page < pagination.pages && (
+            <div className="text-center">
+              <button
+                onClick={() => runSearch(search, pagination.page + 1)}
+                disabled={loading}
+                className="text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+              >
+                {loading ? 'Loading...' : 'More results'}
+              </button>
+            </div>
+          )}
+          {loading && results.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-8">Searching...</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChatSearch;
@@ -1,15 +1,59 @@
-import React from 'react';
-import { Bot, User, ExternalLink, AlertCircle } from 'lucide-react';
+import React, { useState } from 'react';
+import { Bot, User, ExternalLink, AlertCircle, ThumbsUp, ThumbsDown } from 'lucide-react';
 
-const MessageBubble = ({ message }) => {
+// Why an answer was rated down (FEEDBACK_REASONS in server/services/feedbackService.js)
+const FEEDBACK_REASONS = [
+  { value: 'hallucination', label: 'Made something up' },
+  { value: 'incorrect', label: 'Incorrect' },
+  { value: 'incomplete', label: 'Incomplete' },
+  { value: 'wrong_citation', label: 'Wrong source cited' },
+  { value: 'irrelevant', label: 'Not relevant' },
+  { value: 'other', label: 'Other' }
+];
+
+// onCitationClick(source) opens a cited passage; sources without a position are shown as labels.
+// onFeedback(message, feedback) rates a saved answer (feedback null withdraws the rating); the
+// rating buttons are hidden without it. highlighted marks a message jumped to from search.
+const MessageBubble = ({ message, onCitationClick, onFeedback, highlighted = false }) => {
   const isUser = message.role === 'user';
-  
+  const rating = message.feedback?.rating;
+  const [feedbackForm, setFeedbackForm] = useState(null); // { reason, comment, correctedAnswer } while rating down
+  const [feedbackError, setFeedbackError] = useState(null);
+  const [savingFeedback, setSavingFeedback] = useState(false);
+
+  const sendFeedback = async (feedback) => {
+    setSavingFeedback(true);
+    setFeedbackError(null);
+    try {
+      await onFeedback(message, feedback);
+      setFeedbackForm(null);
+    } catch (error) {
+      setFeedbackError(error.response?.data?.message || 'Could not save your feedback');
+    } finally {
+      setSavingFeedback(false);
+    }
+  };
+
+  // Clicking the current rating withdraws it; rating down asks what was wrong first
+  const rateUp = () => sendFeedback(rating === 'up' ? null : { rating: 'up' });
+
+  const rateDown = () => {
+    if (rating === 'down') {
+      sendFeedback(null);
+    } else {
+      setFeedbackForm({ reason: 'hallucination', comment: '', correctedAnswer: '' });
+    }
+  };
+
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
   return (
-    <div className={`flex items-start space-x-3 ${isUser ? 'flex-row-reverse space-x-reverse' : ''}`}>
+    <div
+      id={`chat-message-${message.id}`}
+      className={`flex items-start space-x-3 ${isUser ? 'flex-row-reverse space-x-reverse' : ''}`}
+    >
       {/* Avatar */}
       <div className={`w-8 h-8 rounded-full flex items-center justify-center flex-shrink-0 ${
         isUser 
@@ -29,7 +73,7 @@ const MessageBubble = ({ message }) => {
 
       {/* Message Content */}
       <div className={`max-w-[70%] ${isUser ? 'text-right' : 'text-left'}`}>
-        <div className={`rounded-xl p-4 ${
+        <div className={`rounded-xl p-4 transition-shadow ${highlighted ? 'ring-2 ring-yellow-400' : ''} ${
           isUser 
             ? 'bg-primary-600 text-white' 
             : message.isError
@@ -38,30 +82,142 @@ const MessageBubble = ({ message }) => {
         }`}>
           <div className="whitespace-pre-wrap text-sm leading-relaxed">
             {message.content}
+            {message.streaming && (
+              <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-gray-400 animate-pulse"></span>
+            )}
           </div>
+
+          {message.cancelled && (
+            <p className="mt-2 text-xs italic text-gray-500">Stopped generating</p>
+          )}
           
           {/* Sources */}
           {message.sources && message.sources.length > 0 && !isUser && (
             <div className="mt-3 pt-3 border-t border-gray-200">
               <p className="text-xs text-gray-600 mb-2 font-medium">Sources:</p>
               <div className="space-y-1">
-                {message.sources.map((source, index) => (
-                  <div key={index} className="flex items-center space-x-2 text-xs">
-                    <ExternalLink className="h-3 w-3 text-gray-400" />
-                    <span className="text-gray-600 truncate">
-                      Page {source.page || index + 1}: {source.text?.substring(0, 60)}...
-                    </span>
-                  </div>
-                ))}
+                {message.sources.map((source, index) => {
+                  if (typeof source === 'string') {
+                    return (
+                      <div key={index} className="text-xs text-gray-600">{source}</div>
+                    );
+                  }
+
+                  const canOpen = !!onCitationClick && !!source.contractId && source.charStart !== null && source.charStart !== undefined;
+                  return (
+                    <button
+                      key={index}
+                      type="button"
+                      onClick={() => canOpen && onCitationClick(source)}
+                      disabled={!canOpen}
+                      className={`w-full text-left flex items-start space-x-2 text-xs rounded p-1 ${canOpen ? 'hover:bg-gray-200 cursor-pointer' : 'cursor-default'}`}
+                      title={canOpen ? 'Show this passage in the contract' : undefined}
+                    >
+                      <ExternalLink className="h-3 w-3 text-gray-400 mt-0.5 flex-shrink-0" />
+                      <span className="min-w-0">
+                        <span className="font-medium text-gray-700">
+                          [{index + 1}] {source.title || 'Contract'}
+                          {source.page ? `, page ${source.page}` : ''}
+                        </span>
+                        {typeof source.score === 'number' && (
+                          <span className="ml-1 text-gray-500">({Math.round(source.score * 100)}% match)</span>
+                        )}
+                        {source.text && (
+                          <span className="block text-gray-600 truncate">"{source.text.substring(0, 80)}..."</span>
+                        )}
+                      </span>
+                    </button>
+                  );
+                })}
               </div>
             </div>
           )}
         </div>
         
         {/* Timestamp */}
-        <div className={`text-xs text-gray-500 mt-1 ${isUser ? 'text-right' : 'text-left'}`}>
-          {formatTime(message.timestamp)}
+        <div className={`flex items-center space-x-2 text-xs text-gray-500 mt-1 ${isUser ? 'justify-end' : 'justify-start'}`}>
+          <span>{formatTime(message.timestamp)}</span>
+          {onFeedback && !isUser && !message.streaming && (
+            <>
+              <button
+                type="button"
+                onClick={rateUp}
+                disabled={savingFeedback}
+                className={`p-1 rounded hover:bg-gray-100 ${rating === 'up' ? 'text-green-600' : 'text-gray-400'}`}
+                title={rating === 'up' ? 'Remove rating' : 'Good answer'}
+              >
+                <ThumbsUp className="h-3.5 w-3.5" />
+              </button>
+              <button
+                type="button"
+                onClick={rateDown}
+                disabled={savingFeedback}
+                className={`p-1 rounded hover:bg-gray-100 ${rating === 'down' ? 'text-red-600' : 'text-gray-400'}`}
+                title={rating === 'down' ? 'Remove rating' : 'Bad answer'}
+              >
+                <ThumbsDown className="h-3.5 w-3.5" />
+              </button>
+              {rating === 'down' && !feedbackForm && <span>Flagged for review</span>}
+            </>
+          )}
         </div>
+
+        {feedbackError && (
+          <p className="text-xs text-red-600 mt-1">{feedbackError}</p>
+        )}
+
+        {/* What was wrong with the answer */}
+        {feedbackForm && (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              sendFeedback({ rating: 'down', ...feedbackForm });
+            }}
+            className="mt-2 p-3 bg-white border border-gray-200 rounded-lg space-y-2 text-left"
+          >
+            <select
+              value={feedbackForm.reason}
+              onChange={(e) => setFeedbackForm({ ...feedbackForm, reason: e.target.value })}
+              className="w-full px-2 py-1 text-sm border border-gray-300 rounded"
+            >
+              {FEEDBACK_REASONS.map(reason => (
+                <option key={reason.value} value={reason.value}>{reason.label}</option>
+              ))}
+            </select>
+            <textarea
+              value={feedbackForm.comment}
+              onChange={(e) => setFeedbackForm({ ...feedbackForm, comment: e.target.value })}
+              placeholder="What was wrong? (optional)"
+              maxLength={1000}
+              rows="2"
+              className="w-full px-2 py-1 text-sm border border-gray-300 rounded resize-none"
+            />
+            <textarea
+              value={feedbackForm.correctedAnswer}
+              onChange={(e) => setFeedbackForm({ ...feedbackForm, correctedAnswer: e.target.value })}
+              placeholder="The correct answer (optional)"
+              maxLength={10000}
+              rows="3"
+              className="w-full px-2 py-1 text-sm border border-gray-300 rounded resize-none"
+            />
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setFeedbackForm(null)}
+                className="px-3 py-1 text-sm text-gray-600 hover:bg-gray-100 rounded"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={savingFeedback}
+                className="px-3 py-1 text-sm bg-primary-600 text-white rounded hover:bg-primary-700 disabled:opacity-50"
+              >
+                Send feedback
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
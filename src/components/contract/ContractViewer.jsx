@@ -1,9 +1,39 @@
-import React, { useState } from 'react';
-import { X, Download, Eye, FileText, AlertCircle } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Download, Eye, FileText, AlertCircle, RefreshCw, ListTree, ShieldAlert } from 'lucide-react';
+import { contractService } from '../../services/api';
 
-const ContractViewer = ({ contract, onClose }) => {
+// initialHighlight ({ start, end } into contract.content) opens the extracted text at that passage
+const ContractViewer = ({ contract, onClose, initialHighlight = null }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [clauses, setClauses] = useState([]);
+  const [activeClause, setActiveClause] = useState(null);
+  const [highlightRange, setHighlightRange] = useState(initialHighlight); // { start, end } into contract.content
+  const [showExtractedText, setShowExtractedText] = useState(!!initialHighlight);
+  const [risk, setRisk] = useState(null);
+  const highlightRef = useRef(null);
+
+  const contractId = contract?.id;
+  const canLoadClauses = contract?.status === 'completed' && !!contract?.content;
+
+  useEffect(() => {
+    if (!contractId || !canLoadClauses) return;
+
+    contractService.getContractClauses(contractId)
+      .then(data => setClauses(data.clauses || []))
+      .catch(err => console.error('Clause load error:', err));
+
+    contractService.getContractRisk(contractId)
+      .then(data => setRisk(data.risk || null))
+      .catch(err => console.error('Risk load error:', err));
+  }, [contractId, canLoadClauses]);
+
+  // Bring the highlighted passage into view whenever it changes
+  useEffect(() => {
+    if (highlightRange && highlightRef.current) {
+      highlightRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }, [highlightRange]);
 
   // Debug logging
   console.log('🔍 ContractViewer opened with contract:', {
@@ -63,6 +93,125 @@ const ContractViewer = ({ contract, onClose }) => {
     }
   };
 
+  const handleReprocess = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      await contractService.reprocessContract(contract.id);
+      onClose();
+    } catch (err) {
+      setError(`Failed to reprocess contract: ${err.response?.data?.message || err.message}`);
+      console.error('Reprocess error:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleClauseClick = (clause) => {
+    setActiveClause(clause.index);
+    setHighlightRange({ start: clause.charStart, end: clause.charEnd });
+    setShowExtractedText(true);
+  };
+
+  const handleEvidenceClick = (evidence) => {
+    setActiveClause(evidence.clauseIndex);
+    // Concerns from the clause review point at a whole section, when it is known
+    setHighlightRange(evidence.charStart !== null ? { start: evidence.charStart, end: evidence.charEnd } : null);
+    setShowExtractedText(true);
+  };
+
+  // Extracted text with the selected range marked
+  const renderDocumentText = () => {
+    const text = contract.content;
+    if (!highlightRange) return text;
+
+    const { start, end } = highlightRange;
+    return (
+      <>
+        {text.slice(0, start)}
+        <mark ref={highlightRef} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+          {text.slice(start, end)}
+        </mark>
+        {text.slice(end)}
+      </>
+    );
+  };
+
+  const renderClauseNavigator = () => (
+    <div className="w-64 flex-shrink-0 border rounded-lg bg-gray-50 flex flex-col" style={{ maxHeight: '600px' }}>
+      <div className="flex items-center px-4 py-3 border-b">
+        <ListTree className="w-4 h-4 text-gray-600 mr-2" />
+        <h3 className="text-sm font-medium text-gray-900">Clauses ({clauses.length})</h3>
+      </div>
+      <div className="overflow-y-auto flex-1">
+        {clauses.map(clause => (
+          <button
+            key={clause.index}
+            onClick={() => handleClauseClick(clause)}
+            className={`w-full text-left px-4 py-2 border-b border-gray-100 transition-colors ${
+              activeClause === clause.index ? 'bg-blue-50' : 'hover:bg-gray-100'
+            }`}
+            style={{ paddingLeft: `${1 + (clause.level - 1) * 0.75}rem` }}
+          >
+            <div className="text-sm text-gray-900 truncate">
+              {clause.number && <span className="font-medium mr-1">{clause.number}</span>}
+              {clause.heading}
+            </div>
+            <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs ${
+              clause.type === 'other' ? 'bg-gray-200 text-gray-600' : 'bg-blue-100 text-blue-700'
+            }`}>
+              {clause.typeLabel}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  const renderRiskPanel = () => {
+    const scoreColor = risk.level === 'high' ? 'text-red-600' :
+      risk.level === 'medium' ? 'text-yellow-600' : 'text-green-600';
+
+    return (
+      <div className="border rounded-lg p-4 mb-4">
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center">
+            <ShieldAlert className="w-4 h-4 text-gray-600 mr-2" />
+            <h3 className="text-sm font-medium text-gray-900">Risk Score</h3>
+          </div>
+          <span className="text-sm text-gray-600">
+            <span className={`text-lg font-semibold ${scoreColor}`}>{risk.score}</span>/100 · {risk.band}
+          </span>
+        </div>
+        {risk.factors.length === 0 ? (
+          <p className="text-sm text-gray-600">No risk factors found.</p>
+        ) : (
+          <ul className="space-y-2">
+            {risk.factors.map(factor => (
+              <li key={factor.id} className="text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-900">{factor.label}</span>
+                  <span className="text-gray-500 ml-4 flex-shrink-0">+{factor.points}</span>
+                </div>
+                {factor.evidence.map((evidence, index) => (
+                  <button
+                    key={`${factor.id}-${index}`}
+                    onClick={() => handleEvidenceClick(evidence)}
+                    className="block w-full text-left text-xs text-blue-600 hover:underline truncate"
+                    title={evidence.snippet}
+                  >
+                    {evidence.clauseNumber ? `§${evidence.clauseNumber}: ` : ''}{evidence.snippet}
+                  </button>
+                ))}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
   const renderContent = () => {
     // Status messages for processing/failed files
     if (contract.status === 'processing') {
@@ -83,14 +232,24 @@ const ContractViewer = ({ contract, onClose }) => {
           <div className="flex flex-col items-center">
             <AlertCircle className="w-16 h-16 text-red-400 mb-4" />
             <h3 className="text-lg font-medium text-red-900 mb-2">Processing Failed</h3>
-            <p className="text-red-600 mb-4">Document processing failed. Try uploading again.</p>
+            <p className="text-red-600 mb-4">
+              {contract.processing_error || contract.analysis?.error || 'Document processing failed.'}
+            </p>
+            <button
+              onClick={handleReprocess}
+              disabled={isLoading}
+              className="flex items-center px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 disabled:opacity-50 transition-colors"
+            >
+              <RefreshCw className={`w-4 h-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+              {isLoading ? 'Starting...' : 'Reprocess Document'}
+            </button>
           </div>
         </div>
       );
     }
 
     // Render actual file content based on type
-    if (isPdfFile) {
+    if (isPdfFile && !showExtractedText) {
       const pdfUrl = getFileViewUrl();
       return (
         <div className="bg-white rounded-lg overflow-hidden" style={{ height: '600px' }}>
@@ -145,7 +304,7 @@ const ContractViewer = ({ contract, onClose }) => {
       );
     }
 
-    if (isImageFile) {
+    if (isImageFile && !showExtractedText) {
       return (
         <div className="bg-white rounded-lg p-4 text-center">
           <img
@@ -180,14 +339,28 @@ const ContractViewer = ({ contract, onClose }) => {
     if (contract.content || isTextFile) {
       return (
         <div className="bg-white rounded-lg p-6 max-h-96 overflow-y-auto">
-          <div className="flex items-center mb-4">
-            <FileText className="w-5 h-5 text-gray-600 mr-2" />
-            <h3 className="text-lg font-medium text-gray-900">Document Content</h3>
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center">
+              <FileText className="w-5 h-5 text-gray-600 mr-2" />
+              <h3 className="text-lg font-medium text-gray-900">Document Content</h3>
+            </div>
+            {showExtractedText && (isPdfFile || isImageFile) && (
+              <button
+                onClick={() => {
+                  setShowExtractedText(false);
+                  setHighlightRange(null);
+                  setActiveClause(null);
+                }}
+                className="text-sm text-blue-600 hover:text-blue-700"
+              >
+                Back to original
+              </button>
+            )}
           </div>
           <div className="prose max-w-none">
             {contract.content ? (
               <pre className="whitespace-pre-wrap text-sm text-gray-700 font-sans leading-relaxed">
-                {contract.content}
+                {renderDocumentText()}
               </pre>
             ) : (
               <div className="bg-gray-50 rounded-lg p-4 text-center">
@@ -283,7 +456,28 @@ const ContractViewer = ({ contract, onClose }) => {
             </div>
           )}
           
-          {renderContent()}
+          {contract.analysis?.isFallback && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-4">
+              <div className="flex items-start text-amber-800">
+                <AlertCircle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                <div className="text-sm">
+                  <p className="font-medium">Automated analysis unavailable</p>
+                  <p>{contract.analysis.fallbackReason || 'The AI response could not be validated. Please review this contract manually.'}</p>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {risk && renderRiskPanel()}
+
+          {clauses.length > 0 ? (
+            <div className="flex gap-6">
+              {renderClauseNavigator()}
+              <div className="flex-1 min-w-0">{renderContent()}</div>
+            </div>
+          ) : (
+            renderContent()
+          )}
         </div>
 
         {/* Footer with metadata */}
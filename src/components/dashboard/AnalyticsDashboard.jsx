@@ -10,6 +10,27 @@ import {
 import { analyticsService } from '../../services/api';
 
 const COLORS = ['#10B981', '#F59E0B', '#EF4444', '#6B7280'];
+const EXPORT_FORMATS = [
+  { format: 'pdf', label: 'PDF report' },
+  { format: 'xlsx', label: 'Excel (XLSX)' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' }
+];
+const RISK_COLORS = { low: '#10B981', medium: '#F59E0B', high: '#EF4444' };
+
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+};
+
+const severityBadge = (severity) => (
+  severity === 'high'
+    ? 'bg-red-100 text-red-800'
+    : severity === 'medium'
+    ? 'bg-yellow-100 text-yellow-800'
+    : 'bg-green-100 text-green-800'
+);
 
 const AnalyticsDashboard = () => {
   const [dashboardData, setDashboardData] = useState(null);
@@ -19,6 +40,8 @@ const AnalyticsDashboard = () => {
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [exportingFormat, setExportingFormat] = useState(null);
 
   useEffect(() => {
     loadDashboardData();
@@ -68,18 +91,22 @@ const AnalyticsDashboard = () => {
   };
 
   const handleExport = async (format = 'json') => {
+    setShowExportMenu(false);
+    setExportingFormat(format);
     try {
       const blob = await analyticsService.exportData(format);
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `contract-analytics.${format}`;
+      a.download = `contract-portfolio.${format}`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
       window.URL.revokeObjectURL(url);
     } catch (err) {
       console.error('Export error:', err);
+    } finally {
+      setExportingFormat(null);
     }
   };
 
@@ -115,20 +142,22 @@ const AnalyticsDashboard = () => {
   if (!dashboardData) return null;
 
   // Prepare chart data
-  const statusData = Object.entries(dashboardData.contractStats.byStatus || {}).map(([status, count]) => ({
+  const statusData = Object.entries(dashboardData.byStatus || {}).map(([status, count]) => ({
     name: status.charAt(0).toUpperCase() + status.slice(1),
     value: count
   }));
 
-  const riskData = Object.entries(dashboardData.riskDistribution || {}).map(([level, data]) => ({
-    name: level.charAt(0).toUpperCase() + level.slice(1),
-    value: data.count,
-    avgScore: data.avgScore
+  const riskData = (dashboardData.riskDistribution || []).map(band => ({
+    name: band.name,
+    level: band.level,
+    value: band.contracts,
+    avgScore: band.avgScore
   }));
 
-  const fileTypeData = Object.entries(dashboardData.fileTypeStats || {}).map(([type, count]) => ({
-    name: type,
-    value: count
+  const contractTypeData = (dashboardData.contractTypes || []).slice(0, 8).map(type => ({
+    name: type.type,
+    value: type.count,
+    avgRisk: type.avgRisk
   }));
 
   return (
@@ -170,14 +199,31 @@ const AnalyticsDashboard = () => {
             <option value="7d">Last 7 days</option>
             <option value="30d">Last 30 days</option>
             <option value="90d">Last 90 days</option>
+            <option value="1y">Last year</option>
           </select>
-          <button
-            onClick={() => handleExport('json')}
-            className="btn-secondary flex items-center"
-          >
-            <Download className="h-4 w-4 mr-2" />
-            Export
-          </button>
+          <div className="relative">
+            <button
+              onClick={() => setShowExportMenu(!showExportMenu)}
+              disabled={!!exportingFormat}
+              className="btn-secondary flex items-center disabled:opacity-50"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              {exportingFormat ? 'Exporting...' : 'Export'}
+            </button>
+            {showExportMenu && (
+              <div className="absolute right-0 mt-2 w-44 bg-white border rounded-lg shadow-lg z-10">
+                {EXPORT_FORMATS.map(({ format, label }) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExport(format)}
+                    className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 first:rounded-t-lg last:rounded-b-lg"
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
       </div>
 
@@ -187,7 +233,7 @@ const AnalyticsDashboard = () => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-600">Total Contracts</p>
-              <p className="text-2xl font-bold text-gray-900">{dashboardData.contractStats.total}</p>
+              <p className="text-2xl font-bold text-gray-900">{dashboardData.totalContracts}</p>
             </div>
             <div className="p-3 bg-blue-100 rounded-full">
               <FileText className="h-6 w-6 text-blue-600" />
@@ -200,7 +246,7 @@ const AnalyticsDashboard = () => {
             <div>
               <p className="text-sm font-medium text-gray-600">Completed</p>
               <p className="text-2xl font-bold text-green-600">
-                {dashboardData.contractStats.byStatus.completed || 0}
+                {dashboardData.completedContracts}
               </p>
             </div>
             <div className="p-3 bg-green-100 rounded-full">
@@ -214,7 +260,7 @@ const AnalyticsDashboard = () => {
             <div>
               <p className="text-sm font-medium text-gray-600">High Risk</p>
               <p className="text-2xl font-bold text-red-600">
-                {dashboardData.contractStats.byStatus['high-risk'] || 0}
+                {dashboardData.highRiskContracts}
               </p>
             </div>
             <div className="p-3 bg-red-100 rounded-full">
@@ -228,7 +274,7 @@ const AnalyticsDashboard = () => {
             <div>
               <p className="text-sm font-medium text-gray-600">Processing</p>
               <p className="text-2xl font-bold text-yellow-600">
-                {dashboardData.contractStats.byStatus.processing || 0}
+                {dashboardData.processingContracts}
               </p>
             </div>
             <div className="p-3 bg-yellow-100 rounded-full">
@@ -273,7 +319,11 @@ const AnalyticsDashboard = () => {
               <XAxis dataKey="name" />
               <YAxis />
               <Tooltip />
-              <Bar dataKey="value" fill="#10B981" />
+              <Bar dataKey="value" name="Contracts">
+                {riskData.map((entry) => (
+                  <Cell key={entry.level} fill={RISK_COLORS[entry.level]} />
+                ))}
+              </Bar>
             </BarChart>
           </ResponsiveContainer>
         </div>
@@ -284,13 +334,13 @@ const AnalyticsDashboard = () => {
         <div className="bg-white rounded-lg shadow-sm border p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Upload Trends</h3>
           <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={trendsData.uploadTrends}>
+            <LineChart data={trendsData.data}>
               <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="_id" />
-              <YAxis />
+              <XAxis dataKey="date" />
+              <YAxis allowDecimals={false} />
               <Tooltip />
               <Legend />
-              <Line type="monotone" dataKey="count" stroke="#3B82F6" name="Total Uploads" />
+              <Line type="monotone" dataKey="contracts" stroke="#3B82F6" name="Total Uploads" />
               <Line type="monotone" dataKey="completed" stroke="#10B981" name="Completed" />
               <Line type="monotone" dataKey="highRisk" stroke="#EF4444" name="High Risk" />
             </LineChart>
@@ -298,19 +348,39 @@ const AnalyticsDashboard = () => {
         </div>
       )}
 
-      {/* File Types */}
+      {/* Monthly Volume */}
+      <div className="bg-white rounded-lg shadow-sm border p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Monthly Volume</h3>
+        <ResponsiveContainer width="100%" height={250}>
+          <BarChart data={dashboardData.monthlyStats}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="contracts" fill="#3B82F6" name="Contracts" />
+            <Bar dataKey="highRisk" fill="#EF4444" name="High Risk" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Contract Types */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <div className="bg-white rounded-lg shadow-sm border p-6">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">File Types</h3>
-          <ResponsiveContainer width="100%" height={200}>
-            <BarChart data={fileTypeData} layout="horizontal">
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis type="number" />
-              <YAxis dataKey="name" type="category" width={60} />
-              <Tooltip />
-              <Bar dataKey="value" fill="#6B7280" />
-            </BarChart>
-          </ResponsiveContainer>
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Contract Types</h3>
+          {contractTypeData.length === 0 ? (
+            <p className="text-gray-600">No analysed contracts yet.</p>
+          ) : (
+            <ResponsiveContainer width="100%" height={250}>
+              <BarChart data={contractTypeData} layout="vertical">
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" allowDecimals={false} />
+                <YAxis dataKey="name" type="category" width={140} />
+                <Tooltip />
+                <Bar dataKey="value" fill="#6B7280" name="Contracts" />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
         </div>
 
         {/* Processing Stats */}
@@ -320,19 +390,19 @@ const AnalyticsDashboard = () => {
             <div className="flex justify-between">
               <span className="text-gray-600">Average Processing Time</span>
               <span className="font-semibold">
-                {dashboardData.processingStats.avgProcessingTimeMinutes}m
+                {formatDuration(dashboardData.processingStats.avgSeconds)}
               </span>
             </div>
             <div className="flex justify-between">
               <span className="text-gray-600">Fastest Processing</span>
               <span className="font-semibold text-green-600">
-                {dashboardData.processingStats.minProcessingTimeMinutes}m
+                {formatDuration(dashboardData.processingStats.minSeconds)}
               </span>
             </div>
             <div className="flex justify-between">
               <span className="text-gray-600">Slowest Processing</span>
               <span className="font-semibold text-red-600">
-                {dashboardData.processingStats.maxProcessingTimeMinutes}m
+                {formatDuration(dashboardData.processingStats.maxSeconds)}
               </span>
             </div>
             <div className="flex justify-between">
@@ -351,24 +421,18 @@ const AnalyticsDashboard = () => {
         <div className="bg-white rounded-lg shadow-sm border p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Contracts</h3>
           <div className="space-y-3">
-            {dashboardData.recentActivity.map((contract, index) => (
-              <div key={index} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                <div className="flex-1">
-                  <p className="font-medium text-gray-900 truncate">{contract.originalName}</p>
+            {dashboardData.recentActivity.map((contract) => (
+              <div key={contract.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{contract.title}</p>
                   <p className="text-sm text-gray-600">
                     {new Date(contract.createdAt).toLocaleDateString()}
                   </p>
                 </div>
                 <div className="flex items-center space-x-2">
-                  {contract.analysisResults?.riskScore && (
-                    <span className={`px-2 py-1 text-xs rounded-full ${
-                      contract.analysisResults.riskScore > 70 
-                        ? 'bg-red-100 text-red-800'
-                        : contract.analysisResults.riskScore > 30
-                        ? 'bg-yellow-100 text-yellow-800'
-                        : 'bg-green-100 text-green-800'
-                    }`}>
-                      Risk: {contract.analysisResults.riskScore}
+                  {contract.riskScore !== null && (
+                    <span className={`px-2 py-1 text-xs rounded-full ${severityBadge(contract.riskLevel)}`}>
+                      Risk: {contract.riskScore}
                     </span>
                   )}
                   <span className={`px-2 py-1 text-xs rounded-full ${
@@ -390,51 +454,43 @@ const AnalyticsDashboard = () => {
         <div className="bg-white rounded-lg shadow-sm border p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Common Risk Factors</h3>
           <div className="space-y-3">
-            {dashboardData.topRiskFactors.map((risk, index) => (
-              <div key={index} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+            {dashboardData.topRiskFactors.map((factor) => (
+              <div key={factor.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
                 <div>
-                  <p className="font-medium text-gray-900">{risk._id}</p>
+                  <p className="font-medium text-gray-900">{factor.label}</p>
                   <p className="text-sm text-gray-600">
-                    Confidence: {(risk.avgConfidence * 100).toFixed(0)}%
+                    In {factor.percentOfContracts}% of scored contracts
                   </p>
                 </div>
-                <div className="flex items-center space-x-2">
-                  <span className="text-lg font-bold text-gray-700">{risk.count}</span>
-                  <span className={`px-2 py-1 text-xs rounded-full ${
-                    risk.severity === 'high' 
-                      ? 'bg-red-100 text-red-800'
-                      : risk.severity === 'medium'
-                      ? 'bg-yellow-100 text-yellow-800'
-                      : 'bg-green-100 text-green-800'
-                  }`}>
-                    {risk.severity}
-                  </span>
-                </div>
+                <span className="text-lg font-bold text-gray-700">{factor.count}</span>
               </div>
             ))}
           </div>
         </div>
       </div>
 
-      {/* Chat Statistics */}
+      {/* Recurring Concerns */}
       <div className="bg-white rounded-lg shadow-sm border p-6">
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">Chat Activity</h3>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-          <div className="text-center">
-            <p className="text-2xl font-bold text-blue-600">{dashboardData.chatStats.totalSessions}</p>
-            <p className="text-gray-600">Total Sessions</p>
-          </div>
-          <div className="text-center">
-            <p className="text-2xl font-bold text-green-600">{dashboardData.chatStats.totalMessages}</p>
-            <p className="text-gray-600">Total Messages</p>
-          </div>
-          <div className="text-center">
-            <p className="text-2xl font-bold text-purple-600">
-              {dashboardData.chatStats.avgMessagesPerSession.toFixed(1)}
-            </p>
-            <p className="text-gray-600">Avg Messages/Session</p>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Recurring Concerns</h3>
+        {dashboardData.topConcerns.length === 0 ? (
+          <p className="text-gray-600">No concerns raised yet.</p>
+        ) : (
+          <div className="space-y-3">
+            {dashboardData.topConcerns.map((concern) => (
+              <div key={concern.concern} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <p className="font-medium text-gray-900 mr-4">{concern.concern}</p>
+                <div className="flex items-center space-x-2 flex-shrink-0">
+                  <span className="text-lg font-bold text-gray-700">{concern.count}</span>
+                  {concern.severity && (
+                    <span className={`px-2 py-1 text-xs rounded-full ${severityBadge(concern.severity)}`}>
+                      {concern.severity}
+                    </span>
+                  )}
+                </div>
+              </div>
+            ))}
           </div>
-        </div>
+        )}
       </div>
     </div>
   );
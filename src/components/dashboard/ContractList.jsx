@@ -1,12 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { Search, Filter, Grid, List, FileText, CheckCircle, AlertTriangle, Trash2, MessageCircle, Eye, Clock } from 'lucide-react';
-import { useApp } from '../../contexts/AppContext';
+import { useApp, isHighRisk } from '../../contexts/AppContext';
+import { useSocket } from '../../contexts/SocketContext';
 import { contractService } from '../../services/api';
 import ChatInterface from '../chat/ChatInterface';
 import ContractViewer from '../contract/ContractViewer';
 
 const ContractList = () => {
   const { contracts, loadContracts } = useApp();
+  const { processingProgress } = useSocket();
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
 
@@ -17,7 +19,9 @@ const ContractList = () => {
   const [showStatusDropdown, setShowStatusDropdown] = useState(false);
 
   const filteredContracts = (contracts || []).filter(contract => {
-    if (statusFilter !== 'all' && contract.status !== statusFilter) {
+    if (statusFilter === 'high-risk') {
+      if (!isHighRisk(contract)) return false;
+    } else if (statusFilter !== 'all' && contract.status !== statusFilter) {
       return false;
     }
 
@@ -84,6 +88,51 @@ const ContractList = () => {
     }
   };
 
+  const getRiskScoreColor = (score) => {
+    if (score >= 71) return 'bg-red-500/20 text-red-300';
+    if (score >= 41) return 'bg-yellow-500/20 text-yellow-300';
+    return 'bg-green-500/20 text-green-300';
+  };
+
+  const formatEta = (seconds) => {
+    if (seconds === null || seconds === undefined) return null;
+    if (seconds < 60) return `~${Math.max(seconds, 1)}s left`;
+    return `~${Math.round(seconds / 60)}m left`;
+  };
+
+  // Live progress from the socket, falling back to the last state saved on the contract
+  const renderProcessingProgress = (contract) => {
+    const contractId = contract._id || contract.id;
+    const progress = processingProgress[contractId] || contract.processing;
+
+    if (!progress || !progress.stage) return null;
+
+    const percent = Math.min(Math.max(progress.percent || 0, 0), 100);
+    const eta = formatEta(progress.etaSeconds);
+
+    return (
+      <div className="mb-4">
+        <div className="flex items-center justify-between text-xs text-gray-300 mb-1">
+          <span className="truncate">{progress.detail || progress.label || progress.stage}</span>
+          <span className="ml-2 flex-shrink-0">
+            {percent}%{eta && ` · ${eta}`}
+          </span>
+        </div>
+        <div className="w-full h-2 bg-white/10 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-gradient-to-r from-blue-500 to-purple-600 transition-all duration-500"
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+        {progress.lastError && (
+          <p className="text-xs text-yellow-300 mt-1 truncate" title={progress.lastError}>
+            Retrying: {progress.lastError}
+          </p>
+        )}
+      </div>
+    );
+  };
+
   const handleDeleteContract = async (contractId) => {
     if (window.confirm('Are you sure you want to delete this contract?')) {
       try {
@@ -349,11 +398,32 @@ const ContractList = () => {
                   <span>{getStatusText(contract.status)}</span>
                 </span>
                 
+                {typeof contract.risk_score === 'number' && (
+                  <span
+                    className={`px-3 py-1 rounded-full text-xs font-medium ${getRiskScoreColor(contract.risk_score)}`}
+                    title={contract.risk_assessment?.band}
+                  >
+                    Risk {contract.risk_score}
+                  </span>
+                )}
+
                 <div className="text-xs text-gray-400">
                   {contract.fileSize || contract.file_size ? Math.round((contract.fileSize || contract.file_size) / 1024) + ' KB' : 'Unknown size'}
                 </div>
               </div>
 
+              {contract.status === 'processing' && renderProcessingProgress(contract)}
+
+              {contract.analysis?.isFallback && (
+                <div
+                  className="flex items-center mb-4 px-3 py-2 rounded-lg bg-amber-500/20 text-amber-300 text-xs"
+                  title={contract.analysis.fallbackReason}
+                >
+                  <AlertTriangle className="h-4 w-4 mr-2 flex-shrink-0" />
+                  <span>AI analysis unavailable. Needs manual review</span>
+                </div>
+              )}
+
               {(contract.extractedText || contract.content) && (
                 <div className="pt-4 border-t border-white/10">
                   <p className="text-xs text-gray-400 line-clamp-3">
@@ -1,22 +1,43 @@
 import React, { useState, useEffect } from 'react';
-import { FileText, CheckCircle, Clock, AlertTriangle, Upload, TrendingUp, MessageCircle } from 'lucide-react';
+import { FileText, CheckCircle, Clock, AlertTriangle, Upload, TrendingUp, MessageCircle, Search } from 'lucide-react';
 import { useApp } from '../../contexts/AppContext';
 import Header from '../common/Header';
 import StatsCard from './StatsCard';
 import ContractList from './ContractList';
 import UploadModal from '../upload/UploadModal';
 import ChatInterface from '../chat/ChatInterface';
+import ChatSearch from '../chat/ChatSearch';
+
+const GENERAL_CHAT = {
+  id: 'general',
+  fileName: 'AI Assistant',
+  file_name: 'AI Assistant'
+};
 
 const Dashboard = () => {
   const { stats, loading, contracts } = useApp();
   const [isLoaded, setIsLoaded] = useState(false);
   const [showUploadModal, setShowUploadModal] = useState(false);
   const [showGeneralChat, setShowGeneralChat] = useState(false);
+  const [showChatSearch, setShowChatSearch] = useState(false);
+  const [openedResult, setOpenedResult] = useState(null); // Chat search result opened in its thread
 
   useEffect(() => {
     setIsLoaded(true);
   }, []);
 
+  const openSearchResult = (result) => {
+    setShowChatSearch(false);
+    setOpenedResult(result);
+  };
+
+  // The chat a search result was found in; contracts not loaded here are known by title only
+  const resultContract = (result) => (
+    result.contractId
+      ? contracts.find(c => (c.id || c._id) === result.contractId) || { id: result.contractId, title: result.contractTitle }
+      : GENERAL_CHAT
+  );
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 pb-8">
       {/* Animated Background Elements */}
@@ -140,16 +161,42 @@ const Dashboard = () => {
 
       {showGeneralChat && (
         <ChatInterface 
-          contract={{ 
-            id: 'general',
-            fileName: 'AI Assistant',
-            file_name: 'AI Assistant'
-          }}
+          contract={GENERAL_CHAT}
           onClose={() => setShowGeneralChat(false)}
           isGeneralChat={true}
         />
       )}
 
+      {showChatSearch && (
+        <ChatSearch
+          onClose={() => setShowChatSearch(false)}
+          onOpenResult={openSearchResult}
+        />
+      )}
+
+      {openedResult && (
+        <ChatInterface
+          key={openedResult.messageId}
+          contract={resultContract(openedResult)}
+          onClose={() => setOpenedResult(null)}
+          isGeneralChat={!openedResult.contractId}
+          initialMessage={openedResult}
+        />
+      )}
+
+      <button
+        onClick={() => setShowChatSearch(true)}
+        className="fixed bottom-24 right-7 w-14 h-14 bg-white/10 border border-white/20 text-white rounded-full shadow-2xl hover:bg-white/20 transition-all duration-300 transform hover:scale-110 z-40 flex items-center justify-center group cursor-pointer"
+        title="Search chat history"
+      >
+        <Search className="w-6 h-6" />
+
+        {/* Tooltip */}
+        <div className="absolute right-16 bottom-3 px-3 py-1 bg-black/80 text-white text-sm rounded-lg opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none whitespace-nowrap">
+          Search chats
+        </div>
+      </button>
+
       <button
         onClick={() => setShowGeneralChat(true)}
         className="fixed bottom-6 right-6 w-16 h-16 bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-full shadow-2xl hover:shadow-blue-500/25 transition-all duration-300 transform hover:scale-110 z-40 flex items-center justify-center group cursor-pointer"
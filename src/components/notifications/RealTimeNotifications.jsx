@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { createPortal } from 'react-dom';
 import { 
   Bell, X, AlertTriangle, Info, CheckCircle, 
@@ -7,138 +7,122 @@ import {
 import { useSocket } from '../../contexts/SocketContext';
 import { notificationService } from '../../services/api';
 
+const PAGE_SIZE = 20;
+
 const RealTimeNotifications = () => {
   const [showPanel, setShowPanel] = useState(false);
   const [allNotifications, setAllNotifications] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [serverUnreadCount, setServerUnreadCount] = useState(0);
   const { 
     connected, 
     notifications: realtimeNotifications, 
     markNotificationRead,
+    markAllNotificationsRead,
     clearNotifications,
     removeNotification
   } = useSocket() || { 
     connected: false, 
     notifications: [],
     markNotificationRead: () => {},
+    markAllNotificationsRead: () => {},
     clearNotifications: () => {},
     removeNotification: () => {}
   };
 
-  useEffect(() => {
-    loadNotifications();
-  }, []);
-
-  // Combine real-time notifications with historical ones
-  const notifications = [...realtimeNotifications, ...allNotifications].slice(0, 50);
-  const unreadCount = notifications.filter(n => !n.isRead).length;
-
-  const loadNotifications = async () => {
-    setLoading(true);
+  const loadNotifications = useCallback(async (pageToLoad = 1) => {
+    setLoading(pageToLoad === 1);
     try {
-      const response = await notificationService.getNotifications();
-      
-      // If no notifications from server, check localStorage for demo notifications
-      let notifications = response.notifications || [];
-      
-      if (notifications.length === 0) {
-        // Check if demo notifications already exist in localStorage
-        const savedNotifications = localStorage.getItem('demo_notifications');
-        if (savedNotifications) {
-          notifications = JSON.parse(savedNotifications);
-        } else {
-          // Create demo notifications only once and save to localStorage
-          const baseTime = Date.now() - (24 * 60 * 60 * 1000); // 24 hours ago
-          notifications = [
-            {
-              _id: 'demo-1',
-              type: 'success',
-              title: 'Welcome!',
-              message: 'Your SmartContract.ai account is ready to use.',
-              createdAt: new Date(baseTime).toISOString(),
-              isRead: false
-            },
-            {
-              _id: 'demo-2', 
-              type: 'info',
-              title: 'Feature Update',
-              message: 'New AI models are now available for contract analysis.',
-              createdAt: new Date(baseTime - 60000).toISOString(),
-              isRead: false
-            },
-            {
-              _id: 'demo-3',
-              type: 'warning',
-              title: 'Real-time Connection',
-              message: 'Socket connection established successfully.',
-              createdAt: new Date(baseTime - 120000).toISOString(),
-              isRead: true
-            }
-          ];
-          localStorage.setItem('demo_notifications', JSON.stringify(notifications));
-        }
-      }
-      
-      setAllNotifications(notifications);
+      const response = await notificationService.getNotifications({
+        page: pageToLoad,
+        limit: PAGE_SIZE,
+        unread: unreadOnly || undefined
+      });
+
+      setAllNotifications(prev => (
+        pageToLoad === 1 ? response.notifications : [...prev, ...response.notifications]
+      ));
+      setPage(pageToLoad);
+      setHasMore(response.pagination.hasMore);
+      setServerUnreadCount(response.unreadCount);
     } catch (error) {
       console.error('Failed to load notifications:', error);
-      
-      // Check localStorage first for fallback notifications
-      const savedNotifications = localStorage.getItem('demo_notifications');
-      if (savedNotifications) {
-        setAllNotifications(JSON.parse(savedNotifications));
-      } else {
-        // Only create fallback if nothing in localStorage
-        const fallbackNotifications = [
-          {
-            _id: 'fallback-1',
-            type: 'info',
-            title: 'Demo Mode',
-            message: 'Showing sample notifications. All features are functional.',
-            createdAt: new Date(Date.now() - (24 * 60 * 60 * 1000)).toISOString(),
-            isRead: false
-          }
-        ];
-        setAllNotifications(fallbackNotifications);
-        localStorage.setItem('demo_notifications', JSON.stringify(fallbackNotifications));
-      }
     } finally {
       setLoading(false);
     }
-  };
+  }, [unreadOnly]);
 
-  const handleMarkAsRead = async (notificationId) => {
-    // Update local notifications immediately for better UX
-    const updatedNotifications = allNotifications.map(n => 
-      n._id === notificationId ? { ...n, isRead: true } : n
-    );
-    setAllNotifications(updatedNotifications);
-    
-    // Update localStorage for demo notifications
-    localStorage.setItem('demo_notifications', JSON.stringify(updatedNotifications));
-    
+  useEffect(() => {
+    loadNotifications(1);
+  }, [loadNotifications]);
+
+  // Pushed notifications stay in the socket list, so skip the ones a reload already fetched.
+  // System broadcasts have no id and are never stored.
+  const loadedIds = new Set(allNotifications.map(n => n.id));
+  const liveNotifications = realtimeNotifications.filter(n => !n.id || !loadedIds.has(n.id));
+  const notifications = [
+    ...liveNotifications.filter(n => !unreadOnly || !n.isRead),
+    ...allNotifications
+  ];
+  const unreadCount = serverUnreadCount + liveNotifications.filter(n => !n.isRead).length;
+
+  const handleMarkAsRead = async (notification) => {
+    if (allNotifications.some(n => n.id === notification.id && !n.isRead)) {
+      setServerUnreadCount(count => Math.max(0, count - 1));
+    }
+    setAllNotifications(prev => prev.map(n =>
+      n.id === notification.id ? { ...n, isRead: true } : n
+    ));
+    markNotificationRead(notification.id);
+
+    if (!notification.id) return;
     try {
-      await notificationService.markAsRead(notificationId);
-      markNotificationRead(notificationId);
+      await notificationService.markAsRead(notification.id);
     } catch (error) {
       console.error('Failed to mark notification as read:', error);
-      // Even if server fails, keep local state updated for demo purposes
+    }
+  };
+
+  const handleMarkAllAsRead = async () => {
+    setAllNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+    setServerUnreadCount(0);
+    markAllNotificationsRead();
+
+    try {
+      await notificationService.markAllAsRead();
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  };
+
+  const handleDelete = async (notification) => {
+    if (allNotifications.some(n => n.id === notification.id && !n.isRead)) {
+      setServerUnreadCount(count => Math.max(0, count - 1));
+    }
+    setAllNotifications(prev => prev.filter(n => n.id !== notification.id));
+    removeNotification(notification.id);
+
+    if (!notification.id) return;
+    try {
+      await notificationService.deleteNotification(notification.id);
+    } catch (error) {
+      console.error('Failed to delete notification:', error);
     }
   };
 
   const handleClearAll = async () => {
-    // Clear local notifications immediately
     setAllNotifications([]);
-    
-    // Clear localStorage for demo notifications
-    localStorage.removeItem('demo_notifications');
-    
+    setServerUnreadCount(0);
+    setHasMore(false);
+    clearNotifications();
+
     try {
       await notificationService.clearAll();
-      clearNotifications();
     } catch (error) {
       console.error('Failed to clear notifications:', error);
-      // Keep local state cleared even if server call fails
     }
   };
 
@@ -230,6 +214,22 @@ const RealTimeNotifications = () => {
                   </div>
                 </div>
                 <div style={{display: 'flex', alignItems: 'center', gap: '8px'}}>
+                  <button
+                    onClick={() => setUnreadOnly(!unreadOnly)}
+                    style={{
+                      padding: '4px 10px',
+                      fontSize: '12px',
+                      fontWeight: '500',
+                      color: unreadOnly ? 'white' : '#2563eb',
+                      backgroundColor: unreadOnly ? '#2563eb' : 'transparent',
+                      border: '1px solid #2563eb',
+                      borderRadius: '9999px',
+                      cursor: 'pointer'
+                    }}
+                    title="Show only unread notifications"
+                  >
+                    Unread
+                  </button>
                   <button
                     onClick={() => setShowPanel(false)}
                     style={{
@@ -262,7 +262,7 @@ const RealTimeNotifications = () => {
             {notifications.length > 0 && (
               <div style={{padding: '12px 24px', backgroundColor: '#f1f5f9', borderBottom: '1px solid #e2e8f0', display: 'flex', justifyContent: 'space-between', alignItems: 'center'}}>
                 <button
-                  onClick={() => notifications.filter(n => !n.isRead).forEach(n => handleMarkAsRead(n._id))}
+                  onClick={handleMarkAllAsRead}
                   style={{
                     padding: '8px 16px',
                     fontSize: '14px',
@@ -324,7 +324,7 @@ const RealTimeNotifications = () => {
                     
                     return (
                       <div
-                        key={notification._id || index}
+                        key={notification.id || index}
                         style={{
                           padding: '16px',
                           backgroundColor: !notification.isRead ? '#eff6ff' : 'white',
@@ -366,7 +366,7 @@ const RealTimeNotifications = () => {
                               <div style={{display: 'flex', alignItems: 'center', gap: '12px'}}>
                                 {!notification.isRead && (
                                   <button
-                                    onClick={() => handleMarkAsRead(notification._id)}
+                                    onClick={() => handleMarkAsRead(notification)}
                                     style={{
                                       fontSize: '12px',
                                       color: '#2563eb',
@@ -380,7 +380,7 @@ const RealTimeNotifications = () => {
                                   </button>
                                 )}
                                 <button
-                                  onClick={() => removeNotification(notification._id)}
+                                  onClick={() => handleDelete(notification)}
                                   style={{
                                     padding: '4px',
                                     color: '#9ca3af',
@@ -410,6 +410,24 @@ const RealTimeNotifications = () => {
                       </div>
                     );
                   })}
+                  {hasMore && (
+                    <button
+                      onClick={() => loadNotifications(page + 1)}
+                      style={{
+                        width: '100%',
+                        padding: '12px',
+                        fontSize: '14px',
+                        fontWeight: '500',
+                        color: '#2563eb',
+                        backgroundColor: 'transparent',
+                        border: 'none',
+                        borderTop: '1px solid #e5e7eb',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      Load more
+                    </button>
+                  )}
                 </div>
               )}
             </div>
@@ -1,10 +1,30 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
-  Settings, Brain, Check, X, Download, RotateCcw, User
+  Settings, Brain, Bell, Check, X, Download, Upload, RotateCcw, User, Smartphone, Send, Trash2
 } from 'lucide-react';
-import { settingsService } from '../../services/api';
+import { settingsService, pushService } from '../../services/api';
+import { webPush } from '../../services/webPush';
 import { useAuth } from '../../contexts/AuthContext';
 
+// Notification channels and the events each one can be switched on for
+const NOTIFICATION_CHANNELS = [
+  { id: 'email', label: 'Email', description: 'Sent to your account email address' },
+  { id: 'push', label: 'Push', description: 'Browser notifications on your devices' },
+  { id: 'inApp', label: 'In-app', description: 'Shown in the notification bell' }
+];
+
+const NOTIFICATION_EVENTS = [
+  { id: 'contractAnalysis', label: 'Contract analysis complete or failed' },
+  { id: 'riskAlerts', label: 'High-risk contract detected' },
+  { id: 'systemUpdates', label: 'System updates' }
+];
+
+const DIGEST_OPTIONS = [
+  { value: 'immediate', label: 'Send immediately' },
+  { value: 'hourly', label: 'Hourly digest' },
+  { value: 'daily', label: 'Daily digest' }
+];
+
 const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
   const { user, updateProfile } = useAuth();
   const [activeTab, setActiveTab] = useState(initialTab);
@@ -12,6 +32,12 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [aiModels, setAiModels] = useState(null);
+  const [pushDevices, setPushDevices] = useState([]);
+  const [pushEndpoint, setPushEndpoint] = useState(null);
+  const [pushBusy, setPushBusy] = useState(false);
+  const importInputRef = useRef(null);
   const [profileData, setProfileData] = useState({
     firstName: user?.firstName || '',
     lastName: user?.lastName || '',
@@ -20,6 +46,8 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
 
   useEffect(() => {
     loadSettings();
+    loadAIModels();
+    loadPushState();
   }, []);
 
   useEffect(() => {
@@ -35,7 +63,7 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
   const loadSettings = async () => {
     try {
       const data = await settingsService.getSettings();
-      setSettings(data);
+      setSettings(data.settings);
     } catch (err) {
       setError('Failed to load settings');
     } finally {
@@ -43,6 +71,34 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
     }
   };
 
+  // Installed models; null when Ollama can't be reached
+  const loadAIModels = async () => {
+    try {
+      const data = await settingsService.getAIModels();
+      setAiModels(data.models);
+    } catch (err) {
+      setAiModels(null);
+    }
+  };
+
+  // This browser's subscription and the devices registered on the server
+  const loadPushState = async () => {
+    if (!webPush.isSupported()) return;
+    try {
+      const subscription = await webPush.getSubscription();
+      setPushEndpoint(subscription ? subscription.endpoint : null);
+      const data = await pushService.getSubscriptions();
+      setPushDevices(data.subscriptions);
+    } catch (err) {
+      setPushDevices([]);
+    }
+  };
+
+  const showSaveError = (message) => {
+    setSaveError(message);
+    setTimeout(() => setSaveError(null), 5000);
+  };
+
   const updateSettings = async (updates) => {
     try {
       const response = await settingsService.updateSettings(updates);
@@ -50,8 +106,9 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
       setSuccess('Settings updated successfully');
       setTimeout(() => setSuccess(null), 3000);
     } catch (err) {
-      setError('Failed to update settings');
-    } finally {
+      // Put back what the server actually has
+      showSaveError(err.response?.data?.errors?.map(error => error.msg || error).join(', ') || err.response?.data?.message || 'Failed to update settings');
+      await loadSettings();
     }
   };
 
@@ -88,12 +145,12 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
 
   const handleReset = async (section) => {
     try {
-      await settingsService.resetSettings(section);
-      await loadSettings();
+      const response = await settingsService.resetSettings(section);
+      setSettings(response.settings);
       setSuccess(`${section} settings reset to default`);
       setTimeout(() => setSuccess(null), 3000);
     } catch (err) {
-      setError('Failed to reset settings');
+      showSaveError('Failed to reset settings');
     }
   };
 
@@ -103,13 +160,78 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = 'settings-export.json';
+      a.download = 'smartcontract-settings.json';
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
       window.URL.revokeObjectURL(url);
     } catch (err) {
-      setError('Failed to export settings');
+      showSaveError('Failed to export settings');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const exportData = JSON.parse(await file.text());
+      const response = await settingsService.importSettings(exportData);
+      setSettings(response.settings);
+      setSuccess('Settings imported successfully');
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      const errors = err.response?.data?.errors;
+      showSaveError(errors
+        ? `Invalid settings file: ${errors.map(error => error.msg || error).join(', ')}`
+        : 'Failed to import settings');
+    }
+  };
+
+  const handlePushToggle = async (subscribed) => {
+    setPushBusy(true);
+    try {
+      if (subscribed) {
+        await webPush.unsubscribe();
+        setSuccess('Push notifications turned off for this device');
+      } else {
+        await webPush.subscribe();
+        setSuccess('Push notifications turned on for this device');
+      }
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      showSaveError(err.response?.data?.message || err.message || 'Failed to update push notifications');
+    } finally {
+      await loadPushState();
+      setPushBusy(false);
+    }
+  };
+
+  const handlePushTest = async () => {
+    try {
+      const data = await pushService.sendTest();
+      if (data.delivered) {
+        setSuccess(data.message);
+        setTimeout(() => setSuccess(null), 3000);
+      } else {
+        showSaveError(data.message);
+      }
+    } catch (err) {
+      showSaveError(err.response?.data?.message || 'Failed to send test notification');
+    } finally {
+      // Devices the push service rejected are removed on the server
+      await loadPushState();
+    }
+  };
+
+  const handleRemoveDevice = async (id) => {
+    try {
+      await pushService.removeSubscription(id);
+    } catch (err) {
+      showSaveError('Failed to remove device');
+    } finally {
+      await loadPushState();
     }
   };
 
@@ -127,9 +249,79 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
 
   const tabs = [
     { id: 'profile', label: 'Profile', icon: User },
+    { id: 'notifications', label: 'Notifications', icon: Bell },
     { id: 'ai', label: 'AI & Processing', icon: Brain }
   ];
 
+  const renderSwitch = (checked, onChange, disabled = false) => (
+    <label className={`relative inline-flex items-center ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+      <input
+        type="checkbox"
+        checked={!!checked}
+        onChange={onChange}
+        disabled={disabled}
+        className="sr-only peer"
+      />
+      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+    </label>
+  );
+
+  const renderPushDevices = (enabled) => {
+    if (!webPush.isSupported()) {
+      return <p className="text-sm text-gray-500 pl-4">This browser does not support push notifications.</p>;
+    }
+
+    const subscribed = pushDevices.some(device => device.endpoint === pushEndpoint);
+    const otherDevices = pushDevices.filter(device => device.endpoint !== pushEndpoint);
+
+    return (
+      <div className="border-t border-gray-100 pt-3 space-y-3">
+        <div className="flex items-center justify-between pl-4">
+          <div className="flex items-center text-sm text-gray-700">
+            <Smartphone className="h-4 w-4 mr-2 text-gray-400" />
+            This device
+            {webPush.getPermission() === 'denied' && (
+              <span className="ml-2 text-xs text-red-600">Blocked in browser settings</span>
+            )}
+          </div>
+          <div className="flex items-center space-x-3">
+            {pushDevices.length > 0 && (
+              <button
+                onClick={handlePushTest}
+                disabled={!enabled}
+                className="flex items-center text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50"
+              >
+                <Send className="h-4 w-4 mr-1" />
+                Send test
+              </button>
+            )}
+            {renderSwitch(subscribed, () => handlePushToggle(subscribed), pushBusy || !enabled)}
+          </div>
+        </div>
+
+        {otherDevices.map(device => (
+          <div key={device.id} className="flex items-center justify-between pl-4">
+            <div className="text-sm text-gray-700">
+              {device.deviceName || 'Unknown device'}
+              <span className="ml-2 text-xs text-gray-500">
+                {device.lastUsedAt
+                  ? `Last notified ${new Date(device.lastUsedAt).toLocaleDateString()}`
+                  : `Added ${new Date(device.createdAt).toLocaleDateString()}`}
+              </span>
+            </div>
+            <button
+              onClick={() => handleRemoveDevice(device.id)}
+              className="text-gray-400 hover:text-red-600"
+              title="Remove device"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   if (loading) {
     return (
       <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -206,6 +398,20 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
               <Download className="h-4 w-4 mr-3" />
               Export Settings
             </button>
+            <button
+              onClick={() => importInputRef.current?.click()}
+              className="w-full flex items-center px-3 py-2 text-gray-600 hover:bg-gray-100 hover:text-gray-900 rounded-lg transition-all duration-200 text-sm cursor-pointer select-none"
+            >
+              <Upload className="h-4 w-4 mr-3" />
+              Import Settings
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImport}
+              className="hidden"
+            />
             <button
               onClick={() => handleReset('all')}
               className="w-full flex items-center px-3 py-2 text-red-600 hover:bg-red-50 hover:text-red-700 rounded-lg transition-all duration-200 text-sm cursor-pointer select-none"
@@ -232,6 +438,13 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
             </div>
           )}
 
+          {saveError && (
+            <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4 flex items-center">
+              <X className="h-5 w-5 text-red-600 mr-2" />
+              <span className="text-red-700">{saveError}</span>
+            </div>
+          )}
+
           {/* Profile Tab */}
           {activeTab === 'profile' && (
             <div className="space-y-6">
@@ -292,6 +505,67 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
             </div>
           )}
 
+          {/* Notification Settings Tab */}
+          {activeTab === 'notifications' && settings && settings.notifications && (
+            <div className="space-y-6">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-gray-900">Notification Settings</h3>
+                <button
+                  onClick={() => handleReset('notifications')}
+                  className="flex items-center text-sm text-gray-500 hover:text-gray-700"
+                >
+                  <RotateCcw className="h-4 w-4 mr-1" />
+                  Reset
+                </button>
+              </div>
+
+              {NOTIFICATION_CHANNELS.map(channel => {
+                const channelSettings = settings.notifications[channel.id] || {};
+                return (
+                  <div key={channel.id} className="border border-gray-200 rounded-lg p-4 space-y-3">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <h4 className="font-medium text-gray-900">{channel.label}</h4>
+                        <p className="text-sm text-gray-600">{channel.description}</p>
+                      </div>
+                      {renderSwitch(channelSettings.enabled, () => handleToggle('notifications', channel.id, 'enabled'))}
+                    </div>
+
+                    {/* In-app notifications aren't split by event */}
+                    {channel.id !== 'inApp' && NOTIFICATION_EVENTS.map(event => (
+                      <div key={event.id} className="flex items-center justify-between pl-4">
+                        <span className="text-sm text-gray-700">{event.label}</span>
+                        {renderSwitch(
+                          channelSettings[event.id],
+                          () => handleToggle('notifications', channel.id, event.id),
+                          !channelSettings.enabled
+                        )}
+                      </div>
+                    ))}
+
+                    {channel.id === 'email' && (
+                      <div className="flex items-center justify-between pl-4">
+                        <span className="text-sm text-gray-700">Delivery</span>
+                        <select
+                          value={channelSettings.digest || 'immediate'}
+                          onChange={(e) => updateSettings({ notifications: { email: { digest: e.target.value } } })}
+                          disabled={!channelSettings.enabled}
+                          className="input-field w-auto text-sm"
+                        >
+                          {DIGEST_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+
+                    {channel.id === 'push' && renderPushDevices(channelSettings.enabled)}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
           {/* AI Settings Tab */}
           {activeTab === 'ai' && settings && settings.ai && settings.processing && (
             <div className="space-y-6">
@@ -299,28 +573,46 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">AI & Processing Settings</h3>
                 
                 <div className="space-y-6">
-                  {/* AI Model - Local LLaMA */}
+                  {/* AI Model - installed Ollama models */}
                   <div className="bg-green-50 border border-green-200 rounded-lg p-4">
                     <div className="flex items-center space-x-3">
-                      <div className="w-3 h-3 bg-green-500 rounded-full animate-pulse"></div>
-                      <div>
-                        <h4 className="font-medium text-green-800">LLaMA 3.2 3B (Local)</h4>
-                        <p className="text-sm text-green-600">Running locally via Ollama - Fast, private, and secure</p>
+                      <div className={`w-3 h-3 rounded-full ${aiModels ? 'bg-green-500 animate-pulse' : 'bg-gray-400'}`}></div>
+                      <div className="flex-1">
+                        <h4 className="font-medium text-green-800">{settings.ai.model} (Local)</h4>
+                        <p className="text-sm text-green-600">
+                          {aiModels
+                            ? 'Running locally via Ollama - Fast, private, and secure'
+                            : 'Ollama is not reachable, so the installed models cannot be listed'}
+                        </p>
                       </div>
+                      {aiModels && aiModels.length > 0 && (
+                        <select
+                          value={settings.ai.model}
+                          onChange={(e) => handleSelect('ai', 'model', e.target.value)}
+                          className="input-field w-auto"
+                        >
+                          {!aiModels.includes(settings.ai.model) && (
+                            <option value={settings.ai.model}>{settings.ai.model} (not installed)</option>
+                          )}
+                          {aiModels.map(model => (
+                            <option key={model} value={model}>{model}</option>
+                          ))}
+                        </select>
+                      )}
                     </div>
                   </div>
 
                   {/* Temperature */}
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Creativity Level: {settings.ai.temperature || 0.3}
+                      Creativity Level: {settings.ai.temperature ?? 0.3}
                     </label>
                     <input
                       type="range"
                       min="0"
                       max="1"
                       step="0.1"
-                      value={settings.ai.temperature || 0.3}
+                      value={settings.ai.temperature ?? 0.3}
                       onChange={(e) => handleSelect('ai', 'temperature', parseFloat(e.target.value))}
                       className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
                     />
@@ -346,17 +638,17 @@ const SettingsPanel = ({ onClose, initialTab = 'profile' }) => {
                     />
                   </div>
 
-                  {/* Auto Process */}
+                  {/* OCR */}
                   <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
                     <div>
-                      <h4 className="font-medium text-gray-900">Auto-Process Documents</h4>
-                      <p className="text-sm text-gray-600">Automatically analyze documents after upload</p>
+                      <h4 className="font-medium text-gray-900">OCR for Scanned Documents</h4>
+                      <p className="text-sm text-gray-600">Read text from images and scanned PDF pages</p>
                     </div>
                     <label className="relative inline-flex items-center cursor-pointer">
                       <input
                         type="checkbox"
-                        checked={settings.processing.autoProcess || false}
-                        onChange={() => handleToggle('processing', null, 'autoProcess')}
+                        checked={settings.processing.enableOCR ?? true}
+                        onChange={() => handleToggle('processing', null, 'enableOCR')}
                         className="sr-only peer"
                       />
                       <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
@@ -4,6 +4,13 @@ import { useAuth } from './AuthContext';
 
 const AppContext = createContext();
 
+// Matches the server's high risk band (71-100)
+export const HIGH_RISK_SCORE = 71;
+
+export const isHighRisk = (contract) =>
+  contract.status === 'high-risk' ||
+  (typeof contract.risk_score === 'number' && contract.risk_score >= HIGH_RISK_SCORE);
+
 export const useApp = () => {
   const context = useContext(AppContext);
   if (!context) {
@@ -48,7 +55,7 @@ export const AppProvider = ({ children }) => {
         acc.total++;
         if (contract.status === 'completed') acc.completed++;
         else if (contract.status === 'processing') acc.processing++;
-        else if (contract.status === 'high-risk') acc.highRisk++;
+        if (isHighRisk(contract)) acc.highRisk++;
         return acc;
       }, { total: 0, completed: 0, processing: 0, highRisk: 0 });
       
@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useEffect, useState, useRef, useCallback } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
+import { useApp } from './AppContext';
 
 const SocketContext = createContext();
 
@@ -17,7 +18,9 @@ export const SocketProvider = ({ children }) => {
   const [connected, setConnected] = useState(false);
   const [onlineUsers, setOnlineUsers] = useState(0);
   const [notifications, setNotifications] = useState([]);
+  const [processingProgress, setProcessingProgress] = useState({}); // contractId -> latest update
   const { user, token } = useAuth();
+  const { loadContracts } = useApp();
   const reconnectAttempts = useRef(0);
   const maxReconnectAttempts = 5;
 
@@ -83,7 +86,7 @@ export const SocketProvider = ({ children }) => {
         new Notification(notification.title || 'SmartContract.ai', {
           body: notification.message,
           icon: '/favicon.ico',
-          tag: notification._id
+          tag: notification.id
         });
       }
       
@@ -94,12 +97,17 @@ export const SocketProvider = ({ children }) => {
     // Processing updates
     newSocket.on('processing_update', (update) => {
       console.log('⚙️ Processing update:', update);
-      // You can dispatch this to your app context or state management
+      // Progress is tracked from contract_status_update, which covers every contract of the user
     });
 
     newSocket.on('contract_status_update', (update) => {
       console.log('📄 Contract status update:', update);
-      // Handle contract status changes
+      setProcessingProgress(prev => ({ ...prev, [update.contractId]: update }));
+
+      // Pick up the final status and results straight away
+      if (update.status === 'completed' || update.status === 'failed') {
+        loadContracts(false);
+      }
     });
 
     // Chat updates
@@ -135,7 +143,7 @@ export const SocketProvider = ({ children }) => {
     newSocket.on('connected', (data) => {
       console.log('✅ Connection confirmed:', data);
     });
-  }, [token]);
+  }, [token, loadContracts]);
 
   useEffect(() => {
     if (user && token) {
@@ -173,13 +181,15 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
+  // Read state is saved through the notifications API; this only updates the live list
   const markNotificationRead = (notificationId) => {
-    if (socket && connected) {
-      socket.emit('mark_notification_read', notificationId);
-      setNotifications(prev => 
-        prev.map(n => n._id === notificationId ? { ...n, isRead: true } : n)
-      );
-    }
+    setNotifications(prev =>
+      prev.map(n => n.id === notificationId ? { ...n, isRead: true } : n)
+    );
+  };
+
+  const markAllNotificationsRead = () => {
+    setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
   };
 
   const getOnlineStatus = () => {
@@ -208,7 +218,7 @@ export const SocketProvider = ({ children }) => {
   };
 
   const removeNotification = (notificationId) => {
-    setNotifications(prev => prev.filter(n => n._id !== notificationId));
+    setNotifications(prev => prev.filter(n => n.id !== notificationId));
   };
 
   const value = {
@@ -216,11 +226,13 @@ export const SocketProvider = ({ children }) => {
     connected,
     onlineUsers,
     notifications,
+    processingProgress,
     
     // Methods
     subscribeToContract,
     unsubscribeFromContract,
     markNotificationRead,
+    markAllNotificationsRead,
     getOnlineStatus,
     sendTypingIndicator,
     requestNotificationPermission,
@@ -66,6 +66,22 @@ export const contractService = {
   async getContractMetrics(id) {
     const response = await api.get(`/contracts/${id}/metrics`);
     return response.data;
+  },
+
+  async getContractClauses(id) {
+    const response = await api.get(`/contracts/${id}/clauses`);
+    return response.data;
+  },
+
+  async getContractRisk(id) {
+    const response = await api.get(`/contracts/${id}/risk`);
+    return response.data;
+  },
+
+  // options: { model, enableOCR, analysisMode: 'fast' | 'full' }
+  async reprocessContract(id, options = {}) {
+    const response = await api.post(`/contracts/${id}/reprocess`, options);
+    return response.data;
   }
 };
 
@@ -82,11 +98,11 @@ export const chatService = {
       console.log('✅ Received response from Llama model');
       return {
         answer: response.data.answer,
-        sessionId: sessionId || `session-${Date.now()}`,
+        sessionId: response.data.sessionId || sessionId || null,
+        messageId: response.data.messageId || null,
         contractId,
         timestamp: new Date().toISOString(),
-        confidence: response.data.hasContext ? 0.9 : 0.7,
-        sources: response.data.sources || ['Llama 3.1 AI Analysis'],
+        sources: response.data.sources || [],
         hasContext: response.data.hasContext
       };
     } catch (error) {
@@ -99,15 +115,71 @@ export const chatService = {
       // Simulate API response structure
       return {
         answer: `**(Demo Mode - Llama model not connected)**\n\n${demoResponses.response}\n\n*Note: This is a simulated response. To use the real AI analysis, please ensure your Ollama server is running with the Llama model installed.*`,
-        sessionId: sessionId || `demo-session-${Date.now()}`,
+        sessionId: sessionId || null,
+        messageId: null,
         contractId,
         timestamp: new Date().toISOString(),
-        confidence: demoResponses.confidence,
         sources: [...demoResponses.sources, 'Demo Mode']
       };
     }
   },
 
+  // Streams the answer from /chat/query/stream (Server-Sent Events), calling onToken with each
+  // piece of text. Resolves to the final /chat/query response; aborting signal cancels
+  // generation and rejects with an AbortError. Errors the server reports carry error.response
+  // like axios errors; only network failures reject with a fetch TypeError.
+  async streamQuery(contractId, query, sessionId, { onToken, signal } = {}) {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}/chat/query/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: JSON.stringify({ contractId, query, sessionId }),
+      signal
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.message || `Request failed with status ${response.status}`);
+      error.response = { status: response.status, data };
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const raw = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const event = raw.match(/^event: (.*)$/m)?.[1];
+        const data = JSON.parse(raw.match(/^data: (.*)$/m)?.[1] || '{}');
+
+        if (event === 'token') {
+          onToken?.(data.token);
+        } else if (event === 'done') {
+          return data;
+        } else if (event === 'error') {
+          const error = new Error(data.error || data.message);
+          error.response = { status: 500, data };
+          throw error;
+        }
+      }
+    }
+
+    throw new Error('The answer stream ended unexpectedly');
+  },
+
   generateIntelligentResponse(contractId, query) {
     const queryLower = query.toLowerCase();
     
@@ -206,41 +278,67 @@ export const chatService = {
     };
   },
 
-  async getChatHistory(contractId) {
+  // params: { contractId, general, archived }
+  async getSessions(params = {}) {
     try {
-      const response = await api.get(`/chat/sessions/${contractId}`);
+      const response = await api.get('/chat/sessions', { params });
       return response.data;
     } catch (error) {
-      console.log('Server not available, using demo chat history');
-      return {
-        sessions: [],
-        messages: [
-          {
-            id: 'demo-msg-1',
-            type: 'assistant',
-            content: `Hello! I'm your AI contract analyst. I've reviewed this contract and I'm ready to help you understand its terms, identify risks, and provide recommendations. What would you like to know?`,
-            timestamp: new Date(Date.now() - 30000).toISOString(),
-            confidence: 0.95
-          }
-        ]
-      };
+      console.log('Server not available, no saved chat threads');
+      return { sessions: [] };
     }
   },
 
-  async clearChatSession(sessionId) {
-    try {
-      const response = await api.delete(`/chat/sessions/${sessionId}`);
-      return response.data;
-    } catch (error) {
-      console.log('Demo mode: Chat session cleared locally');
-      return { success: true, message: 'Chat session cleared' };
-    }
+  // A thread with its newest messages; nextCursor pages back through getMessages
+  async getSession(sessionId) {
+    const response = await api.get(`/chat/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  // Messages older than the cursor from the previous page (limit: up to 200, default 50)
+  async getMessages(sessionId, before, limit) {
+    const response = await api.get(`/chat/sessions/${sessionId}/messages`, { params: { before, limit } });
+    return response.data;
+  },
+
+  // Search all of the user's chat messages. params: { q, contractId, general, role, from, to, page, limit }
+  async searchMessages(params) {
+    const response = await api.get('/chat/search', { params });
+    return response.data;
+  },
+
+  async createSession(contractId, title) {
+    const response = await api.post('/chat/sessions', { contractId, title });
+    return response.data;
+  },
+
+  // changes: { title, archived }
+  async updateSession(sessionId, changes) {
+    const response = await api.patch(`/chat/sessions/${sessionId}`, changes);
+    return response.data;
+  },
+
+  async deleteSession(sessionId) {
+    const response = await api.delete(`/chat/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  // feedback: { rating: 'up' | 'down', reason, comment, correctedAnswer }
+  async setFeedback(messageId, feedback) {
+    const response = await api.put(`/chat/messages/${messageId}/feedback`, feedback);
+    return response.data;
+  },
+
+  async clearFeedback(messageId) {
+    const response = await api.delete(`/chat/messages/${messageId}/feedback`);
+    return response.data;
   }
 };
 
 export const notificationService = {
-  async getNotifications() {
-    const response = await api.get('/notifications');
+  // params: { page, limit, unread }
+  async getNotifications(params = {}) {
+    const response = await api.get('/notifications', { params });
     return response.data;
   },
 
@@ -249,6 +347,16 @@ export const notificationService = {
     return response.data;
   },
 
+  async markAllAsRead() {
+    const response = await api.put('/notifications/read-all');
+    return response.data;
+  },
+
+  async deleteNotification(id) {
+    const response = await api.delete(`/notifications/${id}`);
+    return response.data;
+  },
+
   async clearAll() {
     const response = await api.delete('/notifications/clear');
     return response.data;
@@ -256,202 +364,36 @@ export const notificationService = {
 };
 
 export const analyticsService = {
+  // No demo fallback here: analytics must reflect the user's real contracts
   async getDashboard() {
-    try {
-      const response = await api.get('/analytics/dashboard');
-      return response.data;
-    } catch (error) {
-      console.log('Server not available, using demo analytics data');
-      // Return demo data that matches our sample contracts
-      return {
-        totalContracts: 4,
-        completedContracts: 2,
-        processingContracts: 1,
-        highRiskContracts: 1,
-        avgRiskScore: 56.25, // (65 + 85 + 35 + 0) / 4 contracts
-        avgProcessingTime: '2.3 hours',
-        totalSavings: '$25,400',
-        riskDistribution: [
-          { name: 'Low Risk (0-40)', value: 25, contracts: 1 },
-          { name: 'Medium Risk (41-70)', value: 25, contracts: 1 },
-          { name: 'High Risk (71-100)', value: 25, contracts: 1 },
-          { name: 'Processing', value: 25, contracts: 1 }
-        ],
-        monthlyStats: [
-          { month: 'Jan', contracts: 12, riskScore: 45, savings: 8500 },
-          { month: 'Feb', contracts: 18, riskScore: 52, savings: 12200 },
-          { month: 'Mar', contracts: 15, riskScore: 48, savings: 9800 },
-          { month: 'Apr', contracts: 22, riskScore: 58, savings: 15600 },
-          { month: 'May', contracts: 19, riskScore: 41, savings: 11400 },
-          { month: 'Jun', contracts: 4, riskScore: 56, savings: 2540 }
-        ],
-        contractTypes: [
-          { type: 'Employment', count: 1, avgRisk: 85 },
-          { type: 'Software License', count: 1, avgRisk: 65 },
-          { type: 'Service Agreement', count: 1, avgRisk: 35 },
-          { type: 'Consulting', count: 1, avgRisk: 45 }
-        ],
-        recentActivity: [
-          { action: 'Contract analyzed', contract: 'AI Implementation Agreement', time: '12 hours ago', risk: 'processing' },
-          { action: 'High risk detected', contract: 'Employment Contract - Senior Developer', time: '2 days ago', risk: 'high' },
-          { action: 'Analysis completed', contract: 'Cloud Hosting Service Agreement', time: '3 days ago', risk: 'low' },
-          { action: 'Contract uploaded', contract: 'Software License Agreement', time: '1 day ago', risk: 'medium' }
-        ],
-        topRisks: [
-          { risk: 'Overly broad non-compete clauses', frequency: 45, severity: 'High' },
-          { risk: 'Automatic termination without cure period', frequency: 32, severity: 'High' },
-          { risk: 'Asymmetric liability limitations', frequency: 28, severity: 'Medium' },
-          { risk: 'Unclear intellectual property ownership', frequency: 22, severity: 'Medium' },
-          { risk: 'Missing force majeure clauses', frequency: 18, severity: 'Low' }
-        ]
-      };
-    }
+    const response = await api.get('/analytics/dashboard');
+    return response.data;
   },
 
+  // period: '7d' | '30d' | '90d' | '1y'
   async getTrends(period = '30d') {
-    try {
-      const response = await api.get(`/analytics/trends?period=${period}`);
-      return response.data;
-    } catch (error) {
-      console.log('Server not available, using demo trends data');
-      
-      const generateTrendsData = (period) => {
-        const now = new Date();
-        let data = [];
-        let days = 30;
-        
-        if (period === '7d') days = 7;
-        else if (period === '90d') days = 90;
-        else if (period === '1y') days = 365;
-        
-        for (let i = days - 1; i >= 0; i--) {
-          const date = new Date(now);
-          date.setDate(date.getDate() - i);
-          
-          // Generate realistic trending data
-          const baseRisk = 50 + Math.sin(i * 0.1) * 20;
-          const contracts = Math.floor(Math.random() * 5) + 1;
-          const savings = contracts * (Math.random() * 2000 + 1000);
-          
-          data.push({
-            date: date.toISOString().split('T')[0],
-            contracts,
-            avgRiskScore: Math.max(0, Math.min(100, baseRisk + (Math.random() - 0.5) * 30)),
-            totalSavings: Math.round(savings),
-            processingTime: Math.round((Math.random() * 4 + 1) * 10) / 10
-          });
-        }
-        
-        return data;
-      };
-      
-      return {
-        period,
-        data: generateTrendsData(period),
-        summary: {
-          totalContracts: 78,
-          avgRiskReduction: 23.5,
-          totalTimeSaved: '156.2 hours',
-          costSavings: '$67,800'
-        }
-      };
-    }
+    const response = await api.get(`/analytics/trends?period=${period}`);
+    return response.data;
   },
 
+  // format: 'json' | 'csv' | 'xlsx' | 'pdf'
   async exportData(format = 'json') {
-    try {
-      const response = await api.get(`/analytics/export?format=${format}`, {
-        responseType: 'blob'
-      });
-      return response.data;
-    } catch (error) {
-      console.log('Server not available, generating demo export data');
-      const demoData = await this.getDashboard();
-      const blob = new Blob([JSON.stringify(demoData, null, 2)], { type: 'application/json' });
-      return blob;
-    }
+    const response = await api.get(`/analytics/export?format=${format}`, {
+      responseType: 'blob'
+    });
+    return response.data;
   }
 };
 
 export const settingsService = {
   async getSettings() {
-    try {
-      const response = await api.get('/settings');
-      return response.data;
-    } catch (error) {
-      console.log('Settings API unavailable, using local settings');
-      // Get settings from localStorage or use defaults
-      const savedSettings = localStorage.getItem('smartcontract_settings');
-      if (savedSettings) {
-        return JSON.parse(savedSettings);
-      }
-      
-      const defaultSettings = {
-        notifications: {
-          email: {
-            enabled: true,
-            contractAnalysis: true,
-            riskAlerts: true,
-            systemUpdates: false,
-            marketing: false
-          },
-          push: {
-            enabled: true,
-            contractAnalysis: true,
-            riskAlerts: true,
-            systemUpdates: false
-          },
-          inApp: {
-            enabled: true,
-            autoMarkRead: false,
-            soundEnabled: true
-          }
-        },
-        ai: {
-          model: 'llama3.2:3b',
-          temperature: 0.3,
-          maxTokens: 1500
-        },
-        processing: {
-          autoProcess: true,
-          enableOCR: true,
-          language: 'en'
-        },
-        ui: {
-          language: 'en',
-          timezone: 'UTC'
-        }
-      };
-      
-      // Save defaults to localStorage
-      localStorage.setItem('smartcontract_settings', JSON.stringify(defaultSettings));
-      return defaultSettings;
-    }
+    const response = await api.get('/settings');
+    return response.data;
   },
 
   async updateSettings(updates) {
-    try {
-      const response = await api.put('/settings', updates);
-      return response.data;
-    } catch (error) {
-      console.log('Settings update API unavailable, saving locally');
-      
-      // Get current settings from localStorage
-      const currentSettings = localStorage.getItem('smartcontract_settings');
-      let settings = currentSettings ? JSON.parse(currentSettings) : {};
-      
-      // Merge updates with current settings
-      settings = { ...settings, ...updates };
-      
-      // Save to localStorage
-      localStorage.setItem('smartcontract_settings', JSON.stringify(settings));
-      
-      return { 
-        success: true, 
-        message: 'Settings updated successfully',
-        settings: settings
-      };
-    }
+    const response = await api.put('/settings', updates);
+    return response.data;
   },
 
   async getNotificationSettings() {
@@ -484,42 +426,62 @@ export const settingsService = {
     return response.data;
   },
 
+  async getAIModels() {
+    const response = await api.get('/settings/ai/models');
+    return response.data;
+  },
+
   async resetSettings(section = 'all') {
-    try {
-      const response = await api.post('/settings/reset', { section });
-      return response.data;
-    } catch (error) {
-      console.log('Settings reset API unavailable, returning demo success');
-      return { 
-        success: true, 
-        message: `${section} settings reset to default (demo mode)` 
-      };
-    }
+    const response = await api.post('/settings/reset', { section });
+    return response.data;
   },
 
   async exportSettings() {
-    try {
-      const response = await api.get('/settings/export', {
-        responseType: 'blob'
-      });
-      return response.data;
-    } catch (error) {
-      console.log('Settings export API unavailable, creating demo export');
-      const demoSettings = {
-        exportDate: new Date().toISOString(),
-        version: '1.0.0',
-        settings: {
-          notifications: { email: { enabled: true } },
-          ai: { model: 'gpt-4-turbo' },
-          ui: { theme: 'system' }
-        }
-      };
-      return new Blob([JSON.stringify(demoSettings, null, 2)], { type: 'application/json' });
-    }
+    const response = await api.get('/settings/export', {
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
+  // Accepts the contents of an exported settings file ({ settings, version })
+  async importSettings(exportData) {
+    const response = await api.post('/settings/import', {
+      settings: exportData.settings,
+      version: exportData.version
+    });
+    return response.data;
+  }
+};
+
+export const pushService = {
+  async getPublicKey() {
+    const response = await api.get('/push/vapid-public-key');
+    return response.data;
+  },
+
+  // subscription: PushSubscription.toJSON()
+  async subscribe(subscription, deviceName) {
+    const response = await api.post('/push/subscriptions', { subscription, deviceName });
+    return response.data;
+  },
+
+  async getSubscriptions() {
+    const response = await api.get('/push/subscriptions');
+    return response.data;
+  },
+
+  async unsubscribe(endpoint) {
+    const response = await api.delete('/push/subscriptions', { data: { endpoint } });
+    return response.data;
+  },
+
+  async removeSubscription(id) {
+    const response = await api.delete(`/push/subscriptions/${id}`);
+    return response.data;
   },
 
-  async importSettings(settings) {
-    const response = await api.post('/settings/import', { settings });
+  async sendTest() {
+    const response = await api.post('/push/test');
     return response.data;
   }
 };
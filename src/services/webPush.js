@@ -0,0 +1,72 @@
+import { pushService } from './api';
+
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL || ''}/service-worker.js`;
+
+// PushManager.subscribe() wants the VAPID public key as bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+const getDeviceName = () => {
+  const ua = navigator.userAgent;
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find((name) => ua.includes(name)) || 'Browser';
+  const os = ['Windows', 'Mac OS', 'Android', 'iPhone', 'iPad', 'Linux'].find((name) => ua.includes(name)) || 'Unknown OS';
+  return `${browser === 'Edg' ? 'Edge' : browser} on ${os}`;
+};
+
+const getRegistration = () => navigator.serviceWorker.register(SERVICE_WORKER_URL);
+
+export const webPush = {
+  isSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  },
+
+  getPermission() {
+    return this.isSupported() ? Notification.permission : 'unsupported';
+  },
+
+  // This browser's current subscription, or null
+  async getSubscription() {
+    if (!this.isSupported()) return null;
+    const registration = await getRegistration();
+    return registration.pushManager.getSubscription();
+  },
+
+  // Ask for permission, subscribe this browser and register it with the server
+  async subscribe() {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error('Notifications are blocked for this site. Allow them in your browser settings.');
+    }
+
+    const registration = await getRegistration();
+    const { publicKey } = await pushService.getPublicKey();
+
+    let subscription = await registration.pushManager.getSubscription();
+    if (!subscription) {
+      subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(publicKey)
+      });
+    }
+
+    await pushService.subscribe(subscription.toJSON(), getDeviceName());
+    return subscription;
+  },
+
+  async unsubscribe() {
+    const subscription = await this.getSubscription();
+    if (!subscription) return;
+
+    try {
+      await pushService.unsubscribe(subscription.endpoint);
+    } catch (error) {
+      // Already removed on the server, e.g. after failed deliveries
+      if (error.response?.status !== 404) throw error;
+    }
+    await subscription.unsubscribe();
+  }
+};